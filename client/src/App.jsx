@@ -1,4 +1,5 @@
-import { BrowserRouter, Routes, Route } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
 import Layout from './components/Layout';
 import Dashboard from './pages/Dashboard';
 import Pipeline from './pages/Pipeline';
@@ -7,24 +8,65 @@ import Templates from './pages/Templates';
 import Campaigns from './pages/Campaigns';
 import ProspectDetail from './pages/ProspectDetail';
 import AgentDashboard from './pages/AgentDashboard';
+import Sequences from './pages/Sequences';
+import Prompts from './pages/Prompts';
+import Experiments from './pages/Experiments';
+import Users from './pages/Users';
+import Pipelines from './pages/Pipelines';
+import LeadScoring from './pages/LeadScoring';
+import Inbox from './pages/Inbox';
+import Import from './pages/Import';
+import Login from './pages/Login';
+import { AuthProvider, useAuth } from './context/AuthContext';
+
+function AppRoutes() {
+  const { user, loading, isAdmin } = useAuth();
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-dark-900">
+        <Loader2 className="w-8 h-8 animate-spin text-cyan-500" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Login />;
+  }
+
+  return (
+    <Routes>
+      <Route path="/" element={<Layout />}>
+        <Route index element={<Dashboard />} />
+        <Route path="pipeline" element={<Pipeline />} />
+        <Route path="my-leads" element={<Pipeline key="mine" mine />} />
+        <Route path="inbox" element={<Inbox />} />
+        <Route path="inbox/:prospectId" element={<Inbox />} />
+        <Route path="discovery" element={<Discovery />} />
+        <Route path="import" element={<Import />} />
+        <Route path="templates" element={<Templates />} />
+        <Route path="campaigns" element={<Campaigns />} />
+        <Route path="sequences" element={<Sequences />} />
+        <Route path="agents" element={<AgentDashboard />} />
+        <Route path="prompts" element={<Prompts />} />
+        <Route path="experiments" element={<Experiments />} />
+        <Route path="prospect/:id" element={<ProspectDetail />} />
+        <Route path="users" element={isAdmin ? <Users /> : <Navigate to="/" replace />} />
+        <Route path="pipelines" element={isAdmin ? <Pipelines /> : <Navigate to="/" replace />} />
+        <Route path="scoring" element={isAdmin ? <LeadScoring /> : <Navigate to="/" replace />} />
+      </Route>
+    </Routes>
+  );
+}
 
 function App() {
   return (
-    <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<Layout />}>
-          <Route index element={<Dashboard />} />
-          <Route path="pipeline" element={<Pipeline />} />
-          <Route path="discovery" element={<Discovery />} />
-          <Route path="templates" element={<Templates />} />
-          <Route path="campaigns" element={<Campaigns />} />
-          <Route path="agents" element={<AgentDashboard />} />
-          <Route path="prospect/:id" element={<ProspectDetail />} />
-        </Route>
-      </Routes>
-    </BrowserRouter>
+    <AuthProvider>
+      <BrowserRouter>
+        <AppRoutes />
+      </BrowserRouter>
+    </AuthProvider>
   );
 }
 
 export default App;
-
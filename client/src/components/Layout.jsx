@@ -13,22 +13,46 @@ import {
   X,
   ExternalLink,
   Check,
+  Workflow,
+  UserCog,
+  LogOut,
+  UserCheck,
+  Inbox,
+  ScrollText,
+  FlaskConical,
+  Columns3,
+  Gauge,
+  Upload,
 } from 'lucide-react';
-import { agentsApi } from '../services/api';
+import { agentsApi, inboxApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 
 const navItems = [
   { to: '/', icon: LayoutDashboard, label: 'Dashboard' },
   { to: '/pipeline', icon: Users, label: 'Pipeline' },
+  { to: '/my-leads', icon: UserCheck, label: 'My Leads' },
+  { to: '/inbox', icon: Inbox, label: 'Inbox', badge: 'inbox' },
   { to: '/discovery', icon: Search, label: 'Discovery' },
+  { to: '/import', icon: Upload, label: 'Import' },
   { to: '/templates', icon: FileText, label: 'Templates' },
   { to: '/campaigns', icon: Send, label: 'Campaigns' },
+  { to: '/sequences', icon: Workflow, label: 'Sequences' },
   { to: '/agents', icon: Bot, label: 'AI Agents' },
+  { to: '/prompts', icon: ScrollText, label: 'Prompts' },
+  { to: '/experiments', icon: FlaskConical, label: 'Experiments' },
+];
+
+const adminNavItems = [
+  { to: '/users', icon: UserCog, label: 'Users' },
+  { to: '/pipelines', icon: Columns3, label: 'Pipelines' },
+  { to: '/scoring', icon: Gauge, label: 'Lead Scoring' },
 ];
 
 function Layout() {
   const [showNotifications, setShowNotifications] = useState(false);
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  const { user, isAdmin, logout } = useAuth();
 
   const { data: notificationData } = useQuery({
     queryKey: ['notifications'],
@@ -36,6 +60,12 @@ function Layout() {
     refetchInterval: 15000, // Check every 15 seconds
   });
 
+  const { data: inboxUnread } = useQuery({
+    queryKey: ['inbox-unread'],
+    queryFn: () => inboxApi.getUnreadCount(),
+    refetchInterval: 30000,
+  });
+
   const markReadMutation = useMutation({
     mutationFn: agentsApi.markNotificationRead,
     onSuccess: () => {
@@ -75,6 +105,12 @@ function Layout() {
         return '❓';
       case 'review_needed':
         return '⚠️';
+      case 'sequence_task':
+        return '📋';
+      case 'lead_assigned':
+        return '👤';
+      case 'approval_needed':
+        return '✉️';
       default:
         return '📬';
     }
@@ -100,7 +136,7 @@ function Layout() {
         {/* Navigation */}
         <nav className="flex-1 p-4">
           <ul className="space-y-2">
-            {navItems.map((item) => (
+            {[...navItems, ...(isAdmin ? adminNavItems : [])].map((item) => (
               <li key={item.to}>
                 <NavLink
                   to={item.to}
@@ -115,6 +151,11 @@ function Layout() {
                 >
                   <item.icon className="w-5 h-5" />
                   <span className="font-medium">{item.label}</span>
+                  {item.badge === 'inbox' && inboxUnread?.count > 0 && (
+                    <span className="ml-auto text-xs bg-cyan-500 text-white rounded-full px-2 py-0.5">
+                      {inboxUnread.count}
+                    </span>
+                  )}
                 </NavLink>
               </li>
             ))}
@@ -122,7 +163,20 @@ function Layout() {
         </nav>
 
         {/* Footer */}
-        <div className="p-4 border-t border-dark-600">
+        <div className="p-4 border-t border-dark-600 space-y-3">
+          <div className="flex items-center justify-between px-4 py-3 rounded-lg bg-dark-700/50">
+            <div className="min-w-0">
+              <p className="text-sm text-white font-medium truncate">{user?.name}</p>
+              <p className="text-xs text-gray-500 capitalize">{user?.role}</p>
+            </div>
+            <button
+              onClick={logout}
+              className="p-2 text-gray-400 hover:text-white hover:bg-dark-700 rounded-lg transition-colors"
+              title="Sign out"
+            >
+              <LogOut className="w-4 h-4" />
+            </button>
+          </div>
           <div className="px-4 py-3 rounded-lg bg-dark-700/50">
             <p className="text-xs text-gray-500">Version 2.0.0</p>
             <p className="text-xs text-cyan-400 mt-1">cloudhack.dev</p>
@@ -0,0 +1,82 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { authApi, getAuthToken, setAuthToken } from '../services/api';
+
+const AuthContext = createContext(null);
+
+export function AuthProvider({ children }) {
+  const queryClient = useQueryClient();
+  const [user, setUser] = useState(null);
+  const [setupRequired, setSetupRequired] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  // Restore the session on load, or find out whether first-run setup is needed
+  useEffect(() => {
+    const restore = async () => {
+      try {
+        if (getAuthToken()) {
+          setUser(await authApi.getMe());
+        } else {
+          const status = await authApi.getStatus();
+          setSetupRequired(status.setupRequired);
+        }
+      } catch {
+        setUser(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+    restore();
+  }, []);
+
+  const signOut = useCallback(() => {
+    setAuthToken(null);
+    setUser(null);
+    queryClient.clear();
+  }, [queryClient]);
+
+  // Any API call that comes back 401 ends the session
+  useEffect(() => {
+    window.addEventListener('auth:expired', signOut);
+    return () => window.removeEventListener('auth:expired', signOut);
+  }, [signOut]);
+
+  const startSession = ({ token, user }) => {
+    setAuthToken(token);
+    setSetupRequired(false);
+    setUser(user);
+  };
+
+  const login = async (email, password) => {
+    startSession(await authApi.login(email, password));
+  };
+
+  const setup = async (details) => {
+    startSession(await authApi.setup(details));
+  };
+
+  const logout = async () => {
+    try {
+      await authApi.logout();
+    } finally {
+      signOut();
+    }
+  };
+
+  const value = {
+    user,
+    loading,
+    setupRequired,
+    login,
+    setup,
+    logout,
+    isAdmin: user?.role === 'admin',
+    canEdit: user?.role === 'admin' || user?.role === 'rep',
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+  return useContext(AuthContext);
+}
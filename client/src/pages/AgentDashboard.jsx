@@ -20,12 +20,38 @@ import {
   Search,
   Globe,
   Database,
+  Ban,
+  Trash2,
+  Workflow,
+  Gauge,
+  ThumbsUp,
+  ThumbsDown,
+  ChevronDown,
+  ChevronUp,
+  DollarSign,
 } from 'lucide-react';
-import { agentsApi, enrichmentApi, prospectsApi } from '../services/api';
+import { Link, useSearchParams } from 'react-router-dom';
+import { agentsApi, approvalsApi, enrichmentApi, prospectsApi, suppressionsApi } from '../services/api';
+
+const providerLabels = {
+  openai: 'OpenAI',
+  anthropic: 'Anthropic',
+  compatible: 'OpenAI-compatible',
+  mock: 'Mock',
+};
+
+const promptTypeLabels = {
+  outreach: 'Outreach emails',
+  subject: 'Subject lines',
+  followup: 'Follow-ups',
+  classify: 'Reply classification',
+  analysis: 'Website analysis',
+};
 
 function AgentDashboard() {
   const queryClient = useQueryClient();
-  const [activeTab, setActiveTab] = useState('overview');
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'overview');
 
   const { data: config, isLoading: configLoading } = useQuery({
     queryKey: ['agent-config'],
@@ -49,10 +75,23 @@ function AgentDashboard() {
     queryFn: () => agentsApi.getTasks('completed'),
   });
 
+  const { data: throttle } = useQuery({
+    queryKey: ['agent-throttle'],
+    queryFn: agentsApi.getThrottle,
+    refetchInterval: 10000,
+  });
+
+  const { data: approvals } = useQuery({
+    queryKey: ['approvals'],
+    queryFn: () => approvalsApi.getQueue(),
+    refetchInterval: 30000,
+  });
+
   const updateConfigMutation = useMutation({
     mutationFn: ({ key, value }) => agentsApi.updateConfig(key, value),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['agent-config'] });
+      queryClient.invalidateQueries({ queryKey: ['agent-throttle'] });
     },
   });
 
@@ -114,7 +153,7 @@ function AgentDashboard() {
           <div>
             <p className="text-amber-400 font-medium">AI Not Configured</p>
             <p className="text-sm text-gray-400 mt-1">
-              Add OPENAI_API_KEY or ANTHROPIC_API_KEY to your .env file to enable AI-powered agents.
+              Add OPENAI_API_KEY or ANTHROPIC_API_KEY to your .env file, or point the agents at a local OpenAI-compatible server under Configuration, to enable AI-powered agents.
             </p>
           </div>
         </div>
@@ -126,7 +165,7 @@ function AgentDashboard() {
           <div>
             <p className="text-amber-400 font-medium">Email Not Configured</p>
             <p className="text-sm text-gray-400 mt-1">
-              Add RESEND_API_KEY to your .env file to enable email sending.
+              Add credentials for an email transport (Resend, SendGrid or SMTP) to your .env file, or pick the local outbox under Configuration.
             </p>
           </div>
         </div>
@@ -152,17 +191,22 @@ function AgentDashboard() {
 
       {/* Tabs */}
       <div className="flex gap-2 border-b border-dark-600 pb-2">
-        {['overview', 'configuration', 'enrichment', 'tasks'].map((tab) => (
+        {['overview', 'approvals', 'configuration', 'enrichment', 'suppression', 'tasks'].map((tab) => (
           <button
             key={tab}
             onClick={() => setActiveTab(tab)}
-            className={`px-4 py-2 rounded-lg capitalize transition-colors ${
+            className={`px-4 py-2 rounded-lg capitalize transition-colors flex items-center gap-2 ${
               activeTab === tab
                 ? 'bg-cyan-500/20 text-cyan-400'
                 : 'text-gray-400 hover:text-white hover:bg-dark-700'
             }`}
           >
             {tab}
+            {tab === 'approvals' && approvals?.emails?.length > 0 && (
+              <span className="px-1.5 py-0.5 text-xs rounded-full bg-amber-500/20 text-amber-400">
+                {approvals.emails.length}
+              </span>
+            )}
           </button>
         ))}
       </div>
@@ -198,6 +242,9 @@ function AgentDashboard() {
             />
           </div>
 
+          {/* Sending Capacity */}
+          {throttle && <SendingCapacity throttle={throttle} />}
+
           {/* Agent Performance */}
           <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
             <h2 className="text-lg font-display font-semibold text-white mb-4 flex items-center gap-2">
@@ -273,13 +320,13 @@ function AgentDashboard() {
               <Bot className="w-5 h-5 text-cyan-500" />
               AI Provider
             </h2>
-            <div className="flex gap-4">
-              {['openai', 'anthropic'].map((provider) => (
+            <div className="flex flex-wrap gap-4">
+              {Object.entries(providerLabels).map(([provider, label]) => (
                 <button
                   key={provider}
                   onClick={() => handleProviderChange(provider)}
                   disabled={!config?.availableProviders?.includes(provider)}
-                  className={`px-6 py-3 rounded-lg border transition-all ${
+                  className={`px-6 py-3 rounded-lg border text-left transition-all ${
                     config?.currentProvider === provider
                       ? 'bg-cyan-500/20 border-cyan-500 text-cyan-400'
                       : config?.availableProviders?.includes(provider)
@@ -287,15 +334,133 @@ function AgentDashboard() {
                       : 'border-dark-600 text-gray-600 cursor-not-allowed'
                   }`}
                 >
-                  <div className="font-medium capitalize">{provider}</div>
+                  <div className="font-medium">{label}</div>
                   <div className="text-xs mt-1">
-                    {config?.availableProviders?.includes(provider) 
+                    {provider === 'mock'
+                      ? 'Fixture responses'
+                      : config?.availableProviders?.includes(provider) 
                       ? 'Configured' 
                       : 'Not configured'}
                   </div>
                 </button>
               ))}
             </div>
+
+            {/* OpenAI-compatible server */}
+            <div className="border-t border-dark-600 mt-6 pt-4">
+              <h3 className="text-sm font-medium text-gray-300 mb-1">OpenAI-compatible server</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Ollama, llama.cpp server, vLLM or any endpoint that speaks the OpenAI chat API. Set OPENAI_COMPATIBLE_API_KEY in .env if it needs a key.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <input
+                  key={config?.llm_compatible_base_url}
+                  type="text"
+                  defaultValue={config?.llm_compatible_base_url || ''}
+                  onBlur={(e) => e.target.value.trim() !== (config?.llm_compatible_base_url || '') && updateConfigMutation.mutate({ key: 'llm_compatible_base_url', value: e.target.value.trim() })}
+                  placeholder="http://localhost:11434/v1"
+                  className="input-field w-full"
+                />
+                <input
+                  key={config?.llm_compatible_model}
+                  type="text"
+                  defaultValue={config?.llm_compatible_model || ''}
+                  onBlur={(e) => e.target.value.trim() !== (config?.llm_compatible_model || '') && updateConfigMutation.mutate({ key: 'llm_compatible_model', value: e.target.value.trim() })}
+                  placeholder="Model, e.g. llama3.1:8b"
+                  className="input-field w-full"
+                />
+              </div>
+              {updateConfigMutation.isError && updateConfigMutation.variables?.key?.startsWith('llm_') && (
+                <p className="text-xs text-red-400 mt-2">{updateConfigMutation.error.message}</p>
+              )}
+            </div>
+
+            {/* Routing and failover per task */}
+            <div className="border-t border-dark-600 mt-6 pt-4">
+              <h3 className="text-sm font-medium text-gray-300 mb-1">Routing & failover</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Send each kind of call to its own provider and model, e.g. a local model for classification and a hosted one for outreach.
+                Rate limits, server errors and timeouts are retried, then the call goes to the fallback provider.
+              </p>
+              <div className="space-y-3">
+                <div className="hidden md:grid grid-cols-5 gap-3 text-xs text-gray-500">
+                  <div>Task</div>
+                  <div>Provider</div>
+                  <div>Model</div>
+                  <div>Fallback</div>
+                  <div>Fallback model</div>
+                </div>
+                {Object.entries(promptTypeLabels).map(([promptType, label]) => (
+                  <div key={promptType} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-center">
+                    <div className="text-sm text-gray-400">{label}</div>
+                    <ProviderSelect
+                      value={config?.[`llm_provider_${promptType}`]}
+                      defaultLabel={`Default (${providerLabels[config?.currentProvider] || config?.currentProvider})`}
+                      availableProviders={config?.availableProviders}
+                      onChange={(value) => updateConfigMutation.mutate({ key: `llm_provider_${promptType}`, value })}
+                    />
+                    <ModelInput
+                      value={config?.[`llm_model_${promptType}`]}
+                      onSave={(value) => updateConfigMutation.mutate({ key: `llm_model_${promptType}`, value })}
+                    />
+                    <ProviderSelect
+                      value={config?.[`llm_fallback_${promptType}`]}
+                      defaultLabel={config?.llm_fallback_provider
+                        ? `Default (${providerLabels[config.llm_fallback_provider] || config.llm_fallback_provider})`
+                        : 'None'}
+                      availableProviders={config?.availableProviders}
+                      onChange={(value) => updateConfigMutation.mutate({ key: `llm_fallback_${promptType}`, value })}
+                    />
+                    <ModelInput
+                      value={config?.[`llm_fallback_model_${promptType}`]}
+                      onSave={(value) => updateConfigMutation.mutate({ key: `llm_fallback_model_${promptType}`, value })}
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                <div>
+                  <label className="block text-sm text-gray-400 mb-1">Default fallback</label>
+                  <ProviderSelect
+                    value={config?.llm_fallback_provider}
+                    defaultLabel="None"
+                    availableProviders={config?.availableProviders}
+                    onChange={(value) => updateConfigMutation.mutate({ key: 'llm_fallback_provider', value })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-400 mb-1">Timeout (seconds)</label>
+                  <input
+                    key={config?.llm_timeout_seconds}
+                    type="number"
+                    min="1"
+                    defaultValue={config?.llm_timeout_seconds || '60'}
+                    onBlur={(e) => e.target.value !== (config?.llm_timeout_seconds || '60') && updateConfigMutation.mutate({ key: 'llm_timeout_seconds', value: e.target.value })}
+                    className="input-field w-full"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-400 mb-1">Retries per provider</label>
+                  <input
+                    key={config?.llm_max_retries}
+                    type="number"
+                    min="0"
+                    max="5"
+                    defaultValue={config?.llm_max_retries || '2'}
+                    onBlur={(e) => e.target.value !== (config?.llm_max_retries || '2') && updateConfigMutation.mutate({ key: 'llm_max_retries', value: e.target.value })}
+                    className="input-field w-full"
+                  />
+                </div>
+              </div>
+
+              {Object.entries(config?.llmCircuits || {}).filter(([, circuit]) => circuit.open).map(([provider, circuit]) => (
+                <div key={provider} className="flex items-center gap-2 mt-4 p-3 bg-amber-500/10 border border-amber-500/30 rounded-lg text-sm text-amber-400">
+                  <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                  {providerLabels[provider] || provider} is skipped after {circuit.failures} failed calls in a row, until {new Date(circuit.openUntil).toLocaleTimeString()}.
+                </div>
+              ))}
+            </div>
           </div>
 
           {/* Email Service */}
@@ -304,23 +469,50 @@ function AgentDashboard() {
               <Send className="w-5 h-5 text-cyan-500" />
               Email Service
             </h2>
-            <div className="flex gap-4">
-              <div className={`px-6 py-3 rounded-lg border ${
-                config?.emailConfigured
-                  ? 'bg-green-500/20 border-green-500 text-green-400'
-                  : 'border-dark-500 text-gray-400'
-              }`}>
-                <div className="font-medium">Resend</div>
-                <div className="text-xs mt-1">
-                  {config?.emailConfigured ? `From: ${config?.emailFrom}` : 'Not configured'}
-                </div>
-              </div>
+            <div className="flex flex-wrap gap-4">
+              {config?.emailTransports?.map((transport) => (
+                <button
+                  key={transport.name}
+                  onClick={() => updateConfigMutation.mutate({ key: 'email_transport', value: transport.name })}
+                  disabled={!transport.configured}
+                  className={`px-6 py-3 rounded-lg border text-left transition-all ${
+                    transport.active
+                      ? 'bg-cyan-500/20 border-cyan-500 text-cyan-400'
+                      : transport.configured
+                      ? 'border-dark-500 text-gray-400 hover:border-cyan-500'
+                      : 'border-dark-600 text-gray-600 cursor-not-allowed'
+                  }`}
+                >
+                  <div className="font-medium">{transport.label}</div>
+                  <div className="text-xs mt-1">
+                    {transport.active && transport.configured
+                      ? `From: ${config?.emailFrom}`
+                      : transport.configured ? 'Configured' : `Needs ${transport.missing}`}
+                  </div>
+                </button>
+              ))}
             </div>
-            {!config?.emailConfigured && (
-              <p className="text-sm text-gray-400 mt-4">
-                Add RESEND_API_KEY and RESEND_FROM_EMAIL to your .env file to enable email sending.
+            <p className="text-sm text-gray-400 mt-4">
+              {config?.email_transport
+                ? 'Switching transports takes effect on the next send.'
+                : 'No transport chosen yet — using the first one with credentials.'}
+              {config?.emailTransport === 'outbox' && ' The local outbox writes messages to server/outbox instead of sending them.'}
+            </p>
+            <div className="mt-4">
+              <label className="block text-sm font-medium text-gray-300 mb-2">Reply-To Address</label>
+              <input
+                key={config?.reply_to_address}
+                type="email"
+                defaultValue={config?.reply_to_address || ''}
+                onBlur={(e) => updateConfigMutation.mutate({ key: 'reply_to_address', value: e.target.value.trim() })}
+                placeholder="replies@parse.yourdomain.com"
+                className="input-field w-full"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Your inbound parse address. Each email gets a unique replies+token@ Reply-To so replies are matched
+                to the right campaign even from a different sender. Leave empty to reply to the From address.
               </p>
-            )}
+            </div>
           </div>
 
           {/* Automation Settings */}
@@ -342,6 +534,12 @@ function AgentDashboard() {
                 enabled={config?.auto_classify === 'true'}
                 onChange={() => handleToggleConfig('auto_classify', config?.auto_classify)}
               />
+              <ConfigToggle
+                label="Approve Before Send"
+                description="Hold agent-written emails in the Approvals tab until someone approves them"
+                enabled={config?.require_approval === 'true'}
+                onChange={() => handleToggleConfig('require_approval', config?.require_approval)}
+              />
             </div>
           </div>
 
@@ -351,75 +549,55 @@ function AgentDashboard() {
               <Mail className="w-5 h-5 text-cyan-500" />
               Follow-up Settings
             </h2>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Follow-up Schedule (days)
-                </label>
-                <input
-                  type="text"
-                  value={config?.follow_up_days || '3,7,14'}
-                  onChange={(e) => 
-                    updateConfigMutation.mutate({ key: 'follow_up_days', value: e.target.value })
-                  }
-                  placeholder="3,7,14"
-                  className="input-field w-full"
-                />
-                <p className="text-xs text-gray-500 mt-1">
-                  Comma-separated days between follow-ups
-                </p>
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-2">
-                  Max Follow-ups
-                </label>
-                <input
-                  type="number"
-                  value={config?.max_follow_ups || 3}
-                  onChange={(e) => 
-                    updateConfigMutation.mutate({ key: 'max_follow_ups', value: e.target.value })
-                  }
-                  min={1}
-                  max={10}
-                  className="input-field w-full"
-                />
-                <p className="text-xs text-gray-500 mt-1">
-                  Stop after this many unanswered emails
-                </p>
-              </div>
-            </div>
+            <p className="text-gray-400 text-sm mb-4">
+              Follow-up cadences are built as named sequences with emails, waits, manual tasks and branches.
+              Assign them per prospect or per segment.
+            </p>
+            <Link to="/sequences" className="btn-primary inline-flex items-center gap-2">
+              <Workflow className="w-4 h-4" />
+              Manage Sequences
+            </Link>
           </div>
 
-          {/* Token Usage */}
-          {stats?.tokenUsage && (
-            <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
-              <h2 className="text-lg font-display font-semibold text-white mb-4">
-                Token Usage (This Session)
-              </h2>
-              <div className="flex gap-8">
-                <div>
-                  <div className="text-2xl font-bold text-white">
-                    {stats.tokenUsage.openai?.toLocaleString() || 0}
-                  </div>
-                  <div className="text-sm text-gray-400">OpenAI Tokens</div>
-                </div>
-                <div>
-                  <div className="text-2xl font-bold text-white">
-                    {stats.tokenUsage.anthropic?.toLocaleString() || 0}
-                  </div>
-                  <div className="text-sm text-gray-400">Anthropic Tokens</div>
-                </div>
-              </div>
-            </div>
-          )}
+          {/* Send Window Settings */}
+          <SendWindowSettings
+            config={config}
+            onChange={(key, value) => updateConfigMutation.mutate({ key, value })}
+            onToggle={handleToggleConfig}
+          />
+
+          {/* Sending Throttle Settings */}
+          <ThrottleSettings
+            config={config}
+            throttle={throttle}
+            onChange={(key, value) => updateConfigMutation.mutate({ key, value })}
+            onToggle={handleToggleConfig}
+          />
+
+          <LLMUsage
+            usage={stats?.llmUsage}
+            tokenUsage={stats?.tokenUsage}
+            config={config}
+            onChange={(key, value) => updateConfigMutation.mutate({ key, value })}
+          />
         </div>
       )}
 
+      {/* Approvals Tab */}
+      {activeTab === 'approvals' && (
+        <ApprovalsTab queryClient={queryClient} data={approvals} />
+      )}
+
       {/* Enrichment Tab */}
       {activeTab === 'enrichment' && (
         <EnrichmentTab queryClient={queryClient} />
       )}
 
+      {/* Suppression Tab */}
+      {activeTab === 'suppression' && (
+        <SuppressionTab queryClient={queryClient} />
+      )}
+
       {/* Tasks Tab */}
       {activeTab === 'tasks' && (
         <div className="space-y-6">
@@ -503,6 +681,413 @@ function StatusBadge({ status }) {
   );
 }
 
+const weekdayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const workspaceTimezones = [
+  'America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix',
+  'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu',
+];
+
+function SendWindowSettings({ config, onChange, onToggle }) {
+  const days = (config?.send_window_days || '1,2,3,4,5').split(',').filter(Boolean).map(Number);
+
+  const toggleDay = (day) => {
+    const next = days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort();
+    onChange('send_window_days', next.join(','));
+  };
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+      <h2 className="text-lg font-display font-semibold text-white mb-4 flex items-center gap-2">
+        <Clock className="w-5 h-5 text-cyan-500" />
+        Send Window
+      </h2>
+      <ConfigToggle
+        label="Only send during business hours"
+        description="Outreach and follow-ups wait for the recipient's local send window"
+        enabled={config?.send_window_enabled !== 'false'}
+        onChange={() => onToggle('send_window_enabled', config?.send_window_enabled === 'false' ? 'false' : 'true')}
+      />
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Start (recipient time)</label>
+          <input
+            type="time"
+            value={config?.send_window_start || '09:00'}
+            onChange={(e) => onChange('send_window_start', e.target.value)}
+            className="input-field w-full"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">End (recipient time)</label>
+          <input
+            type="time"
+            value={config?.send_window_end || '17:00'}
+            onChange={(e) => onChange('send_window_end', e.target.value)}
+            className="input-field w-full"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Fallback timezone</label>
+          <select
+            value={config?.send_window_timezone || 'America/New_York'}
+            onChange={(e) => onChange('send_window_timezone', e.target.value)}
+            className="input-field w-full"
+          >
+            {workspaceTimezones.map(tz => <option key={tz} value={tz}>{tz}</option>)}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Used when a prospect has no state or ZIP code
+          </p>
+        </div>
+      </div>
+      <div className="mt-4">
+        <label className="block text-sm font-medium text-gray-300 mb-2">Send days</label>
+        <div className="flex gap-2">
+          {weekdayLabels.map((label, day) => (
+            <button
+              key={day}
+              onClick={() => toggleDay(day)}
+              className={`px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                days.includes(day)
+                  ? 'bg-cyan-500/20 text-cyan-400 border border-cyan-500/30'
+                  : 'bg-dark-700 text-gray-400 border border-dark-600'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="mt-4">
+        <label className="block text-sm font-medium text-gray-300 mb-2">Holidays</label>
+        <input
+          key={config?.send_window_holidays}
+          type="text"
+          defaultValue={config?.send_window_holidays || ''}
+          onBlur={(e) => onChange('send_window_holidays', e.target.value.replace(/\s+/g, ''))}
+          placeholder="2026-11-26,2026-12-25"
+          className="input-field w-full"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Comma-separated dates (YYYY-MM-DD). No email goes out and sequence waits skip these days.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+const throttleReasonLabels = {
+  send_window: 'Outside send window',
+  daily_cap: 'Daily cap reached',
+  hourly_cap: 'Hourly cap reached',
+  domain_spacing: 'Domain spacing',
+};
+
+// SQLite timestamps are UTC without a zone marker
+function parseUtc(value) {
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+function SendingCapacity({ throttle }) {
+  const usedPercent = throttle.dailyCap > 0
+    ? Math.min(100, Math.round((throttle.sentToday / throttle.dailyCap) * 100))
+    : 100;
+  const overflow = throttle.deferred.filter(d => d.reason !== 'send_window');
+  const overflowCount = overflow.reduce((sum, d) => sum + d.count, 0);
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-display font-semibold text-white flex items-center gap-2">
+          <Gauge className="w-5 h-5 text-cyan-500" />
+          Sending Capacity
+        </h2>
+        {!throttle.config.enabled && (
+          <span className="text-xs px-2 py-1 rounded bg-amber-500/20 text-amber-400">Throttling off</span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-dark-700 rounded-lg p-4">
+          <div className="text-sm text-gray-400">Sent today</div>
+          <div className="text-2xl font-bold text-white">
+            {throttle.sentToday} <span className="text-base text-gray-500">/ {throttle.dailyCap}</span>
+          </div>
+          <div className="h-2 bg-dark-600 rounded-full mt-2 overflow-hidden">
+            <div
+              className={`h-full ${usedPercent >= 100 ? 'bg-red-500' : usedPercent >= 80 ? 'bg-amber-500' : 'bg-cyan-500'}`}
+              style={{ width: `${usedPercent}%` }}
+            />
+          </div>
+          <div className="text-xs text-gray-500 mt-2">
+            Resets {new Date(throttle.resetsAt).toLocaleString()}
+          </div>
+        </div>
+
+        <div className="bg-dark-700 rounded-lg p-4">
+          <div className="text-sm text-gray-400">Warm-up</div>
+          {throttle.warmup.active ? (
+            <>
+              <div className="text-2xl font-bold text-white">
+                Week {throttle.warmup.week} <span className="text-base text-gray-500">of {throttle.warmup.totalWeeks}</span>
+              </div>
+              <div className="text-xs text-gray-500 mt-2">
+                {throttle.warmup.startDate
+                  ? `Started ${throttle.warmup.startDate} · ${throttle.warmup.cap}/day this week`
+                  : `Starts with the first send · ${throttle.warmup.cap}/day`}
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="text-2xl font-bold text-white">{throttle.warmup.completed ? 'Complete' : 'Off'}</div>
+              <div className="text-xs text-gray-500 mt-2">Full daily cap applies</div>
+            </>
+          )}
+        </div>
+
+        <div className="bg-dark-700 rounded-lg p-4">
+          <div className="text-sm text-gray-400">Overflow queue</div>
+          <div className="text-2xl font-bold text-white">{overflowCount}</div>
+          <div className="text-xs text-gray-500 mt-2 space-y-0.5">
+            {throttle.deferred.length === 0 && <div>Nothing held back</div>}
+            {throttle.deferred.map((d) => (
+              <div key={d.reason}>
+                {throttleReasonLabels[d.reason] || d.reason}: {d.count} · next {parseUtc(d.nextAt).toLocaleString()}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-sm text-gray-400 mt-4">
+        <span>Last hour: <span className="text-white">{throttle.sentLastHour}</span>{throttle.config.hourlyCap > 0 && ` / ${throttle.config.hourlyCap}`}</span>
+        {throttle.busiestDomains.length > 0 && (
+          <span>
+            Top domains today:{' '}
+            <span className="text-white">
+              {throttle.busiestDomains.map(d => `${d.domain} (${d.sent})`).join(', ')}
+            </span>
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ThrottleSettings({ config, throttle, onChange, onToggle }) {
+  const numberField = (key, label, help, fallback) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
+      <input
+        key={config?.[key]}
+        type="number"
+        min="0"
+        defaultValue={config?.[key] ?? fallback}
+        onBlur={(e) => e.target.value !== '' && onChange(key, String(parseInt(e.target.value)))}
+        className="input-field w-full"
+      />
+      <p className="text-xs text-gray-500 mt-1">{help}</p>
+    </div>
+  );
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+      <h2 className="text-lg font-display font-semibold text-white mb-4 flex items-center gap-2">
+        <Gauge className="w-5 h-5 text-cyan-500" />
+        Sending Limits
+      </h2>
+      <ConfigToggle
+        label="Throttle outbound email"
+        description="Hold sends over the caps in a queue that carries over to the next hour or day"
+        enabled={config?.throttle_enabled !== 'false'}
+        onChange={() => onToggle('throttle_enabled', config?.throttle_enabled === 'false' ? 'false' : 'true')}
+      />
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+        {numberField('throttle_daily_cap', 'Daily cap', 'Emails per day (workspace timezone)', '200')}
+        {numberField('throttle_hourly_cap', 'Hourly cap', 'Emails per rolling hour (0 = no limit)', '40')}
+        {numberField('throttle_domain_spacing_minutes', 'Domain spacing (minutes)', 'Minimum gap between sends to the same domain', '10')}
+      </div>
+
+      <div className="border-t border-dark-600 mt-6 pt-4">
+        <ConfigToggle
+          label="Warm-up ramp"
+          description="Grow the daily cap week by week while the sending domain builds reputation"
+          enabled={config?.throttle_warmup_enabled !== 'false'}
+          onChange={() => onToggle('throttle_warmup_enabled', config?.throttle_warmup_enabled === 'false' ? 'false' : 'true')}
+        />
+        <div className="mt-4">
+          <label className="block text-sm font-medium text-gray-300 mb-2">Weekly daily caps</label>
+          <input
+            key={config?.throttle_warmup_schedule}
+            type="text"
+            defaultValue={config?.throttle_warmup_schedule || ''}
+            onBlur={(e) => onChange('throttle_warmup_schedule', e.target.value.replace(/\s+/g, ''))}
+            placeholder="20,40,75,125,200"
+            className="input-field w-full"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Daily cap for week 1, week 2, and so on. After the last week the daily cap above applies.
+          </p>
+        </div>
+        <div className="flex items-center justify-between mt-4">
+          <p className="text-sm text-gray-400">
+            {throttle?.warmup?.startDate
+              ? `Warm-up started ${throttle.warmup.startDate}`
+              : 'Warm-up starts with the next send'}
+          </p>
+          {throttle?.warmup?.startDate && (
+            <button
+              onClick={() => onChange('throttle_warmup_start_date', '')}
+              className="text-sm text-cyan-400 hover:text-cyan-300"
+            >
+              Restart warm-up
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function formatCost(value) {
+  return `$${(value || 0).toFixed(value >= 1 ? 2 : 4)}`;
+}
+
+function LLMUsage({ usage, tokenUsage, config, onChange }) {
+  const budgetField = (key, label, help) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
+      <input
+        key={config?.[key]}
+        type="number"
+        min="0"
+        step="0.01"
+        defaultValue={config?.[key] ?? '0'}
+        onBlur={(e) => e.target.value !== '' && onChange(key, String(parseFloat(e.target.value)))}
+        className="input-field w-full"
+      />
+      <p className="text-xs text-gray-500 mt-1">{help}</p>
+    </div>
+  );
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+      <h2 className="text-lg font-display font-semibold text-white mb-4 flex items-center gap-2">
+        <DollarSign className="w-5 h-5 text-cyan-500" />
+        LLM Usage & Budget
+      </h2>
+
+      {usage?.budgets && !usage.budgets.allowed && (
+        <div className="bg-amber-500/10 border border-amber-500/30 rounded-lg p-3 mb-4 text-sm text-amber-400">
+          {usage.budgets.message}. Agents are using templates until the budget resets.
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div className="bg-dark-700 rounded-lg p-3">
+          <div className="text-2xl font-bold text-white">{formatCost(usage?.today?.cost)}</div>
+          <div className="text-xs text-gray-400">
+            Today{usage?.budgets?.daily ? ` of ${formatCost(usage.budgets.daily)}` : ''}
+          </div>
+        </div>
+        <div className="bg-dark-700 rounded-lg p-3">
+          <div className="text-2xl font-bold text-white">{formatCost(usage?.month?.cost)}</div>
+          <div className="text-xs text-gray-400">
+            This month{usage?.budgets?.monthly ? ` of ${formatCost(usage.budgets.monthly)}` : ''}
+          </div>
+        </div>
+        <div className="bg-dark-700 rounded-lg p-3">
+          <div className="text-2xl font-bold text-white">{usage?.month?.calls || 0}</div>
+          <div className="text-xs text-gray-400">Calls this month</div>
+        </div>
+        <div className="bg-dark-700 rounded-lg p-3">
+          <div className="text-2xl font-bold text-white">{usage?.cache?.hits || 0}</div>
+          <div className="text-xs text-gray-400">Cache hits ({formatCost(usage?.cache?.saved)} saved)</div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        {budgetField('llm_daily_budget', 'Daily budget (USD)', 'Agents fall back to templates once spent (0 = no limit)')}
+        {budgetField('llm_monthly_budget', 'Monthly budget (USD)', 'Calendar month in the workspace timezone (0 = no limit)')}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-sm font-medium text-gray-300 mb-2">Spend by agent (this month)</h3>
+          {usage?.byAgent?.length > 0 ? (
+            <div className="space-y-1">
+              {usage.byAgent.map((row) => (
+                <div key={row.agent_type} className="flex justify-between text-sm">
+                  <span className="text-gray-400 capitalize">{row.agent_type.replace('_', ' ')}</span>
+                  <span className="text-white">{formatCost(row.cost)} · {row.calls} calls</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No LLM calls this month</p>
+          )}
+        </div>
+        <div>
+          <h3 className="text-sm font-medium text-gray-300 mb-2">Top prospects by spend</h3>
+          {usage?.byProspect?.length > 0 ? (
+            <div className="space-y-1 max-h-48 overflow-y-auto">
+              {usage.byProspect.map((row) => (
+                <div key={row.prospect_id} className="flex justify-between text-sm">
+                  <Link to={`/prospects/${row.prospect_id}`} className="text-gray-400 hover:text-cyan-400 truncate">
+                    {row.business_name}
+                  </Link>
+                  <span className="text-white flex-shrink-0 ml-2">{formatCost(row.cost)}</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No spend on prospects yet</p>
+          )}
+        </div>
+      </div>
+
+      {usage?.invalidOutputs?.count > 0 && (
+        <div className="border-t border-dark-600 mt-6 pt-4">
+          <h3 className="text-sm font-medium text-gray-300 mb-1">Invalid JSON responses</h3>
+          <p className="text-xs text-gray-500 mb-3">
+            {usage.invalidOutputs.count} this month, {usage.invalidOutputs.repaired} fixed by asking again. Replies that stay invalid are left for manual review.
+          </p>
+          <div className="space-y-2">
+            {usage.invalidOutputs.recent.map((output) => (
+              <details key={output.id} className="bg-dark-700 rounded-lg p-3 text-sm">
+                <summary className="cursor-pointer text-gray-300">
+                  <span className="capitalize">{output.prompt_type || 'other'}</span>
+                  {output.business_name && <span className="text-gray-500"> · {output.business_name}</span>}
+                  <span className="text-gray-500"> · {output.provider}</span>
+                  <span className={output.repaired ? 'text-green-400' : 'text-amber-400'}> · {output.repaired ? 'fixed on retry' : 'not fixed'}</span>
+                </summary>
+                <ul className="list-disc list-inside text-xs text-red-400 mt-2">
+                  {output.errors.map((error) => <li key={error}>{error}</li>)}
+                </ul>
+                <pre className="text-xs text-gray-400 whitespace-pre-wrap mt-2 max-h-40 overflow-y-auto">{output.output}</pre>
+              </details>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {tokenUsage && (
+        <div className="flex gap-8 border-t border-dark-600 mt-6 pt-4">
+          <div>
+            <div className="text-lg font-bold text-white">{tokenUsage.openai?.toLocaleString() || 0}</div>
+            <div className="text-sm text-gray-400">OpenAI Tokens</div>
+          </div>
+          <div>
+            <div className="text-lg font-bold text-white">{tokenUsage.anthropic?.toLocaleString() || 0}</div>
+            <div className="text-sm text-gray-400">Anthropic Tokens</div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function ConfigToggle({ label, description, enabled, onChange }) {
   return (
     <div className="flex items-center justify-between py-2">
@@ -526,7 +1111,49 @@ function ConfigToggle({ label, description, enabled, onChange }) {
   );
 }
 
+function ProviderSelect({ value, defaultLabel, availableProviders, onChange }) {
+  return (
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      className="input-field w-full"
+    >
+      <option value="">{defaultLabel}</option>
+      {Object.entries(providerLabels).map(([provider, label]) => (
+        <option key={provider} value={provider} disabled={!availableProviders?.includes(provider)}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function ModelInput({ value, onSave }) {
+  return (
+    <input
+      key={value}
+      type="text"
+      defaultValue={value || ''}
+      onBlur={(e) => e.target.value.trim() !== (value || '') && onSave(e.target.value.trim())}
+      placeholder="Provider default"
+      className="input-field w-full"
+    />
+  );
+}
+
+// Providers an LLM call ended up on when it had to fail over
+function getFallbacks(task) {
+  try {
+    const result = typeof task.result === 'string' ? JSON.parse(task.result) : task.result;
+    return (result?.llmCalls || []).filter(call => call.fallbackUsed).map(call => call.provider);
+  } catch (e) {
+    return [];
+  }
+}
+
 function TaskCard({ task }) {
+  const fallbacks = getFallbacks(task);
+
   return (
     <div className="flex items-center justify-between py-3 px-4 bg-dark-700 rounded-lg">
       <div className="flex items-center gap-3">
@@ -542,9 +1169,19 @@ function TaskCard({ task }) {
       </div>
       <div className="flex items-center gap-3">
         <StatusBadge status={task.status} />
+        {fallbacks.length > 0 && (
+          <span className="text-xs text-amber-400" title="The primary LLM provider failed and the call went to its fallback">
+            Fallback: {[...new Set(fallbacks)].map(provider => providerLabels[provider] || provider).join(', ')}
+          </span>
+        )}
+        {task.status === 'pending' && task.deferred_reason && (
+          <span className="text-xs text-gray-400">
+            {throttleReasonLabels[task.deferred_reason] || task.deferred_reason}
+          </span>
+        )}
         <div className="text-xs text-gray-500">
           {task.scheduled_for 
-            ? `Scheduled: ${new Date(task.scheduled_for).toLocaleString()}`
+            ? `Scheduled: ${parseUtc(task.scheduled_for).toLocaleString()}`
             : new Date(task.created_at).toLocaleString()
           }
         </div>
@@ -730,6 +1367,404 @@ function EnrichmentTab({ queryClient }) {
   );
 }
 
+// Suppression Tab Component
+function SuppressionTab({ queryClient }) {
+  const [entry, setEntry] = useState('');
+  const [search, setSearch] = useState('');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['suppressions', search],
+    queryFn: () => suppressionsApi.getAll(search ? { search } : {}),
+  });
+
+  const addMutation = useMutation({
+    mutationFn: (value) => suppressionsApi.add(
+      value.includes('@') && !value.startsWith('@') ? { email: value } : { domain: value }
+    ),
+    onSuccess: () => {
+      setEntry('');
+      queryClient.invalidateQueries({ queryKey: ['suppressions'] });
+    },
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: suppressionsApi.remove,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['suppressions'] });
+    },
+  });
+
+  const suppressions = data?.suppressions || [];
+  const stats = data?.stats || {};
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+        <h2 className="text-lg font-display font-semibold text-white mb-2 flex items-center gap-2">
+          <Ban className="w-5 h-5 text-cyan-500" />
+          Suppression List
+        </h2>
+        <p className="text-gray-400 text-sm mb-4">
+          Addresses and domains here are never emailed by any agent or manual send. Unsubscribes, hard bounces and spam complaints are added automatically.
+        </p>
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+          {['unsubscribe', 'bounce', 'complaint', 'manual', 'domain'].map((reason) => (
+            <div key={reason} className="bg-dark-700 rounded-lg p-3">
+              <div className="text-2xl font-bold text-white">{stats[reason] || 0}</div>
+              <div className="text-xs text-gray-400 capitalize">{reason}</div>
+            </div>
+          ))}
+        </div>
+
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (entry.trim()) addMutation.mutate(entry.trim());
+          }}
+          className="flex gap-3"
+        >
+          <input
+            type="text"
+            value={entry}
+            onChange={(e) => setEntry(e.target.value)}
+            placeholder="name@business.com or @business.com to block a domain"
+            className="input-field flex-1"
+          />
+          <button
+            type="submit"
+            disabled={!entry.trim() || addMutation.isPending}
+            className="btn-primary flex items-center gap-2"
+          >
+            {addMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Ban className="w-4 h-4" />}
+            Block
+          </button>
+        </form>
+      </div>
+
+      <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-display font-semibold text-white">Blocked Recipients</h2>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search..."
+            className="input-field w-64"
+          />
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-6 h-6 animate-spin text-cyan-500" />
+          </div>
+        ) : suppressions.length === 0 ? (
+          <p className="text-gray-400 text-center py-8">No suppressed recipients</p>
+        ) : (
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {suppressions.map((s) => (
+              <div key={s.id} className="flex items-center justify-between py-3 px-4 bg-dark-700 rounded-lg">
+                <div>
+                  <p className="text-white font-medium">
+                    {s.scope === 'domain' ? `@${s.value}` : s.value}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    <span className="capitalize">{s.reason}</span>
+                    {s.source && <> • {s.source.replace(/_/g, ' ')}</>}
+                    {' • '}{new Date(s.created_at).toLocaleString()}
+                  </p>
+                </div>
+                <button
+                  onClick={() => {
+                    if (confirm(`Allow emails to ${s.value} again?`)) removeMutation.mutate(s.id);
+                  }}
+                  className="p-2 rounded-lg hover:bg-dark-600 text-gray-400 hover:text-red-400 transition-colors"
+                  title="Remove from suppression list"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Approvals Tab Component
+function ApprovalsTab({ queryClient, data }) {
+  const [agent, setAgent] = useState('');
+  const [selected, setSelected] = useState([]);
+
+  const { data: filtered } = useQuery({
+    queryKey: ['approvals', agent],
+    queryFn: () => approvalsApi.getQueue({ agent }),
+    enabled: !!agent,
+  });
+
+  const emails = (agent ? filtered : data)?.emails || [];
+
+  const onDone = () => {
+    setSelected([]);
+    queryClient.invalidateQueries({ queryKey: ['approvals'] });
+    queryClient.invalidateQueries({ queryKey: ['agent-tasks'] });
+  };
+
+  const approveMutation = useMutation({ mutationFn: approvalsApi.approve, onSuccess: onDone });
+  const rejectMutation = useMutation({
+    mutationFn: ({ ids, reason }) => approvalsApi.reject(ids, reason),
+    onSuccess: onDone,
+  });
+  const regenerateMutation = useMutation({ mutationFn: approvalsApi.regenerate, onSuccess: onDone });
+
+  const busy = approveMutation.isPending || rejectMutation.isPending || regenerateMutation.isPending;
+
+  const handleReject = (ids) => {
+    const reason = prompt('Reason for rejecting (optional):');
+    if (reason !== null) rejectMutation.mutate({ ids, reason: reason.trim() || null });
+  };
+
+  const toggleSelected = (id) => {
+    setSelected((current) => current.includes(id) ? current.filter((s) => s !== id) : [...current, id]);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-lg font-display font-semibold text-white flex items-center gap-2">
+            <ThumbsUp className="w-5 h-5 text-cyan-500" />
+            Waiting for Approval ({emails.length})
+          </h2>
+          <select
+            value={agent}
+            onChange={(e) => { setAgent(e.target.value); setSelected([]); }}
+            className="input-field w-48"
+          >
+            <option value="">All agents</option>
+            <option value="outreach">Outreach Agent</option>
+            <option value="followup">Follow-up Agent</option>
+          </select>
+        </div>
+        <p className="text-gray-400 text-sm">
+          {data?.enabled
+            ? 'Emails written by the agents wait here until approved. Approved emails are sent within the send window and sending caps.'
+            : 'Approve Before Send is off, so agents send their emails straight away. Turn it on under Configuration → Automation Settings.'}
+        </p>
+
+        {selected.length > 0 && (
+          <div className="flex items-center gap-3 mt-4 p-3 bg-dark-700 rounded-lg">
+            <span className="text-sm text-gray-300">{selected.length} selected</span>
+            <button
+              onClick={() => approveMutation.mutate(selected)}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm rounded-lg bg-green-500/20 text-green-400 hover:bg-green-500/30 transition-colors"
+            >
+              Approve
+            </button>
+            <button
+              onClick={() => handleReject(selected)}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm rounded-lg bg-red-500/20 text-red-400 hover:bg-red-500/30 transition-colors"
+            >
+              Reject
+            </button>
+            <button
+              onClick={() => regenerateMutation.mutate(selected)}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm rounded-lg bg-dark-600 text-gray-300 hover:text-white transition-colors"
+            >
+              Regenerate
+            </button>
+            <button
+              onClick={() => setSelected([])}
+              className="ml-auto text-sm text-gray-400 hover:text-white"
+            >
+              Clear
+            </button>
+          </div>
+        )}
+      </div>
+
+      {emails.length === 0 ? (
+        <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+          <p className="text-gray-400 text-center py-8">No emails waiting for approval</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {emails.map((email) => (
+            <ApprovalCard
+              key={email.id}
+              email={email}
+              selected={selected.includes(email.id)}
+              onSelect={() => toggleSelected(email.id)}
+              onApprove={() => approveMutation.mutate([email.id])}
+              onReject={() => handleReject([email.id])}
+              onRegenerate={() => regenerateMutation.mutate([email.id])}
+              busy={busy}
+              queryClient={queryClient}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ApprovalCard({ email, selected, onSelect, onApprove, onReject, onRegenerate, busy, queryClient }) {
+  const [subject, setSubject] = useState(email.subject);
+  const [body, setBody] = useState(email.body);
+  const [showAnalysis, setShowAnalysis] = useState(false);
+  const [lastSaved, setLastSaved] = useState({ subject: email.subject, body: email.body });
+
+  // Pick up regenerated text
+  if (email.subject !== lastSaved.subject || email.body !== lastSaved.body) {
+    setLastSaved({ subject: email.subject, body: email.body });
+    setSubject(email.subject);
+    setBody(email.body);
+  }
+
+  const saveMutation = useMutation({
+    mutationFn: () => approvalsApi.update(email.id, { subject, body }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['approvals'] });
+    },
+  });
+
+  const edited = subject !== email.subject || body !== email.body;
+  const template = email.context?.template;
+  const analysis = email.websiteAnalysis?.analysis;
+
+  return (
+    <div className={`bg-dark-800 rounded-xl border p-5 ${selected ? 'border-cyan-500/50' : 'border-dark-600'}`}>
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div className="flex items-start gap-3">
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={onSelect}
+            className="mt-1.5 accent-cyan-500"
+          />
+          <div>
+            <Link to={`/prospects/${email.prospect_id}`} className="text-white font-medium hover:text-cyan-400">
+              {email.business_name}
+            </Link>
+            <p className="text-sm text-gray-400">
+              {email.email}
+              {email.owner_name && <> • {email.owner_name}</>}
+              {' • '}
+              {email.context?.agent === 'followup'
+                ? `Follow-up #${email.context.followUpNumber || 1}`
+                : 'Initial outreach'}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <button
+            onClick={onRegenerate}
+            disabled={busy}
+            className="p-2 rounded-lg hover:bg-dark-600 text-gray-400 hover:text-white transition-colors"
+            title="Have the agent write it again"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+          <button
+            onClick={onReject}
+            disabled={busy}
+            className="p-2 rounded-lg hover:bg-dark-600 text-gray-400 hover:text-red-400 transition-colors"
+            title="Reject"
+          >
+            <ThumbsDown className="w-4 h-4" />
+          </button>
+          <button
+            onClick={onApprove}
+            disabled={busy || edited}
+            className="px-3 py-1.5 text-sm rounded-lg bg-green-500/20 text-green-400 hover:bg-green-500/30 transition-colors disabled:opacity-50"
+            title={edited ? 'Save your edits first' : 'Approve and send'}
+          >
+            Approve
+          </button>
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <input
+          type="text"
+          value={subject}
+          onChange={(e) => setSubject(e.target.value)}
+          className="input-field w-full"
+        />
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={8}
+          className="input-field w-full font-mono text-sm"
+        />
+        {edited && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => saveMutation.mutate()}
+              disabled={saveMutation.isPending || !subject.trim() || !body.trim()}
+              className="btn-primary text-sm"
+            >
+              {saveMutation.isPending ? 'Saving...' : 'Save Edits'}
+            </button>
+            <button
+              onClick={() => { setSubject(email.subject); setBody(email.body); }}
+              className="px-3 py-1.5 text-sm text-gray-400 hover:text-white"
+            >
+              Discard
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="mt-4 pt-4 border-t border-dark-600 text-sm space-y-2">
+        <p className="text-gray-400">
+          Template:{' '}
+          {template ? (
+            <>
+              <span className="text-white">{template.name}</span>
+              {template.confidence != null && (
+                <span className="text-gray-500"> ({Math.round(template.confidence * 100)}% confidence — {template.reason})</span>
+              )}
+            </>
+          ) : (
+            <span className="text-white">None (written by AI)</span>
+          )}
+        </p>
+        {analysis && (
+          <div>
+            <button
+              onClick={() => setShowAnalysis(!showAnalysis)}
+              className="flex items-center gap-1 text-cyan-400 hover:text-cyan-300"
+            >
+              {showAnalysis ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+              Website analysis used
+            </button>
+            {showAnalysis && (
+              <div className="mt-2 p-3 bg-dark-700 rounded-lg space-y-2 text-gray-300">
+                {analysis.summary && <p>{analysis.summary}</p>}
+                {analysis.opportunities?.length > 0 && (
+                  <ul className="list-disc list-inside text-gray-400">
+                    {analysis.opportunities.map((o, i) => (
+                      <li key={i}><span className="text-white">{o.title}</span> ({o.impact} impact)</li>
+                    ))}
+                  </ul>
+                )}
+                {analysis.recommendedPitch && (
+                  <p className="text-gray-400 italic">Pitch: {analysis.recommendedPitch}</p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
 function ServiceCard({ name, configured, description, envVar, free }) {
   return (
     <div className={`p-4 rounded-lg border ${
@@ -14,7 +14,11 @@ import {
   CheckCircle,
   Building2,
   Loader2,
-  RefreshCw
+  RefreshCw,
+  Ban,
+  Hourglass,
+  ThumbsUp,
+  ThumbsDown
 } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { campaignsApi } from '../services/api';
@@ -22,12 +26,16 @@ import { campaignsApi } from '../services/api';
 const statusConfig = {
   pending: { label: 'Pending', icon: Clock, color: 'text-gray-400', bg: 'bg-gray-500/10', border: 'border-gray-500/30' },
   draft: { label: 'Draft', icon: FileText, color: 'text-amber-400', bg: 'bg-amber-500/10', border: 'border-amber-500/30' },
+  awaiting_approval: { label: 'Awaiting Approval', icon: Hourglass, color: 'text-amber-400', bg: 'bg-amber-500/10', border: 'border-amber-500/30' },
+  approved: { label: 'Approved', icon: ThumbsUp, color: 'text-cyan-400', bg: 'bg-cyan-500/10', border: 'border-cyan-500/30' },
+  rejected: { label: 'Rejected', icon: ThumbsDown, color: 'text-gray-400', bg: 'bg-gray-500/10', border: 'border-gray-500/30' },
   sent: { label: 'Sent', icon: Check, color: 'text-emerald-400', bg: 'bg-emerald-500/10', border: 'border-emerald-500/30' },
   delivered: { label: 'Delivered', icon: CheckCircle, color: 'text-emerald-400', bg: 'bg-emerald-500/10', border: 'border-emerald-500/30' },
   opened: { label: 'Opened', icon: Eye, color: 'text-cyan-400', bg: 'bg-cyan-500/10', border: 'border-cyan-500/30' },
   clicked: { label: 'Clicked', icon: ExternalLink, color: 'text-purple-400', bg: 'bg-purple-500/10', border: 'border-purple-500/30' },
   failed: { label: 'Failed', icon: AlertCircle, color: 'text-red-400', bg: 'bg-red-500/10', border: 'border-red-500/30' },
   bounced: { label: 'Bounced', icon: AlertCircle, color: 'text-red-400', bg: 'bg-red-500/10', border: 'border-red-500/30' },
+  suppressed: { label: 'Suppressed', icon: Ban, color: 'text-gray-400', bg: 'bg-gray-500/10', border: 'border-gray-500/30' },
 };
 
 function Campaigns() {
@@ -152,10 +160,10 @@ function CampaignRow({ campaign, onClick }) {
                 {campaign.business_name || 'Unknown Business'}
               </span>
               <p className="text-sm text-gray-400 mt-1">
-                {campaign.prospect_email ? (
+                {campaign.contact_email || campaign.prospect_email ? (
                   <span className="flex items-center gap-1">
                     <Mail className="w-3.5 h-3.5" />
-                    {campaign.prospect_email}
+                    {campaign.contact_name && `${campaign.contact_name} · `}{campaign.contact_email || campaign.prospect_email}
                   </span>
                 ) : (
                   <span className="text-gray-500 italic">No email address</span>
@@ -182,6 +190,12 @@ function CampaignRow({ campaign, onClick }) {
               Template: {campaign.template_name}
             </p>
           )}
+
+          {campaign.template_reason && (
+            <p className="text-xs text-gray-500 mt-1 line-clamp-1" title={campaign.template_reason}>
+              Based on {campaign.template_reason}
+            </p>
+          )}
           
           <div className="flex items-center gap-4 mt-3 text-xs text-gray-500">
             <span>Created: {formatDate(campaign.created_at)}</span>
@@ -215,22 +229,12 @@ function EmailDetailModal({ campaign, onClose, queryClient }) {
     setSendError(null);
     
     try {
-      const response = await fetch(`http://localhost:3001/api/campaigns/send`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          prospectId: campaign.prospect_id,
-          customSubject: campaign.subject,
-          customBody: campaign.body,
-        }),
+      await campaignsApi.send({
+        prospectId: campaign.prospect_id,
+        customSubject: campaign.subject,
+        customBody: campaign.body,
       });
       
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.message || 'Failed to send email');
-      }
-      
       setSendSuccess(true);
       queryClient.invalidateQueries({ queryKey: ['campaigns'] });
       
@@ -250,16 +254,7 @@ function EmailDetailModal({ campaign, onClose, queryClient }) {
     setSendError(null);
     
     try {
-      const response = await fetch(`http://localhost:3001/api/campaigns/${campaign.id}/retry`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.message || data.error || 'Failed to retry email');
-      }
+      await campaignsApi.retry(campaign.id);
       
       setSendSuccess(true);
       queryClient.invalidateQueries({ queryKey: ['campaigns'] });
@@ -275,8 +270,9 @@ function EmailDetailModal({ campaign, onClose, queryClient }) {
     }
   };
 
-  const canSend = campaign.status === 'draft' && campaign.prospect_email;
-  const canRetry = campaign.status === 'failed' && campaign.prospect_email;
+  const recipientEmail = campaign.contact_email || campaign.prospect_email;
+  const canSend = campaign.status === 'draft' && recipientEmail;
+  const canRetry = campaign.status === 'failed' && recipientEmail;
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
@@ -321,7 +317,8 @@ function EmailDetailModal({ campaign, onClose, queryClient }) {
             <div className="bg-dark-700 rounded-lg p-3">
               <p className="text-xs text-gray-500 mb-1">Recipient</p>
               <p className="text-sm text-white">
-                {campaign.prospect_email || <span className="text-gray-500 italic">No email address</span>}
+                {campaign.contact_name && <span className="block">{campaign.contact_name}</span>}
+                {campaign.contact_email || campaign.prospect_email || <span className="text-gray-500 italic">No email address</span>}
               </p>
             </div>
             <div className="bg-dark-700 rounded-lg p-3">
@@ -1,3 +1,4 @@
+import { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { 
   Users, 
@@ -8,20 +9,27 @@ import {
   Mail,
   Phone,
   MessageSquare,
-  UserPlus
+  UserPlus,
+  DollarSign
 } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { statsApi } from '../services/api';
 
-const stages = [
-  { key: 'new', label: 'New', color: 'bg-gray-500' },
-  { key: 'contacted', label: 'Contacted', color: 'bg-blue-500' },
-  { key: 'responded', label: 'Responded', color: 'bg-cyan-500' },
-  { key: 'meeting', label: 'Meeting', color: 'bg-violet-500' },
-  { key: 'proposal', label: 'Proposal', color: 'bg-amber-500' },
-  { key: 'won', label: 'Won', color: 'bg-emerald-500' },
-  { key: 'lost', label: 'Lost', color: 'bg-red-500' },
-];
+const stageColors = {
+  gray: 'bg-gray-500',
+  blue: 'bg-blue-500',
+  cyan: 'bg-cyan-500',
+  teal: 'bg-teal-500',
+  violet: 'bg-violet-500',
+  indigo: 'bg-indigo-500',
+  pink: 'bg-pink-500',
+  amber: 'bg-amber-500',
+  orange: 'bg-orange-500',
+  emerald: 'bg-emerald-500',
+  red: 'bg-red-500',
+};
+
+const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
 
 const activityIcons = {
   created: UserPlus,
@@ -85,7 +93,14 @@ function Dashboard() {
       {/* Pipeline Overview */}
       <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
         <div className="flex items-center justify-between mb-6">
-          <h2 className="text-xl font-display font-semibold text-white">Pipeline Overview</h2>
+          <div>
+            <h2 className="text-xl font-display font-semibold text-white">Pipeline Overview</h2>
+            {stats?.dealValue?.deals > 0 && (
+              <p className="text-sm text-gray-400 mt-1">
+                {stats.dealValue.deals} open deals worth {currency.format(stats.dealValue.total)} · {currency.format(stats.dealValue.weighted)} weighted
+              </p>
+            )}
+          </div>
           <Link 
             to="/pipeline" 
             className="flex items-center gap-2 text-cyan-400 hover:text-cyan-300 transition-colors"
@@ -94,22 +109,36 @@ function Dashboard() {
           </Link>
         </div>
         
-        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4">
-          {stages.map((stage) => (
-            <div 
-              key={stage.key}
-              className="bg-dark-700 rounded-lg p-4 text-center"
-            >
-              <div className={`w-3 h-3 rounded-full ${stage.color} mx-auto mb-2`} />
-              <div className="text-2xl font-bold text-white">
-                {stats?.pipeline?.[stage.key] || 0}
+        <div className="space-y-6">
+          {(stats?.pipelines || []).map((pipeline) => (
+            <div key={pipeline.id}>
+              {stats.pipelines.length > 1 && (
+                <h3 className="text-sm font-medium text-gray-400 mb-3">{pipeline.name}</h3>
+              )}
+              <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4">
+                {pipeline.stages.map((stage) => (
+                  <div 
+                    key={stage.key}
+                    className="bg-dark-700 rounded-lg p-4 text-center"
+                  >
+                    <div className={`w-3 h-3 rounded-full ${stageColors[stage.color] || stageColors.gray} mx-auto mb-2`} />
+                    <div className="text-2xl font-bold text-white">
+                      {stage.count}
+                    </div>
+                    <div className="text-sm text-gray-400">{stage.label}</div>
+                    {stage.value > 0 && (
+                      <div className="text-xs text-emerald-400 mt-1">{currency.format(stage.value)}</div>
+                    )}
+                  </div>
+                ))}
               </div>
-              <div className="text-sm text-gray-400">{stage.label}</div>
             </div>
           ))}
         </div>
       </div>
 
+      <RevenueForecast />
+
       {/* Two Column Layout */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Recent Activity */}
@@ -201,6 +230,150 @@ function Dashboard() {
   );
 }
 
+function RevenueForecast() {
+  const [months, setMonths] = useState(6);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['forecast', months],
+    queryFn: () => statsApi.getForecast({ months }),
+  });
+
+  const forecast = data?.forecast;
+  const actual = data?.actual;
+  const maxTotal = Math.max(1, ...(forecast?.months || []).map(month => month.total));
+  const maxActual = Math.max(1, ...(actual?.months || []).map(month => Math.max(month.actual, month.forecast || 0)));
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-xl font-display font-semibold text-white">Revenue Forecast</h2>
+          <p className="text-sm text-gray-400 mt-1">Open deals by expected close month, weighted by their stage's win probability</p>
+        </div>
+        <select
+          value={months}
+          onChange={(e) => setMonths(parseInt(e.target.value))}
+          className="bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-sm text-white"
+        >
+          <option value={3}>3 months</option>
+          <option value={6}>6 months</option>
+          <option value={12}>12 months</option>
+        </select>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="w-6 h-6 border-2 border-cyan-500 border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : forecast?.totals?.deals > 0 || actual?.wonDeals?.length > 0 ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          {/* Weighted forecast */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-400 mb-3">Forecast</h3>
+            <div className="space-y-3">
+              {forecast.months.map((month) => (
+                <div key={month.month}>
+                  <div className="flex items-center justify-between text-sm mb-1">
+                    <span className="text-gray-300">
+                      {formatMonth(month.month)}
+                      {month.overdue > 0 && (
+                        <span className="text-amber-400 text-xs ml-2">{month.overdue} overdue</span>
+                      )}
+                    </span>
+                    <span className="text-white">
+                      {currency.format(month.weighted)}
+                      <span className="text-gray-500"> / {currency.format(month.total)}</span>
+                    </span>
+                  </div>
+                  <div className="h-2 bg-dark-700 rounded-full overflow-hidden">
+                    <div className="h-full bg-cyan-500/30 rounded-full" style={{ width: `${(month.total / maxTotal) * 100}%` }}>
+                      <div
+                        className="h-full bg-cyan-500 rounded-full"
+                        style={{ width: `${month.total ? (month.weighted / month.total) * 100 : 0}%` }}
+                      />
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-x-6 gap-y-1 mt-4 text-xs text-gray-500">
+              {forecast.later.deals > 0 && (
+                <span>Later: {forecast.later.deals} deals, {currency.format(forecast.later.weighted)} weighted</span>
+              )}
+              {forecast.unscheduled.deals > 0 && (
+                <span>No close date: {forecast.unscheduled.deals} deals, {currency.format(forecast.unscheduled.weighted)} weighted</span>
+              )}
+            </div>
+          </div>
+
+          {/* Forecast vs actual */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-400 mb-3">Forecast vs Actual</h3>
+            <div className="space-y-3">
+              {actual.months.map((month) => (
+                <div key={month.month}>
+                  <div className="flex items-center justify-between text-sm mb-1">
+                    <span className="text-gray-300">{formatMonth(month.month)}</span>
+                    <span className="text-white">
+                      {currency.format(month.actual)}
+                      <span className="text-gray-500">
+                        {' '}/ {month.forecast === null ? 'no forecast' : currency.format(month.forecast)}
+                      </span>
+                    </span>
+                  </div>
+                  <div className="space-y-1">
+                    <div className="h-1.5 bg-dark-700 rounded-full overflow-hidden">
+                      <div className="h-full bg-emerald-500 rounded-full" style={{ width: `${(month.actual / maxActual) * 100}%` }} />
+                    </div>
+                    <div className="h-1.5 bg-dark-700 rounded-full overflow-hidden">
+                      <div className="h-full bg-gray-500 rounded-full" style={{ width: `${((month.forecast || 0) / maxActual) * 100}%` }} />
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-4 mt-3 text-xs text-gray-500">
+              <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-emerald-500" /> Won</span>
+              <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-gray-500" /> Forecast at the start of the month</span>
+            </div>
+
+            {actual.wonDeals.length > 0 && (
+              <div className="mt-6">
+                <h3 className="text-sm font-medium text-gray-400 mb-2">Won Deals</h3>
+                <div className="space-y-1">
+                  {actual.wonDeals.slice(0, 8).map((deal) => (
+                    <Link
+                      key={deal.id}
+                      to={`/prospect/${deal.id}`}
+                      className="flex items-center justify-between text-sm p-2 rounded-lg hover:bg-dark-700 transition-colors"
+                    >
+                      <span className="text-white truncate">{deal.business_name}</span>
+                      <span className="flex items-center gap-3 flex-shrink-0">
+                        {deal.slipDays !== null && (
+                          <span className={`text-xs ${deal.slipDays > 0 ? 'text-amber-400' : 'text-emerald-400'}`}>
+                            {deal.slipDays > 0 ? `${deal.slipDays}d late` : deal.slipDays < 0 ? `${-deal.slipDays}d early` : 'on time'}
+                          </span>
+                        )}
+                        <span className="text-gray-300">{currency.format(deal.deal_value)}</span>
+                      </span>
+                    </Link>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="text-center py-8 text-gray-500">
+          <DollarSign className="w-12 h-12 mx-auto mb-2 opacity-50" />
+          <p>No deals to forecast yet</p>
+          <p className="text-sm mt-1">Add a deal value and expected close date to a prospect</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function StatCard({ title, value, icon: Icon, color }) {
   const colorClasses = {
     cyan: 'from-cyan-500/20 to-cyan-500/5 border-cyan-500/30 text-cyan-400',
@@ -224,6 +397,11 @@ function StatCard({ title, value, icon: Icon, color }) {
   );
 }
 
+function formatMonth(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(year, monthIndex - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+}
+
 function formatTime(dateStr) {
   const date = new Date(dateStr);
   const now = new Date();
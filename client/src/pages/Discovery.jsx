@@ -124,6 +124,7 @@ function Discovery() {
       category: business.category,
       rating: business.rating,
       review_count: business.review_count,
+      utc_offset_minutes: business.utc_offset_minutes,
       stage: 'new',
       source: business.source || 'yelp',
     });
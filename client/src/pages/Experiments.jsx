@@ -0,0 +1,567 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  FlaskConical,
+  Plus,
+  Play,
+  Square,
+  Trophy,
+  Trash2,
+  X,
+  Save,
+} from 'lucide-react';
+import { experimentsApi, templatesApi, promptsApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const experimentTypes = [
+  { key: 'template', label: 'Template', description: 'Which template the email is based on' },
+  { key: 'subject', label: 'Subject line', description: 'An extra instruction for the subject line' },
+  { key: 'prompt', label: 'Prompt version', description: 'A version of one of the outreach prompts' },
+];
+
+const metrics = [
+  { key: 'open', label: 'Opens' },
+  { key: 'click', label: 'Clicks' },
+  { key: 'reply', label: 'Replies' },
+  { key: 'meeting', label: 'Meetings' },
+];
+
+const experimentPrompts = ['outreach_system', 'outreach_prompt', 'subject_system', 'subject_prompt', 'industry_insights'];
+
+const statusClasses = {
+  draft: 'bg-gray-500/10 text-gray-400',
+  running: 'bg-cyan-500/10 text-cyan-400',
+  completed: 'bg-emerald-500/10 text-emerald-400',
+};
+
+const defaultVariantConfigs = {
+  template: { templateId: '' },
+  subject: { strategy: '' },
+  prompt: { promptKey: 'outreach_prompt', version: '' },
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`);
+
+function Experiments() {
+  const queryClient = useQueryClient();
+  const { isAdmin } = useAuth();
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { data: experiments = [], isLoading } = useQuery({
+    queryKey: ['experiments'],
+    queryFn: experimentsApi.getAll,
+  });
+
+  const { data: templates = [] } = useQuery({
+    queryKey: ['templates', 'email'],
+    queryFn: () => templatesApi.getAll('email'),
+  });
+
+  const invalidate = () => queryClient.invalidateQueries({ queryKey: ['experiments'] });
+
+  const createMutation = useMutation({
+    mutationFn: experimentsApi.create,
+    onSuccess: () => {
+      invalidate();
+      setIsCreating(false);
+      setError(null);
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const actionMutation = useMutation({
+    mutationFn: ({ action, id, variantId }) => {
+      if (action === 'promote') return experimentsApi.promote(id, variantId);
+      return experimentsApi[action](id);
+    },
+    onSuccess: invalidate,
+    onError: (err) => alert(err.message),
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="w-8 h-8 border-2 border-cyan-500 border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-display font-bold text-white">Experiments</h1>
+          <p className="text-gray-400 mt-1">A/B test templates, subject lines and prompt versions on outreach emails</p>
+        </div>
+
+        {isAdmin && (
+          <button
+            onClick={() => setIsCreating(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg transition-colors"
+          >
+            <Plus className="w-5 h-5" />
+            New Experiment
+          </button>
+        )}
+      </div>
+
+      {/* How it works */}
+      <div className="bg-dark-800 rounded-lg border border-dark-600 p-4">
+        <p className="text-sm text-gray-400">
+          <span className="text-gray-300 font-medium">How it works: </span>
+          each prospect's first email gets a variant of every running experiment, at random by weight. The first variant
+          is the control. A winner needs the minimum sends on every variant and a better rate than each other variant at
+          95% confidence; with auto-promote on, it becomes the default automatically.
+        </p>
+      </div>
+
+      <div className="space-y-4">
+        {experiments.map((experiment) => (
+          <ExperimentCard
+            key={experiment.id}
+            experiment={experiment}
+            templates={templates}
+            canEdit={isAdmin}
+            onAction={(action, variantId) => {
+              if (action === 'delete' && !confirm(`Delete the "${experiment.name}" experiment and its results?`)) return;
+              if (action === 'promote' && !confirm('Make this variant the default and complete the experiment?')) return;
+              actionMutation.mutate({ action, id: experiment.id, variantId });
+            }}
+          />
+        ))}
+
+        {experiments.length === 0 && (
+          <div className="text-center py-12 text-gray-500">
+            <FlaskConical className="w-12 h-12 mx-auto mb-3 opacity-50" />
+            <p>No experiments yet</p>
+          </div>
+        )}
+      </div>
+
+      {isCreating && (
+        <ExperimentModal
+          templates={templates}
+          error={error}
+          onClose={() => {
+            setIsCreating(false);
+            setError(null);
+          }}
+          onSave={(data) => createMutation.mutate(data)}
+          isSaving={createMutation.isPending}
+        />
+      )}
+    </div>
+  );
+}
+
+function describeVariant(type, config, templates) {
+  if (type === 'template') {
+    return templates.find(t => t.id === parseInt(config.templateId))?.name || `Template #${config.templateId}`;
+  }
+  if (type === 'subject') {
+    return config.strategy || 'Subject prompt as is';
+  }
+  return `${config.promptKey} v${config.version}`;
+}
+
+function ExperimentCard({ experiment, templates, canEdit, onAction }) {
+  const metricLabel = metrics.find(m => m.key === experiment.metric)?.label || experiment.metric;
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 overflow-hidden">
+      <div className="p-5">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <div className="flex items-center gap-2">
+              <h3 className="font-medium text-white">{experiment.name}</h3>
+              <span className={`px-2 py-0.5 text-xs rounded-full ${statusClasses[experiment.status]}`}>
+                {experiment.status}
+              </span>
+              {experiment.auto_promote && (
+                <span className="px-2 py-0.5 text-xs rounded-full bg-amber-500/10 text-amber-400">auto-promote</span>
+              )}
+            </div>
+            <p className="text-sm text-gray-400 mt-1">
+              {experimentTypes.find(t => t.key === experiment.type)?.label} test • goal: {metricLabel.toLowerCase()} •
+              min {experiment.min_sample} sends per variant
+              {experiment.description && ` • ${experiment.description}`}
+            </p>
+          </div>
+
+          {canEdit && (
+            <div className="flex items-center gap-2">
+              {experiment.status === 'draft' && (
+                <button
+                  onClick={() => onAction('start')}
+                  className="flex items-center gap-1 px-3 py-1.5 text-sm text-cyan-400 hover:text-cyan-300 transition-colors"
+                >
+                  <Play className="w-4 h-4" />
+                  Start
+                </button>
+              )}
+              {experiment.status === 'running' && (
+                <button
+                  onClick={() => onAction('stop')}
+                  className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-400 hover:text-white transition-colors"
+                >
+                  <Square className="w-4 h-4" />
+                  Stop
+                </button>
+              )}
+              <button
+                onClick={() => onAction('delete')}
+                className="p-2 rounded-lg hover:bg-dark-700 transition-colors text-gray-400 hover:text-red-400"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Results */}
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-dark-600">
+                <th className="pb-2 font-medium">Variant</th>
+                <th className="pb-2 font-medium text-right">Sent</th>
+                {metrics.map(m => (
+                  <th key={m.key} className={`pb-2 font-medium text-right ${m.key === experiment.metric ? 'text-cyan-400' : ''}`}>
+                    {m.label}
+                  </th>
+                ))}
+                <th className="pb-2 font-medium text-right">Rate</th>
+                <th className="pb-2 font-medium text-right">Lift</th>
+                <th className="pb-2 font-medium text-right">p-value</th>
+                {canEdit && experiment.status !== 'draft' && <th className="pb-2" />}
+              </tr>
+            </thead>
+            <tbody>
+              {experiment.variants.map((variant, index) => {
+                const isWinner = experiment.winner_variant_id === variant.id || (!experiment.winner_variant_id && experiment.winner?.variantId === variant.id);
+                return (
+                  <tr key={variant.id} className="border-b border-dark-700 last:border-0">
+                    <td className="py-2">
+                      <div className="flex items-center gap-2">
+                        {isWinner && <Trophy className="w-4 h-4 text-amber-400" />}
+                        <span className="text-white">{variant.name}</span>
+                        {index === 0 && <span className="text-xs text-gray-500">control</span>}
+                      </div>
+                      <div className="text-xs text-gray-500">{describeVariant(experiment.type, variant.config, templates)}</div>
+                    </td>
+                    <td className="py-2 text-right text-gray-300">{variant.sent}</td>
+                    {metrics.map(m => (
+                      <td key={m.key} className="py-2 text-right text-gray-300">{variant[m.key]}</td>
+                    ))}
+                    <td className="py-2 text-right text-white">{formatPercent(variant.rate)}</td>
+                    <td className={`py-2 text-right ${variant.lift > 0 ? 'text-emerald-400' : variant.lift < 0 ? 'text-red-400' : 'text-gray-500'}`}>
+                      {variant.lift === null ? '–' : `${variant.lift > 0 ? '+' : ''}${(variant.lift * 100).toFixed(0)}%`}
+                    </td>
+                    <td className={`py-2 text-right ${variant.pValue !== null && variant.pValue < 0.05 ? 'text-emerald-400' : 'text-gray-500'}`}>
+                      {variant.pValue === null ? '–' : variant.pValue.toFixed(3)}
+                    </td>
+                    {canEdit && experiment.status !== 'draft' && (
+                      <td className="py-2 text-right">
+                        {experiment.winner_variant_id !== variant.id && (
+                          <button
+                            onClick={() => onAction('promote', variant.id)}
+                            className="text-xs text-cyan-400 hover:text-cyan-300"
+                          >
+                            Promote
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {experiment.status === 'running' && (
+          <p className="text-xs text-gray-500 mt-3">
+            {experiment.winner
+              ? `"${experiment.winner.name}" is winning with significance (p = ${experiment.winner.pValue.toFixed(3)})`
+              : experiment.ready
+                ? 'Enough sends, but no variant is significantly better yet'
+                : `Collecting data - every variant needs ${experiment.min_sample} sends`}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ExperimentModal({ templates, error, onClose, onSave, isSaving }) {
+  const [formData, setFormData] = useState({
+    name: '',
+    description: '',
+    type: 'template',
+    metric: 'reply',
+    minSample: 50,
+    autoPromote: false,
+  });
+  const [variants, setVariants] = useState([
+    { name: 'Control', weight: 1, config: { ...defaultVariantConfigs.template } },
+    { name: 'Variant B', weight: 1, config: { ...defaultVariantConfigs.template } },
+  ]);
+
+  const promptKey = variants[0]?.config.promptKey;
+  const { data: prompt } = useQuery({
+    queryKey: ['prompts', promptKey],
+    queryFn: () => promptsApi.get(promptKey),
+    enabled: formData.type === 'prompt' && !!promptKey,
+  });
+
+  const setType = (type) => {
+    setFormData({ ...formData, type });
+    setVariants(variants.map(v => ({ ...v, config: { ...defaultVariantConfigs[type] } })));
+  };
+
+  const updateVariant = (index, updates) => {
+    setVariants(variants.map((v, i) => (i === index ? { ...v, ...updates } : v)));
+  };
+
+  const updateConfig = (index, updates) => {
+    setVariants(variants.map((v, i) => (i === index ? { ...v, config: { ...v.config, ...updates } } : v)));
+  };
+
+  // A prompt test compares versions of one prompt
+  const setPromptKey = (key) => {
+    setVariants(variants.map(v => ({ ...v, config: { promptKey: key, version: '' } })));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      ...formData,
+      minSample: parseInt(formData.minSample) || 1,
+      variants: variants.map(v => ({
+        ...v,
+        weight: parseInt(v.weight) || 1,
+        config: formData.type === 'template'
+          ? { templateId: parseInt(v.config.templateId) }
+          : formData.type === 'prompt'
+            ? { promptKey: v.config.promptKey, version: parseInt(v.config.version) }
+            : v.config,
+      })),
+    });
+  };
+
+  const inputClass = 'w-full px-4 py-3 bg-dark-700 border border-dark-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500';
+  const smallInputClass = 'px-3 py-2 bg-dark-800 border border-dark-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:border-cyan-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+      <div className="bg-dark-800 rounded-xl border border-dark-600 w-full max-w-3xl max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-5 border-b border-dark-600">
+          <h2 className="text-xl font-display font-semibold text-white">New Experiment</h2>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-dark-700 transition-colors text-gray-400"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="flex-1 overflow-y-auto p-5 space-y-5">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Experiment Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                placeholder="e.g., Question subject lines"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Description</label>
+              <input
+                type="text"
+                value={formData.description}
+                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm text-gray-400 mb-2">What to test</label>
+            <div className="grid grid-cols-3 gap-3">
+              {experimentTypes.map((type) => (
+                <button
+                  key={type.key}
+                  type="button"
+                  onClick={() => setType(type.key)}
+                  className={`p-3 rounded-lg border text-left transition-colors ${
+                    formData.type === type.key
+                      ? 'border-cyan-500 bg-cyan-500/10'
+                      : 'border-dark-600 hover:border-dark-500'
+                  }`}
+                >
+                  <div className="text-sm font-medium text-white">{type.label}</div>
+                  <div className="text-xs text-gray-500 mt-1">{type.description}</div>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-4 items-end">
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Goal</label>
+              <select
+                value={formData.metric}
+                onChange={(e) => setFormData({ ...formData, metric: e.target.value })}
+                className={inputClass}
+              >
+                {metrics.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Min sends per variant</label>
+              <input
+                type="number"
+                min={1}
+                value={formData.minSample}
+                onChange={(e) => setFormData({ ...formData, minSample: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-300 pb-3">
+              <input
+                type="checkbox"
+                checked={formData.autoPromote}
+                onChange={(e) => setFormData({ ...formData, autoPromote: e.target.checked })}
+              />
+              Auto-promote the winner
+            </label>
+          </div>
+
+          {formData.type === 'prompt' && (
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Prompt</label>
+              <select value={promptKey} onChange={(e) => setPromptKey(e.target.value)} className={inputClass}>
+                {experimentPrompts.map(key => <option key={key} value={key}>{key}</option>)}
+              </select>
+            </div>
+          )}
+
+          {/* Variants */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-2">Variants (the first one is the control)</label>
+            <div className="space-y-2">
+              {variants.map((variant, index) => (
+                <div key={index} className="flex items-center gap-2 p-3 bg-dark-700 rounded-lg">
+                  <input
+                    type="text"
+                    value={variant.name}
+                    onChange={(e) => updateVariant(index, { name: e.target.value })}
+                    className={`${smallInputClass} w-32`}
+                  />
+
+                  {formData.type === 'template' && (
+                    <select
+                      value={variant.config.templateId}
+                      onChange={(e) => updateConfig(index, { templateId: e.target.value })}
+                      className={`${smallInputClass} flex-1`}
+                    >
+                      <option value="">Select template...</option>
+                      {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                    </select>
+                  )}
+
+                  {formData.type === 'subject' && (
+                    <input
+                      type="text"
+                      value={variant.config.strategy}
+                      onChange={(e) => updateConfig(index, { strategy: e.target.value })}
+                      placeholder={index === 0 ? 'Empty = subject prompt as is' : 'e.g., Ask a short question about their business'}
+                      className={`${smallInputClass} flex-1`}
+                    />
+                  )}
+
+                  {formData.type === 'prompt' && (
+                    <select
+                      value={variant.config.version}
+                      onChange={(e) => updateConfig(index, { version: e.target.value })}
+                      className={`${smallInputClass} flex-1`}
+                    >
+                      <option value="">Select version...</option>
+                      {(prompt?.versions || []).map(v => (
+                        <option key={v.version} value={v.version}>
+                          v{v.version}{v.is_active ? ' (active)' : ''}{v.notes ? ` - ${v.notes}` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+
+                  <span className="text-xs text-gray-500">weight</span>
+                  <input
+                    type="number"
+                    min={1}
+                    value={variant.weight}
+                    onChange={(e) => updateVariant(index, { weight: e.target.value })}
+                    className={`${smallInputClass} w-16`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setVariants(variants.filter((_, i) => i !== index))}
+                    disabled={variants.length <= 2}
+                    className="p-1 text-gray-400 hover:text-red-400 disabled:opacity-30"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setVariants([
+                ...variants,
+                { name: `Variant ${String.fromCharCode(65 + variants.length)}`, weight: 1, config: { ...variants[0].config, ...(formData.type === 'prompt' ? { version: '' } : defaultVariantConfigs[formData.type]) } },
+              ])}
+              className="flex items-center gap-1 mt-2 text-sm text-cyan-400 hover:text-cyan-300"
+            >
+              <Plus className="w-4 h-4" />
+              Add variant
+            </button>
+          </div>
+
+          {error && (
+            <div className="p-3 bg-red-500/10 border border-red-500/30 rounded-lg text-sm text-red-400">
+              {error}
+            </div>
+          )}
+        </form>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end gap-3 p-5 border-t border-dark-600">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-gray-400 hover:text-white transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={isSaving}
+            className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg transition-colors disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" />
+            {isSaving ? 'Saving...' : 'Save Draft'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Experiments;
@@ -0,0 +1,480 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  Upload,
+  FileSpreadsheet,
+  Loader2,
+  Download,
+  Trash2,
+  CheckCircle,
+  AlertTriangle,
+  Copy,
+  ArrowLeft,
+  Play,
+} from 'lucide-react';
+import { importsApi, pipelineApi, assignmentApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const statusColors = {
+  uploaded: 'bg-gray-500/20 text-gray-400',
+  importing: 'bg-cyan-500/20 text-cyan-400',
+  completed: 'bg-emerald-500/20 text-emerald-400',
+  failed: 'bg-red-500/20 text-red-400',
+};
+
+const duplicateLabels = {
+  skip: 'Skip them',
+  update: 'Fill in what the existing prospect is missing',
+  create: 'Import them anyway',
+};
+
+const inputClass = 'w-full px-4 py-3 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-cyan-500';
+
+function Import() {
+  const queryClient = useQueryClient();
+  const { canEdit } = useAuth();
+  const [importId, setImportId] = useState(null);
+
+  const { data: imports = [] } = useQuery({
+    queryKey: ['imports'],
+    queryFn: importsApi.getAll,
+  });
+
+  const uploadMutation = useMutation({
+    mutationFn: (file) => importsApi.upload(file),
+    onSuccess: (job) => {
+      queryClient.setQueryData(['import', job.id], job);
+      queryClient.invalidateQueries({ queryKey: ['imports'] });
+      setImportId(job.id);
+    },
+    onError: (err) => alert(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => importsApi.delete(id),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['imports'] }),
+    onError: (err) => alert(err.message),
+  });
+
+  if (importId) {
+    return <ImportJob importId={importId} onBack={() => setImportId(null)} />;
+  }
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-display font-bold text-white">Import Prospects</h1>
+        <p className="text-gray-400 mt-1">Bring in leads from a CSV file: a trade show list or an export from another CRM</p>
+      </div>
+
+      {canEdit && (
+        <label className="block bg-dark-800 rounded-xl border-2 border-dashed border-dark-600 hover:border-cyan-500 p-10 text-center cursor-pointer transition-colors">
+          <input
+            type="file"
+            accept=".csv,.txt,text/csv"
+            className="hidden"
+            disabled={uploadMutation.isPending}
+            onChange={(e) => {
+              if (e.target.files[0]) uploadMutation.mutate(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+          {uploadMutation.isPending ? (
+            <Loader2 className="w-10 h-10 text-cyan-500 mx-auto mb-3 animate-spin" />
+          ) : (
+            <Upload className="w-10 h-10 text-cyan-500 mx-auto mb-3" />
+          )}
+          <p className="text-white font-medium">Choose a CSV file</p>
+          <p className="text-sm text-gray-500 mt-1">
+            The first row must be the column names. Comma, semicolon and tab separated files work; save Excel sheets as CSV first.
+          </p>
+        </label>
+      )}
+
+      {/* Past imports */}
+      <div className="bg-dark-800 rounded-xl border border-dark-600">
+        <div className="p-4 border-b border-dark-600">
+          <h2 className="text-lg font-display font-semibold text-white">Recent Imports</h2>
+        </div>
+        {imports.length === 0 ? (
+          <div className="p-12 text-center">
+            <FileSpreadsheet className="w-12 h-12 text-gray-600 mx-auto mb-4" />
+            <p className="text-gray-500">No imports yet</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-dark-600">
+            {imports.map((job) => (
+              <div key={job.id} className="p-4 flex items-center justify-between gap-4">
+                <button onClick={() => setImportId(job.id)} className="text-left flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="text-white font-medium truncate">{job.filename || `Import #${job.id}`}</span>
+                    <span className={`px-2 py-0.5 rounded text-xs capitalize ${statusColors[job.status]}`}>{job.status}</span>
+                  </div>
+                  <p className="text-sm text-gray-500 mt-1">
+                    {job.total_rows} rows
+                    {job.status !== 'uploaded' && ` · ${job.created_count} created, ${job.updated_count} updated, ${job.skipped_count} skipped, ${job.error_count} errors`}
+                    {' · '}{job.user_name || 'Unknown'}, {new Date(job.created_at).toLocaleString()}
+                  </p>
+                </button>
+                {canEdit && job.status !== 'importing' && (
+                  <button
+                    onClick={() => confirm('Delete this import? Prospects it created are kept.') && deleteMutation.mutate(job.id)}
+                    className="p-2 text-gray-500 hover:text-red-400 rounded-lg hover:bg-dark-700"
+                    title="Delete import"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ImportJob({ importId, onBack }) {
+  const queryClient = useQueryClient();
+
+  const { data: job, isLoading } = useQuery({
+    queryKey: ['import', importId],
+    queryFn: () => importsApi.get(importId),
+    // Follow the progress while it runs
+    refetchInterval: (query) => (query.state.data?.status === 'importing' ? 1000 : false),
+  });
+
+  const startMutation = useMutation({
+    mutationFn: () => importsApi.start(importId),
+    onSuccess: (started) => {
+      queryClient.setQueryData(['import', importId], (old) => ({ ...old, ...started }));
+      queryClient.invalidateQueries({ queryKey: ['imports'] });
+    },
+    onError: (err) => alert(err.message),
+  });
+
+  // New prospects show up in the pipeline once it's done
+  useEffect(() => {
+    if (job?.status === 'completed') {
+      queryClient.invalidateQueries({ queryKey: ['prospects'] });
+      queryClient.invalidateQueries({ queryKey: ['imports'] });
+    }
+  }, [job?.status, queryClient]);
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="w-8 h-8 border-2 border-cyan-500 border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex items-center gap-4">
+        <button onClick={onBack} className="p-2 text-gray-400 hover:text-white rounded-lg hover:bg-dark-700">
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <div>
+          <h1 className="text-3xl font-display font-bold text-white">{job.filename || `Import #${job.id}`}</h1>
+          <p className="text-gray-400 mt-1">{job.total_rows} rows, {job.headers.length} columns</p>
+        </div>
+      </div>
+
+      {job.status === 'uploaded' ? (
+        <ImportSetup job={job} onStart={() => startMutation.mutate()} isStarting={startMutation.isPending} />
+      ) : (
+        <ImportProgress job={job} />
+      )}
+    </div>
+  );
+}
+
+function ImportSetup({ job, onStart, isStarting }) {
+  const queryClient = useQueryClient();
+
+  const { data: fieldData } = useQuery({
+    queryKey: ['import-fields'],
+    queryFn: importsApi.getFields,
+  });
+
+  const { data: pipelines = [] } = useQuery({
+    queryKey: ['pipelines'],
+    queryFn: pipelineApi.getAll,
+  });
+
+  const { data: team = [] } = useQuery({
+    queryKey: ['team'],
+    queryFn: assignmentApi.getTeam,
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: (changes) => importsApi.update(job.id, changes),
+    onSuccess: (updated) => queryClient.setQueryData(['import', job.id], (old) => ({ ...old, ...updated })),
+    onError: (err) => alert(err.message),
+  });
+
+  const fields = fieldData?.fields || [];
+  const preview = job.preview;
+  const mappedFields = job.mapping.filter(Boolean);
+
+  const setColumn = (index, target) => {
+    const mapping = job.mapping.map((current, i) => {
+      if (i === index) return target;
+      // A field goes to one column only: the one just picked
+      return current === target && target ? null : current;
+    });
+    updateMutation.mutate({ mapping });
+  };
+
+  const setOption = (key, value) => updateMutation.mutate({ options: { [key]: value } });
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Column mapping */}
+      <div className="lg:col-span-2 bg-dark-800 rounded-xl border border-dark-600">
+        <div className="p-4 border-b border-dark-600">
+          <h2 className="text-lg font-display font-semibold text-white">Columns</h2>
+          <p className="text-sm text-gray-500">
+            Pick the prospect field each column goes into. Columns with no field of their own can be kept as custom fields.
+          </p>
+        </div>
+        <div className="divide-y divide-dark-600">
+          {job.headers.map((header, index) => {
+            const target = job.mapping[index];
+            const isCustom = target?.startsWith('custom:');
+            const samples = (job.sampleRows || []).map(row => row[index]).filter(Boolean).slice(0, 3);
+
+            return (
+              <div key={index} className="p-4 grid grid-cols-1 md:grid-cols-2 gap-3 items-start">
+                <div className="min-w-0">
+                  <p className="text-white font-medium truncate">{header}</p>
+                  <p className="text-xs text-gray-500 truncate">{samples.length > 0 ? samples.join(' · ') : 'Empty in the first rows'}</p>
+                </div>
+                <div className="space-y-2">
+                  <select
+                    value={isCustom ? '__custom' : target || ''}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      setColumn(index, value === '__custom' ? `custom:${header}` : value || null);
+                    }}
+                    className={inputClass}
+                  >
+                    <option value="">Don't import</option>
+                    {fields.map(field => (
+                      <option
+                        key={field.key}
+                        value={field.key}
+                        disabled={target !== field.key && mappedFields.includes(field.key)}
+                      >
+                        {field.label}
+                      </option>
+                    ))}
+                    <option value="__custom">Custom field…</option>
+                  </select>
+                  {isCustom && (
+                    <input
+                      key={target}
+                      type="text"
+                      defaultValue={target.slice(7)}
+                      onBlur={(e) => {
+                        const name = e.target.value.trim();
+                        if (name && name !== target.slice(7)) setColumn(index, `custom:${name}`);
+                      }}
+                      placeholder="Custom field name"
+                      className={inputClass}
+                    />
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="space-y-6">
+        {/* Options */}
+        <div className="bg-dark-800 rounded-xl border border-dark-600 p-4 space-y-4">
+          <h2 className="text-lg font-display font-semibold text-white">Options</h2>
+
+          <div>
+            <label className="block text-sm text-gray-400 mb-2">Rows that match an existing prospect</label>
+            <select
+              value={job.options.duplicates || 'skip'}
+              onChange={(e) => setOption('duplicates', e.target.value)}
+              className={inputClass}
+            >
+              {(fieldData?.duplicateModes || ['skip']).map(mode => (
+                <option key={mode} value={mode}>{duplicateLabels[mode] || mode}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Matched by Yelp ID, Google Place ID, name and city, or website/email domain.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm text-gray-400 mb-2">Pipeline</label>
+            <select
+              value={job.options.pipelineId || ''}
+              onChange={(e) => setOption('pipelineId', e.target.value ? parseInt(e.target.value) : null)}
+              className={inputClass}
+            >
+              <option value="">Default pipeline</option>
+              {pipelines.map(pipeline => (
+                <option key={pipeline.id} value={pipeline.id}>{pipeline.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm text-gray-400 mb-2">Owner</label>
+            <select
+              value={job.options.ownerId || ''}
+              onChange={(e) => setOption('ownerId', e.target.value ? parseInt(e.target.value) : null)}
+              className={inputClass}
+            >
+              <option value="">Unassigned</option>
+              {team.map(member => (
+                <option key={member.id} value={member.id}>{member.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Preview */}
+        <div className="bg-dark-800 rounded-xl border border-dark-600 p-4 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-display font-semibold text-white">Preview</h2>
+            {updateMutation.isPending && <Loader2 className="w-4 h-4 text-cyan-500 animate-spin" />}
+          </div>
+
+          {preview && (
+            <>
+              <div className="grid grid-cols-3 gap-2 text-center">
+                <div className="bg-dark-700 rounded-lg p-3">
+                  <p className="text-2xl font-bold text-emerald-400">{preview.valid}</p>
+                  <p className="text-xs text-gray-500">New</p>
+                </div>
+                <div className="bg-dark-700 rounded-lg p-3">
+                  <p className="text-2xl font-bold text-amber-400">{preview.duplicates}</p>
+                  <p className="text-xs text-gray-500">Duplicates</p>
+                </div>
+                <div className="bg-dark-700 rounded-lg p-3">
+                  <p className="text-2xl font-bold text-red-400">{preview.invalid}</p>
+                  <p className="text-xs text-gray-500">With problems</p>
+                </div>
+              </div>
+
+              {preview.problems.length > 0 && (
+                <div className="max-h-80 overflow-y-auto space-y-2">
+                  {preview.problems.map(problem => (
+                    <div key={problem.row} className="flex items-start gap-2 text-sm">
+                      {problem.status === 'error' ? (
+                        <AlertTriangle className="w-4 h-4 text-red-400 flex-shrink-0 mt-0.5" />
+                      ) : (
+                        <Copy className="w-4 h-4 text-amber-400 flex-shrink-0 mt-0.5" />
+                      )}
+                      <div className="min-w-0">
+                        <span className="text-gray-300">Row {problem.row}{problem.businessName && `: ${problem.businessName}`}</span>
+                        <p className="text-xs text-gray-500">{problem.message}</p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+
+          <button
+            onClick={onStart}
+            disabled={isStarting || updateMutation.isPending || !mappedFields.includes('business_name')}
+            className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg disabled:opacity-50"
+          >
+            {isStarting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+            Start Import
+          </button>
+          {!mappedFields.includes('business_name') && (
+            <p className="text-xs text-amber-400">Map a column to Business name to import.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ImportProgress({ job }) {
+  const percent = job.total_rows ? Math.round((job.processed_rows / job.total_rows) * 100) : 0;
+  const problems = job.skipped_count + job.error_count;
+
+  const downloadMutation = useMutation({
+    mutationFn: () => importsApi.downloadErrors(job.id, job.filename),
+    onError: (err) => alert(err.message),
+  });
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-6 space-y-6">
+      <div className="flex items-center gap-3">
+        {job.status === 'importing' && <Loader2 className="w-6 h-6 text-cyan-500 animate-spin" />}
+        {job.status === 'completed' && <CheckCircle className="w-6 h-6 text-emerald-400" />}
+        {job.status === 'failed' && <AlertTriangle className="w-6 h-6 text-red-400" />}
+        <div>
+          <p className="text-white font-medium">
+            {job.status === 'importing' && `Importing… ${job.processed_rows} of ${job.total_rows} rows`}
+            {job.status === 'completed' && 'Import complete'}
+            {job.status === 'failed' && 'Import stopped'}
+          </p>
+          {job.error && <p className="text-sm text-red-400">{job.error}</p>}
+        </div>
+      </div>
+
+      <div className="h-2 bg-dark-700 rounded-full overflow-hidden">
+        <div className="h-full bg-cyan-500 transition-all" style={{ width: `${percent}%` }} />
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <ResultStat label="Created" value={job.created_count} className="text-emerald-400" />
+        <ResultStat label="Updated" value={job.updated_count} className="text-cyan-400" />
+        <ResultStat label="Skipped (duplicates)" value={job.skipped_count} className="text-amber-400" />
+        <ResultStat label="Errors" value={job.error_count} className="text-red-400" />
+      </div>
+
+      <div className="flex items-center gap-3">
+        {problems > 0 && (
+          <button
+            onClick={() => downloadMutation.mutate()}
+            disabled={downloadMutation.isPending}
+            className="flex items-center gap-2 px-4 py-2 bg-dark-700 hover:bg-dark-600 text-gray-300 rounded-lg transition-colors disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" />
+            Download {problems} skipped/error rows
+          </button>
+        )}
+        {job.status === 'completed' && job.created_count > 0 && (
+          <Link
+            to="/pipeline"
+            className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg"
+          >
+            View Pipeline
+          </Link>
+        )}
+      </div>
+      {problems > 0 && (
+        <p className="text-xs text-gray-500">
+          The download has the original columns plus what went wrong, so the rows can be fixed and imported again.
+        </p>
+      )}
+    </div>
+  );
+}
+
+function ResultStat({ label, value, className }) {
+  return (
+    <div className="bg-dark-700 rounded-lg p-4">
+      <p className="text-gray-400 text-sm">{label}</p>
+      <p className={`text-2xl font-bold mt-1 ${className}`}>{value}</p>
+    </div>
+  );
+}
+
+export default Import;
@@ -0,0 +1,378 @@
+import { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  Inbox as InboxIcon,
+  Search,
+  Send,
+  Loader2,
+  Paperclip,
+  Mail,
+  MailOpen,
+  ExternalLink,
+  ChevronDown,
+  ChevronUp,
+  Eye,
+  AlertCircle,
+} from 'lucide-react';
+import { inboxApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+// SQLite timestamps are UTC without a zone
+function parseUtc(value) {
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+function formatTime(value) {
+  if (!value) return '';
+  const date = parseUtc(value);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+function Inbox() {
+  const { prospectId } = useParams();
+  const navigate = useNavigate();
+  const [search, setSearch] = useState('');
+  const [owner, setOwner] = useState('');
+  const [unreadOnly, setUnreadOnly] = useState(false);
+
+  const { data: conversations = [], isLoading } = useQuery({
+    queryKey: ['inbox', { search, owner, unreadOnly }],
+    queryFn: () => inboxApi.getConversations({ search, owner, unread: unreadOnly ? 'true' : '' }),
+    refetchInterval: 30000,
+  });
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-display font-bold text-white">Inbox</h1>
+        <p className="text-gray-400 mt-1">Every email to and from your leads, threaded</p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 h-[calc(100vh-12rem)]">
+        {/* Conversation list */}
+        <div className="bg-dark-800 rounded-xl border border-dark-600 flex flex-col overflow-hidden">
+          <div className="p-4 border-b border-dark-600 space-y-3">
+            <div className="relative">
+              <Search className="w-4 h-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search conversations..."
+                className="w-full bg-dark-700 border border-dark-600 rounded-lg pl-9 pr-3 py-2 text-sm text-white focus:outline-none focus:border-cyan-500"
+              />
+            </div>
+            <div className="flex items-center justify-between gap-2">
+              <select
+                value={owner}
+                onChange={(e) => setOwner(e.target.value)}
+                className="bg-dark-700 border border-dark-600 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:border-cyan-500"
+              >
+                <option value="">All owners</option>
+                <option value="me">My leads</option>
+                <option value="unassigned">Unassigned</option>
+              </select>
+              <label className="flex items-center gap-2 text-sm text-gray-400">
+                <input type="checkbox" checked={unreadOnly} onChange={(e) => setUnreadOnly(e.target.checked)} />
+                Unread only
+              </label>
+            </div>
+          </div>
+
+          <div className="flex-1 overflow-y-auto">
+            {isLoading ? (
+              <div className="flex items-center justify-center py-12">
+                <Loader2 className="w-6 h-6 animate-spin text-cyan-500" />
+              </div>
+            ) : conversations.length > 0 ? (
+              conversations.map((conversation) => (
+                <button
+                  key={conversation.prospect_id}
+                  onClick={() => navigate(`/inbox/${conversation.prospect_id}`)}
+                  className={`w-full text-left p-4 border-b border-dark-700 transition-colors ${
+                    String(conversation.prospect_id) === prospectId ? 'bg-cyan-500/10' : 'hover:bg-dark-700'
+                  }`}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <span className={`truncate ${conversation.unread_count > 0 ? 'text-white font-semibold' : 'text-gray-300'}`}>
+                      {conversation.business_name}
+                    </span>
+                    <span className="text-xs text-gray-500 shrink-0">{formatTime(conversation.last_message_at)}</span>
+                  </div>
+                  <div className="flex items-center justify-between gap-2 mt-1">
+                    <span className="text-sm text-gray-400 truncate">{conversation.last_subject || '(no subject)'}</span>
+                    {conversation.unread_count > 0 && (
+                      <span className="text-xs bg-cyan-500 text-white rounded-full px-2 py-0.5 shrink-0">
+                        {conversation.unread_count}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 truncate mt-1">
+                    {conversation.last_direction === 'outbound' && 'You: '}{conversation.snippet}
+                  </p>
+                </button>
+              ))
+            ) : (
+              <div className="text-center py-12 text-gray-500">
+                <InboxIcon className="w-10 h-10 mx-auto mb-3 opacity-50" />
+                <p>No conversations</p>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Thread */}
+        <div className="lg:col-span-2 bg-dark-800 rounded-xl border border-dark-600 flex flex-col overflow-hidden">
+          {prospectId ? (
+            <Conversation key={prospectId} prospectId={prospectId} />
+          ) : (
+            <div className="flex-1 flex items-center justify-center text-gray-500">
+              <div className="text-center">
+                <Mail className="w-10 h-10 mx-auto mb-3 opacity-50" />
+                <p>Select a conversation</p>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Conversation({ prospectId }) {
+  const queryClient = useQueryClient();
+  const { canEdit } = useAuth();
+  const [replyTo, setReplyTo] = useState(null);
+  const [body, setBody] = useState('');
+  const [subject, setSubject] = useState('');
+  const [error, setError] = useState(null);
+  const markedOnOpen = useRef(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['conversation', prospectId],
+    queryFn: () => inboxApi.getConversation(prospectId),
+  });
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['conversation', prospectId] });
+    queryClient.invalidateQueries({ queryKey: ['inbox'] });
+    queryClient.invalidateQueries({ queryKey: ['inbox-unread'] });
+  };
+
+  const markReadMutation = useMutation({
+    mutationFn: () => inboxApi.markRead(prospectId),
+    onSuccess: invalidate,
+  });
+
+  const setReadMutation = useMutation({
+    mutationFn: ({ id, isRead }) => inboxApi.setMessageRead(id, isRead),
+    onSuccess: invalidate,
+  });
+
+  const replyMutation = useMutation({
+    mutationFn: () => inboxApi.reply(prospectId, { body, subject, inboundId: replyTo?.inboundId }),
+    onSuccess: () => {
+      setBody('');
+      setSubject('');
+      setReplyTo(null);
+      setError(null);
+      invalidate();
+      queryClient.invalidateQueries({ queryKey: ['activities', prospectId] });
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const messages = data?.messages || [];
+  const hasUnread = messages.some(m => m.direction === 'inbound' && !m.isRead);
+
+  // Opening a conversation reads it (once, so "Mark unread" sticks)
+  useEffect(() => {
+    if (hasUnread && canEdit && !markedOnOpen.current) {
+      markedOnOpen.current = true;
+      markReadMutation.mutate();
+    }
+  }, [hasUnread, canEdit]);
+
+  if (isLoading) {
+    return (
+      <div className="flex-1 flex items-center justify-center">
+        <Loader2 className="w-6 h-6 animate-spin text-cyan-500" />
+      </div>
+    );
+  }
+
+  if (!data) {
+    return <div className="flex-1 flex items-center justify-center text-gray-500">Conversation not found</div>;
+  }
+
+  const { prospect } = data;
+  const latestInbound = [...messages].reverse().find(m => m.direction === 'inbound');
+  const answering = replyTo || latestInbound;
+
+  return (
+    <>
+      <div className="p-4 border-b border-dark-600 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-white">{prospect.business_name}</h2>
+          <p className="text-sm text-gray-400">
+            {prospect.email || 'No email address'}
+            {prospect.owner_name && ` · Owner: ${prospect.owner_name}`}
+          </p>
+        </div>
+        <Link
+          to={`/prospect/${prospect.id}`}
+          className="flex items-center gap-1 text-sm text-cyan-400 hover:text-cyan-300"
+        >
+          View prospect <ExternalLink className="w-3 h-3" />
+        </Link>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        {messages.length > 0 ? (
+          messages.map((message) => (
+            <MessageBubble
+              key={message.id}
+              message={message}
+              canEdit={canEdit}
+              isAnswering={answering?.id === message.id}
+              onReply={() => setReplyTo(message)}
+              onToggleRead={() => setReadMutation.mutate({ id: message.inboundId, isRead: !message.isRead })}
+            />
+          ))
+        ) : (
+          <p className="text-center text-gray-500 py-12">No emails yet</p>
+        )}
+      </div>
+
+      {canEdit && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            replyMutation.mutate();
+          }}
+          className="p-4 border-t border-dark-600 space-y-3"
+        >
+          {answering && (
+            <p className="text-xs text-gray-500">
+              Replying to {answering.from || answering.fromEmail} · "{answering.subject || '(no subject)'}"
+              {replyTo && (
+                <button type="button" onClick={() => setReplyTo(null)} className="ml-2 text-cyan-400 hover:text-cyan-300">
+                  reset
+                </button>
+              )}
+            </p>
+          )}
+          <input
+            type="text"
+            value={subject}
+            onChange={(e) => setSubject(e.target.value)}
+            placeholder="Subject (defaults to Re: the thread)"
+            className="w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-cyan-500"
+          />
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            placeholder={prospect.email ? `Write a reply to ${prospect.business_name}...` : 'This prospect has no email address'}
+            rows={4}
+            disabled={!prospect.email}
+            className="w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-cyan-500 disabled:opacity-50"
+          />
+          {error && (
+            <p className="text-sm text-red-400 flex items-center gap-2">
+              <AlertCircle className="w-4 h-4" /> {error}
+            </p>
+          )}
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={!body.trim() || !prospect.email || replyMutation.isPending}
+              className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg transition-colors disabled:opacity-50"
+            >
+              {replyMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+              Send Reply
+            </button>
+          </div>
+        </form>
+      )}
+    </>
+  );
+}
+
+function MessageBubble({ message, canEdit, isAnswering, onReply, onToggleRead }) {
+  const [showQuoted, setShowQuoted] = useState(false);
+  const inbound = message.direction === 'inbound';
+
+  return (
+    <div className={`flex ${inbound ? 'justify-start' : 'justify-end'}`}>
+      <div
+        className={`max-w-[80%] rounded-xl border p-4 ${
+          inbound
+            ? `bg-dark-700 ${isAnswering ? 'border-cyan-500/50' : 'border-dark-600'}`
+            : 'bg-cyan-500/10 border-cyan-500/30'
+        }`}
+      >
+        <div className="flex items-center justify-between gap-4 mb-2">
+          <span className="text-sm font-medium text-white truncate">
+            {inbound ? message.from : message.sentBy || 'CloudHack'}
+          </span>
+          <span className="text-xs text-gray-500 shrink-0">{parseUtc(message.at).toLocaleString()}</span>
+        </div>
+        <p className="text-xs text-gray-400 mb-2">{message.subject || '(no subject)'}</p>
+        <p className="text-sm text-gray-200 whitespace-pre-wrap">
+          {showQuoted ? message.fullBody : message.body}
+        </p>
+
+        {inbound && message.attachments?.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-3">
+            {message.attachments.map((attachment, i) => (
+              <span
+                key={i}
+                title={attachment.type || undefined}
+                className="flex items-center gap-1 text-xs px-2 py-1 rounded bg-dark-600 text-gray-300"
+              >
+                <Paperclip className="w-3 h-3" /> {attachment.filename}
+              </span>
+            ))}
+          </div>
+        )}
+
+        <div className="flex items-center gap-4 mt-3 text-xs">
+          {inbound ? (
+            <>
+              {message.hasQuotedText && (
+                <button onClick={() => setShowQuoted(!showQuoted)} className="flex items-center gap-1 text-gray-400 hover:text-white">
+                  {showQuoted ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                  {showQuoted ? 'Hide quoted text' : 'Show quoted text'}
+                </button>
+              )}
+              {canEdit && (
+                <>
+                  <button onClick={onReply} className="text-cyan-400 hover:text-cyan-300">Reply</button>
+                  <button onClick={onToggleRead} className="flex items-center gap-1 text-gray-400 hover:text-white">
+                    {message.isRead ? <Mail className="w-3 h-3" /> : <MailOpen className="w-3 h-3" />}
+                    {message.isRead ? 'Mark unread' : 'Mark read'}
+                  </button>
+                </>
+              )}
+            </>
+          ) : (
+            <span className="flex items-center gap-2 text-gray-500 capitalize">
+              {message.status}
+              {message.openedAt && (
+                <span className="flex items-center gap-1 text-cyan-400">
+                  <Eye className="w-3 h-3" /> Opened
+                </span>
+              )}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Inbox;
@@ -0,0 +1,157 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Gauge, Save, RefreshCw, Loader2 } from 'lucide-react';
+import { scoringApi } from '../services/api';
+
+function LeadScoring() {
+  const queryClient = useQueryClient();
+
+  const { data: settings, isLoading } = useQuery({
+    queryKey: ['scoring'],
+    queryFn: scoringApi.get,
+  });
+
+  const onSaved = () => {
+    queryClient.invalidateQueries({ queryKey: ['scoring'] });
+    queryClient.invalidateQueries({ queryKey: ['prospects'] });
+  };
+
+  const updateMutation = useMutation({
+    mutationFn: (updates) => scoringApi.update(updates),
+    onSuccess: onSaved,
+    onError: (err) => alert(err.message),
+  });
+
+  const recomputeMutation = useMutation({
+    mutationFn: scoringApi.recomputeAll,
+    onSuccess: onSaved,
+    onError: (err) => alert(err.message),
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="w-8 h-8 border-2 border-cyan-500 border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-display font-bold text-white">Lead Scoring</h1>
+          <p className="text-gray-400 mt-1">How prospects are ranked from 0 to 100, so the best fits get your time first</p>
+        </div>
+
+        <button
+          onClick={() => recomputeMutation.mutate()}
+          disabled={recomputeMutation.isPending}
+          className="flex items-center gap-2 px-4 py-2 bg-dark-700 hover:bg-dark-600 text-gray-300 rounded-lg transition-colors disabled:opacity-50"
+        >
+          {recomputeMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+          Rescore All
+        </button>
+      </div>
+
+      {/* Distribution */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <ScoreStat label="Hot (70+)" value={settings.distribution.hot} className="text-emerald-400" />
+        <ScoreStat label="Warm (40-69)" value={settings.distribution.warm} className="text-amber-400" />
+        <ScoreStat label="Cold (under 40)" value={settings.distribution.cold} className="text-gray-400" />
+        <ScoreStat label="Average score" value={settings.distribution.average ?? '—'} className="text-cyan-400" />
+      </div>
+
+      {/* key resets the form when the saved settings change */}
+      <ScoringSettings
+        key={JSON.stringify([settings.weights, settings.targetCategories])}
+        settings={settings}
+        onSave={(updates) => updateMutation.mutate(updates)}
+        isSaving={updateMutation.isPending}
+      />
+    </div>
+  );
+}
+
+function ScoreStat({ label, value, className }) {
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-5">
+      <p className="text-gray-400 text-sm">{label}</p>
+      <p className={`text-3xl font-bold mt-1 ${className}`}>{value}</p>
+    </div>
+  );
+}
+
+function ScoringSettings({ settings, onSave, isSaving }) {
+  const [weights, setWeights] = useState(settings.weights);
+  const [categories, setCategories] = useState(settings.targetCategories.join(', '));
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+
+  const handleSave = () => {
+    onSave({
+      weights,
+      targetCategories: categories.split(',').map(c => c.trim()).filter(Boolean),
+    });
+  };
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-6 space-y-6">
+      <div>
+        <h2 className="text-lg font-display font-semibold text-white mb-1 flex items-center gap-2">
+          <Gauge className="w-5 h-5 text-cyan-500" /> Weights
+        </h2>
+        <p className="text-sm text-gray-500">Each group's share of the score. Saving rescores every prospect.</p>
+      </div>
+
+      <div className="space-y-5">
+        {settings.groups.map((group) => (
+          <div key={group.key}>
+            <div className="flex items-center justify-between mb-1">
+              <div>
+                <span className="text-white text-sm font-medium">{group.label}</span>
+                <span className="text-xs text-gray-500 ml-2">{group.description}</span>
+              </div>
+              <span className="text-sm text-cyan-400 w-24 text-right">
+                {Math.round((weights[group.key] / totalWeight) * 100)}% of score
+              </span>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              value={weights[group.key]}
+              onChange={(e) => setWeights({ ...weights, [group.key]: parseInt(e.target.value) })}
+              className="w-full accent-cyan-500"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div>
+        <label className="block text-sm text-gray-400 mb-2">Target categories</label>
+        <input
+          type="text"
+          value={categories}
+          onChange={(e) => setCategories(e.target.value)}
+          placeholder="e.g., restaurants, dentists, salons (leave empty to not score categories)"
+          className="w-full px-4 py-3 bg-dark-700 border border-dark-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500"
+        />
+        <p className="text-xs text-gray-500 mt-1">Prospects whose category contains one of these score higher on business fit.</p>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg disabled:opacity-50"
+        >
+          {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          Save & Rescore
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default LeadScoring;
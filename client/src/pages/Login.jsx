@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { Zap, Loader2, AlertCircle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+function Login() {
+  const { login, setup, setupRequired } = useAuth();
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSubmitting(true);
+
+    try {
+      if (setupRequired) {
+        await setup(form);
+      } else {
+        await login(form.email, form.password);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-dark-900 p-4">
+      <div className="w-full max-w-sm bg-dark-800 rounded-xl border border-dark-600 p-8 animate-fade-in">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="w-10 h-10 rounded-lg bg-gradient-to-br from-cyan-500 to-violet-500 flex items-center justify-center">
+            <Zap className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="font-display font-bold text-lg text-white">CloudHack</h1>
+            <p className="text-xs text-gray-500">Outreach Manager</p>
+          </div>
+        </div>
+
+        <h2 className="text-xl font-display font-semibold text-white mb-1">
+          {setupRequired ? 'Create the admin account' : 'Sign in'}
+        </h2>
+        <p className="text-sm text-gray-400 mb-6">
+          {setupRequired
+            ? 'No users exist yet. This first account gets the admin role.'
+            : 'Use the account your admin set up for you.'}
+        </p>
+
+        {error && (
+          <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-3 mb-4 flex items-start gap-2">
+            <AlertCircle className="w-4 h-4 text-red-400 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-400">{error}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {setupRequired && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="input-field w-full"
+                required
+              />
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Email</label>
+            <input
+              type="email"
+              value={form.email}
+              onChange={(e) => setForm({ ...form, email: e.target.value })}
+              className="input-field w-full"
+              autoComplete="username"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Password</label>
+            <input
+              type="password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              className="input-field w-full"
+              autoComplete={setupRequired ? 'new-password' : 'current-password'}
+              minLength={setupRequired ? 8 : undefined}
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={submitting}
+            className="btn-primary w-full flex items-center justify-center gap-2"
+          >
+            {submitting && <Loader2 className="w-4 h-4 animate-spin" />}
+            {setupRequired ? 'Create account' : 'Sign in'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
@@ -10,45 +10,85 @@ import {
   Trash2,
   ExternalLink,
   Search,
-  Filter
+  Filter,
+  ArrowDownWideNarrow
 } from 'lucide-react';
 import { Link } from 'react-router-dom';
-import { prospectsApi } from '../services/api';
-
-const stages = [
-  { key: 'new', label: 'New Leads', color: 'gray' },
-  { key: 'contacted', label: 'Contacted', color: 'blue' },
-  { key: 'responded', label: 'Responded', color: 'cyan' },
-  { key: 'meeting', label: 'Meeting Scheduled', color: 'violet' },
-  { key: 'proposal', label: 'Proposal Sent', color: 'amber' },
-  { key: 'won', label: 'Won', color: 'emerald' },
-  { key: 'lost', label: 'Lost', color: 'red' },
-];
+import { prospectsApi, assignmentApi, pipelineApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 
 const colorClasses = {
   gray: { bg: 'bg-gray-500', border: 'border-gray-500', text: 'text-gray-400' },
   blue: { bg: 'bg-blue-500', border: 'border-blue-500', text: 'text-blue-400' },
   cyan: { bg: 'bg-cyan-500', border: 'border-cyan-500', text: 'text-cyan-400' },
+  teal: { bg: 'bg-teal-500', border: 'border-teal-500', text: 'text-teal-400' },
   violet: { bg: 'bg-violet-500', border: 'border-violet-500', text: 'text-violet-400' },
+  indigo: { bg: 'bg-indigo-500', border: 'border-indigo-500', text: 'text-indigo-400' },
+  pink: { bg: 'bg-pink-500', border: 'border-pink-500', text: 'text-pink-400' },
   amber: { bg: 'bg-amber-500', border: 'border-amber-500', text: 'text-amber-400' },
+  orange: { bg: 'bg-orange-500', border: 'border-orange-500', text: 'text-orange-400' },
   emerald: { bg: 'bg-emerald-500', border: 'border-emerald-500', text: 'text-emerald-400' },
   red: { bg: 'bg-red-500', border: 'border-red-500', text: 'text-red-400' },
 };
 
-function Pipeline() {
+// Hot (70+), warm (40+) and cold leads
+function scoreClasses(score) {
+  if (score >= 70) return 'bg-emerald-500/20 text-emerald-400';
+  if (score >= 40) return 'bg-amber-500/20 text-amber-400';
+  return 'bg-dark-600 text-gray-400';
+}
+
+function Pipeline({ mine = false }) {
   const [searchTerm, setSearchTerm] = useState('');
+  const [ownerFilter, setOwnerFilter] = useState(mine ? 'me' : '');
   const [draggedProspect, setDraggedProspect] = useState(null);
+  const [pipelineId, setPipelineId] = useState(null);
+  const [sortBy, setSortBy] = useState('recent');
+  const [minScore, setMinScore] = useState('');
   const queryClient = useQueryClient();
+  const { isAdmin } = useAuth();
+
+  const { data: pipelines = [] } = useQuery({
+    queryKey: ['pipelines'],
+    queryFn: pipelineApi.getAll,
+  });
+
+  // The chosen pipeline's columns (the default pipeline until one is picked)
+  const pipeline = pipelines.find(p => p.id === pipelineId) || pipelines.find(p => p.is_default);
+  const stages = pipeline?.stages || [];
 
   const { data: prospects = [], isLoading } = useQuery({
-    queryKey: ['prospects'],
-    queryFn: () => prospectsApi.getAll(),
+    queryKey: ['prospects', { owner: ownerFilter, pipeline: pipeline?.id, sort: sortBy, minScore }],
+    queryFn: () => prospectsApi.getAll({
+      owner: ownerFilter,
+      pipeline: pipeline.id,
+      sort: sortBy === 'score' ? 'score' : '',
+      minScore,
+    }),
+    enabled: !!pipeline,
+  });
+
+  const { data: team = [] } = useQuery({
+    queryKey: ['team'],
+    queryFn: assignmentApi.getTeam,
+    enabled: !mine,
   });
 
   const updateStageMutation = useMutation({
-    mutationFn: ({ id, stage }) => prospectsApi.updateStage(id, stage),
+    mutationFn: ({ id, stage, force, reason }) => prospectsApi.updateStage(id, stage, { force, reason }),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['prospects'] });
+      queryClient.invalidateQueries({ queryKey: ['pipelines'] });
+    },
+    onError: (err, variables) => {
+      // Admins can push a move the pipeline rules refuse, with a reason
+      const reason = isAdmin && !variables.force
+        && prompt(`${err.message}.\n\nOverride the pipeline rules? Enter a reason:`);
+      if (reason) {
+        updateStageMutation.mutate({ ...variables, force: true, reason });
+      } else if (!isAdmin) {
+        alert(err.message);
+      }
     },
   });
 
@@ -107,11 +147,66 @@ function Pipeline() {
       {/* Header */}
       <div className="flex items-center justify-between mb-6">
         <div>
-          <h1 className="text-3xl font-display font-bold text-white">Pipeline</h1>
-          <p className="text-gray-400 mt-1">{prospects.length} prospects total</p>
+          <h1 className="text-3xl font-display font-bold text-white">{mine ? 'My Leads' : 'Pipeline'}</h1>
+          <p className="text-gray-400 mt-1">
+            {prospects.length} {mine ? 'prospects assigned to you' : 'prospects total'}
+            {pipelines.length > 1 && pipeline && ` in ${pipeline.name}`}
+          </p>
         </div>
         
         <div className="flex items-center gap-4">
+          {pipelines.length > 1 && (
+            <select
+              value={pipeline?.id || ''}
+              onChange={(e) => setPipelineId(parseInt(e.target.value))}
+              className="px-4 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-cyan-500"
+            >
+              {pipelines.map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </select>
+          )}
+
+          {!mine && (
+            <div className="relative">
+              <Filter className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-500" />
+              <select
+                value={ownerFilter}
+                onChange={(e) => setOwnerFilter(e.target.value)}
+                className="pl-9 pr-4 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-cyan-500"
+              >
+                <option value="">All owners</option>
+                <option value="me">My leads</option>
+                <option value="unassigned">Unassigned</option>
+                {team.map(member => (
+                  <option key={member.id} value={member.id}>{member.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="relative">
+            <ArrowDownWideNarrow className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-500" />
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="pl-9 pr-4 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-cyan-500"
+            >
+              <option value="recent">Recently updated</option>
+              <option value="score">Best score</option>
+            </select>
+          </div>
+
+          <select
+            value={minScore}
+            onChange={(e) => setMinScore(e.target.value)}
+            className="px-4 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-cyan-500"
+          >
+            <option value="">Any score</option>
+            <option value="40">Warm (40+)</option>
+            <option value="70">Hot (70+)</option>
+          </select>
+
           <div className="relative">
             <Search className="w-5 h-5 absolute left-3 top-1/2 -translate-y-1/2 text-gray-500" />
             <input
@@ -130,12 +225,16 @@ function Pipeline() {
         <div className="flex gap-4 h-full min-w-max pb-4">
           {stages.map((stage) => {
             const stageProspects = getProspectsForStage(stage.key);
-            const colors = colorClasses[stage.color];
+            const colors = colorClasses[stage.color] || colorClasses.gray;
+            // Fade the columns the dragged card can't move to
+            const fromStage = draggedProspect && stages.find(s => s.key === draggedProspect.stage);
+            const canDrop = !draggedProspect || draggedProspect.stage === stage.key
+              || !fromStage?.transitions || fromStage.transitions.includes(stage.key);
             
             return (
               <div
                 key={stage.key}
-                className="w-72 flex-shrink-0 flex flex-col"
+                className={`w-72 flex-shrink-0 flex flex-col transition-opacity ${canDrop ? '' : 'opacity-40'}`}
                 onDragOver={handleDragOver}
                 onDrop={(e) => handleDrop(e, stage.key)}
               >
@@ -155,6 +254,7 @@ function Pipeline() {
                       key={prospect.id}
                       prospect={prospect}
                       onDragStart={handleDragStart}
+                      onDragEnd={() => setDraggedProspect(null)}
                       onDelete={handleDelete}
                       stageColor={stage.color}
                     />
@@ -175,7 +275,7 @@ function Pipeline() {
   );
 }
 
-function ProspectCard({ prospect, onDragStart, onDelete, stageColor }) {
+function ProspectCard({ prospect, onDragStart, onDragEnd, onDelete, stageColor }) {
   const [showMenu, setShowMenu] = useState(false);
   const isSmallBusiness = prospect.review_count && prospect.review_count < 100;
 
@@ -183,18 +283,29 @@ function ProspectCard({ prospect, onDragStart, onDelete, stageColor }) {
     <div
       draggable
       onDragStart={(e) => onDragStart(e, prospect)}
+      onDragEnd={onDragEnd}
       className="bg-dark-800 rounded-lg border border-dark-600 p-4 cursor-grab active:cursor-grabbing hover:border-dark-500 transition-all card-hover group"
     >
       <div className="flex items-start gap-3">
         <GripVertical className="w-4 h-4 text-gray-600 mt-1 opacity-0 group-hover:opacity-100 transition-opacity" />
         
         <div className="flex-1 min-w-0">
-          <Link 
-            to={`/prospect/${prospect.id}`}
-            className="font-medium text-white hover:text-cyan-400 transition-colors block truncate"
-          >
-            {prospect.business_name}
-          </Link>
+          <div className="flex items-center gap-2">
+            <Link 
+              to={`/prospect/${prospect.id}`}
+              className="font-medium text-white hover:text-cyan-400 transition-colors block truncate"
+            >
+              {prospect.business_name}
+            </Link>
+            {prospect.lead_score !== null && (
+              <span
+                className={`ml-auto px-1.5 py-0.5 rounded text-xs font-medium flex-shrink-0 ${scoreClasses(prospect.lead_score)}`}
+                title="Lead score"
+              >
+                {prospect.lead_score}
+              </span>
+            )}
+          </div>
           
           {prospect.category && (
             <p className="text-xs text-gray-500 mt-1 truncate">{prospect.category}</p>
@@ -210,6 +321,11 @@ function ProspectCard({ prospect, onDragStart, onDelete, stageColor }) {
                 {prospect.rating}
               </span>
             )}
+            {prospect.deal_value > 0 && (
+              <span className="text-xs text-emerald-400 ml-auto" title={prospect.deal_value_source === 'estimate' ? 'Estimated from the website analysis' : 'Deal value'}>
+                ${Math.round(prospect.deal_value).toLocaleString()}
+              </span>
+            )}
           </div>
 
           <div className="flex items-center gap-2 mt-3">
@@ -243,6 +359,17 @@ function ProspectCard({ prospect, onDragStart, onDelete, stageColor }) {
               </a>
             )}
             
+            {prospect.owner_name ? (
+              <span
+                className="w-6 h-6 rounded-full bg-dark-600 flex items-center justify-center text-xs text-white"
+                title={`Owner: ${prospect.owner_name}`}
+              >
+                {prospect.owner_name.charAt(0).toUpperCase()}
+              </span>
+            ) : (
+              <span className="text-xs text-gray-600" title="No owner">Unassigned</span>
+            )}
+            
             {isSmallBusiness && (
               <span className="ml-auto text-xs px-2 py-1 rounded bg-cyan-500/10 text-cyan-400 border border-cyan-500/30">
                 Small Biz
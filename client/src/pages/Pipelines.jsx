@@ -0,0 +1,487 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  Columns3,
+  Plus,
+  Edit2,
+  Trash2,
+  X,
+  Save,
+  ChevronUp,
+  ChevronDown,
+  Star,
+  Trophy,
+  XCircle,
+} from 'lucide-react';
+import { pipelineApi } from '../services/api';
+
+const stageColors = {
+  gray: 'bg-gray-500',
+  blue: 'bg-blue-500',
+  cyan: 'bg-cyan-500',
+  teal: 'bg-teal-500',
+  violet: 'bg-violet-500',
+  indigo: 'bg-indigo-500',
+  pink: 'bg-pink-500',
+  amber: 'bg-amber-500',
+  orange: 'bg-orange-500',
+  emerald: 'bg-emerald-500',
+  red: 'bg-red-500',
+};
+
+// Keys the agents move prospects into (see the README)
+const agentStageKeys = ['contacted', 'responded', 'meeting_scheduled'];
+
+const slugify = (label) => label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+let nextUid = 1;
+
+function Pipelines() {
+  const [editingPipeline, setEditingPipeline] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: pipelines = [], isLoading } = useQuery({
+    queryKey: ['pipelines'],
+    queryFn: pipelineApi.getAll,
+  });
+
+  const closeModal = () => {
+    setIsCreating(false);
+    setEditingPipeline(null);
+    setError(null);
+  };
+
+  const onSaved = () => {
+    queryClient.invalidateQueries({ queryKey: ['pipelines'] });
+    closeModal();
+  };
+
+  const createMutation = useMutation({
+    mutationFn: (pipeline) => pipelineApi.create(pipeline),
+    onSuccess: onSaved,
+    onError: (err) => setError(err.message),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, ...updates }) => pipelineApi.update(id, updates),
+    onSuccess: onSaved,
+    onError: (err) => setError(err.message),
+  });
+
+  const defaultMutation = useMutation({
+    mutationFn: (id) => pipelineApi.setDefault(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['pipelines'] });
+    },
+    onError: (err) => alert(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => pipelineApi.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['pipelines'] });
+    },
+    onError: (err) => alert(err.message),
+  });
+
+  const handleDelete = (pipeline) => {
+    if (confirm(`Delete the "${pipeline.name}" pipeline?`)) {
+      deleteMutation.mutate(pipeline.id);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="w-8 h-8 border-2 border-cyan-500 border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-display font-bold text-white">Pipelines</h1>
+          <p className="text-gray-400 mt-1">Define the stages deals move through, per line of business</p>
+        </div>
+
+        <button
+          onClick={() => setIsCreating(true)}
+          className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg transition-colors"
+        >
+          <Plus className="w-5 h-5" />
+          New Pipeline
+        </button>
+      </div>
+
+      {/* How agents use stages */}
+      <div className="bg-dark-800 rounded-lg border border-dark-600 p-4">
+        <p className="text-sm text-gray-400">
+          <span className="text-gray-300 font-medium">Automation: </span>
+          new prospects start in the default pipeline's first stage. The agents move prospects into the stages
+          keyed {agentStageKeys.map(key => `"${key}"`).join(', ')} when a pipeline has them, and into its won and lost stages.
+        </p>
+      </div>
+
+      {/* Pipelines List */}
+      <div className="space-y-4">
+        {pipelines.map((pipeline) => (
+          <PipelineCard
+            key={pipeline.id}
+            pipeline={pipeline}
+            onEdit={() => setEditingPipeline(pipeline)}
+            onMakeDefault={() => defaultMutation.mutate(pipeline.id)}
+            onDelete={() => handleDelete(pipeline)}
+          />
+        ))}
+      </div>
+
+      {/* Create/Edit Modal */}
+      {(isCreating || editingPipeline) && (
+        <PipelineModal
+          pipeline={editingPipeline}
+          error={error}
+          onClose={closeModal}
+          onSave={(data) => {
+            if (editingPipeline) {
+              updateMutation.mutate({ id: editingPipeline.id, ...data });
+            } else {
+              createMutation.mutate(data);
+            }
+          }}
+          isSaving={createMutation.isPending || updateMutation.isPending}
+        />
+      )}
+    </div>
+  );
+}
+
+function PipelineCard({ pipeline, onEdit, onMakeDefault, onDelete }) {
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 overflow-hidden hover:border-dark-500 transition-all">
+      <div className="p-5">
+        <div className="flex items-start justify-between mb-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-lg bg-cyan-500/10 text-cyan-400 border border-cyan-500/30 flex items-center justify-center">
+              <Columns3 className="w-5 h-5" />
+            </div>
+            <div>
+              <div className="flex items-center gap-2">
+                <h3 className="font-medium text-white">{pipeline.name}</h3>
+                {pipeline.is_default && (
+                  <span className="flex items-center gap-1 px-2 py-0.5 text-xs rounded-full bg-amber-500/10 text-amber-400">
+                    <Star className="w-3 h-3" /> Default
+                  </span>
+                )}
+              </div>
+              <p className="text-sm text-gray-500 mt-0.5">
+                {pipeline.description || 'No description'}
+                {' • '}{pipeline.prospect_count} prospect{pipeline.prospect_count === 1 ? '' : 's'}
+              </p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2">
+            {!pipeline.is_default && (
+              <button
+                onClick={onMakeDefault}
+                title="Make default"
+                className="p-2 rounded-lg hover:bg-dark-700 transition-colors text-gray-400 hover:text-amber-400"
+              >
+                <Star className="w-4 h-4" />
+              </button>
+            )}
+            <button
+              onClick={onEdit}
+              className="p-2 rounded-lg hover:bg-dark-700 transition-colors text-gray-400 hover:text-white"
+            >
+              <Edit2 className="w-4 h-4" />
+            </button>
+            {!pipeline.is_default && (
+              <button
+                onClick={onDelete}
+                className="p-2 rounded-lg hover:bg-dark-700 transition-colors text-gray-400 hover:text-red-400"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {pipeline.stages.map((stage) => (
+            <div
+              key={stage.key}
+              title={stage.transitions
+                ? `Can move to: ${stage.transitions.join(', ') || 'nowhere (admins can override)'}`
+                : 'Can move to any stage'}
+              className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-dark-600 bg-dark-700 text-xs text-gray-300"
+            >
+              <span className={`w-2.5 h-2.5 rounded-full ${stageColors[stage.color] || stageColors.gray}`} />
+              {stage.label}
+              {!stage.is_won && !stage.is_lost && <span className="text-gray-500">{stage.probability}%</span>}
+              {stage.is_won && <Trophy className="w-3.5 h-3.5 text-emerald-400" />}
+              {stage.is_lost && <XCircle className="w-3.5 h-3.5 text-red-400" />}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function PipelineModal({ pipeline, error, onClose, onSave, isSaving }) {
+  const [formData, setFormData] = useState({
+    name: pipeline?.name || '',
+    description: pipeline?.description || '',
+  });
+  // Transitions point at a row's uid while editing, so renaming a new stage doesn't break them
+  const [stages, setStages] = useState(() => {
+    const rows = (pipeline?.stages || [
+      { label: 'New', color: 'gray', probability: 10, transitions: null },
+      { label: 'Won', color: 'emerald', is_won: true, probability: 100, transitions: [] },
+      { label: 'Lost', color: 'red', is_lost: true, probability: 0, transitions: null },
+    ]).map(stage => ({ ...stage, uid: nextUid++ }));
+    const uidOf = (key) => rows.find(row => row.key === key)?.uid;
+    return rows.map(row => ({ ...row, transitions: row.transitions && row.transitions.map(uidOf).filter(Boolean) }));
+  });
+
+  const keyOf = (stage) => stage.key || slugify(stage.label);
+
+  const updateStage = (index, changes) => {
+    setStages(stages.map((stage, i) => (i === index ? { ...stage, ...changes } : stage)));
+  };
+
+  const moveStage = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= stages.length) return;
+    const next = [...stages];
+    [next[index], next[target]] = [next[target], next[index]];
+    setStages(next);
+  };
+
+  const removeStage = (index) => {
+    const { uid } = stages[index];
+    setStages(stages
+      .filter((_, i) => i !== index)
+      .map(stage => ({ ...stage, transitions: stage.transitions && stage.transitions.filter(t => t !== uid) })));
+  };
+
+  const addStage = () => {
+    // New stages go before the closing won/lost stages
+    const closing = stages.findIndex(stage => stage.is_won || stage.is_lost);
+    const at = closing === -1 ? stages.length : closing;
+    setStages([...stages.slice(0, at), { uid: nextUid++, label: '', color: 'blue', probability: 50, transitions: null }, ...stages.slice(at)]);
+  };
+
+  const toggleTransition = (index, uid) => {
+    const transitions = stages[index].transitions || [];
+    updateStage(index, {
+      transitions: transitions.includes(uid) ? transitions.filter(t => t !== uid) : [...transitions, uid],
+    });
+  };
+
+  const setOutcome = (index, outcome) => {
+    // Won and lost stages are certain; an open stage starts at an even chance
+    const probability = outcome === 'won' ? 100 : outcome === 'lost' ? 0 : 50;
+    updateStage(index, { is_won: outcome === 'won', is_lost: outcome === 'lost', probability });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.name) {
+      alert('Name is required');
+      return;
+    }
+
+    const keyOfUid = (uid) => keyOf(stages.find(stage => stage.uid === uid));
+    onSave({
+      ...formData,
+      stages: stages.map(stage => ({
+        key: keyOf(stage),
+        label: stage.label,
+        color: stage.color,
+        is_won: !!stage.is_won,
+        is_lost: !!stage.is_lost,
+        probability: stage.probability === '' ? null : Number(stage.probability),
+        transitions: stage.transitions && stage.transitions.map(keyOfUid),
+      })),
+    });
+  };
+
+  const inputClass = 'w-full px-4 py-3 bg-dark-700 border border-dark-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500';
+  const smallInputClass = 'px-3 py-2 bg-dark-800 border border-dark-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:border-cyan-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+      <div className="bg-dark-800 rounded-xl border border-dark-600 w-full max-w-3xl max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-5 border-b border-dark-600">
+          <h2 className="text-xl font-display font-semibold text-white">
+            {pipeline ? 'Edit Pipeline' : 'New Pipeline'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-dark-700 transition-colors text-gray-400"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="flex-1 overflow-y-auto p-5 space-y-5">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Pipeline Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                placeholder="e.g., AI consulting"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Description</label>
+              <input
+                type="text"
+                value={formData.description}
+                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          {/* Stages */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-2">Stages (in board order)</label>
+            <div className="space-y-2">
+              {stages.map((stage, index) => (
+                <div key={stage.uid} className="p-3 bg-dark-700 rounded-lg space-y-2">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className={`w-3 h-3 rounded-full ${stageColors[stage.color] || stageColors.gray}`} />
+                    <input
+                      type="text"
+                      value={stage.label}
+                      onChange={(e) => updateStage(index, { label: e.target.value })}
+                      placeholder="e.g., Discovery call"
+                      className={`${smallInputClass} flex-1`}
+                    />
+                    <span className="text-xs text-gray-500 font-mono" title="Key (saved on prospects; fixed once the stage exists)">
+                      {keyOf(stage) || '—'}
+                    </span>
+                    <select
+                      value={stage.color}
+                      onChange={(e) => updateStage(index, { color: e.target.value })}
+                      className={smallInputClass}
+                    >
+                      {Object.keys(stageColors).map(color => <option key={color} value={color}>{color}</option>)}
+                    </select>
+                    <select
+                      value={stage.is_won ? 'won' : stage.is_lost ? 'lost' : 'open'}
+                      onChange={(e) => setOutcome(index, e.target.value)}
+                      className={smallInputClass}
+                    >
+                      <option value="open">Open</option>
+                      <option value="won">Won</option>
+                      <option value="lost">Lost</option>
+                    </select>
+                    <label className="flex items-center gap-1 text-xs text-gray-500" title="Chance a deal in this stage is won (weights the revenue forecast)">
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={stage.probability ?? ''}
+                        onChange={(e) => updateStage(index, { probability: e.target.value })}
+                        disabled={stage.is_won || stage.is_lost}
+                        className={`${smallInputClass} w-16 disabled:opacity-50`}
+                      />
+                      % win
+                    </label>
+                    <div className="flex items-center gap-1">
+                      <button type="button" onClick={() => moveStage(index, -1)} className="p-1 text-gray-400 hover:text-white">
+                        <ChevronUp className="w-4 h-4" />
+                      </button>
+                      <button type="button" onClick={() => moveStage(index, 1)} className="p-1 text-gray-400 hover:text-white">
+                        <ChevronDown className="w-4 h-4" />
+                      </button>
+                      <button type="button" onClick={() => removeStage(index)} className="p-1 text-gray-400 hover:text-red-400">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="flex flex-wrap items-center gap-1.5 pl-5">
+                    <span className="text-xs text-gray-500 mr-1">Can move to</span>
+                    <label className="flex items-center gap-1 text-xs text-gray-300 mr-2">
+                      <input
+                        type="checkbox"
+                        checked={!stage.transitions}
+                        onChange={(e) => updateStage(index, { transitions: e.target.checked ? null : [] })}
+                      />
+                      any stage
+                    </label>
+                    {stage.transitions && stages.filter(other => other.uid !== stage.uid).map(other => (
+                      <button
+                        key={other.uid}
+                        type="button"
+                        onClick={() => toggleTransition(index, other.uid)}
+                        className={`px-2 py-0.5 rounded text-xs border ${
+                          stage.transitions.includes(other.uid)
+                            ? 'bg-cyan-500/20 text-cyan-400 border-cyan-500/30'
+                            : 'bg-dark-800 text-gray-500 border-dark-600'
+                        }`}
+                      >
+                        {other.label || 'untitled'}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <button
+              type="button"
+              onClick={addStage}
+              className="flex items-center gap-2 mt-3 px-3 py-1.5 rounded-lg border text-sm bg-cyan-500/10 text-cyan-400 border-cyan-500/30"
+            >
+              <Plus className="w-3.5 h-3.5" />
+              Add Stage
+            </button>
+          </div>
+
+          {error && (
+            <div className="p-3 bg-red-500/10 border border-red-500/30 rounded-lg text-sm text-red-400">
+              {error}
+            </div>
+          )}
+        </form>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end gap-3 p-5 border-t border-dark-600">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-gray-400 hover:text-white transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={isSaving}
+            className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg transition-colors disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" />
+            {isSaving ? 'Saving...' : 'Save Pipeline'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Pipelines;
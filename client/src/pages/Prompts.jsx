@@ -0,0 +1,374 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  ScrollText,
+  Save,
+  RotateCcw,
+  GitCompare,
+  X,
+  AlertCircle,
+  User,
+  CheckCircle,
+} from 'lucide-react';
+import { promptsApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const senderFields = [
+  { key: 'sender_name', label: 'Sender name' },
+  { key: 'company_name', label: 'Company name' },
+  { key: 'company_description', label: 'Company description' },
+  { key: 'company_services', label: 'Services offered', multiline: true },
+];
+
+export default function Prompts() {
+  const { isAdmin } = useAuth();
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['prompts'],
+    queryFn: promptsApi.getAll,
+  });
+
+  const prompts = data?.prompts || [];
+  const groups = [...new Set(prompts.map(p => p.group))];
+  const selected = prompts.find(p => p.key === selectedKey) || prompts[0];
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="w-8 h-8 border-2 border-cyan-500 border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-display font-bold text-white">Prompt Library</h1>
+        <p className="text-gray-400 mt-1">The prompts the AI agents write and classify with - every edit is a new version</p>
+      </div>
+
+      <SenderSettings sender={data?.sender} defaults={data?.senderDefaults} canEdit={isAdmin} />
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Prompt list */}
+        <div className="bg-dark-800 rounded-xl border border-dark-600 p-4 space-y-4 h-fit">
+          {groups.map(group => (
+            <div key={group}>
+              <p className="text-xs uppercase tracking-wide text-gray-500 mb-2">{group}</p>
+              <div className="space-y-1">
+                {prompts.filter(p => p.group === group).map(prompt => (
+                  <button
+                    key={prompt.key}
+                    onClick={() => setSelectedKey(prompt.key)}
+                    className={`w-full flex items-center justify-between px-3 py-2 rounded-lg text-left text-sm transition-colors ${
+                      selected?.key === prompt.key
+                        ? 'bg-cyan-500/10 text-cyan-400'
+                        : 'text-gray-300 hover:bg-dark-700'
+                    }`}
+                  >
+                    <span>{prompt.label}</span>
+                    <span className="text-xs text-gray-500">
+                      v{prompt.activeVersion}{prompt.latestVersion > prompt.activeVersion && ` / ${prompt.latestVersion}`}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Editor and history */}
+        <div className="lg:col-span-3">
+          {selected && <PromptEditor key={selected.key} prompt={selected} canEdit={isAdmin} />}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SenderSettings({ sender, defaults, canEdit }) {
+  const queryClient = useQueryClient();
+  const [values, setValues] = useState({});
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    if (!sender || !defaults) return;
+    // Only show overrides - an empty field means the built-in default
+    setValues(Object.fromEntries(senderFields.map(({ key }) => [key, sender[key] === defaults[key] ? '' : sender[key]])));
+  }, [sender, defaults]);
+
+  const saveMutation = useMutation({
+    mutationFn: promptsApi.updateSender,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['prompts'] });
+      setSaved(true);
+      setTimeout(() => setSaved(false), 2000);
+    },
+    onError: (err) => alert(err.message),
+  });
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <User className="w-5 h-5 text-cyan-400" />
+          <h2 className="text-lg font-semibold text-white">Sender</h2>
+        </div>
+        {canEdit && (
+          <button
+            onClick={() => saveMutation.mutate(values)}
+            disabled={saveMutation.isPending}
+            className="btn-primary flex items-center gap-2"
+          >
+            {saved ? <CheckCircle className="w-4 h-4" /> : <Save className="w-4 h-4" />}
+            {saved ? 'Saved' : 'Save'}
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {senderFields.map(field => (
+          <div key={field.key} className={field.multiline ? 'md:col-span-2' : ''}>
+            <label className="block text-sm text-gray-400 mb-1">{field.label}</label>
+            {field.multiline ? (
+              <textarea
+                value={values[field.key] || ''}
+                onChange={(e) => setValues({ ...values, [field.key]: e.target.value })}
+                placeholder={defaults?.[field.key]}
+                disabled={!canEdit}
+                rows={4}
+                className="input-field w-full font-mono text-sm"
+              />
+            ) : (
+              <input
+                type="text"
+                value={values[field.key] || ''}
+                onChange={(e) => setValues({ ...values, [field.key]: e.target.value })}
+                placeholder={defaults?.[field.key]}
+                disabled={!canEdit}
+                className="input-field w-full"
+              />
+            )}
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Leave a field empty to use the default shown. Emails to a prospect with an owner are signed with the owner's first name.
+      </p>
+    </div>
+  );
+}
+
+function PromptEditor({ prompt, canEdit }) {
+  const queryClient = useQueryClient();
+  const [body, setBody] = useState(prompt.body);
+  const [notes, setNotes] = useState('');
+  const [error, setError] = useState(null);
+  const [diff, setDiff] = useState(null);
+
+  const { data: details } = useQuery({
+    queryKey: ['prompts', prompt.key],
+    queryFn: () => promptsApi.get(prompt.key),
+  });
+
+  useEffect(() => {
+    setBody(prompt.body);
+  }, [prompt.body]);
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['prompts'] });
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => promptsApi.saveVersion(prompt.key, { body, notes }),
+    onSuccess: () => {
+      invalidate();
+      setNotes('');
+      setError(null);
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const rollbackMutation = useMutation({
+    mutationFn: (version) => promptsApi.rollback(prompt.key, version),
+    onSuccess: invalidate,
+    onError: (err) => alert(err.message),
+  });
+
+  const showDiff = async (from, to) => {
+    try {
+      setDiff(await promptsApi.diff(prompt.key, from, to));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const versions = details?.versions || [];
+  const isDirty = body !== prompt.body;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <div className="flex items-center gap-2">
+              <ScrollText className="w-5 h-5 text-cyan-400" />
+              <h2 className="text-lg font-semibold text-white">{prompt.label}</h2>
+              <span className="px-2 py-0.5 text-xs rounded-full bg-emerald-500/10 text-emerald-400">
+                v{prompt.activeVersion} active
+              </span>
+            </div>
+            <p className="text-sm text-gray-400 mt-1">{prompt.description}</p>
+          </div>
+        </div>
+
+        {/* Variables */}
+        <div className="flex flex-wrap gap-2 mb-3">
+          {Object.entries(prompt.variables).map(([name, description]) => (
+            <button
+              key={name}
+              type="button"
+              title={description}
+              disabled={!canEdit}
+              onClick={() => setBody(`${body}{{${name}}}`)}
+              className="px-2 py-1 text-xs font-mono rounded bg-dark-700 text-cyan-400 hover:bg-dark-600 transition-colors"
+            >
+              {`{{${name}}}`}
+            </button>
+          ))}
+        </div>
+        {prompt.sections && (
+          <p className="text-xs text-gray-500 mb-3">
+            Split into sections with <span className="font-mono text-gray-400">[header]</span> lines - the header is a pattern matched against the task, first match wins.
+          </p>
+        )}
+
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          disabled={!canEdit}
+          rows={16}
+          className="input-field w-full font-mono text-sm"
+        />
+
+        {error && (
+          <div className="flex items-start gap-2 mt-3 p-3 rounded-lg bg-red-500/10 text-red-400 text-sm">
+            <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {canEdit && (
+          <div className="flex items-center gap-3 mt-4">
+            <input
+              type="text"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="What changed? (optional)"
+              className="input-field flex-1"
+            />
+            <button
+              onClick={() => setBody(prompt.body)}
+              disabled={!isDirty}
+              className="px-4 py-2 text-gray-400 hover:text-white disabled:opacity-50 transition-colors"
+            >
+              Discard
+            </button>
+            <button
+              onClick={() => saveMutation.mutate()}
+              disabled={!isDirty || saveMutation.isPending}
+              className="btn-primary flex items-center gap-2 disabled:opacity-50"
+            >
+              <Save className="w-4 h-4" />
+              Save as v{prompt.latestVersion + 1}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Version history */}
+      <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+        <h3 className="text-lg font-semibold text-white mb-4">Versions</h3>
+        <div className="space-y-2">
+          {versions.map((version, index) => (
+            <div key={version.version} className="flex items-center justify-between p-3 rounded-lg bg-dark-700">
+              <div>
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-white">v{version.version}</span>
+                  {version.is_active && (
+                    <span className="px-2 py-0.5 text-xs rounded-full bg-emerald-500/10 text-emerald-400">Active</span>
+                  )}
+                  {version.notes && <span className="text-sm text-gray-400">{version.notes}</span>}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {new Date(version.created_at).toLocaleString()}
+                  {version.created_by_name && ` • ${version.created_by_name}`}
+                  {` • used in ${version.campaign_count} email${version.campaign_count === 1 ? '' : 's'}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                {index < versions.length - 1 && (
+                  <button
+                    onClick={() => showDiff(versions[index + 1].version, version.version)}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-400 hover:text-white transition-colors"
+                    title={`Compare with v${versions[index + 1].version}`}
+                  >
+                    <GitCompare className="w-4 h-4" />
+                    Diff
+                  </button>
+                )}
+                {canEdit && !version.is_active && (
+                  <button
+                    onClick={() => {
+                      if (confirm(`Make v${version.version} the active version of "${prompt.label}"?`)) {
+                        rollbackMutation.mutate(version.version);
+                      }
+                    }}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm text-cyan-400 hover:text-cyan-300 transition-colors"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                    Activate
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Diff modal */}
+      {diff && (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+          <div className="bg-dark-800 rounded-xl border border-dark-600 w-full max-w-4xl max-h-[85vh] flex flex-col">
+            <div className="flex items-center justify-between p-4 border-b border-dark-600">
+              <h3 className="text-lg font-semibold text-white">
+                {prompt.label}: v{diff.from} → v{diff.to}
+              </h3>
+              <button onClick={() => setDiff(null)} className="text-gray-400 hover:text-white">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            <div className="overflow-auto p-4 font-mono text-sm">
+              {diff.lines.map((line, index) => (
+                <div
+                  key={index}
+                  className={`whitespace-pre-wrap px-2 ${
+                    line.type === 'added'
+                      ? 'bg-emerald-500/10 text-emerald-400'
+                      : line.type === 'removed'
+                        ? 'bg-red-500/10 text-red-400 line-through'
+                        : 'text-gray-400'
+                  }`}
+                >
+                  {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text || ' '}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -5,24 +5,32 @@ import {
   ArrowLeft, Phone, Mail, Globe, MapPin, Star, ExternalLink,
   Edit2, Trash2, Save, X, Send, MessageSquare, Clock, Check,
   Bot, Zap, ToggleLeft, ToggleRight, RefreshCw, Loader2, Scan,
-  TrendingUp, AlertTriangle, Lightbulb, Target, Sparkles
+  TrendingUp, AlertTriangle, Lightbulb, Target, Sparkles, UserCheck,
+  Users, Plus, Linkedin, DollarSign, Gauge
 } from 'lucide-react';
-import { prospectsApi, activitiesApi, campaignsApi, templatesApi, agentsApi, enrichmentApi } from '../services/api';
-
-const stages = [
-  { key: 'new', label: 'New', color: 'gray' },
-  { key: 'contacted', label: 'Contacted', color: 'blue' },
-  { key: 'responded', label: 'Responded', color: 'cyan' },
-  { key: 'meeting', label: 'Meeting', color: 'violet' },
-  { key: 'proposal', label: 'Proposal', color: 'amber' },
-  { key: 'won', label: 'Won', color: 'emerald' },
-  { key: 'lost', label: 'Lost', color: 'red' },
+import { prospectsApi, activitiesApi, campaignsApi, templatesApi, agentsApi, enrichmentApi, sequencesApi, assignmentApi, contactsApi, pipelineApi, scoringApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const contactRoles = [
+  { key: 'owner', label: 'Owner', color: 'emerald' },
+  { key: 'manager', label: 'Manager', color: 'violet' },
+  { key: 'marketing', label: 'Marketing', color: 'amber' },
+  { key: 'other', label: 'Other', color: 'gray' },
+  { key: 'general', label: 'Shared inbox', color: 'blue' },
 ];
 
+const verificationStyles = {
+  verified: 'text-emerald-400',
+  unverified: 'text-gray-500',
+  risky: 'text-amber-400',
+  invalid: 'text-red-400',
+};
+
 function ProspectDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  const { isAdmin } = useAuth();
   const [isEditing, setIsEditing] = useState(false);
   const [showEmailModal, setShowEmailModal] = useState(false);
   const [showNoteModal, setShowNoteModal] = useState(false);
@@ -47,6 +55,32 @@ function ProspectDetail() {
     queryFn: () => agentsApi.getSequence(id),
   });
 
+  const { data: sendWindow } = useQuery({
+    queryKey: ['send-window', id],
+    queryFn: () => agentsApi.getSendWindow(id),
+    refetchInterval: 60000,
+  });
+
+  const { data: sequences = [] } = useQuery({
+    queryKey: ['sequences'],
+    queryFn: sequencesApi.getAll,
+  });
+
+  const { data: team = [] } = useQuery({
+    queryKey: ['team'],
+    queryFn: assignmentApi.getTeam,
+  });
+
+  const { data: pipelines = [] } = useQuery({
+    queryKey: ['pipelines'],
+    queryFn: pipelineApi.getAll,
+  });
+
+  const { data: contacts = [] } = useQuery({
+    queryKey: ['contacts', id],
+    queryFn: () => contactsApi.getByProspect(id),
+  });
+
   // Website Analysis query
   const { data: websiteAnalysis, isLoading: isAnalysisLoading } = useQuery({
     queryKey: ['website-analysis', id],
@@ -60,8 +94,30 @@ function ProspectDetail() {
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['prospect', id] });
       queryClient.invalidateQueries({ queryKey: ['activities', id] });
+      queryClient.invalidateQueries({ queryKey: ['prospects'] });
+      queryClient.invalidateQueries({ queryKey: ['pipelines'] });
       setIsEditing(false);
     },
+    onError: (err) => alert(err.message),
+  });
+
+  const stageMutation = useMutation({
+    mutationFn: ({ stage, force, reason }) => prospectsApi.updateStage(id, stage, { force, reason }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['prospect', id] });
+      queryClient.invalidateQueries({ queryKey: ['activities', id] });
+      queryClient.invalidateQueries({ queryKey: ['prospects'] });
+    },
+    onError: (err, variables) => {
+      // Admins can push a move the pipeline rules refuse, with a reason
+      const reason = isAdmin && !variables.force
+        && prompt(`${err.message}.\n\nOverride the pipeline rules? Enter a reason:`);
+      if (reason) {
+        stageMutation.mutate({ ...variables, force: true, reason });
+      } else if (!isAdmin) {
+        alert(err.message);
+      }
+    },
   });
 
   const deleteMutation = useMutation({
@@ -88,6 +144,15 @@ function ProspectDetail() {
     },
   });
 
+  const assignSequenceMutation = useMutation({
+    mutationFn: (sequenceId) => sequencesApi.assign(sequenceId, [parseInt(id)]),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['prospect', id] });
+      queryClient.invalidateQueries({ queryKey: ['follow-up-sequence', id] });
+      queryClient.invalidateQueries({ queryKey: ['activities', id] });
+    },
+  });
+
   const triggerOutreachMutation = useMutation({
     mutationFn: () => agentsApi.triggerOutreach(id),
     onSuccess: () => {
@@ -141,8 +206,13 @@ function ProspectDetail() {
     }
   };
 
+  // The stages of the prospect's own pipeline
+  const pipeline = pipelines.find(p => p.id === prospect.pipeline_id) || pipelines.find(p => p.is_default);
+  const stages = pipeline?.stages || [];
+  const currentStage = stages.find(s => s.key === prospect.stage);
+
   const handleStageChange = (newStage) => {
-    updateMutation.mutate({ stage: newStage });
+    stageMutation.mutate({ stage: newStage });
   };
 
   return (
@@ -157,6 +227,9 @@ function ProspectDetail() {
           {prospect.category && <p className="text-gray-400 text-sm mt-1">{prospect.category}</p>}
         </div>
         <div className="flex items-center gap-2">
+          <Link to={`/inbox/${prospect.id}`} className="flex items-center gap-2 px-3 py-2 bg-dark-700 hover:bg-dark-600 rounded-lg text-gray-300 transition-colors">
+            <MessageSquare className="w-4 h-4" /> Conversation
+          </Link>
           <button onClick={() => setIsEditing(true)} className="flex items-center gap-2 px-3 py-2 bg-dark-700 hover:bg-dark-600 rounded-lg text-gray-300 transition-colors">
             <Edit2 className="w-4 h-4" /> Edit
           </button>
@@ -168,12 +241,49 @@ function ProspectDetail() {
 
       {/* Stage Selector */}
       <div className="bg-dark-800 rounded-xl border border-dark-600 p-4">
-        <p className="text-sm text-gray-400 mb-3">Pipeline Stage</p>
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-gray-400">Pipeline</span>
+            {pipelines.length > 1 ? (
+              <select
+                value={pipeline?.id || ''}
+                onChange={(e) => updateMutation.mutate({ pipeline_id: parseInt(e.target.value) })}
+                title="Moving to another pipeline keeps the stage if it has one with the same key, else starts at its first stage"
+                className="bg-dark-700 border border-dark-600 rounded-lg px-2 py-1 text-white focus:outline-none focus:border-cyan-500"
+              >
+                {pipelines.map(p => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
+            ) : (
+              <span className="text-white">{pipeline?.name}</span>
+            )}
+          </div>
+          <div className="flex items-center gap-2 text-sm">
+            <UserCheck className="w-4 h-4 text-gray-500" />
+            <span className="text-gray-400">Owner</span>
+            <select
+              value={prospect.owner_id || ''}
+              onChange={(e) => updateMutation.mutate({ owner_id: e.target.value ? parseInt(e.target.value) : null })}
+              className="bg-dark-700 border border-dark-600 rounded-lg px-2 py-1 text-white focus:outline-none focus:border-cyan-500"
+            >
+              <option value="">Unassigned</option>
+              {team.map(member => (
+                <option key={member.id} value={member.id}>{member.name}</option>
+              ))}
+              {prospect.owner_id && !team.some(m => m.id === prospect.owner_id) && (
+                <option value={prospect.owner_id}>{prospect.owner_name || 'Inactive user'}</option>
+              )}
+            </select>
+          </div>
+        </div>
         <div className="flex flex-wrap gap-2">
           {stages.map((stage) => (
             <button
               key={stage.key}
               onClick={() => handleStageChange(stage.key)}
+              disabled={prospect.stage === stage.key || stageMutation.isPending}
+              title={prospect.stage === stage.key || !currentStage?.transitions || currentStage.transitions.includes(stage.key) ? undefined : 'Not a usual next step (admins can override)'}
               className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
                 prospect.stage === stage.key
                   ? `bg-${stage.color}-500/20 text-${stage.color}-400 border border-${stage.color}-500/50`
@@ -230,6 +340,16 @@ function ProspectDetail() {
             </div>
           </div>
 
+          <ContactsSection
+            prospectId={prospect.id}
+            contacts={contacts}
+            onChange={() => {
+              queryClient.invalidateQueries({ queryKey: ['contacts', id] });
+              queryClient.invalidateQueries({ queryKey: ['prospect', id] });
+              queryClient.invalidateQueries({ queryKey: ['activities', id] });
+            }}
+          />
+
           {prospect.notes && (
             <div className="bg-dark-800 rounded-xl border border-dark-600 p-5">
               <h2 className="text-lg font-semibold text-white mb-3">Notes</h2>
@@ -237,6 +357,21 @@ function ProspectDetail() {
             </div>
           )}
 
+          {/* Columns brought in by a CSV import that have no field of their own */}
+          {prospect.custom_fields && Object.keys(prospect.custom_fields).length > 0 && (
+            <div className="bg-dark-800 rounded-xl border border-dark-600 p-5">
+              <h2 className="text-lg font-semibold text-white mb-3">Other Details</h2>
+              <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3">
+                {Object.entries(prospect.custom_fields).map(([name, value]) => (
+                  <div key={name}>
+                    <dt className="text-xs text-gray-500">{name}</dt>
+                    <dd className="text-gray-300 break-words">{value}</dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+          )}
+
           {/* Website Analysis Section */}
           {prospect.website_url && (
             <WebsiteAnalysisSection
@@ -267,6 +402,19 @@ function ProspectDetail() {
             </div>
           </div>
 
+          <DealSection
+            key={`${prospect.deal_value}-${prospect.expected_close_date}`}
+            prospect={prospect}
+            stage={currentStage}
+            onSave={(updates) => updateMutation.mutate(updates)}
+            isSaving={updateMutation.isPending}
+          />
+
+          <LeadScoreSection
+            prospect={prospect}
+            onRescored={() => queryClient.invalidateQueries({ queryKey: ['prospect', id] })}
+          />
+
           {/* AI Agent Controls */}
           <div className="bg-dark-800 rounded-xl border border-dark-600 p-5">
             <h2 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
@@ -293,24 +441,65 @@ function ProspectDetail() {
               </button>
             </div>
 
+            {/* Recipient Send Window */}
+            {sendWindow && (
+              <div className="py-3 border-b border-dark-600">
+                <div className="text-xs text-gray-400 mb-1">Recipient Local Time</div>
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-white">{sendWindow.localTime}</span>
+                  <span className="text-xs text-gray-500">{sendWindow.timezone}</span>
+                </div>
+                <div className={`text-xs mt-1 ${sendWindow.isOpen ? 'text-emerald-400' : 'text-amber-400'}`}>
+                  {sendWindow.isOpen
+                    ? 'Inside send window'
+                    : `Emails held until ${new Date(sendWindow.nextAllowedAt).toLocaleString()}`}
+                </div>
+              </div>
+            )}
+
+            {/* Sequence Assignment */}
+            <div className="py-3 border-b border-dark-600">
+              <div className="text-xs text-gray-400 mb-1">Follow-up Sequence</div>
+              <select
+                value={prospect.sequence_id || ''}
+                onChange={(e) => assignSequenceMutation.mutate(e.target.value ? parseInt(e.target.value) : null)}
+                disabled={assignSequenceMutation.isPending}
+                className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white text-sm focus:outline-none focus:border-cyan-500"
+              >
+                <option value="">Automatic (segment / default)</option>
+                {sequences.filter(s => s.is_active).map((s) => (
+                  <option key={s.id} value={s.id}>{s.name}</option>
+                ))}
+              </select>
+            </div>
+
             {/* Follow-up Sequence Status */}
             {followUpSequence && (
               <div className="py-3 border-b border-dark-600">
-                <div className="text-xs text-gray-400 mb-1">Follow-up Progress</div>
+                <div className="text-xs text-gray-400 mb-1">
+                  Follow-up Progress
+                  {followUpSequence.sequence_name && <> • {followUpSequence.sequence_name}</>}
+                </div>
                 <div className="flex items-center gap-2">
                   <div className="flex-1 h-2 bg-dark-600 rounded-full overflow-hidden">
                     <div 
                       className="h-full bg-cyan-500 transition-all"
-                      style={{ width: `${(followUpSequence.sequence_step / followUpSequence.max_steps) * 100}%` }}
+                      style={{ width: `${followUpSequence.max_steps ? Math.min(100, (followUpSequence.sequence_step / followUpSequence.max_steps) * 100) : 0}%` }}
                     />
                   </div>
                   <span className="text-xs text-gray-400">
                     {followUpSequence.sequence_step}/{followUpSequence.max_steps}
                   </span>
                 </div>
-                {followUpSequence.next_send_at && !followUpSequence.is_paused && (
+                {followUpSequence.completed_at && (
+                  <div className="text-xs text-gray-500 mt-1">Sequence completed</div>
+                )}
+                {followUpSequence.next_send_at && !followUpSequence.is_paused && !followUpSequence.completed_at && (
                   <div className="text-xs text-gray-500 mt-1">
-                    Next follow-up: {new Date(followUpSequence.next_send_at).toLocaleDateString()}
+                    Next step: {new Date(followUpSequence.next_send_at).toLocaleDateString()}
+                    {followUpSequence.steps?.[followUpSequence.current_step] && (
+                      <> ({followUpSequence.steps[followUpSequence.current_step].type})</>
+                    )}
                   </div>
                 )}
                 {followUpSequence.is_paused && (
@@ -365,7 +554,10 @@ function ProspectDetail() {
                     <Clock className="w-4 h-4 text-gray-500 mt-0.5 flex-shrink-0" />
                     <div>
                       <p className="text-gray-300">{activity.description}</p>
-                      <p className="text-xs text-gray-500 mt-1">{new Date(activity.created_at).toLocaleString()}</p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {new Date(activity.created_at).toLocaleString()}
+                        {activity.user_name && ` • ${activity.user_name}`}
+                      </p>
                     </div>
                   </div>
                 ))}
@@ -381,6 +573,7 @@ function ProspectDetail() {
       {showEmailModal && (
         <EmailModal
           prospect={prospect}
+          contacts={contacts}
           onClose={() => setShowEmailModal(false)}
           onSuccess={() => {
             queryClient.invalidateQueries({ queryKey: ['activities', id] });
@@ -424,7 +617,10 @@ function InfoRow({ icon: Icon, label, children }) {
   );
 }
 
-function EmailModal({ prospect, onClose, onSuccess }) {
+function EmailModal({ prospect, contacts, onClose, onSuccess }) {
+  // Contacts we can write to; the primary one is listed first and picked by default
+  const recipients = contacts.filter(c => c.email && c.verification_status !== 'invalid');
+  const [contactId, setContactId] = useState(recipients[0]?.id || '');
   const [selectedTemplate, setSelectedTemplate] = useState('');
   const [subject, setSubject] = useState('');
   const [body, setBody] = useState('');
@@ -435,27 +631,35 @@ function EmailModal({ prospect, onClose, onSuccess }) {
   });
 
   const sendMutation = useMutation({
-    mutationFn: () => campaignsApi.send(prospect.id, selectedTemplate || null, subject, body),
+    mutationFn: () => campaignsApi.send({ prospectId: prospect.id, contactId: contactId || null, templateId: selectedTemplate || null, customSubject: subject, customBody: body }),
     onSuccess: () => { onSuccess(); onClose(); },
+    onError: (err) => alert(err.message),
   });
 
+  const loadPreview = async (templateId, recipientId) => {
+    if (!templateId) return;
+    try {
+      const preview = await templatesApi.preview(templateId, prospect.id, recipientId || null);
+      setSubject(preview.subject);
+      setBody(preview.body);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
   const handleTemplateChange = (templateId) => {
     setSelectedTemplate(templateId);
-    const template = templates.find(t => t.id === parseInt(templateId));
-    if (template) {
-      let newSubject = template.subject || '';
-      let newBody = template.body || '';
-      const vars = { business_name: prospect.business_name, city: prospect.city, state: prospect.state, industry: prospect.category, owner_name: 'there' };
-      Object.entries(vars).forEach(([k, v]) => {
-        const regex = new RegExp(`{{${k}}}`, 'g');
-        newSubject = newSubject.replace(regex, v || '');
-        newBody = newBody.replace(regex, v || '');
-      });
-      setSubject(newSubject);
-      setBody(newBody);
-    }
+    loadPreview(templateId, contactId);
+  };
+
+  // The greeting depends on who it goes to
+  const handleContactChange = (recipientId) => {
+    setContactId(recipientId);
+    loadPreview(selectedTemplate, recipientId);
   };
 
+  const hasEmail = recipients.length > 0 || !!prospect.email;
+
   return (
     <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
       <div className="bg-dark-800 rounded-xl border border-dark-600 w-full max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
@@ -464,7 +668,7 @@ function EmailModal({ prospect, onClose, onSuccess }) {
           <button onClick={onClose} className="p-2 rounded-lg hover:bg-dark-700 text-gray-400"><X className="w-5 h-5" /></button>
         </div>
         <div className="flex-1 overflow-y-auto p-5 space-y-4">
-          {!prospect.email && (
+          {!hasEmail && (
             <div className="p-4 bg-amber-500/10 border border-amber-500/30 rounded-lg text-amber-400 text-sm">
               This prospect doesn't have an email address. Add one first to send emails.
             </div>
@@ -478,7 +682,17 @@ function EmailModal({ prospect, onClose, onSuccess }) {
           </div>
           <div>
             <label className="block text-sm text-gray-400 mb-2">To</label>
-            <input type="text" value={prospect.email || 'No email address'} disabled className="w-full px-4 py-3 bg-dark-700 border border-dark-600 rounded-lg text-gray-500" />
+            {recipients.length > 0 ? (
+              <select value={contactId} onChange={(e) => handleContactChange(e.target.value)} className="w-full px-4 py-3 bg-dark-700 border border-dark-600 rounded-lg text-white">
+                {recipients.map((c) => (
+                  <option key={c.id} value={c.id}>
+                    {c.name ? `${c.name}${c.title ? ` (${c.title})` : ''} <${c.email}>` : c.email}{c.is_primary ? ' - primary' : ''}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input type="text" value={prospect.email || 'No email address'} disabled className="w-full px-4 py-3 bg-dark-700 border border-dark-600 rounded-lg text-gray-500" />
+            )}
           </div>
           <div>
             <label className="block text-sm text-gray-400 mb-2">Subject</label>
@@ -491,7 +705,7 @@ function EmailModal({ prospect, onClose, onSuccess }) {
         </div>
         <div className="flex items-center justify-end gap-3 p-5 border-t border-dark-600">
           <button onClick={onClose} className="px-4 py-2 text-gray-400 hover:text-white">Cancel</button>
-          <button onClick={() => sendMutation.mutate()} disabled={!prospect.email || !subject || !body || sendMutation.isPending} className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg disabled:opacity-50">
+          <button onClick={() => sendMutation.mutate()} disabled={!hasEmail || !subject || !body || sendMutation.isPending} className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg disabled:opacity-50">
             <Send className="w-4 h-4" /> {sendMutation.isPending ? 'Sending...' : 'Send Email'}
           </button>
         </div>
@@ -555,6 +769,313 @@ function EditModal({ prospect, onClose, onSave, isSaving }) {
   );
 }
 
+const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+
+function DealSection({ prospect, stage, onSave, isSaving }) {
+  const [value, setValue] = useState(prospect.deal_value ?? '');
+  const [closeDate, setCloseDate] = useState(prospect.expected_close_date || '');
+  const estimate = prospect.deal_estimate;
+  const probability = stage?.probability ?? 0;
+  const changed = String(value) !== String(prospect.deal_value ?? '') || closeDate !== (prospect.expected_close_date || '');
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-5">
+      <h2 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+        <DollarSign className="w-5 h-5 text-emerald-500" /> Deal
+      </h2>
+      <div className="space-y-3">
+        <div>
+          <label className="flex items-center gap-2 text-sm text-gray-400 mb-1">
+            Value
+            {prospect.deal_value_source === 'estimate' && (
+              <span className="px-2 py-0.5 rounded text-xs bg-violet-500/20 text-violet-400">estimated</span>
+            )}
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="100"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder="0"
+            className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-cyan-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">Expected close date</label>
+          <input
+            type="date"
+            value={closeDate}
+            onChange={(e) => setCloseDate(e.target.value)}
+            className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-cyan-500"
+          />
+        </div>
+        {prospect.deal_value > 0 && stage && (
+          <div className="text-sm text-gray-400">
+            {stage.label} closes {probability}% of the time: <span className="text-white">{currency.format(prospect.deal_value * probability / 100)}</span> weighted
+          </div>
+        )}
+        {estimate && prospect.deal_value_source !== 'estimate' && estimate.value !== prospect.deal_value && (
+          <div className="p-3 bg-violet-500/10 border border-violet-500/30 rounded-lg text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-violet-300">Website analysis suggests {currency.format(estimate.value)}</span>
+              <button onClick={() => setValue(estimate.value)} className="text-violet-400 hover:text-violet-300 text-xs font-medium">
+                Use estimate
+              </button>
+            </div>
+            <div className="text-xs text-gray-500 mt-1">
+              {estimate.breakdown.map(item => `${item.title} ${currency.format(item.amount)}`).join(' · ')}
+            </div>
+          </div>
+        )}
+        {changed && (
+          <button
+            onClick={() => onSave({ deal_value: value === '' ? null : Number(value), expected_close_date: closeDate || null })}
+            disabled={isSaving}
+            className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" /> Save Deal
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function LeadScoreSection({ prospect, onRescored }) {
+  const rescoreMutation = useMutation({
+    mutationFn: () => scoringApi.recompute(prospect.id),
+    onSuccess: onRescored,
+    onError: (err) => alert(err.message),
+  });
+
+  const score = prospect.lead_score;
+  const tier = score >= 70
+    ? { label: 'Hot', className: 'text-emerald-400' }
+    : score >= 40
+      ? { label: 'Warm', className: 'text-amber-400' }
+      : { label: 'Cold', className: 'text-gray-400' };
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-5">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+          <Gauge className="w-5 h-5 text-cyan-500" /> Lead Score
+        </h2>
+        <button
+          onClick={() => rescoreMutation.mutate()}
+          disabled={rescoreMutation.isPending}
+          title="Rescore"
+          className="p-1.5 rounded hover:bg-dark-600 text-gray-400 hover:text-white disabled:opacity-50"
+        >
+          <RefreshCw className={`w-4 h-4 ${rescoreMutation.isPending ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {score === null ? (
+        <p className="text-sm text-gray-500">Not scored yet.</p>
+      ) : (
+        <>
+          <div className="flex items-baseline gap-2 mb-4">
+            <span className={`text-4xl font-bold ${tier.className}`}>{score}</span>
+            <span className="text-sm text-gray-500">/ 100 · {tier.label}</span>
+          </div>
+          <div className="space-y-4">
+            {(prospect.lead_score_breakdown || []).map((group) => (
+              <div key={group.key}>
+                <div className="flex items-center justify-between text-sm mb-1">
+                  <span className="text-gray-300">{group.label}</span>
+                  <span className="text-white">{group.points}<span className="text-gray-500"> / {group.weight}</span></span>
+                </div>
+                <div className="h-1.5 bg-dark-700 rounded-full overflow-hidden mb-1.5">
+                  <div
+                    className="h-full bg-cyan-500 rounded-full"
+                    style={{ width: `${group.weight ? (group.points / group.weight) * 100 : 0}%` }}
+                  />
+                </div>
+                <div className="space-y-0.5">
+                  {group.factors.map((factor) => (
+                    <div key={factor.key} className="flex items-center justify-between text-xs">
+                      <span className="text-gray-500">{factor.label}</span>
+                      <span className={factor.score === null ? 'text-gray-600' : factor.score >= 0.5 ? 'text-gray-300' : 'text-gray-500'}>
+                        {factor.detail}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function ContactsSection({ prospectId, contacts, onChange }) {
+  const [editing, setEditing] = useState(null);
+
+  const saveMutation = useMutation({
+    mutationFn: (form) => (editing?.id ? contactsApi.update(editing.id, form) : contactsApi.create(prospectId, form)),
+    onSuccess: () => { onChange(); setEditing(null); },
+    onError: (err) => alert(err.message),
+  });
+
+  const primaryMutation = useMutation({
+    mutationFn: (contactId) => contactsApi.setPrimary(contactId),
+    onSuccess: onChange,
+    onError: (err) => alert(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (contactId) => contactsApi.delete(contactId),
+    onSuccess: onChange,
+    onError: (err) => alert(err.message),
+  });
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-5">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+          <Users className="w-5 h-5 text-cyan-500" /> Contacts
+        </h2>
+        <button onClick={() => setEditing({})} className="flex items-center gap-1 px-3 py-1.5 bg-dark-700 hover:bg-dark-600 rounded-lg text-sm text-gray-300 transition-colors">
+          <Plus className="w-4 h-4" /> Add Contact
+        </button>
+      </div>
+
+      {contacts.length === 0 ? (
+        <p className="text-sm text-gray-500">No contacts yet. Enrichment adds the people it finds on the website and through Hunter.io.</p>
+      ) : (
+        <div className="space-y-3">
+          {contacts.map((contact) => {
+            const role = contactRoles.find(r => r.key === contact.role) || contactRoles[3];
+            return (
+              <div key={contact.id} className="flex items-start justify-between gap-3 p-3 bg-dark-700/50 rounded-lg">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <span className="text-white font-medium">{contact.name || contact.email || contact.phone}</span>
+                    {contact.title && <span className="text-sm text-gray-400">{contact.title}</span>}
+                    <span className={`px-2 py-0.5 rounded text-xs bg-${role.color}-500/20 text-${role.color}-400`}>{role.label}</span>
+                    {contact.is_primary && (
+                      <span className="flex items-center gap-1 text-xs text-amber-400"><Star className="w-3 h-3 fill-amber-400" /> Primary</span>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-4 flex-wrap mt-1 text-sm">
+                    {contact.email && (
+                      <a href={`mailto:${contact.email}`} className="flex items-center gap-1 text-cyan-400 hover:text-cyan-300">
+                        <Mail className="w-3 h-3" /> {contact.email}
+                      </a>
+                    )}
+                    {contact.phone && (
+                      <a href={`tel:${contact.phone}`} className="flex items-center gap-1 text-cyan-400 hover:text-cyan-300">
+                        <Phone className="w-3 h-3" /> {contact.phone}
+                      </a>
+                    )}
+                    {contact.linkedin_url && (
+                      <a href={contact.linkedin_url} target="_blank" rel="noopener noreferrer" className="flex items-center gap-1 text-cyan-400 hover:text-cyan-300">
+                        <Linkedin className="w-3 h-3" /> LinkedIn
+                      </a>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {contact.email && <span className={verificationStyles[contact.verification_status]}>{contact.verification_status}</span>}
+                    {contact.email && ' · '}from {contact.source}
+                  </div>
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  {!contact.is_primary && (
+                    <button onClick={() => primaryMutation.mutate(contact.id)} title="Make primary" className="p-1.5 rounded hover:bg-dark-600 text-gray-400 hover:text-amber-400">
+                      <Star className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button onClick={() => setEditing(contact)} title="Edit" className="p-1.5 rounded hover:bg-dark-600 text-gray-400 hover:text-white">
+                    <Edit2 className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => confirm(`Delete ${contact.name || contact.email || 'this contact'}?`) && deleteMutation.mutate(contact.id)}
+                    title="Delete"
+                    className="p-1.5 rounded hover:bg-dark-600 text-gray-400 hover:text-red-400"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {editing && (
+        <ContactModal
+          contact={editing}
+          onClose={() => setEditing(null)}
+          onSave={(form) => saveMutation.mutate(form)}
+          isSaving={saveMutation.isPending}
+        />
+      )}
+    </div>
+  );
+}
+
+function ContactModal({ contact, onClose, onSave, isSaving }) {
+  const [form, setForm] = useState({
+    name: contact.name || '',
+    title: contact.title || '',
+    role: contact.role || 'owner',
+    email: contact.email || '',
+    phone: contact.phone || '',
+    linkedin_url: contact.linkedin_url || '',
+    verification_status: contact.verification_status || 'unverified',
+    is_primary: !!contact.is_primary,
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+      <div className="bg-dark-800 rounded-xl border border-dark-600 w-full max-w-lg max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="flex items-center justify-between p-5 border-b border-dark-600">
+          <h2 className="text-xl font-semibold text-white">{contact.id ? 'Edit Contact' : 'Add Contact'}</h2>
+          <button onClick={onClose} className="p-2 rounded-lg hover:bg-dark-700 text-gray-400"><X className="w-5 h-5" /></button>
+        </div>
+        <div className="flex-1 overflow-y-auto p-5 space-y-4">
+          {[['name', 'Name'], ['title', 'Title'], ['email', 'Email'], ['phone', 'Phone'], ['linkedin_url', 'LinkedIn URL']].map(([key, label]) => (
+            <div key={key}>
+              <label className="block text-sm text-gray-400 mb-2">{label}</label>
+              <input type="text" value={form[key]} onChange={(e) => setForm({ ...form, [key]: e.target.value })} className="w-full px-4 py-3 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-cyan-500" />
+            </div>
+          ))}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Role</label>
+              <select value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })} className="w-full px-4 py-3 bg-dark-700 border border-dark-600 rounded-lg text-white">
+                {contactRoles.map((role) => <option key={role.key} value={role.key}>{role.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Email status</label>
+              <select value={form.verification_status} onChange={(e) => setForm({ ...form, verification_status: e.target.value })} className="w-full px-4 py-3 bg-dark-700 border border-dark-600 rounded-lg text-white">
+                {Object.keys(verificationStyles).map((status) => <option key={status} value={status}>{status}</option>)}
+              </select>
+            </div>
+          </div>
+          {!contact.is_primary && (
+            <label className="flex items-center gap-2 text-sm text-gray-300">
+              <input type="checkbox" checked={form.is_primary} onChange={(e) => setForm({ ...form, is_primary: e.target.checked })} />
+              Primary contact (emails go here unless a campaign picks someone else)
+            </label>
+          )}
+        </div>
+        <div className="flex items-center justify-end gap-3 p-5 border-t border-dark-600">
+          <button onClick={onClose} className="px-4 py-2 text-gray-400 hover:text-white">Cancel</button>
+          <button onClick={() => onSave(form)} disabled={isSaving} className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg disabled:opacity-50">
+            <Save className="w-4 h-4" /> {isSaving ? 'Saving...' : 'Save Contact'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function WebsiteAnalysisSection({ analysis, isLoading, onAnalyze, isAnalyzing }) {
   const [isExpanded, setIsExpanded] = useState(true);
 
@@ -0,0 +1,690 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  Workflow,
+  Mail,
+  Clock,
+  ClipboardList,
+  GitBranch,
+  Plus,
+  Edit2,
+  Trash2,
+  X,
+  Save,
+  ChevronUp,
+  ChevronDown,
+  Star,
+} from 'lucide-react';
+import { sequencesApi, templatesApi } from '../services/api';
+
+const stepTypes = [
+  { key: 'email', label: 'Send Email', icon: Mail, color: 'cyan' },
+  { key: 'wait', label: 'Wait', icon: Clock, color: 'amber' },
+  { key: 'task', label: 'Manual Task', icon: ClipboardList, color: 'violet' },
+  { key: 'branch', label: 'Branch', icon: GitBranch, color: 'emerald' },
+];
+
+const colorClasses = {
+  cyan: 'bg-cyan-500/10 text-cyan-400 border-cyan-500/30',
+  amber: 'bg-amber-500/10 text-amber-400 border-amber-500/30',
+  violet: 'bg-violet-500/10 text-violet-400 border-violet-500/30',
+  emerald: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30',
+};
+
+const defaultConfigs = {
+  email: { mode: 'llm' },
+  wait: { businessDays: 3 },
+  task: { title: '', description: '' },
+  branch: { condition: 'opened', thenStep: null, elseStep: null },
+};
+
+const segmentFields = [
+  { key: 'categories', label: 'Categories', placeholder: 'restaurant, cafe' },
+  { key: 'states', label: 'States', placeholder: 'NJ, NY' },
+  { key: 'cities', label: 'Cities', placeholder: 'Hoboken' },
+  { key: 'sources', label: 'Sources', placeholder: 'yelp, google' },
+];
+
+const weekdayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function describeTarget(target) {
+  if (target === 'end') return 'end sequence';
+  if (Number.isInteger(target)) return `step ${target + 1}`;
+  return 'next step';
+}
+
+function describeStep(step, templates = []) {
+  const config = step.config || {};
+  switch (step.type) {
+    case 'email':
+      if (config.mode === 'template') {
+        const template = templates.find(t => t.id === config.templateId);
+        return `Email: ${template?.name || 'template'}`;
+      }
+      return 'Email: AI-written follow-up';
+    case 'wait':
+      return `Wait ${config.businessDays} business day${config.businessDays === 1 ? '' : 's'}`;
+    case 'task':
+      return `Task: ${config.title}`;
+    case 'branch':
+      return `If ${config.condition} → ${describeTarget(config.thenStep)}, else → ${describeTarget(config.elseStep)}`;
+    default:
+      return step.type;
+  }
+}
+
+function Sequences() {
+  const [editingSequence, setEditingSequence] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: sequences = [], isLoading } = useQuery({
+    queryKey: ['sequences'],
+    queryFn: sequencesApi.getAll,
+  });
+
+  const { data: templates = [] } = useQuery({
+    queryKey: ['templates'],
+    queryFn: () => templatesApi.getAll(),
+  });
+
+  const closeModal = () => {
+    setIsCreating(false);
+    setEditingSequence(null);
+    setError(null);
+  };
+
+  const createMutation = useMutation({
+    mutationFn: (sequence) => sequencesApi.create(sequence),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sequences'] });
+      closeModal();
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, ...updates }) => sequencesApi.update(id, updates),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sequences'] });
+      closeModal();
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => sequencesApi.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sequences'] });
+    },
+    onError: (err) => alert(err.message),
+  });
+
+  const handleDelete = (sequence) => {
+    if (confirm(`Delete the "${sequence.name}" sequence? Prospects running it will switch to the default sequence.`)) {
+      deleteMutation.mutate(sequence.id);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="w-8 h-8 border-2 border-cyan-500 border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-display font-bold text-white">Follow-up Sequences</h1>
+          <p className="text-gray-400 mt-1">Build cadences of emails, waits, manual tasks and branches</p>
+        </div>
+
+        <button
+          onClick={() => setIsCreating(true)}
+          className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg transition-colors"
+        >
+          <Plus className="w-5 h-5" />
+          New Sequence
+        </button>
+      </div>
+
+      {/* How assignment works */}
+      <div className="bg-dark-800 rounded-lg border border-dark-600 p-4">
+        <p className="text-sm text-gray-400">
+          <span className="text-gray-300 font-medium">Assignment: </span>
+          a sequence chosen on the prospect wins, then the highest-priority sequence whose segment matches,
+          then the default sequence. Waits count business days (Mon–Fri, skipping configured holidays).
+        </p>
+      </div>
+
+      {/* Sequences List */}
+      <div className="space-y-4">
+        {sequences.map((sequence) => (
+          <SequenceCard
+            key={sequence.id}
+            sequence={sequence}
+            templates={templates}
+            onEdit={() => setEditingSequence(sequence)}
+            onDelete={() => handleDelete(sequence)}
+          />
+        ))}
+
+        {sequences.length === 0 && (
+          <div className="text-center py-12 text-gray-500">
+            <Workflow className="w-12 h-12 mx-auto mb-3 opacity-50" />
+            <p>No sequences yet</p>
+            <button
+              onClick={() => setIsCreating(true)}
+              className="text-cyan-400 hover:text-cyan-300 mt-2"
+            >
+              Create your first sequence
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Create/Edit Modal */}
+      {(isCreating || editingSequence) && (
+        <SequenceModal
+          sequence={editingSequence}
+          templates={templates}
+          error={error}
+          onClose={closeModal}
+          onSave={(data) => {
+            if (editingSequence) {
+              updateMutation.mutate({ id: editingSequence.id, ...data });
+            } else {
+              createMutation.mutate(data);
+            }
+          }}
+          isSaving={createMutation.isPending || updateMutation.isPending}
+        />
+      )}
+    </div>
+  );
+}
+
+function SequenceCard({ sequence, templates, onEdit, onDelete }) {
+  const segmentSummary = segmentFields
+    .filter(f => sequence.segment?.[f.key]?.length)
+    .map(f => `${f.label}: ${sequence.segment[f.key].join(', ')}`)
+    .join(' • ');
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 overflow-hidden hover:border-dark-500 transition-all">
+      <div className="p-5">
+        <div className="flex items-start justify-between mb-4">
+          <div className="flex items-center gap-3">
+            <div className={`w-10 h-10 rounded-lg ${colorClasses.cyan} border flex items-center justify-center`}>
+              <Workflow className="w-5 h-5" />
+            </div>
+            <div>
+              <div className="flex items-center gap-2">
+                <h3 className="font-medium text-white">{sequence.name}</h3>
+                {sequence.is_default === 1 && (
+                  <span className="flex items-center gap-1 px-2 py-0.5 text-xs rounded-full bg-amber-500/10 text-amber-400">
+                    <Star className="w-3 h-3" /> Default
+                  </span>
+                )}
+                {sequence.is_active === 0 && (
+                  <span className="px-2 py-0.5 text-xs rounded-full bg-dark-600 text-gray-400">Inactive</span>
+                )}
+              </div>
+              <p className="text-sm text-gray-500 mt-0.5">
+                {segmentSummary || sequence.description || 'No segment rules'}
+                {' • '}{sequence.active_enrollments} running
+                {sequence.assigned_prospects > 0 && <> • {sequence.assigned_prospects} assigned</>}
+                {sequence.send_window && (
+                  <> • sends {sequence.send_window.start || 'start'}–{sequence.send_window.end || 'end'}
+                    {sequence.send_window.days?.length > 0 && ` ${sequence.send_window.days.map(d => weekdayLabels[d]).join('/')}`}</>
+                )}
+              </p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={onEdit}
+              className="p-2 rounded-lg hover:bg-dark-700 transition-colors text-gray-400 hover:text-white"
+            >
+              <Edit2 className="w-4 h-4" />
+            </button>
+            <button
+              onClick={onDelete}
+              className="p-2 rounded-lg hover:bg-dark-700 transition-colors text-gray-400 hover:text-red-400"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {sequence.steps.map((step, index) => {
+            const typeInfo = stepTypes.find(t => t.key === step.type);
+            const Icon = typeInfo?.icon || Mail;
+            return (
+              <div
+                key={step.id}
+                className={`flex items-center gap-2 px-3 py-1.5 rounded-lg border text-xs ${colorClasses[typeInfo?.color || 'cyan']}`}
+              >
+                <span className="opacity-60">{index + 1}</span>
+                <Icon className="w-3.5 h-3.5" />
+                {describeStep(step, templates)}
+              </div>
+            );
+          })}
+          <span className="text-xs text-gray-500">
+            → {sequence.on_complete === 'lost' ? 'move to lost' : 'stop'}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SequenceModal({ sequence, templates, error, onClose, onSave, isSaving }) {
+  const [formData, setFormData] = useState({
+    name: sequence?.name || '',
+    description: sequence?.description || '',
+    priority: sequence?.priority || 0,
+    isDefault: sequence?.is_default === 1,
+    isActive: sequence ? sequence.is_active === 1 : true,
+    onComplete: sequence?.on_complete || 'lost',
+  });
+  const [segment, setSegment] = useState(
+    Object.fromEntries(segmentFields.map(f => [f.key, (sequence?.segment?.[f.key] || []).join(', ')]))
+  );
+  const [sendWindow, setSendWindow] = useState({
+    start: sequence?.send_window?.start || '',
+    end: sequence?.send_window?.end || '',
+    days: sequence?.send_window?.days || [],
+  });
+  const [steps, setSteps] = useState(
+    sequence?.steps?.map(s => ({ type: s.type, config: s.config })) || [
+      { type: 'wait', config: { businessDays: 3 } },
+      { type: 'email', config: { mode: 'llm' } },
+    ]
+  );
+
+  const emailTemplates = templates.filter(t => t.type === 'email');
+
+  const updateStep = (index, changes) => {
+    setSteps(steps.map((step, i) => (i === index ? { ...step, ...changes } : step)));
+  };
+
+  const updateConfig = (index, changes) => {
+    updateStep(index, { config: { ...steps[index].config, ...changes } });
+  };
+
+  // Moving or removing steps shifts indexes, so branch targets are remapped
+  const remapTargets = (list, mapIndex) =>
+    list.map(step => {
+      if (step.type !== 'branch') return step;
+      const remap = (t) => (Number.isInteger(t) ? mapIndex(t) : t);
+      return { ...step, config: { ...step.config, thenStep: remap(step.config.thenStep), elseStep: remap(step.config.elseStep) } };
+    });
+
+  const moveStep = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= steps.length) return;
+    const next = [...steps];
+    [next[index], next[target]] = [next[target], next[index]];
+    setSteps(remapTargets(next, (t) => (t === index ? target : t === target ? index : t)));
+  };
+
+  const removeStep = (index) => {
+    const next = steps.filter((_, i) => i !== index);
+    setSteps(remapTargets(next, (t) => (t === index ? null : t > index ? t - 1 : t)));
+  };
+
+  const addStep = (type) => {
+    setSteps([...steps, { type, config: { ...defaultConfigs[type] } }]);
+  };
+
+  const parseTarget = (value) => {
+    if (value === '') return null;
+    if (value === 'end') return 'end';
+    return parseInt(value);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.name) {
+      alert('Name is required');
+      return;
+    }
+
+    const segmentData = Object.fromEntries(
+      Object.entries(segment)
+        .map(([key, value]) => [key, value.split(',').map(v => v.trim()).filter(Boolean)])
+        .filter(([, values]) => values.length > 0)
+    );
+
+    const hasWindow = sendWindow.start || sendWindow.end || sendWindow.days.length > 0;
+
+    onSave({
+      ...formData,
+      priority: parseInt(formData.priority) || 0,
+      segment: Object.keys(segmentData).length > 0 ? segmentData : null,
+      sendWindow: hasWindow ? sendWindow : null,
+      steps,
+    });
+  };
+
+  const inputClass = 'w-full px-4 py-3 bg-dark-700 border border-dark-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500';
+  const smallInputClass = 'px-3 py-2 bg-dark-800 border border-dark-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:border-cyan-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+      <div className="bg-dark-800 rounded-xl border border-dark-600 w-full max-w-3xl max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-5 border-b border-dark-600">
+          <h2 className="text-xl font-display font-semibold text-white">
+            {sequence ? 'Edit Sequence' : 'New Sequence'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-dark-700 transition-colors text-gray-400"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="flex-1 overflow-y-auto p-5 space-y-5">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Sequence Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                placeholder="e.g., Restaurants - 4 touch"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Description</label>
+              <input
+                type="text"
+                value={formData.description}
+                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          {/* Segment */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-2">Segment (comma-separated, leave empty to assign manually)</label>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {segmentFields.map((field) => (
+                <div key={field.key}>
+                  <div className="text-xs text-gray-500 mb-1">{field.label}</div>
+                  <input
+                    type="text"
+                    value={segment[field.key]}
+                    onChange={(e) => setSegment({ ...segment, [field.key]: e.target.value })}
+                    placeholder={field.placeholder}
+                    className={`${smallInputClass} w-full bg-dark-700`}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 items-end">
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">Priority</label>
+              <input
+                type="number"
+                value={formData.priority}
+                onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-2">When finished</label>
+              <select
+                value={formData.onComplete}
+                onChange={(e) => setFormData({ ...formData, onComplete: e.target.value })}
+                className={inputClass}
+              >
+                <option value="lost">Move to lost</option>
+                <option value="none">Just stop</option>
+              </select>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-300 pb-3">
+              <input
+                type="checkbox"
+                checked={formData.isDefault}
+                onChange={(e) => setFormData({ ...formData, isDefault: e.target.checked })}
+              />
+              Default sequence
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-300 pb-3">
+              <input
+                type="checkbox"
+                checked={formData.isActive}
+                onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+              />
+              Active
+            </label>
+          </div>
+
+          {/* Send Window Override */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-2">Send window (leave empty to use the workspace window)</label>
+            <div className="flex flex-wrap items-center gap-3">
+              <input
+                type="time"
+                value={sendWindow.start}
+                onChange={(e) => setSendWindow({ ...sendWindow, start: e.target.value })}
+                className={`${smallInputClass} bg-dark-700`}
+              />
+              <span className="text-sm text-gray-400">to</span>
+              <input
+                type="time"
+                value={sendWindow.end}
+                onChange={(e) => setSendWindow({ ...sendWindow, end: e.target.value })}
+                className={`${smallInputClass} bg-dark-700`}
+              />
+              <div className="flex gap-1">
+                {weekdayLabels.map((label, day) => (
+                  <button
+                    key={day}
+                    type="button"
+                    onClick={() => setSendWindow({
+                      ...sendWindow,
+                      days: sendWindow.days.includes(day)
+                        ? sendWindow.days.filter(d => d !== day)
+                        : [...sendWindow.days, day].sort(),
+                    })}
+                    className={`px-2 py-1 rounded text-xs border ${
+                      sendWindow.days.includes(day)
+                        ? 'bg-cyan-500/20 text-cyan-400 border-cyan-500/30'
+                        : 'bg-dark-700 text-gray-400 border-dark-600'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {/* Steps */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-2">Steps</label>
+            <div className="space-y-2">
+              {steps.map((step, index) => {
+                const typeInfo = stepTypes.find(t => t.key === step.type);
+                const Icon = typeInfo?.icon || Mail;
+                return (
+                  <div key={index} className="flex items-start gap-3 p-3 bg-dark-700 rounded-lg">
+                    <div className={`w-8 h-8 flex-shrink-0 rounded-lg border flex items-center justify-center ${colorClasses[typeInfo?.color || 'cyan']}`}>
+                      <Icon className="w-4 h-4" />
+                    </div>
+                    <div className="flex-1 flex flex-wrap items-center gap-2">
+                      <span className="text-xs text-gray-500 w-12">Step {index + 1}</span>
+                      <select
+                        value={step.type}
+                        onChange={(e) => updateStep(index, { type: e.target.value, config: { ...defaultConfigs[e.target.value] } })}
+                        className={smallInputClass}
+                      >
+                        {stepTypes.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+                      </select>
+
+                      {step.type === 'email' && (
+                        <>
+                          <select
+                            value={step.config.mode}
+                            onChange={(e) => updateConfig(index, { mode: e.target.value })}
+                            className={smallInputClass}
+                          >
+                            <option value="llm">AI-written</option>
+                            <option value="template">From template</option>
+                          </select>
+                          {step.config.mode === 'template' && (
+                            <select
+                              value={step.config.templateId || ''}
+                              onChange={(e) => updateConfig(index, { templateId: parseInt(e.target.value) || null })}
+                              className={smallInputClass}
+                            >
+                              <option value="">Choose template...</option>
+                              {emailTemplates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                            </select>
+                          )}
+                        </>
+                      )}
+
+                      {step.type === 'wait' && (
+                        <>
+                          <input
+                            type="number"
+                            min={1}
+                            value={step.config.businessDays}
+                            onChange={(e) => updateConfig(index, { businessDays: parseInt(e.target.value) || 1 })}
+                            className={`${smallInputClass} w-20`}
+                          />
+                          <span className="text-sm text-gray-400">business days</span>
+                        </>
+                      )}
+
+                      {step.type === 'task' && (
+                        <>
+                          <input
+                            type="text"
+                            value={step.config.title}
+                            onChange={(e) => updateConfig(index, { title: e.target.value })}
+                            placeholder="e.g., Call the owner"
+                            className={`${smallInputClass} flex-1`}
+                          />
+                          <input
+                            type="text"
+                            value={step.config.description || ''}
+                            onChange={(e) => updateConfig(index, { description: e.target.value })}
+                            placeholder="Notes (optional)"
+                            className={`${smallInputClass} flex-1`}
+                          />
+                        </>
+                      )}
+
+                      {step.type === 'branch' && (
+                        <>
+                          <span className="text-sm text-gray-400">if</span>
+                          <select
+                            value={step.config.condition}
+                            onChange={(e) => updateConfig(index, { condition: e.target.value })}
+                            className={smallInputClass}
+                          >
+                            <option value="opened">opened</option>
+                            <option value="clicked">clicked</option>
+                            <option value="replied">replied</option>
+                          </select>
+                          {['thenStep', 'elseStep'].map((key) => (
+                            <div key={key} className="flex items-center gap-2">
+                              <span className="text-sm text-gray-400">{key === 'thenStep' ? 'go to' : 'else'}</span>
+                              <select
+                                value={step.config[key] ?? ''}
+                                onChange={(e) => updateConfig(index, { [key]: parseTarget(e.target.value) })}
+                                className={smallInputClass}
+                              >
+                                <option value="">next step</option>
+                                {steps.map((_, i) => i !== index && (
+                                  <option key={i} value={i}>step {i + 1}</option>
+                                ))}
+                                <option value="end">end sequence</option>
+                              </select>
+                            </div>
+                          ))}
+                        </>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <button type="button" onClick={() => moveStep(index, -1)} className="p-1 text-gray-400 hover:text-white">
+                        <ChevronUp className="w-4 h-4" />
+                      </button>
+                      <button type="button" onClick={() => moveStep(index, 1)} className="p-1 text-gray-400 hover:text-white">
+                        <ChevronDown className="w-4 h-4" />
+                      </button>
+                      <button type="button" onClick={() => removeStep(index)} className="p-1 text-gray-400 hover:text-red-400">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="flex flex-wrap gap-2 mt-3">
+              {stepTypes.map((type) => (
+                <button
+                  key={type.key}
+                  type="button"
+                  onClick={() => addStep(type.key)}
+                  className={`flex items-center gap-2 px-3 py-1.5 rounded-lg border text-sm ${colorClasses[type.color]}`}
+                >
+                  <Plus className="w-3.5 h-3.5" />
+                  {type.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {error && (
+            <div className="p-3 bg-red-500/10 border border-red-500/30 rounded-lg text-sm text-red-400">
+              {error}
+            </div>
+          )}
+        </form>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end gap-3 p-5 border-t border-dark-600">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-gray-400 hover:text-white transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={isSaving}
+            className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg transition-colors disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" />
+            {isSaving ? 'Saving...' : 'Save Sequence'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Sequences;
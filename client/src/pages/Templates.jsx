@@ -10,7 +10,8 @@ import {
   X,
   Save,
   Copy,
-  Check
+  Check,
+  Filter,
 } from 'lucide-react';
 import { templatesApi } from '../services/api';
 
@@ -20,6 +21,34 @@ const templateTypes = [
   { key: 'linkedin', label: 'LinkedIn', icon: Linkedin, color: 'blue' },
 ];
 
+const opportunityTypes = ['chatbot', 'automation', 'analytics', 'website', 'cloud', 'ai'];
+
+const rangeFields = [
+  { label: 'Rating', min: 'minRating', max: 'maxRating', step: 0.1, placeholder: '0-5' },
+  { label: 'Reviews', min: 'minReviews', max: 'maxReviews', step: 1, placeholder: 'count' },
+  { label: 'Website score', min: 'minWebsiteScore', max: 'maxWebsiteScore', step: 1, placeholder: '1-10' },
+];
+
+/**
+ * One-line summary of a template's selection rule
+ */
+function describeConditions(conditions) {
+  if (!conditions) return null;
+  const parts = [];
+  if (conditions.categories) parts.push(`category: ${conditions.categories.join(', ')}`);
+  if (conditions.sources) parts.push(`source: ${conditions.sources.join(', ')}`);
+  if (conditions.hasWebsite !== undefined) parts.push(conditions.hasWebsite ? 'has website' : 'no website');
+  for (const field of rangeFields) {
+    const min = conditions[field.min];
+    const max = conditions[field.max];
+    if (min !== undefined || max !== undefined) {
+      parts.push(`${field.label.toLowerCase()} ${min !== undefined && max !== undefined ? `${min}-${max}` : min !== undefined ? `≥ ${min}` : `≤ ${max}`}`);
+    }
+  }
+  if (conditions.opportunityTypes) parts.push(`opportunity: ${conditions.opportunityTypes.join(' or ')}`);
+  return parts.join(' • ');
+}
+
 const colorClasses = {
   cyan: 'bg-cyan-500/10 text-cyan-400 border-cyan-500/30',
   violet: 'bg-violet-500/10 text-violet-400 border-violet-500/30',
@@ -37,12 +66,24 @@ function Templates() {
     queryFn: () => templatesApi.getAll(),
   });
 
+  const { data: variables = [] } = useQuery({
+    queryKey: ['templates', 'variables'],
+    queryFn: () => templatesApi.getVariables(),
+    staleTime: Infinity,
+  });
+
+  const variableGroups = variables.reduce((groups, variable) => {
+    (groups[variable.group] = groups[variable.group] || []).push(variable);
+    return groups;
+  }, {});
+
   const createMutation = useMutation({
     mutationFn: (template) => templatesApi.create(template),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['templates'] });
       setIsCreating(false);
     },
+    onError: (err) => alert(err.message),
   });
 
   const updateMutation = useMutation({
@@ -51,6 +92,7 @@ function Templates() {
       queryClient.invalidateQueries({ queryKey: ['templates'] });
       setEditingTemplate(null);
     },
+    onError: (err) => alert(err.message),
   });
 
   const deleteMutation = useMutation({
@@ -117,15 +159,32 @@ function Templates() {
       </div>
 
       {/* Variable Reference */}
-      <div className="bg-dark-800 rounded-lg border border-dark-600 p-4">
+      <div className="bg-dark-800 rounded-lg border border-dark-600 p-4 space-y-2">
+        {Object.entries(variableGroups).map(([group, groupVariables]) => (
+          <p key={group} className="text-sm text-gray-400">
+            <span className="text-gray-300 font-medium">{group}: </span>
+            {groupVariables.map((variable, i) => (
+              <span key={variable.name}>
+                {i > 0 && ', '}
+                <code className="text-cyan-400" title={variable.description}>{`{{${variable.name}}}`}</code>
+              </span>
+            ))}
+          </p>
+        ))}
         <p className="text-sm text-gray-400">
-          <span className="text-gray-300 font-medium">Available variables: </span>
-          <code className="text-cyan-400">{'{{business_name}}'}</code>,{' '}
-          <code className="text-cyan-400">{'{{city}}'}</code>,{' '}
-          <code className="text-cyan-400">{'{{state}}'}</code>,{' '}
-          <code className="text-cyan-400">{'{{industry}}'}</code>,{' '}
-          <code className="text-cyan-400">{'{{owner_name}}'}</code>
+          <span className="text-gray-300 font-medium">Syntax: </span>
+          fallback <code className="text-cyan-400">{'{{owner_name|there}}'}</code>,{' '}
+          conditional <code className="text-cyan-400">{'{{#if website_url}}...{{else}}...{{/if}}'}</code>,{' '}
+          spintax <code className="text-cyan-400">{'{Hi|Hello|Hey}'}</code>.
+          Templates with unknown variables or broken syntax can't be saved.
         </p>
+        {activeType === 'email' && (
+          <p className="text-sm text-gray-400 mt-2">
+            <span className="text-gray-300 font-medium">Selection rules: </span>
+            the Outreach Agent writes from the highest-priority email template whose rule matches the prospect,
+            otherwise from the default template.
+          </p>
+        )}
       </div>
 
       {/* Templates List */}
@@ -205,6 +264,12 @@ function TemplateCard({ template, onEdit, onDelete }) {
                   Subject: {template.subject}
                 </p>
               )}
+              {template.conditions && (
+                <p className="flex items-center gap-1 text-xs text-amber-400 mt-1">
+                  <Filter className="w-3 h-3" />
+                  Rule (priority {template.priority}): {describeConditions(template.conditions)}
+                </p>
+              )}
             </div>
           </div>
           
@@ -247,17 +312,38 @@ function TemplateModal({ template, defaultType, onClose, onSave, isSaving }) {
     type: template?.type || defaultType,
     subject: template?.subject || '',
     body: template?.body || '',
+    priority: template?.priority || 0,
+  });
+  const [conditions, setConditions] = useState({
+    ...template?.conditions,
+    categories: template?.conditions?.categories?.join(', ') || '',
+    sources: template?.conditions?.sources?.join(', ') || '',
+    opportunityTypes: template?.conditions?.opportunityTypes || [],
   });
 
+  const setCondition = (key, value) => setConditions({ ...conditions, [key]: value });
+
+  const toggleOpportunity = (type) => {
+    const types = conditions.opportunityTypes.includes(type)
+      ? conditions.opportunityTypes.filter(t => t !== type)
+      : [...conditions.opportunityTypes, type];
+    setCondition('opportunityTypes', types);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!formData.name || !formData.body) {
       alert('Name and body are required');
       return;
     }
-    onSave(formData);
+    // The server drops empty conditions; a template with none has no rule
+    onSave(formData.type === 'email'
+      ? { ...formData, priority: parseInt(formData.priority) || 0, conditions }
+      : formData);
   };
 
+  const smallInputClass = 'px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:border-cyan-500';
+
   return (
     <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
       <div className="bg-dark-800 rounded-xl border border-dark-600 w-full max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
@@ -329,6 +415,97 @@ function TemplateModal({ template, defaultType, onClose, onSave, isSaving }) {
               className="w-full px-4 py-3 bg-dark-700 border border-dark-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500 resize-none font-mono text-sm"
             />
           </div>
+
+          {formData.type === 'email' && (
+            <div className="space-y-3">
+              <div>
+                <label className="block text-sm text-gray-400">Selection rule</label>
+                <p className="text-xs text-gray-500 mt-1">
+                  When the Outreach Agent should pick this template. Every condition filled in must hold; leave all empty for no rule.
+                </p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <input
+                  type="text"
+                  value={conditions.categories}
+                  onChange={(e) => setCondition('categories', e.target.value)}
+                  placeholder="Categories containing, e.g. restaurant, cafe"
+                  className={smallInputClass}
+                />
+                <input
+                  type="text"
+                  value={conditions.sources}
+                  onChange={(e) => setCondition('sources', e.target.value)}
+                  placeholder="Sources, e.g. yelp, google"
+                  className={smallInputClass}
+                />
+              </div>
+
+              <div className="grid grid-cols-4 gap-3">
+                <select
+                  value={conditions.hasWebsite === undefined ? '' : String(conditions.hasWebsite)}
+                  onChange={(e) => setCondition('hasWebsite', e.target.value === '' ? undefined : e.target.value === 'true')}
+                  className={smallInputClass}
+                >
+                  <option value="">Website: any</option>
+                  <option value="true">Has a website</option>
+                  <option value="false">No website</option>
+                </select>
+                {rangeFields.map((field) => (
+                  <div key={field.min} className="flex items-center gap-1">
+                    <input
+                      type="number"
+                      step={field.step}
+                      value={conditions[field.min] ?? ''}
+                      onChange={(e) => setCondition(field.min, e.target.value)}
+                      placeholder={`${field.label} min`}
+                      title={`${field.label} (${field.placeholder})`}
+                      className={`${smallInputClass} w-full`}
+                    />
+                    <input
+                      type="number"
+                      step={field.step}
+                      value={conditions[field.max] ?? ''}
+                      onChange={(e) => setCondition(field.max, e.target.value)}
+                      placeholder="max"
+                      title={`${field.label} (${field.placeholder})`}
+                      className={`${smallInputClass} w-full`}
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-xs text-gray-500">Website analysis found:</span>
+                {opportunityTypes.map((type) => (
+                  <button
+                    key={type}
+                    type="button"
+                    onClick={() => toggleOpportunity(type)}
+                    className={`px-2 py-1 text-xs rounded-full border transition-colors ${
+                      conditions.opportunityTypes.includes(type)
+                        ? 'border-cyan-500 bg-cyan-500/10 text-cyan-400'
+                        : 'border-dark-600 text-gray-400 hover:border-dark-500'
+                    }`}
+                  >
+                    {type}
+                  </button>
+                ))}
+              </div>
+
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-gray-400">Priority</span>
+                <input
+                  type="number"
+                  value={formData.priority}
+                  onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                  className={`${smallInputClass} w-24`}
+                />
+                <span className="text-xs text-gray-500">higher wins when several rules match</span>
+              </div>
+            </div>
+          )}
         </form>
 
         {/* Footer */}
@@ -0,0 +1,528 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  UserCog,
+  Plus,
+  X,
+  Save,
+  Trash2,
+  KeyRound,
+  History,
+  Shuffle,
+} from 'lucide-react';
+import { usersApi, assignmentApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const roles = [
+  { key: 'admin', label: 'Admin', description: 'Everything, including users and agent settings' },
+  { key: 'rep', label: 'Rep', description: 'Work leads, send email, run sequences' },
+  { key: 'viewer', label: 'Viewer', description: 'Read-only access' },
+];
+
+const assignmentModes = [
+  { key: 'manual', label: 'Manual', description: 'New leads stay unassigned until someone picks an owner' },
+  { key: 'round_robin', label: 'Round-robin', description: 'New leads rotate through the selected reps' },
+  { key: 'rules', label: 'Rules', description: 'First matching rule wins; everything else falls back to round-robin' },
+];
+
+const segmentFields = [
+  { key: 'categories', label: 'Categories', placeholder: 'restaurant, cafe' },
+  { key: 'states', label: 'States', placeholder: 'NJ, NY' },
+  { key: 'cities', label: 'Cities', placeholder: 'Hoboken' },
+  { key: 'sources', label: 'Sources', placeholder: 'yelp, google' },
+];
+
+const roleClasses = {
+  admin: 'bg-violet-500/20 text-violet-400',
+  rep: 'bg-cyan-500/20 text-cyan-400',
+  viewer: 'bg-gray-500/20 text-gray-400',
+};
+
+function Users() {
+  const { user: currentUser } = useAuth();
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: users = [], isLoading } = useQuery({
+    queryKey: ['users'],
+    queryFn: usersApi.getAll,
+  });
+
+  const { data: auditLog = [] } = useQuery({
+    queryKey: ['audit-log'],
+    queryFn: () => usersApi.getAuditLog({ limit: 50 }),
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['users'] });
+    queryClient.invalidateQueries({ queryKey: ['audit-log'] });
+  };
+
+  const createMutation = useMutation({
+    mutationFn: (user) => usersApi.create(user),
+    onSuccess: () => {
+      refresh();
+      setIsCreating(false);
+      setError(null);
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, ...updates }) => usersApi.update(id, updates),
+    onSuccess: refresh,
+    onError: (err) => alert(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => usersApi.delete(id),
+    onSuccess: refresh,
+    onError: (err) => alert(err.message),
+  });
+
+  const handleResetPassword = (user) => {
+    const password = prompt(`New password for ${user.name} (at least 8 characters). They will be signed out everywhere.`);
+    if (password) {
+      updateMutation.mutate({ id: user.id, password });
+    }
+  };
+
+  const handleDelete = (user) => {
+    if (confirm(`Delete ${user.name}? Their past activity stays in the log.`)) {
+      deleteMutation.mutate(user.id);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="w-8 h-8 border-2 border-cyan-500 border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-display font-bold text-white">Users</h1>
+          <p className="text-gray-400 mt-1">Manage team accounts and see who changed what</p>
+        </div>
+
+        <button
+          onClick={() => setIsCreating(true)}
+          className="flex items-center gap-2 px-4 py-2 bg-cyan-500 hover:bg-cyan-400 text-white font-medium rounded-lg transition-colors"
+        >
+          <Plus className="w-5 h-5" />
+          New User
+        </button>
+      </div>
+
+      {/* Users List */}
+      <div className="bg-dark-800 rounded-xl border border-dark-600 divide-y divide-dark-600">
+        {users.map((user) => (
+          <div key={user.id} className="flex items-center justify-between p-4">
+            <div className="flex items-center gap-3">
+              <div className="w-10 h-10 rounded-full bg-dark-700 flex items-center justify-center text-white font-medium">
+                {user.name.charAt(0).toUpperCase()}
+              </div>
+              <div>
+                <div className="text-white font-medium flex items-center gap-2">
+                  {user.name}
+                  {user.id === currentUser.id && <span className="text-xs text-gray-500">(you)</span>}
+                  {!user.is_active && (
+                    <span className="text-xs px-2 py-0.5 rounded bg-red-500/20 text-red-400">Deactivated</span>
+                  )}
+                </div>
+                <div className="text-sm text-gray-400">
+                  {user.email}
+                  {user.last_login_at && ` • Last sign-in ${new Date(`${user.last_login_at}Z`).toLocaleString()}`}
+                </div>
+              </div>
+            </div>
+
+            <div className="flex items-center gap-3">
+              <select
+                value={user.role}
+                onChange={(e) => updateMutation.mutate({ id: user.id, role: e.target.value })}
+                className={`px-2 py-1 rounded text-sm border-0 ${roleClasses[user.role]}`}
+              >
+                {roles.map(r => <option key={r.key} value={r.key}>{r.label}</option>)}
+              </select>
+              <button
+                onClick={() => updateMutation.mutate({ id: user.id, isActive: !user.is_active })}
+                disabled={user.id === currentUser.id}
+                className="text-sm text-gray-400 hover:text-white disabled:opacity-40"
+              >
+                {user.is_active ? 'Deactivate' : 'Reactivate'}
+              </button>
+              <button
+                onClick={() => handleResetPassword(user)}
+                className="p-2 text-gray-400 hover:text-white hover:bg-dark-700 rounded-lg transition-colors"
+                title="Reset password"
+              >
+                <KeyRound className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => handleDelete(user)}
+                disabled={user.id === currentUser.id}
+                className="p-2 text-gray-400 hover:text-red-400 hover:bg-dark-700 rounded-lg transition-colors disabled:opacity-40"
+                title="Delete user"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Lead Assignment */}
+      <AssignmentSettings />
+
+      {/* Audit Log */}
+      <div className="bg-dark-800 rounded-xl border border-dark-600 p-6">
+        <h2 className="text-lg font-display font-semibold text-white mb-4 flex items-center gap-2">
+          <History className="w-5 h-5 text-cyan-500" />
+          Recent Changes
+        </h2>
+        <div className="space-y-2">
+          {auditLog.map((entry) => (
+            <div key={entry.id} className="flex items-center justify-between text-sm py-2 border-b border-dark-600 last:border-0">
+              <div className="flex items-center gap-3">
+                <span className="text-white">{entry.user_name || 'Deleted user'}</span>
+                <span className="font-mono text-xs text-gray-400">{entry.method} {entry.path}</span>
+              </div>
+              <div className="flex items-center gap-3">
+                <span className={`text-xs ${entry.status_code < 400 ? 'text-green-400' : 'text-red-400'}`}>
+                  {entry.status_code}
+                </span>
+                <span className="text-xs text-gray-500">{new Date(`${entry.created_at}Z`).toLocaleString()}</span>
+              </div>
+            </div>
+          ))}
+          {auditLog.length === 0 && (
+            <p className="text-gray-400 text-center py-4">No changes recorded yet</p>
+          )}
+        </div>
+      </div>
+
+      {/* Create Modal */}
+      {isCreating && (
+        <UserModal
+          error={error}
+          onClose={() => {
+            setIsCreating(false);
+            setError(null);
+          }}
+          onSave={(data) => createMutation.mutate(data)}
+          isSaving={createMutation.isPending}
+        />
+      )}
+    </div>
+  );
+}
+
+function AssignmentSettings() {
+  const queryClient = useQueryClient();
+  const [rule, setRule] = useState(null);
+
+  const { data: settings } = useQuery({
+    queryKey: ['assignment-settings'],
+    queryFn: assignmentApi.getSettings,
+  });
+
+  const { data: team = [] } = useQuery({
+    queryKey: ['team'],
+    queryFn: assignmentApi.getTeam,
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['assignment-settings'] });
+
+  const settingsMutation = useMutation({
+    mutationFn: assignmentApi.updateSettings,
+    onSuccess: refresh,
+    onError: (err) => alert(err.message),
+  });
+
+  const createRuleMutation = useMutation({
+    mutationFn: assignmentApi.createRule,
+    onSuccess: () => {
+      refresh();
+      setRule(null);
+    },
+    onError: (err) => alert(err.message),
+  });
+
+  const deleteRuleMutation = useMutation({
+    mutationFn: assignmentApi.deleteRule,
+    onSuccess: refresh,
+  });
+
+  if (!settings) return null;
+
+  const togglePoolMember = (userId) => {
+    const pool = settings.pool.includes(userId)
+      ? settings.pool.filter(id => id !== userId)
+      : [...settings.pool, userId];
+    settingsMutation.mutate({ pool });
+  };
+
+  const handleCreateRule = (e) => {
+    e.preventDefault();
+    const segment = Object.fromEntries(
+      segmentFields
+        .map(f => [f.key, (rule[f.key] || '').split(',').map(v => v.trim()).filter(Boolean)])
+        .filter(([, values]) => values.length > 0)
+    );
+    if (Object.keys(segment).length === 0) {
+      alert('Add at least one category or territory to match on');
+      return;
+    }
+    createRuleMutation.mutate({
+      name: rule.name,
+      userId: parseInt(rule.userId),
+      priority: parseInt(rule.priority) || 0,
+      segment,
+    });
+  };
+
+  return (
+    <div className="bg-dark-800 rounded-xl border border-dark-600 p-6 space-y-6">
+      <h2 className="text-lg font-display font-semibold text-white flex items-center gap-2">
+        <Shuffle className="w-5 h-5 text-cyan-500" />
+        Lead Assignment
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {assignmentModes.map((mode) => (
+          <button
+            key={mode.key}
+            onClick={() => settingsMutation.mutate({ mode: mode.key })}
+            className={`text-left p-3 rounded-lg border transition-colors ${
+              settings.mode === mode.key
+                ? 'border-cyan-500 bg-cyan-500/10'
+                : 'border-dark-600 bg-dark-700 hover:border-dark-500'
+            }`}
+          >
+            <div className="text-white text-sm font-medium">{mode.label}</div>
+            <div className="text-xs text-gray-400 mt-1">{mode.description}</div>
+          </button>
+        ))}
+      </div>
+
+      {settings.mode !== 'manual' && (
+        <div>
+          <p className="text-sm text-gray-400 mb-2">Round-robin rotation</p>
+          <div className="flex flex-wrap gap-2">
+            {team.map((member) => (
+              <label key={member.id} className="flex items-center gap-2 px-3 py-2 rounded-lg bg-dark-700 text-sm text-white cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={settings.pool.includes(member.id)}
+                  onChange={() => togglePoolMember(member.id)}
+                />
+                {member.name}
+                <span className="text-xs text-gray-500">{member.open_leads} open</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {settings.mode === 'rules' && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm text-gray-400">Rules (highest priority first)</p>
+            {!rule && (
+              <button
+                onClick={() => setRule({ name: '', userId: team[0]?.id || '', priority: 0 })}
+                className="flex items-center gap-1 text-sm text-cyan-400 hover:text-cyan-300"
+              >
+                <Plus className="w-4 h-4" /> Add rule
+              </button>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            {settings.rules.map((r) => (
+              <div key={r.id} className="flex items-center justify-between p-3 rounded-lg bg-dark-700 text-sm">
+                <div>
+                  <span className="text-white font-medium">{r.name}</span>
+                  <span className="text-gray-400"> → {r.user_name || 'Deleted user'}</span>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {segmentFields
+                      .filter(f => r.segment?.[f.key]?.length)
+                      .map(f => `${f.label}: ${r.segment[f.key].join(', ')}`)
+                      .join(' • ')}
+                    {` • Priority ${r.priority}`}
+                  </div>
+                </div>
+                <button
+                  onClick={() => deleteRuleMutation.mutate(r.id)}
+                  className="p-2 text-gray-400 hover:text-red-400 rounded-lg"
+                  title="Delete rule"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            {settings.rules.length === 0 && !rule && (
+              <p className="text-gray-500 text-sm">No rules yet — every new lead goes round-robin</p>
+            )}
+          </div>
+
+          {rule && (
+            <form onSubmit={handleCreateRule} className="mt-3 p-4 rounded-lg bg-dark-700 space-y-3">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(e) => setRule({ ...rule, name: e.target.value })}
+                  placeholder="Rule name"
+                  className="input-field w-full"
+                  required
+                />
+                <select
+                  value={rule.userId}
+                  onChange={(e) => setRule({ ...rule, userId: e.target.value })}
+                  className="input-field w-full"
+                  required
+                >
+                  {team.map(member => <option key={member.id} value={member.id}>{member.name}</option>)}
+                </select>
+                <input
+                  type="number"
+                  value={rule.priority}
+                  onChange={(e) => setRule({ ...rule, priority: e.target.value })}
+                  placeholder="Priority"
+                  className="input-field w-full"
+                />
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {segmentFields.map((field) => (
+                  <div key={field.key}>
+                    <div className="text-xs text-gray-500 mb-1">{field.label}</div>
+                    <input
+                      type="text"
+                      value={rule[field.key] || ''}
+                      onChange={(e) => setRule({ ...rule, [field.key]: e.target.value })}
+                      placeholder={field.placeholder}
+                      className="input-field w-full"
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex justify-end gap-3">
+                <button type="button" onClick={() => setRule(null)} className="px-4 py-2 text-gray-400 hover:text-white">
+                  Cancel
+                </button>
+                <button type="submit" disabled={createRuleMutation.isPending} className="btn-primary flex items-center gap-2">
+                  <Save className="w-4 h-4" />
+                  Save Rule
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function UserModal({ error, onClose, onSave, isSaving }) {
+  const [form, setForm] = useState({ name: '', email: '', password: '', role: 'rep' });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(form);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+      <div className="bg-dark-800 rounded-xl border border-dark-600 w-full max-w-md">
+        {/* Header */}
+        <div className="flex items-center justify-between p-5 border-b border-dark-600">
+          <h2 className="text-xl font-display font-semibold text-white flex items-center gap-2">
+            <UserCog className="w-5 h-5 text-cyan-500" />
+            New User
+          </h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-white rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-5 space-y-4">
+          {error && (
+            <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-3 text-sm text-red-400">{error}</div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="input-field w-full"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Email</label>
+            <input
+              type="email"
+              value={form.email}
+              onChange={(e) => setForm({ ...form, email: e.target.value })}
+              className="input-field w-full"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Temporary password</label>
+            <input
+              type="password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              className="input-field w-full"
+              autoComplete="new-password"
+              minLength={8}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Role</label>
+            <div className="space-y-2">
+              {roles.map((r) => (
+                <label key={r.key} className="flex items-start gap-3 p-3 rounded-lg bg-dark-700 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="role"
+                    checked={form.role === r.key}
+                    onChange={() => setForm({ ...form, role: r.key })}
+                    className="mt-1"
+                  />
+                  <div>
+                    <div className="text-white text-sm font-medium">{r.label}</div>
+                    <div className="text-xs text-gray-400">{r.description}</div>
+                  </div>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button type="button" onClick={onClose} className="px-4 py-2 text-gray-400 hover:text-white">
+              Cancel
+            </button>
+            <button type="submit" disabled={isSaving} className="btn-primary flex items-center gap-2">
+              <Save className="w-4 h-4" />
+              Create User
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Users;
@@ -1,7 +1,38 @@
 // In production, use the full backend URL; in development, use the proxy
 const API_BASE = import.meta.env.VITE_API_URL || '/api';
 
+const TOKEN_KEY = 'cloudhack_auth_token';
+
+export function getAuthToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function setAuthToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+}
+
+// fetch with the signed-in user's token attached
+function apiFetch(url, options = {}) {
+  const token = getAuthToken();
+  return fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+  });
+}
+
 async function handleResponse(response) {
+  if (response.status === 401 && getAuthToken()) {
+    // Session expired or revoked - drop the token and go back to the login screen
+    setAuthToken(null);
+    window.dispatchEvent(new Event('auth:expired'));
+  }
   if (!response.ok) {
     const error = await response.json().catch(() => ({ message: 'An error occurred' }));
     throw new Error(error.message || `HTTP error! status: ${response.status}`);
@@ -11,19 +42,20 @@ async function handleResponse(response) {
 
 // Prospects API
 export const prospectsApi = {
-  getAll: async (stage = null) => {
-    const url = stage ? `${API_BASE}/prospects?stage=${stage}` : `${API_BASE}/prospects`;
-    const response = await fetch(url);
+  getAll: async (params = {}) => {
+    const filtered = Object.fromEntries(Object.entries(params).filter(([, v]) => v));
+    const queryString = new URLSearchParams(filtered).toString();
+    const response = await apiFetch(`${API_BASE}/prospects${queryString ? `?${queryString}` : ''}`);
     return handleResponse(response);
   },
   
   getById: async (id) => {
-    const response = await fetch(`${API_BASE}/prospects/${id}`);
+    const response = await apiFetch(`${API_BASE}/prospects/${id}`);
     return handleResponse(response);
   },
   
   create: async (prospect) => {
-    const response = await fetch(`${API_BASE}/prospects`, {
+    const response = await apiFetch(`${API_BASE}/prospects`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(prospect),
@@ -32,7 +64,7 @@ export const prospectsApi = {
   },
   
   update: async (id, updates) => {
-    const response = await fetch(`${API_BASE}/prospects/${id}`, {
+    const response = await apiFetch(`${API_BASE}/prospects/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(updates),
@@ -40,17 +72,26 @@ export const prospectsApi = {
     return handleResponse(response);
   },
   
-  updateStage: async (id, stage) => {
-    const response = await fetch(`${API_BASE}/prospects/${id}/stage`, {
+  assign: async (prospectIds, userId) => {
+    const response = await apiFetch(`${API_BASE}/prospects/assign`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prospectIds, userId }),
+    });
+    return handleResponse(response);
+  },
+
+  updateStage: async (id, stage, { force = false, reason = null } = {}) => {
+    const response = await apiFetch(`${API_BASE}/prospects/${id}/stage`, {
       method: 'PATCH',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ stage }),
+      body: JSON.stringify({ stage, force, reason }),
     });
     return handleResponse(response);
   },
   
   delete: async (id) => {
-    const response = await fetch(`${API_BASE}/prospects/${id}`, {
+    const response = await apiFetch(`${API_BASE}/prospects/${id}`, {
       method: 'DELETE',
     });
     return handleResponse(response);
@@ -61,17 +102,17 @@ export const prospectsApi = {
 export const templatesApi = {
   getAll: async (type = null) => {
     const url = type ? `${API_BASE}/templates?type=${type}` : `${API_BASE}/templates`;
-    const response = await fetch(url);
+    const response = await apiFetch(url);
     return handleResponse(response);
   },
   
   getById: async (id) => {
-    const response = await fetch(`${API_BASE}/templates/${id}`);
+    const response = await apiFetch(`${API_BASE}/templates/${id}`);
     return handleResponse(response);
   },
   
   create: async (template) => {
-    const response = await fetch(`${API_BASE}/templates`, {
+    const response = await apiFetch(`${API_BASE}/templates`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(template),
@@ -80,7 +121,7 @@ export const templatesApi = {
   },
   
   update: async (id, updates) => {
-    const response = await fetch(`${API_BASE}/templates/${id}`, {
+    const response = await apiFetch(`${API_BASE}/templates/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(updates),
@@ -89,38 +130,174 @@ export const templatesApi = {
   },
   
   delete: async (id) => {
-    const response = await fetch(`${API_BASE}/templates/${id}`, {
+    const response = await apiFetch(`${API_BASE}/templates/${id}`, {
       method: 'DELETE',
     });
     return handleResponse(response);
   },
+
+  getVariables: async () => {
+    const response = await apiFetch(`${API_BASE}/templates/variables`);
+    return handleResponse(response);
+  },
+
+  preview: async (id, prospectId, contactId = null) => {
+    const response = await apiFetch(`${API_BASE}/templates/${id}/preview`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prospectId, contactId }),
+    });
+    return handleResponse(response);
+  },
 };
 
 // Campaigns API
 export const campaignsApi = {
   getAll: async () => {
-    const response = await fetch(`${API_BASE}/campaigns`);
+    const response = await apiFetch(`${API_BASE}/campaigns`);
     return handleResponse(response);
   },
   
   getByProspect: async (prospectId) => {
-    const response = await fetch(`${API_BASE}/campaigns/prospect/${prospectId}`);
+    const response = await apiFetch(`${API_BASE}/campaigns/prospect/${prospectId}`);
     return handleResponse(response);
   },
   
-  send: async ({ prospectId, campaignId, templateId, customSubject, customBody }) => {
-    const response = await fetch(`${API_BASE}/campaigns/send`, {
+  send: async ({ prospectId, contactId, campaignId, templateId, customSubject, customBody }) => {
+    const response = await apiFetch(`${API_BASE}/campaigns/send`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ prospectId, campaignId, templateId, customSubject, customBody }),
+      body: JSON.stringify({ prospectId, contactId, campaignId, templateId, customSubject, customBody }),
     });
     return handleResponse(response);
   },
   
   retry: async (campaignId) => {
-    const response = await fetch(`${API_BASE}/campaigns/${campaignId}/retry`, {
+    const response = await apiFetch(`${API_BASE}/campaigns/${campaignId}/retry`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    return handleResponse(response);
+  },
+};
+
+// Pipeline API
+export const pipelineApi = {
+  getAll: async () => {
+    const response = await apiFetch(`${API_BASE}/pipeline`);
+    return handleResponse(response);
+  },
+
+  getStages: async (pipelineId) => {
+    const query = pipelineId ? `?pipelineId=${pipelineId}` : '';
+    const response = await apiFetch(`${API_BASE}/pipeline/stages${query}`);
+    return handleResponse(response);
+  },
+
+  create: async (pipeline) => {
+    const response = await apiFetch(`${API_BASE}/pipeline`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(pipeline),
+    });
+    return handleResponse(response);
+  },
+
+  update: async (id, updates) => {
+    const response = await apiFetch(`${API_BASE}/pipeline/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates),
+    });
+    return handleResponse(response);
+  },
+
+  setDefault: async (id) => {
+    const response = await apiFetch(`${API_BASE}/pipeline/${id}/default`, {
+      method: 'POST',
+    });
+    return handleResponse(response);
+  },
+
+  delete: async (id) => {
+    const response = await apiFetch(`${API_BASE}/pipeline/${id}`, {
+      method: 'DELETE',
+    });
+    return handleResponse(response);
+  },
+
+  getHistory: async (prospectId) => {
+    const response = await apiFetch(`${API_BASE}/pipeline/history/${prospectId}`);
+    return handleResponse(response);
+  },
+};
+
+// Lead Scoring API
+export const scoringApi = {
+  get: async () => {
+    const response = await apiFetch(`${API_BASE}/scoring`);
+    return handleResponse(response);
+  },
+
+  update: async (settings) => {
+    const response = await apiFetch(`${API_BASE}/scoring`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(settings),
+    });
+    return handleResponse(response);
+  },
+
+  recomputeAll: async () => {
+    const response = await apiFetch(`${API_BASE}/scoring/recompute`, {
+      method: 'POST',
+    });
+    return handleResponse(response);
+  },
+
+  recompute: async (prospectId) => {
+    const response = await apiFetch(`${API_BASE}/scoring/prospect/${prospectId}`, {
+      method: 'POST',
+    });
+    return handleResponse(response);
+  },
+};
+
+// Contacts API
+export const contactsApi = {
+  getByProspect: async (prospectId) => {
+    const response = await apiFetch(`${API_BASE}/contacts/prospect/${prospectId}`);
+    return handleResponse(response);
+  },
+
+  create: async (prospectId, contact) => {
+    const response = await apiFetch(`${API_BASE}/contacts`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prospectId, ...contact }),
+    });
+    return handleResponse(response);
+  },
+
+  update: async (id, updates) => {
+    const response = await apiFetch(`${API_BASE}/contacts/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates),
+    });
+    return handleResponse(response);
+  },
+
+  setPrimary: async (id) => {
+    const response = await apiFetch(`${API_BASE}/contacts/${id}/primary`, {
+      method: 'POST',
+    });
+    return handleResponse(response);
+  },
+
+  delete: async (id) => {
+    const response = await apiFetch(`${API_BASE}/contacts/${id}`, {
+      method: 'DELETE',
     });
     return handleResponse(response);
   },
@@ -130,12 +307,12 @@ export const campaignsApi = {
 export const yelpApi = {
   search: async (params) => {
     const queryString = new URLSearchParams(params).toString();
-    const response = await fetch(`${API_BASE}/yelp/search?${queryString}`);
+    const response = await apiFetch(`${API_BASE}/yelp/search?${queryString}`);
     return handleResponse(response);
   },
   
   getCategories: async () => {
-    const response = await fetch(`${API_BASE}/yelp/categories`);
+    const response = await apiFetch(`${API_BASE}/yelp/categories`);
     return handleResponse(response);
   },
 };
@@ -143,17 +320,17 @@ export const yelpApi = {
 // Activities API
 export const activitiesApi = {
   getByProspect: async (prospectId) => {
-    const response = await fetch(`${API_BASE}/activities/prospect/${prospectId}`);
+    const response = await apiFetch(`${API_BASE}/activities/prospect/${prospectId}`);
     return handleResponse(response);
   },
   
   getRecent: async (limit = 10) => {
-    const response = await fetch(`${API_BASE}/activities/recent?limit=${limit}`);
+    const response = await apiFetch(`${API_BASE}/activities/recent?limit=${limit}`);
     return handleResponse(response);
   },
   
   create: async (activity) => {
-    const response = await fetch(`${API_BASE}/activities`, {
+    const response = await apiFetch(`${API_BASE}/activities`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(activity),
@@ -165,7 +342,14 @@ export const activitiesApi = {
 // Stats API
 export const statsApi = {
   getDashboard: async () => {
-    const response = await fetch(`${API_BASE}/stats/dashboard`);
+    const response = await apiFetch(`${API_BASE}/stats/dashboard`);
+    return handleResponse(response);
+  },
+
+  getForecast: async (params = {}) => {
+    const filtered = Object.fromEntries(Object.entries(params).filter(([, v]) => v));
+    const queryString = new URLSearchParams(filtered).toString();
+    const response = await apiFetch(`${API_BASE}/stats/forecast${queryString ? `?${queryString}` : ''}`);
     return handleResponse(response);
   },
 };
@@ -174,12 +358,12 @@ export const statsApi = {
 export const agentsApi = {
   // Configuration
   getConfig: async () => {
-    const response = await fetch(`${API_BASE}/agents/config`);
+    const response = await apiFetch(`${API_BASE}/agents/config`);
     return handleResponse(response);
   },
   
   updateConfig: async (key, value) => {
-    const response = await fetch(`${API_BASE}/agents/config`, {
+    const response = await apiFetch(`${API_BASE}/agents/config`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ key, value }),
@@ -188,7 +372,7 @@ export const agentsApi = {
   },
   
   updateConfigBulk: async (updates) => {
-    const response = await fetch(`${API_BASE}/agents/config/bulk`, {
+    const response = await apiFetch(`${API_BASE}/agents/config/bulk`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(updates),
@@ -198,18 +382,23 @@ export const agentsApi = {
   
   // Stats
   getStats: async () => {
-    const response = await fetch(`${API_BASE}/agents/stats`);
+    const response = await apiFetch(`${API_BASE}/agents/stats`);
     return handleResponse(response);
   },
   
   getTasks: async (status) => {
-    const response = await fetch(`${API_BASE}/agents/tasks/${status}`);
+    const response = await apiFetch(`${API_BASE}/agents/tasks/${status}`);
+    return handleResponse(response);
+  },
+  
+  getThrottle: async () => {
+    const response = await apiFetch(`${API_BASE}/agents/throttle`);
     return handleResponse(response);
   },
   
   // Manual triggers
   triggerOutreach: async (prospectId, payload = {}) => {
-    const response = await fetch(`${API_BASE}/agents/trigger/outreach/${prospectId}`, {
+    const response = await apiFetch(`${API_BASE}/agents/trigger/outreach/${prospectId}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload),
@@ -218,7 +407,7 @@ export const agentsApi = {
   },
   
   triggerFollowup: async (prospectId, payload = {}) => {
-    const response = await fetch(`${API_BASE}/agents/trigger/followup/${prospectId}`, {
+    const response = await apiFetch(`${API_BASE}/agents/trigger/followup/${prospectId}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload),
@@ -227,7 +416,7 @@ export const agentsApi = {
   },
   
   triggerClassify: async (prospectId, responseText, subject) => {
-    const response = await fetch(`${API_BASE}/agents/trigger/classify/${prospectId}`, {
+    const response = await apiFetch(`${API_BASE}/agents/trigger/classify/${prospectId}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ responseText, subject }),
@@ -236,7 +425,7 @@ export const agentsApi = {
   },
   
   processNow: async () => {
-    const response = await fetch(`${API_BASE}/agents/process`, {
+    const response = await apiFetch(`${API_BASE}/agents/process`, {
       method: 'POST',
     });
     return handleResponse(response);
@@ -244,7 +433,7 @@ export const agentsApi = {
   
   // Prospect automation
   toggleAutomation: async (prospectId, enabled) => {
-    const response = await fetch(`${API_BASE}/agents/prospect/${prospectId}/automation`, {
+    const response = await apiFetch(`${API_BASE}/agents/prospect/${prospectId}/automation`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ enabled }),
@@ -253,7 +442,12 @@ export const agentsApi = {
   },
   
   getSequence: async (prospectId) => {
-    const response = await fetch(`${API_BASE}/agents/prospect/${prospectId}/sequence`);
+    const response = await apiFetch(`${API_BASE}/agents/prospect/${prospectId}/sequence`);
+    return handleResponse(response);
+  },
+  
+  getSendWindow: async (prospectId) => {
+    const response = await apiFetch(`${API_BASE}/agents/prospect/${prospectId}/send-window`);
     return handleResponse(response);
   },
   
@@ -262,31 +456,31 @@ export const agentsApi = {
     const url = unreadOnly 
       ? `${API_BASE}/agents/notifications?unread=true` 
       : `${API_BASE}/agents/notifications`;
-    const response = await fetch(url);
+    const response = await apiFetch(url);
     return handleResponse(response);
   },
   
   getNotificationCount: async () => {
-    const response = await fetch(`${API_BASE}/agents/notifications/count`);
+    const response = await apiFetch(`${API_BASE}/agents/notifications/count`);
     return handleResponse(response);
   },
   
   markNotificationRead: async (id) => {
-    const response = await fetch(`${API_BASE}/agents/notifications/${id}/read`, {
+    const response = await apiFetch(`${API_BASE}/agents/notifications/${id}/read`, {
       method: 'PUT',
     });
     return handleResponse(response);
   },
   
   markAllNotificationsRead: async () => {
-    const response = await fetch(`${API_BASE}/agents/notifications/read-all`, {
+    const response = await apiFetch(`${API_BASE}/agents/notifications/read-all`, {
       method: 'PUT',
     });
     return handleResponse(response);
   },
   
   deleteNotification: async (id) => {
-    const response = await fetch(`${API_BASE}/agents/notifications/${id}`, {
+    const response = await apiFetch(`${API_BASE}/agents/notifications/${id}`, {
       method: 'DELETE',
     });
     return handleResponse(response);
@@ -297,13 +491,13 @@ export const agentsApi = {
 export const enrichmentApi = {
   // Get enrichment service status
   getStatus: async () => {
-    const response = await fetch(`${API_BASE}/enrichment/status`);
+    const response = await apiFetch(`${API_BASE}/enrichment/status`);
     return handleResponse(response);
   },
   
   // Enrich a single prospect
   enrichProspect: async (prospectId) => {
-    const response = await fetch(`${API_BASE}/enrichment/prospect/${prospectId}`, {
+    const response = await apiFetch(`${API_BASE}/enrichment/prospect/${prospectId}`, {
       method: 'POST',
     });
     return handleResponse(response);
@@ -311,7 +505,7 @@ export const enrichmentApi = {
   
   // Batch enrich multiple prospects
   enrichBatch: async (prospectIds) => {
-    const response = await fetch(`${API_BASE}/enrichment/batch`, {
+    const response = await apiFetch(`${API_BASE}/enrichment/batch`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ prospectIds }),
@@ -321,7 +515,7 @@ export const enrichmentApi = {
   
   // Enrich all prospects missing email
   enrichAllMissingEmail: async () => {
-    const response = await fetch(`${API_BASE}/enrichment/all-missing-email`, {
+    const response = await apiFetch(`${API_BASE}/enrichment/all-missing-email`, {
       method: 'POST',
     });
     return handleResponse(response);
@@ -329,7 +523,7 @@ export const enrichmentApi = {
   
   // Analyze a prospect's website with Firecrawl
   analyzeWebsite: async (prospectId) => {
-    const response = await fetch(`${API_BASE}/enrichment/analyze-website/${prospectId}`, {
+    const response = await apiFetch(`${API_BASE}/enrichment/analyze-website/${prospectId}`, {
       method: 'POST',
     });
     return handleResponse(response);
@@ -337,8 +531,482 @@ export const enrichmentApi = {
   
   // Get stored website analysis for a prospect
   getAnalysis: async (prospectId) => {
-    const response = await fetch(`${API_BASE}/enrichment/analysis/${prospectId}`);
+    const response = await apiFetch(`${API_BASE}/enrichment/analysis/${prospectId}`);
+    return handleResponse(response);
+  },
+};
+
+
+// Suppressions API
+export const suppressionsApi = {
+  getAll: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const response = await apiFetch(`${API_BASE}/suppressions${queryString ? `?${queryString}` : ''}`);
+    return handleResponse(response);
+  },
+  
+  check: async (email) => {
+    const response = await apiFetch(`${API_BASE}/suppressions/check?email=${encodeURIComponent(email)}`);
+    return handleResponse(response);
+  },
+  
+  add: async (entry) => {
+    const response = await apiFetch(`${API_BASE}/suppressions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry),
+    });
+    return handleResponse(response);
+  },
+  
+  remove: async (id) => {
+    const response = await apiFetch(`${API_BASE}/suppressions/${id}`, {
+      method: 'DELETE',
+    });
+    return handleResponse(response);
+  },
+};
+
+// Sequences API
+export const sequencesApi = {
+  getAll: async () => {
+    const response = await apiFetch(`${API_BASE}/sequences`);
+    return handleResponse(response);
+  },
+
+  getById: async (id) => {
+    const response = await apiFetch(`${API_BASE}/sequences/${id}`);
+    return handleResponse(response);
+  },
+
+  getEnrollments: async (id) => {
+    const response = await apiFetch(`${API_BASE}/sequences/${id}/enrollments`);
+    return handleResponse(response);
+  },
+
+  create: async (sequence) => {
+    const response = await apiFetch(`${API_BASE}/sequences`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(sequence),
+    });
+    return handleResponse(response);
+  },
+
+  update: async (id, updates) => {
+    const response = await apiFetch(`${API_BASE}/sequences/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates),
+    });
+    return handleResponse(response);
+  },
+
+  delete: async (id) => {
+    const response = await apiFetch(`${API_BASE}/sequences/${id}`, {
+      method: 'DELETE',
+    });
+    return handleResponse(response);
+  },
+
+  // Pass sequenceId = null to clear the assignment (segment rules apply again)
+  assign: async (sequenceId, prospectIds) => {
+    const response = await apiFetch(`${API_BASE}/sequences/${sequenceId ?? 'none'}/assign`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prospectIds }),
+    });
+    return handleResponse(response);
+  },
+};
+
+// Auth API
+export const authApi = {
+  getStatus: async () => {
+    const response = await apiFetch(`${API_BASE}/auth/status`);
+    return handleResponse(response);
+  },
+
+  setup: async ({ email, name, password }) => {
+    const response = await apiFetch(`${API_BASE}/auth/setup`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, name, password }),
+    });
+    return handleResponse(response);
+  },
+
+  login: async (email, password) => {
+    const response = await apiFetch(`${API_BASE}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password }),
+    });
+    return handleResponse(response);
+  },
+
+  logout: async () => {
+    const response = await apiFetch(`${API_BASE}/auth/logout`, {
+      method: 'POST',
+    });
+    return handleResponse(response);
+  },
+
+  getMe: async () => {
+    const response = await apiFetch(`${API_BASE}/auth/me`);
+    return handleResponse(response);
+  },
+
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await apiFetch(`${API_BASE}/auth/me/password`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
     return handleResponse(response);
   },
 };
 
+// Users API (admin only)
+export const usersApi = {
+  getAll: async () => {
+    const response = await apiFetch(`${API_BASE}/users`);
+    return handleResponse(response);
+  },
+
+  create: async (user) => {
+    const response = await apiFetch(`${API_BASE}/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(user),
+    });
+    return handleResponse(response);
+  },
+
+  update: async (id, updates) => {
+    const response = await apiFetch(`${API_BASE}/users/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates),
+    });
+    return handleResponse(response);
+  },
+
+  delete: async (id) => {
+    const response = await apiFetch(`${API_BASE}/users/${id}`, {
+      method: 'DELETE',
+    });
+    return handleResponse(response);
+  },
+
+  getAuditLog: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const response = await apiFetch(`${API_BASE}/users/audit${queryString ? `?${queryString}` : ''}`);
+    return handleResponse(response);
+  },
+};
+
+// Assignment API
+export const assignmentApi = {
+  getTeam: async () => {
+    const response = await apiFetch(`${API_BASE}/assignment/team`);
+    return handleResponse(response);
+  },
+
+  getSettings: async () => {
+    const response = await apiFetch(`${API_BASE}/assignment/settings`);
+    return handleResponse(response);
+  },
+
+  updateSettings: async (settings) => {
+    const response = await apiFetch(`${API_BASE}/assignment/settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(settings),
+    });
+    return handleResponse(response);
+  },
+
+  createRule: async (rule) => {
+    const response = await apiFetch(`${API_BASE}/assignment/rules`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(rule),
+    });
+    return handleResponse(response);
+  },
+
+  updateRule: async (id, updates) => {
+    const response = await apiFetch(`${API_BASE}/assignment/rules/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates),
+    });
+    return handleResponse(response);
+  },
+
+  deleteRule: async (id) => {
+    const response = await apiFetch(`${API_BASE}/assignment/rules/${id}`, {
+      method: 'DELETE',
+    });
+    return handleResponse(response);
+  },
+};
+
+// Inbox API
+export const inboxApi = {
+  getConversations: async (params = {}) => {
+    const filtered = Object.fromEntries(Object.entries(params).filter(([, v]) => v));
+    const queryString = new URLSearchParams(filtered).toString();
+    const response = await apiFetch(`${API_BASE}/inbox${queryString ? `?${queryString}` : ''}`);
+    return handleResponse(response);
+  },
+
+  getUnreadCount: async (owner) => {
+    const response = await apiFetch(`${API_BASE}/inbox/unread-count${owner ? `?owner=${owner}` : ''}`);
+    return handleResponse(response);
+  },
+
+  getConversation: async (prospectId) => {
+    const response = await apiFetch(`${API_BASE}/inbox/${prospectId}`);
+    return handleResponse(response);
+  },
+
+  markRead: async (prospectId) => {
+    const response = await apiFetch(`${API_BASE}/inbox/${prospectId}/read`, {
+      method: 'POST',
+    });
+    return handleResponse(response);
+  },
+
+  setMessageRead: async (messageId, isRead) => {
+    const response = await apiFetch(`${API_BASE}/inbox/messages/${messageId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ isRead }),
+    });
+    return handleResponse(response);
+  },
+
+  reply: async (prospectId, reply) => {
+    const response = await apiFetch(`${API_BASE}/inbox/${prospectId}/reply`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(reply),
+    });
+    return handleResponse(response);
+  },
+};
+
+// Approval queue API (agent-written emails waiting for review)
+export const approvalsApi = {
+  getQueue: async (params = {}) => {
+    const filtered = Object.fromEntries(Object.entries(params).filter(([, v]) => v));
+    const queryString = new URLSearchParams(filtered).toString();
+    const response = await apiFetch(`${API_BASE}/approvals${queryString ? `?${queryString}` : ''}`);
+    return handleResponse(response);
+  },
+
+  update: async (id, updates) => {
+    const response = await apiFetch(`${API_BASE}/approvals/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates),
+    });
+    return handleResponse(response);
+  },
+
+  approve: async (ids) => {
+    const response = await apiFetch(`${API_BASE}/approvals/approve`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids }),
+    });
+    return handleResponse(response);
+  },
+
+  reject: async (ids, reason) => {
+    const response = await apiFetch(`${API_BASE}/approvals/reject`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids, reason }),
+    });
+    return handleResponse(response);
+  },
+
+  regenerate: async (ids) => {
+    const response = await apiFetch(`${API_BASE}/approvals/regenerate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids }),
+    });
+    return handleResponse(response);
+  },
+};
+
+// Prompts API
+export const promptsApi = {
+  getAll: async () => {
+    const response = await apiFetch(`${API_BASE}/prompts`);
+    return handleResponse(response);
+  },
+
+  get: async (key) => {
+    const response = await apiFetch(`${API_BASE}/prompts/${key}`);
+    return handleResponse(response);
+  },
+
+  saveVersion: async (key, data) => {
+    const response = await apiFetch(`${API_BASE}/prompts/${key}/versions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+    });
+    return handleResponse(response);
+  },
+
+  rollback: async (key, version) => {
+    const response = await apiFetch(`${API_BASE}/prompts/${key}/rollback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ version }),
+    });
+    return handleResponse(response);
+  },
+
+  diff: async (key, from, to) => {
+    const response = await apiFetch(`${API_BASE}/prompts/${key}/diff?from=${from}&to=${to}`);
+    return handleResponse(response);
+  },
+
+  updateSender: async (sender) => {
+    const response = await apiFetch(`${API_BASE}/prompts/sender`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(sender),
+    });
+    return handleResponse(response);
+  },
+};
+
+// Experiments API
+export const experimentsApi = {
+  getAll: async () => {
+    const response = await apiFetch(`${API_BASE}/experiments`);
+    return handleResponse(response);
+  },
+
+  create: async (experiment) => {
+    const response = await apiFetch(`${API_BASE}/experiments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(experiment),
+    });
+    return handleResponse(response);
+  },
+
+  update: async (id, updates) => {
+    const response = await apiFetch(`${API_BASE}/experiments/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates),
+    });
+    return handleResponse(response);
+  },
+
+  delete: async (id) => {
+    const response = await apiFetch(`${API_BASE}/experiments/${id}`, {
+      method: 'DELETE',
+    });
+    return handleResponse(response);
+  },
+
+  start: async (id) => {
+    const response = await apiFetch(`${API_BASE}/experiments/${id}/start`, {
+      method: 'POST',
+    });
+    return handleResponse(response);
+  },
+
+  stop: async (id) => {
+    const response = await apiFetch(`${API_BASE}/experiments/${id}/stop`, {
+      method: 'POST',
+    });
+    return handleResponse(response);
+  },
+
+  promote: async (id, variantId) => {
+    const response = await apiFetch(`${API_BASE}/experiments/${id}/promote`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ variantId }),
+    });
+    return handleResponse(response);
+  },
+};
+
+// Imports API
+export const importsApi = {
+  getAll: async () => {
+    const response = await apiFetch(`${API_BASE}/imports`);
+    return handleResponse(response);
+  },
+
+  getFields: async () => {
+    const response = await apiFetch(`${API_BASE}/imports/fields`);
+    return handleResponse(response);
+  },
+
+  get: async (id) => {
+    const response = await apiFetch(`${API_BASE}/imports/${id}`);
+    return handleResponse(response);
+  },
+
+  // The file is sent as-is, not as JSON
+  upload: async (file) => {
+    const response = await apiFetch(`${API_BASE}/imports?filename=${encodeURIComponent(file.name)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: await file.text(),
+    });
+    return handleResponse(response);
+  },
+
+  update: async (id, { mapping, options }) => {
+    const response = await apiFetch(`${API_BASE}/imports/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mapping, options }),
+    });
+    return handleResponse(response);
+  },
+
+  start: async (id) => {
+    const response = await apiFetch(`${API_BASE}/imports/${id}/start`, {
+      method: 'POST',
+    });
+    return handleResponse(response);
+  },
+
+  delete: async (id) => {
+    const response = await apiFetch(`${API_BASE}/imports/${id}`, {
+      method: 'DELETE',
+    });
+    return handleResponse(response);
+  },
+
+  // Saves the skipped and error rows as a CSV file
+  downloadErrors: async (id, filename) => {
+    const response = await apiFetch(`${API_BASE}/imports/${id}/errors.csv`);
+    if (!response.ok) {
+      return handleResponse(response);
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${(filename || 'import').replace(/\.csv$/i, '')}-problems.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+};
@@ -1,10 +1,21 @@
 import { getDb } from '../db/init.js';
 import llmService from '../services/llm.js';
-import orchestrator from './orchestrator.js';
 import emailService from '../services/email.js';
+import suppressionService from '../services/suppression.js';
+import sequenceService from '../services/sequences.js';
+import notificationService from '../services/notifications.js';
+import threadingService from '../services/threading.js';
+import approvalService from '../services/approvals.js';
+import templateRenderer from '../services/templateRenderer.js';
+import contactService from '../services/contacts.js';
+import pipelineService from '../services/pipeline.js';
+import orchestrator from './orchestrator.js';
+
+// Safety limit on steps executed in one run (branches can loop back)
+const MAX_STEPS_PER_RUN = 20;
 
 /**
- * Follow-up Agent - Sends automated follow-up emails to non-responsive prospects
+ * Follow-up Agent - Runs each prospect's follow-up sequence (emails, waits, tasks, branches)
  */
 class FollowupAgent {
   constructor() {
@@ -23,73 +34,257 @@ class FollowupAgent {
       throw new Error(`Prospect ${prospectId} not found`);
     }
 
+    // A reviewed email from the approval queue: send it and let the sequence carry on
+    if (payload.approvedCampaignId) {
+      return this.sendApproved(prospect, payload.approvedCampaignId);
+    }
+
     // Check if automation is enabled
     if (!prospect.automation_enabled) {
       return { skipped: true, reason: 'Automation disabled for this prospect' };
     }
 
+    // Don't spend LLM tokens on a recipient we can never email
+    const threadParent = threadingService.getThreadParent(prospect.id);
+    const recipient = contactService.getRecipient(prospect, threadParent?.contact_id);
+    const suppression = suppressionService.isSuppressed(recipient.email);
+    if (suppression) {
+      return { skipped: true, reason: `Recipient is on the suppression list (${suppression.reason})` };
+    }
+
     // Check prospect stage - only follow up if in 'contacted' stage
     if (prospect.stage !== 'contacted') {
       return { skipped: true, reason: `Prospect stage is "${prospect.stage}", not "contacted"` };
     }
 
     // Get follow-up sequence
-    const sequence = db.prepare(`
+    let enrollment = db.prepare(`
       SELECT * FROM follow_up_sequences WHERE prospect_id = ?
     `).get(prospectId);
 
-    if (!sequence) {
+    if (!enrollment) {
       return { skipped: true, reason: 'No follow-up sequence found' };
     }
 
-    if (sequence.is_paused) {
+    if (enrollment.is_paused) {
       return { skipped: true, reason: 'Follow-up sequence is paused' };
     }
 
-    // Check if max follow-ups reached
-    if (sequence.sequence_step >= sequence.max_steps) {
-      // Move to lost if max follow-ups exceeded with no response
-      db.prepare(`
-        UPDATE prospects SET stage = 'lost', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-      `).run(prospectId);
+    if (enrollment.completed_at) {
+      return { skipped: true, reason: 'Follow-up sequence already completed' };
+    }
 
-      db.prepare(`
-        INSERT INTO activities (prospect_id, type, description)
-        VALUES (?, 'stage_change', 'Moved to lost - max follow-ups reached with no response')
-      `).run(prospectId);
+    // The sequence holds while one of its emails is in the approval queue
+    const awaitingReview = db.prepare(`
+      SELECT id FROM campaigns WHERE prospect_id = ? AND status IN ('awaiting_approval', 'approved') LIMIT 1
+    `).get(prospectId);
+    if (awaitingReview) {
+      return { skipped: true, reason: 'A follow-up is waiting for approval' };
+    }
 
-      return { completed: true, reason: 'Max follow-ups reached, moved to lost' };
+    // Enrollments from before named sequences existed pick up the matching sequence
+    if (!enrollment.sequence_id) {
+      enrollment = sequenceService.adoptLegacyEnrollment(enrollment, prospect);
+      if (!enrollment) {
+        return { skipped: true, reason: 'No follow-up sequence applies to this prospect' };
+      }
     }
 
-    // Get previous emails
-    const previousEmails = db.prepare(`
-      SELECT subject, body, sent_at FROM campaigns 
-      WHERE prospect_id = ? AND status IN ('sent', 'delivered')
-      ORDER BY sent_at ASC
-    `).all(prospectId);
+    const sequence = db.prepare('SELECT * FROM sequences WHERE id = ?').get(enrollment.sequence_id);
+    const steps = sequenceService.getSteps(enrollment.sequence_id);
+    const actions = [];
+    let stepIndex = enrollment.current_step;
+    let emailsSent = enrollment.sequence_step;
 
-    const followUpNumber = sequence.sequence_step + 1;
+    const visited = new Set();
 
-    // Generate follow-up email using AI
-    const result = await llmService.generateFollowUp({
-      prospect,
-      previousEmails,
-      followUpNumber,
-    });
+    // Run steps until we hit a wait (or the end). The guard stops branch loops without waits.
+    for (let guard = 0; guard < MAX_STEPS_PER_RUN; guard++) {
+      const step = steps[stepIndex];
 
-    const emailBody = result.text;
+      // Back at a step already run this time: a loop with no wait (saved before those were rejected)
+      if (visited.has(stepIndex)) break;
+      visited.add(stepIndex);
 
-    // Generate subject line
-    const emailSubject = await llmService.generateSubjectLine({
-      prospect,
-      emailBody,
-    });
+      if (!step) {
+        const completion = this.completeSequence(prospect, sequence);
+        return { sequenceId: enrollment.sequence_id, actions, ...completion };
+      }
+
+      switch (step.type) {
+        case 'wait': {
+          const nextSendAt = sequenceService.addBusinessDays(new Date(), step.config.businessDays);
+          this.saveProgress(prospectId, { currentStep: stepIndex + 1, nextSendAt });
+          actions.push({ step: stepIndex, type: 'wait', until: nextSendAt.toISOString() });
+          return { sequenceId: enrollment.sequence_id, actions, nextSendAt: nextSendAt.toISOString() };
+        }
+
+        case 'email': {
+          const result = await this.runEmailStep(prospect, step, emailsSent + 1);
+          actions.push({ step: stepIndex, type: 'email', ...result });
+
+          // Waiting in the approval queue: no next run until it is approved or rejected
+          if (result.awaitingApproval) {
+            this.saveProgress(prospectId, { currentStep: stepIndex + 1, nextSendAt: null });
+            return { sequenceId: enrollment.sequence_id, actions, awaitingApproval: true };
+          }
+
+          if (!result.sent) {
+            // Retry this step on the next business day instead of regenerating every check
+            // (or once sending capacity frees up, if the send was throttled)
+            const retryAt = result.retryAt ? new Date(result.retryAt) : sequenceService.addBusinessDays(new Date(), 1);
+            this.saveProgress(prospectId, { currentStep: stepIndex, nextSendAt: retryAt });
+            return {
+              sequenceId: enrollment.sequence_id,
+              actions,
+              campaignId: result.campaignId,
+              sent: false,
+              error: result.error,
+            };
+          }
+
+          emailsSent++;
+          db.prepare(`
+            UPDATE follow_up_sequences SET sequence_step = ?, last_sent_at = CURRENT_TIMESTAMP WHERE prospect_id = ?
+          `).run(emailsSent, prospectId);
+          stepIndex++;
+          break;
+        }
+
+        case 'task':
+          this.runTaskStep(prospect, step, sequence);
+          actions.push({ step: stepIndex, type: 'task', title: step.config.title });
+          stepIndex++;
+          break;
+
+        case 'branch': {
+          const met = sequenceService.evaluateCondition(step.config.condition, prospectId);
+          const target = met ? step.config.thenStep : step.config.elseStep;
+          actions.push({ step: stepIndex, type: 'branch', condition: step.config.condition, met });
+
+          if (target === 'end') {
+            stepIndex = steps.length;
+          } else if (Number.isInteger(target)) {
+            stepIndex = target;
+          } else {
+            stepIndex++;
+          }
+          break;
+        }
+
+        default:
+          stepIndex++;
+      }
+    }
+
+    // Too many steps without a wait, or a loop - park until tomorrow
+    const parkUntil = sequenceService.addBusinessDays(new Date(), 1);
+    this.saveProgress(prospectId, { currentStep: stepIndex, nextSendAt: parkUntil });
+    return { sequenceId: enrollment.sequence_id, actions, nextSendAt: parkUntil.toISOString() };
+  }
+
+  /**
+   * Write a follow-up (from the step's template, or AI) without sending it
+   * @param {Object} prospect
+   * @param {Object} options
+   * @param {Object} options.step - The sequence step's config ({ mode, templateId })
+   * @param {number} options.followUpNumber
+   * @returns {Promise<{subject: string, body: string, templateId: number|null, promptVersions: Object|null, context: Object}>}
+   *   context records what the email was based on, for the approval queue; promptVersions the prompts the AI used
+   */
+  async generateDraft(prospect, { step = {}, followUpNumber }) {
+    const db = getDb();
+    let emailBody, emailSubject, templateId = null, template = null;
+    let budgetFallback = null;
+    let promptVersions = {};
+
+    // Follow-ups reply in the thread of the last email that went out, to the same contact
+    const threadParent = threadingService.getThreadParent(prospect.id);
+    const { contact } = contactService.getRecipient(prospect, threadParent?.contact_id);
+
+    if (step.mode === 'template' && step.templateId) {
+      template = db.prepare('SELECT * FROM templates WHERE id = ?').get(step.templateId);
+    }
+
+    // Over the LLM budget: use the follow-up template instead of writing one
+    const budget = template ? { allowed: true } : llmService.checkBudget();
+    if (!budget.allowed) {
+      template = db.prepare(`
+        SELECT * FROM templates WHERE type = 'email' AND name LIKE '%Follow-up%' ORDER BY id LIMIT 1
+      `).get();
+      if (!template) {
+        throw new Error(`${budget.message} and no follow-up template to fall back to`);
+      }
+      budgetFallback = budget.message;
+    }
+
+    if (template) {
+      templateId = template.id;
+      ({ subject: emailSubject, body: emailBody } = templateRenderer.renderTemplate(template, prospect, { contact }));
+    }
+
+    if (!emailBody) {
+      // Get previous emails
+      const previousEmails = db.prepare(`
+        SELECT subject, body, sent_at FROM campaigns 
+        WHERE prospect_id = ? AND status IN ('sent', 'delivered')
+        ORDER BY sent_at ASC
+      `).all(prospect.id);
+
+      // Generate follow-up email using AI
+      const result = await llmService.generateFollowUp({
+        prospect,
+        previousEmails,
+        followUpNumber,
+      });
+
+      emailBody = result.text;
+      promptVersions = result.promptVersions;
+    }
+
+    if (threadParent) {
+      emailSubject = threadingService.replySubject(threadParent.subject);
+    } else if (!emailSubject) {
+      emailSubject = await llmService.generateSubjectLine({
+        prospect,
+        emailBody,
+        agentType: this.name,
+        promptVersions,
+      });
+    }
+
+    return {
+      subject: emailSubject,
+      body: emailBody,
+      templateId,
+      promptVersions: Object.keys(promptVersions).length > 0 ? promptVersions : null,
+      context: {
+        step: { mode: step.mode, templateId: step.templateId },
+        followUpNumber,
+        replyToCampaignId: threadParent?.id || null,
+        contactId: contact?.id || null,
+        template: template
+          ? { id: template.id, name: template.name, confidence: 1, reason: budgetFallback ? 'LLM budget reached' : 'Set by the sequence step' }
+          : null,
+        usedWebsiteAnalysis: false,
+        budgetFallback,
+      },
+    };
+  }
+
+  /**
+   * Send an email step (AI-written or from a template)
+   */
+  async runEmailStep(prospect, step, followUpNumber) {
+    const db = getDb();
+    const draft = await this.generateDraft(prospect, { step: step.config, followUpNumber });
+    const { subject: emailSubject, body: emailBody, templateId } = draft;
 
     // Create campaign record
     const campaignResult = db.prepare(`
-      INSERT INTO campaigns (prospect_id, subject, body, status)
-      VALUES (?, ?, ?, 'pending')
-    `).run(prospectId, emailSubject, emailBody);
+      INSERT INTO campaigns (prospect_id, contact_id, template_id, subject, body, status, prompt_versions)
+      VALUES (?, ?, ?, ?, ?, 'pending', ?)
+    `).run(prospect.id, draft.context.contactId, templateId, emailSubject, emailBody, draft.promptVersions ? JSON.stringify(draft.promptVersions) : null);
 
     const campaignId = campaignResult.lastInsertRowid;
 
@@ -97,44 +292,156 @@ class FollowupAgent {
     db.prepare(`
       INSERT INTO activities (prospect_id, type, description)
       VALUES (?, 'agent_action', ?)
-    `).run(prospectId, `Follow-up Agent generated follow-up #${followUpNumber}: "${emailSubject}"`);
+    `).run(prospect.id, `Follow-up Agent generated follow-up #${followUpNumber}: "${emailSubject}"${draft.context.budgetFallback ? ' from a template (LLM budget reached)' : ''}`);
+
+    // Approve-before-send: park it in the review queue
+    if (approvalService.isEnabled()) {
+      approvalService.queue(campaignId, { agent: this.name, ...draft.context });
+      return { campaignId, followUpNumber, subject: emailSubject, awaitingApproval: true, budgetFallback: draft.context.budgetFallback };
+    }
 
     // Send the email
-    const sendResult = await this.sendEmail(prospect, emailSubject, emailBody, campaignId);
+    const sendResult = await this.sendEmail(prospect, emailSubject, emailBody, campaignId, {
+      replyToCampaignId: draft.context.replyToCampaignId,
+    });
 
-    // Update sequence
-    if (sendResult.sent) {
-      const followUpDays = orchestrator.getConfig('follow_up_days', '3,7,14');
-      const daysArray = followUpDays.split(',').map(d => parseInt(d.trim()));
-      const nextDays = daysArray[followUpNumber] || daysArray[daysArray.length - 1] || 7;
+    return {
+      campaignId,
+      followUpNumber,
+      subject: emailSubject,
+      sent: sendResult.sent,
+      error: sendResult.error,
+      retryAt: sendResult.retryAt,
+      budgetFallback: draft.context.budgetFallback,
+    };
+  }
 
-      const nextSendAt = new Date();
-      nextSendAt.setDate(nextSendAt.getDate() + nextDays);
+  /**
+   * Send a follow-up approved in the review queue, then let the sequence run its next step
+   */
+  async sendApproved(prospect, campaignId) {
+    const db = getDb();
+    const campaign = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(campaignId);
 
+    if (!campaign || campaign.status !== 'approved') {
+      return { skipped: true, reason: 'Campaign is not approved for sending' };
+    }
+
+    // Things may have moved on while the email waited for review
+    const enrollment = db.prepare('SELECT * FROM follow_up_sequences WHERE prospect_id = ?').get(prospect.id);
+    const skipReason = !prospect.automation_enabled
+      ? 'Automation disabled for this prospect'
+      : prospect.stage !== 'contacted'
+      ? `Prospect stage is "${prospect.stage}", not "contacted"`
+      : !enrollment || enrollment.is_paused || enrollment.completed_at
+      ? 'Follow-up sequence is no longer running'
+      : null;
+
+    if (skipReason) {
+      approvalService.cancel(campaignId, skipReason);
+      return { skipped: true, reason: skipReason };
+    }
+
+    const context = JSON.parse(campaign.review_context || '{}');
+    const sendResult = await this.sendEmail(prospect, campaign.subject, campaign.body, campaignId, {
+      replyToCampaignId: context.replyToCampaignId,
+    });
+
+    // Throttled: keep it approved and try again when there is capacity
+    if (!sendResult.sent && sendResult.retryAt) {
+      db.prepare(`UPDATE campaigns SET status = 'approved' WHERE id = ?`).run(campaignId);
+      orchestrator.queueTask({
+        agentType: this.name,
+        prospectId: prospect.id,
+        payload: { approvedCampaignId: campaignId },
+        scheduledFor: new Date(sendResult.retryAt),
+      });
+      return { campaignId, approved: true, sent: false, error: sendResult.error, retryAt: sendResult.retryAt };
+    }
+
+    if (sendResult.sent) {
       db.prepare(`
-        UPDATE follow_up_sequences 
-        SET sequence_step = ?, last_sent_at = CURRENT_TIMESTAMP, next_send_at = ?
-        WHERE prospect_id = ?
-      `).run(followUpNumber, nextSendAt.toISOString(), prospectId);
+        UPDATE follow_up_sequences SET sequence_step = sequence_step + 1, last_sent_at = CURRENT_TIMESTAMP WHERE prospect_id = ?
+      `).run(prospect.id);
     }
+    approvalService.resumeSequence(prospect.id);
 
     return {
       campaignId,
-      followUpNumber,
-      subject: emailSubject,
+      followUpNumber: context.followUpNumber,
+      subject: campaign.subject,
+      approved: true,
       sent: sendResult.sent,
       error: sendResult.error,
     };
   }
 
   /**
-   * Send the email via Resend
+   * Create a manual task for the rep (surfaced as a notification)
+   */
+  runTaskStep(prospect, step, sequence) {
+    const db = getDb();
+
+    notificationService.create({
+      type: 'sequence_task',
+      title: `${step.config.title}: ${prospect.business_name}`,
+      message: step.config.description || `Manual step in the "${sequence?.name}" sequence`,
+      prospectId: prospect.id,
+      actionUrl: `/prospect/${prospect.id}`,
+    });
+
+    db.prepare(`
+      INSERT INTO activities (prospect_id, type, description)
+      VALUES (?, 'task_created', ?)
+    `).run(prospect.id, `Sequence task created: ${step.config.title}`);
+  }
+
+  /**
+   * Persist the prospect's position in its sequence (no nextSendAt = hold until resumed)
+   */
+  saveProgress(prospectId, { currentStep, nextSendAt }) {
+    const db = getDb();
+    db.prepare(`
+      UPDATE follow_up_sequences SET current_step = ?, next_send_at = ? WHERE prospect_id = ?
+    `).run(currentStep, nextSendAt ? nextSendAt.toISOString() : null, prospectId);
+  }
+
+  /**
+   * Finish a sequence and apply its completion action
+   */
+  completeSequence(prospect, sequence) {
+    const db = getDb();
+
+    db.prepare(`
+      UPDATE follow_up_sequences SET completed_at = CURRENT_TIMESTAMP WHERE prospect_id = ?
+    `).run(prospect.id);
+
+    if (sequence?.on_complete === 'lost') {
+      // Move to lost if the sequence ran out with no response
+      pipelineService.transition(prospect, 'lost', { actor: this.name, reason: 'follow-up sequence finished with no response' });
+
+      return { completed: true, reason: 'Sequence finished, moved to lost' };
+    }
+
+    db.prepare(`
+      INSERT INTO activities (prospect_id, type, description)
+      VALUES (?, 'agent_action', ?)
+    `).run(prospect.id, `Follow-up sequence "${sequence?.name || 'unknown'}" completed`);
+
+    return { completed: true, reason: 'Sequence finished' };
+  }
+
+  /**
+   * Send the email through the configured transport
+   * @param {number} [options.replyToCampaignId] - Campaign this follow-up replies to (threading)
    */
-  async sendEmail(prospect, subject, body, campaignId) {
+  async sendEmail(prospect, subject, body, campaignId, { replyToCampaignId = null } = {}) {
     const db = getDb();
+    const campaign = db.prepare('SELECT contact_id FROM campaigns WHERE id = ?').get(campaignId);
+    const { email: to } = contactService.getRecipient(prospect, campaign?.contact_id);
 
     // Check if we have an email address
-    if (!prospect.email) {
+    if (!to) {
       db.prepare(`
         UPDATE campaigns SET status = 'draft' WHERE id = ?
       `).run(campaignId);
@@ -153,20 +460,21 @@ class FollowupAgent {
 
     try {
       const result = await emailService.send({
-        to: prospect.email,
+        to,
         subject: subject,
         text: body,
         tags: {
           campaign_id: campaignId,
           prospect_id: prospect.id,
         },
+        replyToCampaignId,
       });
 
       if (!result.success) {
         db.prepare(`
-          UPDATE campaigns SET status = 'failed' WHERE id = ?
-        `).run(campaignId);
-        return { sent: false, error: result.error };
+          UPDATE campaigns SET status = ? WHERE id = ?
+        `).run(result.suppressed ? 'suppressed' : 'failed', campaignId);
+        return { sent: false, error: result.error, suppressed: result.suppressed, retryAt: result.retryAt };
       }
 
       // Update campaign status
@@ -203,10 +511,15 @@ class FollowupAgent {
       FROM follow_up_sequences f
       JOIN prospects p ON f.prospect_id = p.id
       WHERE f.is_paused = 0 
-        AND f.next_send_at <= datetime('now')
-        AND f.sequence_step < f.max_steps
+        AND f.completed_at IS NULL
+        AND datetime(f.next_send_at) <= datetime('now')
         AND p.automation_enabled = 1
         AND p.stage = 'contacted'
+        AND NOT EXISTS (
+          SELECT 1 FROM agent_tasks t
+          WHERE t.prospect_id = f.prospect_id AND t.agent_type = 'followup'
+            AND t.status IN ('pending', 'processing')
+        )
     `).all();
   }
 }
@@ -1,5 +1,8 @@
 import { getDb } from '../db/init.js';
 import { v4 as uuidv4 } from 'uuid';
+import sendWindowService, { SENDING_AGENT_TYPES } from '../services/sendWindow.js';
+import throttleService from '../services/throttle.js';
+import llmService from '../services/llm.js';
 
 /**
  * Agent Orchestrator - Coordinates all AI agents and manages task queue
@@ -26,32 +29,86 @@ class AgentOrchestrator {
   }
 
   /**
-   * Queue a task for an agent
+   * Format a Date the way SQLite's datetime() does, so comparisons against datetime('now') hold
+   */
+  toSqlDate(date) {
+    return new Date(date).toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  /**
+   * Queue a task for an agent.
+   * Tasks that email the prospect are pushed into the recipient's next send window.
    */
   queueTask({ agentType, prospectId, payload = {}, scheduledFor = null }) {
     const db = getDb();
+
+    if (SENDING_AGENT_TYPES.includes(agentType) && prospectId) {
+      const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(prospectId);
+      if (prospect) {
+        const from = scheduledFor ? new Date(scheduledFor) : new Date();
+        const allowed = sendWindowService.getNextAllowedTime(prospect, from);
+        if (scheduledFor || allowed.getTime() !== from.getTime()) {
+          scheduledFor = this.toSqlDate(allowed);
+        }
+      }
+    }
     
     const result = db.prepare(`
       INSERT INTO agent_tasks (agent_type, prospect_id, payload, scheduled_for, status)
       VALUES (?, ?, ?, ?, 'pending')
     `).run(agentType, prospectId, JSON.stringify(payload), scheduledFor);
 
-    console.log(`📋 Task queued: ${agentType} for prospect ${prospectId}`);
+    console.log(`📋 Task queued: ${agentType} for prospect ${prospectId}${scheduledFor ? ` (scheduled for ${scheduledFor} UTC)` : ''}`);
     return result.lastInsertRowid;
   }
 
   /**
-   * Get pending tasks
+   * Get pending tasks that are due and, for sending agents, inside the recipient's send window.
+   * Due tasks whose window is closed are rescheduled to the window's next opening.
    */
   getPendingTasks(limit = 10) {
     const db = getDb();
-    return db.prepare(`
-      SELECT * FROM agent_tasks 
-      WHERE status = 'pending' 
-        AND (scheduled_for IS NULL OR scheduled_for <= datetime('now'))
-      ORDER BY created_at ASC
+    const now = new Date();
+    const ready = [];
+
+    const candidates = db.prepare(`
+      SELECT t.*, p.timezone, p.state, p.zip_code, p.sequence_id
+      FROM agent_tasks t
+      LEFT JOIN prospects p ON t.prospect_id = p.id
+      WHERE t.status = 'pending' 
+        AND (t.scheduled_for IS NULL OR datetime(t.scheduled_for) <= datetime('now'))
+      ORDER BY t.created_at ASC
       LIMIT ?
-    `).all(limit);
+    `).all(limit * 5);
+
+    for (const candidate of candidates) {
+      if (ready.length >= limit) break;
+
+      const { timezone, state, zip_code, sequence_id, ...task } = candidate;
+
+      if (SENDING_AGENT_TYPES.includes(task.agent_type) && task.prospect_id) {
+        const prospect = { id: task.prospect_id, timezone, state, zip_code, sequence_id };
+        const allowed = sendWindowService.getNextAllowedTime(prospect, now);
+        if (allowed.getTime() !== now.getTime()) {
+          this.deferTask(task.id, allowed, 'send_window');
+          continue;
+        }
+      }
+
+      ready.push(task);
+    }
+
+    return ready;
+  }
+
+  /**
+   * Push a pending task back without counting it as an attempt
+   */
+  deferTask(taskId, until, reason) {
+    const db = getDb();
+    db.prepare(`
+      UPDATE agent_tasks SET status = 'pending', scheduled_for = ?, deferred_reason = ? WHERE id = ?
+    `).run(this.toSqlDate(until), reason, taskId);
   }
 
   /**
@@ -94,21 +151,35 @@ class AgentOrchestrator {
       return;
     }
 
+    // Over the sending caps: carry the task over to when capacity frees up (next day for the daily cap)
+    if (SENDING_AGENT_TYPES.includes(task.agent_type) && task.prospect_id) {
+      const db = getDb();
+      const prospect = db.prepare('SELECT email FROM prospects WHERE id = ?').get(task.prospect_id);
+      const throttle = prospect?.email ? throttleService.check(prospect.email) : { allowed: true };
+      if (!throttle.allowed) {
+        this.deferTask(task.id, throttle.retryAt, throttle.reason);
+        console.log(`⏳ Task deferred (${throttle.reason}): ${task.agent_type} for prospect ${task.prospect_id} until ${throttle.retryAt.toISOString()}`);
+        return;
+      }
+    }
+
     this.updateTaskStatus(task.id, 'processing');
 
     try {
       const payload = task.payload ? JSON.parse(task.payload) : {};
-      const result = await agent.execute(task.prospect_id, payload);
-      this.updateTaskStatus(task.id, 'completed', result);
+      // Keep the LLM calls the agent made (provider, model, retries, fallbacks) with the task result
+      const { result, llmCalls } = await llmService.trackCalls(() => agent.execute(task.prospect_id, payload));
+      this.updateTaskStatus(task.id, 'completed', llmCalls.length > 0 ? { ...result, llmCalls } : result);
       console.log(`✅ Task completed: ${task.agent_type} for prospect ${task.prospect_id}`);
     } catch (error) {
       console.error(`❌ Task failed: ${task.agent_type}`, error);
+      const result = error.llmCalls?.length > 0 ? { llmCalls: error.llmCalls } : null;
       
       // Retry logic - max 3 attempts
       if (task.attempts < 3) {
-        this.updateTaskStatus(task.id, 'pending', null, error.message);
+        this.updateTaskStatus(task.id, 'pending', result, error.message);
       } else {
-        this.updateTaskStatus(task.id, 'failed', null, error.message);
+        this.updateTaskStatus(task.id, 'failed', result, error.message);
       }
     }
   }
@@ -154,6 +225,8 @@ class AgentOrchestrator {
     const configs = db.prepare('SELECT key, value FROM agent_config').all();
     const result = {};
     for (const config of configs) {
+      // Never expose signing secrets through the config API
+      if (config.key.endsWith('_secret')) continue;
       result[config.key] = config.value;
     }
     return result;
@@ -2,7 +2,15 @@ import { getDb } from '../db/init.js';
 import llmService from '../services/llm.js';
 import orchestrator from './orchestrator.js';
 import emailService from '../services/email.js';
+import suppressionService from '../services/suppression.js';
 import firecrawlService from '../services/firecrawl.js';
+import sequenceService from '../services/sequences.js';
+import approvalService from '../services/approvals.js';
+import experimentService from '../services/experiments.js';
+import templateRuleService from '../services/templateRules.js';
+import templateRenderer from '../services/templateRenderer.js';
+import contactService from '../services/contacts.js';
+import pipelineService from '../services/pipeline.js';
 
 /**
  * Outreach Agent - Generates and sends initial outreach emails to prospects
@@ -24,11 +32,28 @@ class OutreachAgent {
       throw new Error(`Prospect ${prospectId} not found`);
     }
 
+    // A reviewed email from the approval queue: just send it
+    if (payload.approvedCampaignId) {
+      return this.sendApproved(prospect, payload.approvedCampaignId);
+    }
+
+    // An email that was throttled: send it as written once there is capacity
+    if (payload.throttledCampaignId) {
+      return this.sendThrottled(prospect, payload.throttledCampaignId);
+    }
+
     // Check if automation is enabled for this prospect
     if (!prospect.automation_enabled) {
       return { skipped: true, reason: 'Automation disabled for this prospect' };
     }
 
+    // Don't spend LLM tokens on a recipient we can never email
+    const recipient = contactService.getRecipient(prospect, payload.contactId);
+    const suppression = suppressionService.isSuppressed(recipient.email);
+    if (suppression) {
+      return { skipped: true, reason: `Recipient is on the suppression list (${suppression.reason})` };
+    }
+
     // Check if auto_outreach is enabled globally
     const autoOutreach = orchestrator.getConfig('auto_outreach', 'true');
     if (autoOutreach !== 'true') {
@@ -44,140 +69,277 @@ class OutreachAgent {
       return { skipped: true, reason: 'Prospect already has email campaigns' };
     }
 
-    // Generate email if no template provided
+    // A/B experiments this email takes part in (not when the caller picked the template)
+    const experiments = payload.templateId ? [] : experimentService.pick(prospect);
+
+    const draft = await this.generateDraft(prospect, {
+      requestedTemplateId: payload.templateId || null,
+      contactId: recipient.contact?.id || null,
+      useAI: payload.useAI !== false,
+      experiments,
+    });
+    const { subject: emailSubject, body: emailBody } = draft;
+
+    // Create campaign record
+    const campaignResult = db.prepare(`
+      INSERT INTO campaigns (prospect_id, contact_id, template_id, subject, body, status, prompt_versions, template_reason)
+      VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+    `).run(prospectId, draft.context.contactId, draft.templateId, emailSubject, emailBody, draft.promptVersions ? JSON.stringify(draft.promptVersions) : null, draft.templateReason);
+
+    const campaignId = campaignResult.lastInsertRowid;
+    experimentService.record(prospectId, campaignId, draft.context.experiments);
+
+    // Log activity
+    db.prepare(`
+      INSERT INTO activities (prospect_id, type, description)
+      VALUES (?, 'agent_action', ?)
+    `).run(prospectId, `Outreach Agent generated email: "${emailSubject}"${draft.context.budgetFallback ? ' from a template (LLM budget reached)' : ''}`);
+
+    // Approve-before-send: park it in the review queue
+    if (approvalService.isEnabled()) {
+      approvalService.queue(campaignId, { agent: this.name, ...draft.context });
+      return { campaignId, subject: emailSubject, awaitingApproval: true, budgetFallback: draft.context.budgetFallback };
+    }
+
+    // Try to send the email
+    const sendResult = await this.sendEmail(prospect, emailSubject, emailBody, campaignId);
+
+    // Throttled: it stays pending (so it isn't written again) and goes out when there is capacity
+    if (sendResult.throttled) {
+      this.requeueThrottled(prospectId, { throttledCampaignId: campaignId }, sendResult.retryAt);
+    }
+
+    // Set up follow-up sequence
+    if (sendResult.sent) {
+      this.initializeFollowUpSequence(prospectId);
+    }
+
+    return {
+      campaignId,
+      subject: emailSubject,
+      sent: sendResult.sent,
+      error: sendResult.error,
+      retryAt: sendResult.retryAt,
+      budgetFallback: draft.context.budgetFallback,
+    };
+  }
+
+  /**
+   * Write the outreach email (template and/or AI) without sending it
+   * @param {Object} prospect
+   * @param {Object} [options]
+   * @param {number} [options.requestedTemplateId] - Template picked by the caller
+   * @param {number} [options.contactId] - The contact it is written to (default: the prospect's primary contact)
+   * @param {boolean} [options.useAI] - Let the AI write or rewrite the email (default: true)
+   * @param {Array} [options.experiments] - Experiment variants to write it with (experimentService.pick)
+   * @returns {Promise<{subject: string, body: string, templateId: number|null, templateReason: string|null, promptVersions: Object|null, context: Object}>}
+   *   context records what the email was based on (including the experiment variants actually applied),
+   *   for the approval queue; templateReason which template it was based on and why; promptVersions the prompts the AI used
+   */
+  async generateDraft(prospect, { requestedTemplateId = null, contactId = null, useAI = true, experiments = [] } = {}) {
+    const db = getDb();
+    const { contact } = contactService.getRecipient(prospect, contactId);
     let emailBody, emailSubject;
-    
-    if (payload.templateId) {
-      const template = db.prepare('SELECT * FROM templates WHERE id = ?').get(payload.templateId);
-      if (template) {
-        emailBody = this.replaceVariables(template.body, prospect);
-        emailSubject = this.replaceVariables(template.subject || '', prospect);
+    let choice = null;
+    let usedWebsiteAnalysis = false;
+    let budgetFallback = null;
+    let promptVersions = null;
+    const applied = [];
+    const templateVariant = experiments.find(e => e.type === 'template');
+    const subjectVariant = experiments.find(e => e.type === 'subject');
+    const promptVariant = experiments.find(e => e.type === 'prompt');
+
+    const requestedTemplate = requestedTemplateId
+      ? db.prepare('SELECT * FROM templates WHERE id = ?').get(requestedTemplateId)
+      : null;
+
+    if (requestedTemplate) {
+      choice = { template: requestedTemplate, confidence: 1, reason: 'Template chosen explicitly' };
+      ({ subject: emailSubject, body: emailBody } = templateRenderer.renderTemplate(requestedTemplate, prospect, { contact }));
+    }
+
+    // Over the LLM budget: send the best template as written instead
+    const budget = !emailBody || useAI !== false ? llmService.checkBudget() : { allowed: true };
+    if (!budget.allowed) {
+      choice = choice || this.selectTemplate(prospect, templateVariant, applied);
+      if (!choice.template) {
+        throw new Error(`${budget.message} and no email template to fall back to`);
+      }
+      budgetFallback = budget.message;
+      if (!emailBody) {
+        ({ subject: emailSubject, body: emailBody } = templateRenderer.renderTemplate(choice.template, prospect, { contact }));
       }
     }
 
     // Use AI to generate personalized email if no template or for enhancement
-    if (!emailBody || payload.useAI !== false) {
-      const template = payload.templateId 
-        ? db.prepare('SELECT * FROM templates WHERE id = ?').get(payload.templateId)
-        : this.selectBestTemplate(prospect);
+    if (budget.allowed && (!emailBody || useAI !== false)) {
+      choice = choice || this.selectTemplate(prospect, templateVariant, applied);
 
       // Get website analysis if available
       let websiteAnalysis = null;
       if (prospect.website_url) {
-        const storedAnalysis = firecrawlService.getStoredAnalysis(prospectId);
+        const storedAnalysis = firecrawlService.getStoredAnalysis(prospect.id);
         if (storedAnalysis) {
           websiteAnalysis = storedAnalysis.analysis;
+          usedWebsiteAnalysis = true;
           console.log(`📊 Using website analysis for outreach to ${prospect.business_name}`);
         }
       }
 
+      // The AI works from the template as this prospect would get it (no placeholders or spintax)
       const result = await llmService.generateOutreachEmail({
         prospect,
-        template,
+        contact,
+        template: choice.template && { ...choice.template, ...templateRenderer.renderTemplate(choice.template, prospect, { contact }) },
         context: { followUpNumber: 0 },
         websiteAnalysis,
+        pinnedVersions: promptVariant ? { [promptVariant.config.promptKey]: parseInt(promptVariant.config.version) } : {},
       });
 
       emailBody = result.text;
+      promptVersions = result.promptVersions;
+      if (promptVariant) applied.push(promptVariant);
       
       // Generate subject line
       emailSubject = await llmService.generateSubjectLine({
         prospect,
         emailBody,
+        promptVersions,
+        strategy: subjectVariant ? subjectVariant.config.strategy : orchestrator.getConfig('subject_strategy', ''),
       });
+      if (subjectVariant) applied.push(subjectVariant);
     }
 
-    // Create campaign record
-    const campaignResult = db.prepare(`
-      INSERT INTO campaigns (prospect_id, template_id, subject, body, status)
-      VALUES (?, ?, ?, ?, 'pending')
-    `).run(prospectId, payload.templateId || null, emailSubject, emailBody);
+    return {
+      subject: emailSubject,
+      body: emailBody,
+      templateId: budgetFallback ? choice.template.id : requestedTemplateId,
+      templateReason: choice?.template ? `"${choice.template.name}" - ${choice.reason}` : null,
+      promptVersions,
+      context: {
+        requestedTemplateId,
+        contactId: contact?.id || null,
+        useAI,
+        template: choice?.template
+          ? { id: choice.template.id, name: choice.template.name, confidence: choice.confidence, reason: choice.reason }
+          : null,
+        usedWebsiteAnalysis,
+        budgetFallback,
+        experiments: applied,
+      },
+    };
+  }
 
-    const campaignId = campaignResult.lastInsertRowid;
+  /**
+   * The template an experiment variant assigns, else the one the template rules pick
+   * @param {Array} applied - The variant is added here when it is used
+   */
+  selectTemplate(prospect, variant, applied) {
+    const db = getDb();
+    const template = variant && db.prepare('SELECT * FROM templates WHERE id = ?').get(variant.config.templateId);
+    if (!template) {
+      return templateRuleService.select(prospect);
+    }
 
-    // Log activity
-    db.prepare(`
-      INSERT INTO activities (prospect_id, type, description)
-      VALUES (?, 'agent_action', ?)
-    `).run(prospectId, `Outreach Agent generated email: "${emailSubject}"`);
+    applied.push(variant);
+    return { template, confidence: 1, reason: `Experiment "${variant.experimentName}": ${variant.variantName}` };
+  }
 
-    // Try to send the email
-    const sendResult = await this.sendEmail(prospect, emailSubject, emailBody, campaignId);
+  /**
+   * Send an email approved in the review queue
+   */
+  async sendApproved(prospect, campaignId) {
+    const db = getDb();
+    const campaign = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(campaignId);
+
+    if (!campaign || campaign.status !== 'approved') {
+      return { skipped: true, reason: 'Campaign is not approved for sending' };
+    }
+
+    if (!prospect.automation_enabled) {
+      approvalService.cancel(campaignId, 'Automation disabled for this prospect');
+      return { skipped: true, reason: 'Automation disabled for this prospect' };
+    }
+
+    const sendResult = await this.sendEmail(prospect, campaign.subject, campaign.body, campaignId);
+
+    // Throttled: keep it approved and try again when there is capacity
+    if (sendResult.throttled) {
+      this.requeueThrottled(prospect.id, { approvedCampaignId: campaignId }, sendResult.retryAt);
+    }
 
-    // Set up follow-up sequence
     if (sendResult.sent) {
-      this.initializeFollowUpSequence(prospectId);
+      this.initializeFollowUpSequence(prospect.id);
     }
 
     return {
       campaignId,
-      subject: emailSubject,
+      subject: campaign.subject,
+      approved: true,
       sent: sendResult.sent,
       error: sendResult.error,
+      retryAt: sendResult.retryAt,
     };
   }
 
   /**
-   * Select the best template based on prospect characteristics
+   * Send an outreach email that was held back by the throttle
    */
-  selectBestTemplate(prospect) {
+  async sendThrottled(prospect, campaignId) {
     const db = getDb();
-    
-    // If no website, use website pitch template
-    if (!prospect.website_url) {
-      const template = db.prepare(`
-        SELECT * FROM templates 
-        WHERE type = 'email' AND name LIKE '%No Website%'
-        LIMIT 1
-      `).get();
-      if (template) return template;
+    const campaign = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(campaignId);
+
+    if (!campaign || campaign.status !== 'pending') {
+      return { skipped: true, reason: 'Campaign is no longer waiting to be sent' };
     }
 
-    // Default to AI/Data solutions for businesses with websites
-    const template = db.prepare(`
-      SELECT * FROM templates 
-      WHERE type = 'email'
-      ORDER BY id ASC
-      LIMIT 1
-    `).get();
+    // Keep it as a draft someone can still send by hand
+    if (!prospect.automation_enabled) {
+      db.prepare(`UPDATE campaigns SET status = 'draft' WHERE id = ?`).run(campaignId);
+      return { skipped: true, reason: 'Automation disabled for this prospect' };
+    }
 
-    return template;
-  }
+    const sendResult = await this.sendEmail(prospect, campaign.subject, campaign.body, campaignId);
 
-  /**
-   * Replace template variables with prospect data
-   */
-  replaceVariables(text, prospect) {
-    if (!text) return text;
-    
-    const variables = {
-      business_name: prospect.business_name,
-      city: prospect.city,
-      state: prospect.state,
-      category: prospect.category,
-      industry: prospect.category,
-      owner_name: 'there',
-      rating: prospect.rating,
-      review_count: prospect.review_count,
-    };
+    if (sendResult.throttled) {
+      this.requeueThrottled(prospect.id, { throttledCampaignId: campaignId }, sendResult.retryAt);
+    }
 
-    let result = text;
-    for (const [key, value] of Object.entries(variables)) {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      result = result.replace(regex, value || '');
+    if (sendResult.sent) {
+      this.initializeFollowUpSequence(prospect.id);
     }
 
-    return result;
+    return {
+      campaignId,
+      subject: campaign.subject,
+      sent: sendResult.sent,
+      error: sendResult.error,
+      retryAt: sendResult.retryAt,
+    };
   }
 
   /**
-   * Send the email via Resend
+   * Queue another try at a throttled send for when the throttle allows it
+   */
+  requeueThrottled(prospectId, payload, retryAt) {
+    orchestrator.queueTask({
+      agentType: this.name,
+      prospectId,
+      payload,
+      scheduledFor: new Date(retryAt),
+    });
+  }
+
+  /**
+   * Send the email through the configured transport
    */
   async sendEmail(prospect, subject, body, campaignId) {
     const db = getDb();
+    const campaign = db.prepare('SELECT contact_id FROM campaigns WHERE id = ?').get(campaignId);
+    const { email: to } = contactService.getRecipient(prospect, campaign?.contact_id);
 
     // Check if we have an email address
-    if (!prospect.email) {
+    if (!to) {
       db.prepare(`
         UPDATE campaigns SET status = 'draft' WHERE id = ?
       `).run(campaignId);
@@ -200,9 +362,9 @@ class OutreachAgent {
     }
 
     try {
-      // Send email via Resend
+      // Send email
       const result = await emailService.send({
-        to: prospect.email,
+        to,
         subject: subject,
         text: body,
         tags: {
@@ -211,11 +373,16 @@ class OutreachAgent {
         },
       });
 
+      // Throttled: leave the campaign as it is for the caller to queue again
+      if (result.throttled) {
+        return { sent: false, error: result.error, throttled: true, retryAt: result.retryAt };
+      }
+
       if (!result.success) {
         db.prepare(`
-          UPDATE campaigns SET status = 'failed' WHERE id = ?
-        `).run(campaignId);
-        return { sent: false, error: result.error };
+          UPDATE campaigns SET status = ? WHERE id = ?
+        `).run(result.suppressed ? 'suppressed' : 'failed', campaignId);
+        return { sent: false, error: result.error, suppressed: result.suppressed };
       }
 
       // Update campaign status
@@ -230,15 +397,8 @@ class OutreachAgent {
       `).run(prospect.id, `Outreach Agent sent email: "${subject}"`);
 
       // Update prospect stage
-      if (prospect.stage === 'new') {
-        db.prepare(`
-          UPDATE prospects SET stage = 'contacted', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-        `).run(prospect.id);
-
-        db.prepare(`
-          INSERT INTO activities (prospect_id, type, description)
-          VALUES (?, 'stage_change', 'Stage changed from "new" to "contacted" by Outreach Agent')
-        `).run(prospect.id);
+      if (pipelineService.isBefore(prospect, 'contacted')) {
+        pipelineService.transition(prospect, 'contacted', { actor: this.name });
       }
 
       return { sent: true, messageId: result.id };
@@ -257,24 +417,8 @@ class OutreachAgent {
    * Initialize follow-up sequence for a prospect
    */
   initializeFollowUpSequence(prospectId) {
-    const db = getDb();
-    
-    const followUpDays = orchestrator.getConfig('follow_up_days', '3,7,14');
-    const maxSteps = followUpDays.split(',').length;
-    const daysBetween = parseInt(followUpDays.split(',')[0]) || 3;
-
-    // Calculate next send date
-    const nextSendAt = new Date();
-    nextSendAt.setDate(nextSendAt.getDate() + daysBetween);
-
     try {
-      db.prepare(`
-        INSERT OR REPLACE INTO follow_up_sequences 
-        (prospect_id, sequence_step, max_steps, days_between, last_sent_at, next_send_at)
-        VALUES (?, 0, ?, ?, CURRENT_TIMESTAMP, ?)
-      `).run(prospectId, maxSteps, daysBetween, nextSendAt.toISOString());
-
-      console.log(`📅 Follow-up sequence initialized for prospect ${prospectId}`);
+      sequenceService.enroll(prospectId);
     } catch (error) {
       console.error('Failed to initialize follow-up sequence:', error);
     }
@@ -1,6 +1,10 @@
 import { getDb } from '../db/init.js';
 import llmService from '../services/llm.js';
 import orchestrator from './orchestrator.js';
+import suppressionService from '../services/suppression.js';
+import notificationService from '../services/notifications.js';
+import experimentService from '../services/experiments.js';
+import pipelineService from '../services/pipeline.js';
 
 /**
  * Response Classifier Agent - Analyzes prospect email replies to determine intent
@@ -54,6 +58,21 @@ class ResponseAgent {
       };
     }
 
+    // Over the LLM budget: leave it for a person, the same as with auto-classify off
+    const budget = llmService.checkBudget();
+    if (!budget.allowed) {
+      db.prepare(`
+        INSERT INTO activities (prospect_id, type, description)
+        VALUES (?, 'response_pending_review', ?)
+      `).run(prospectId, `Reply pending manual review: "${subject}" (${budget.message})`);
+
+      return {
+        classification: 'PENDING_REVIEW',
+        message: budget.message,
+        budgetFallback: budget.message,
+      };
+    }
+
     // Use LLM to classify the response
     const classification = await llmService.classifyResponse({
       responseText,
@@ -70,6 +89,9 @@ class ResponseAgent {
       `Response classified as ${classification.classification} (${classification.confidence}% confidence): ${classification.summary}`
     );
 
+    // Meeting requests count towards the experiment variants the prospect got
+    experimentService.recordClassification(prospectId, classification.classification);
+
     // Take action based on classification
     await this.handleClassification(prospect, classification, responseText);
 
@@ -135,6 +157,17 @@ class ResponseAgent {
           UPDATE follow_up_sequences SET is_paused = 1 WHERE prospect_id = ?
         `).run(prospect.id);
 
+        // Honor the opt-out across every send path, not just this prospect's sequence
+        if (prospect.email) {
+          suppressionService.add({
+            email: prospect.email,
+            reason: 'unsubscribe',
+            source: 'reply_classification',
+            prospectId: prospect.id,
+            notes: classification.summary,
+          });
+        }
+
         this.createNotification(prospect, {
           type: 'not_interested',
           title: `${prospect.business_name} declined`,
@@ -192,33 +225,26 @@ class ResponseAgent {
   }
 
   /**
-   * Update prospect stage with activity logging
+   * Update prospect stage (moves the pipeline rules don't allow are skipped)
    */
   updateProspectStage(prospect, newStage) {
-    if (prospect.stage === newStage) return;
-
-    const db = getDb();
-    
-    db.prepare(`
-      UPDATE prospects SET stage = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
-    `).run(newStage, prospect.id);
-
-    db.prepare(`
-      INSERT INTO activities (prospect_id, type, description)
-      VALUES (?, 'stage_change', ?)
-    `).run(prospect.id, `Stage changed from "${prospect.stage}" to "${newStage}" by Response Agent`);
+    const result = pipelineService.transition(prospect, newStage, { actor: this.name });
+    if (!result.success) {
+      console.log(`⏭️  Stage not changed for ${prospect.business_name}: ${result.message}`);
+    }
   }
 
   /**
-   * Create a notification for the user
+   * Create a notification for the prospect's owner
    */
   createNotification(prospect, { type, title, message, priority = 'normal' }) {
-    const db = getDb();
-    
-    db.prepare(`
-      INSERT INTO notifications (type, title, message, prospect_id, action_url)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(type, title, message, prospect.id, `/prospect/${prospect.id}`);
+    notificationService.create({
+      type,
+      title,
+      message,
+      prospectId: prospect.id,
+      actionUrl: `/prospect/${prospect.id}`,
+    });
   }
 }
 
@@ -1,5 +1,7 @@
 import { getDb } from '../db/init.js';
-import orchestrator from './orchestrator.js';
+import sequenceService from '../services/sequences.js';
+import notificationService from '../services/notifications.js';
+import pipelineService from '../services/pipeline.js';
 
 /**
  * Stage Manager Agent - Handles automatic pipeline stage transitions
@@ -7,19 +9,9 @@ import orchestrator from './orchestrator.js';
 class StageAgent {
   constructor() {
     this.name = 'stage_manager';
-    
-    // Define valid stage transitions
-    this.stageOrder = ['new', 'contacted', 'responded', 'meeting_scheduled', 'proposal_sent', 'won', 'lost'];
-    
-    this.validTransitions = {
-      'new': ['contacted', 'lost'],
-      'contacted': ['responded', 'lost'],
-      'responded': ['meeting_scheduled', 'lost'],
-      'meeting_scheduled': ['proposal_sent', 'won', 'lost'],
-      'proposal_sent': ['won', 'lost'],
-      'won': [],
-      'lost': ['new'], // Can revive
-    };
+
+    // Entering a stage has the same side effects however the prospect got there
+    pipelineService.after((change) => this.handleStageEffects(change));
   }
 
   /**
@@ -54,47 +46,7 @@ class StageAgent {
    * Transition prospect to a new stage
    */
   transitionTo(prospect, newStage, reason = null) {
-    const db = getDb();
-    
-    // Validate transition
-    if (!this.isValidTransition(prospect.stage, newStage)) {
-      return {
-        success: false,
-        message: `Invalid transition from "${prospect.stage}" to "${newStage}"`,
-      };
-    }
-
-    // Update stage
-    db.prepare(`
-      UPDATE prospects SET stage = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
-    `).run(newStage, prospect.id);
-
-    const description = reason 
-      ? `Stage changed from "${prospect.stage}" to "${newStage}" by Stage Agent: ${reason}`
-      : `Stage changed from "${prospect.stage}" to "${newStage}" by Stage Agent`;
-
-    db.prepare(`
-      INSERT INTO activities (prospect_id, type, description)
-      VALUES (?, 'stage_change', ?)
-    `).run(prospect.id, description);
-
-    // Handle stage-specific side effects
-    this.handleStageEffects(prospect, newStage);
-
-    return {
-      success: true,
-      previousStage: prospect.stage,
-      newStage,
-      message: description,
-    };
-  }
-
-  /**
-   * Check if a stage transition is valid
-   */
-  isValidTransition(fromStage, toStage) {
-    const validTargets = this.validTransitions[fromStage] || [];
-    return validTargets.includes(toStage);
+    return pipelineService.transition(prospect, newStage, { actor: this.name, reason });
   }
 
   /**
@@ -117,12 +69,8 @@ class StageAgent {
       };
     }
 
-    // Only transition if it makes sense
-    const currentIndex = this.stageOrder.indexOf(prospect.stage);
-    const targetIndex = this.stageOrder.indexOf(suggestedStage);
-
-    // Allow forward transitions or to lost
-    if (suggestedStage === 'lost' || targetIndex > currentIndex) {
+    // Only transition if it makes sense: forward in the prospect's pipeline, or to lost
+    if (suggestedStage === 'lost' || pipelineService.isBefore(prospect, suggestedStage)) {
       return this.transitionTo(
         prospect, 
         suggestedStage, 
@@ -132,7 +80,7 @@ class StageAgent {
 
     return {
       success: false,
-      message: `Stage "${prospect.stage}" is already at or past "${suggestedStage}"`,
+      message: `Stage "${prospect.stage}" is already at or past "${suggestedStage}" (or its pipeline has no such stage)`,
     };
   }
 
@@ -164,25 +112,17 @@ class StageAgent {
       ORDER BY timestamp DESC
     `).all(prospect.id);
 
-    // Decision logic based on current stage
-    switch (prospect.stage) {
-      case 'new':
-        // If we've sent an email, should be contacted
-        if (campaigns.some(c => c.status === 'sent' || c.status === 'delivered')) {
-          return this.transitionTo(prospect, 'contacted', 'Email has been sent');
-        }
-        break;
-
-      case 'contacted':
-        // If we received a reply, should be responded
-        if (events.some(e => e.event_type === 'reply')) {
-          return this.transitionTo(prospect, 'responded', 'Reply received');
-        }
-        break;
+    // Decision logic based on where the prospect is in its pipeline
+    // If we've sent an email, should be contacted
+    if (pipelineService.isBefore(prospect, 'contacted')
+      && campaigns.some(c => c.status === 'sent' || c.status === 'delivered')) {
+      return this.transitionTo(prospect, 'contacted', 'Email has been sent');
+    }
 
-      case 'responded':
-        // Check if meeting was scheduled (would be manual or via classification)
-        break;
+    // If we received a reply, should be responded
+    // (meetings are scheduled by hand or via classification)
+    if (prospect.stage === 'contacted' && events.some(e => e.event_type === 'reply')) {
+      return this.transitionTo(prospect, 'responded', 'Reply received');
     }
 
     return {
@@ -193,33 +133,43 @@ class StageAgent {
   }
 
   /**
-   * Handle side effects when entering a stage
+   * Handle side effects when entering a stage (a pipelineService.after hook)
    */
-  handleStageEffects(prospect, newStage) {
+  handleStageEffects({ prospect, stage, to: newStage, actor }) {
     const db = getDb();
 
+    // Won and lost are flags, so every pipeline's closing stages count
+    if (stage.is_won) {
+      // Celebrate! Create notification
+      notificationService.notifyDealWon(prospect);
+      return;
+    }
+
+    if (stage.is_lost) {
+      // Stop automation, archive
+      db.prepare(`
+        UPDATE prospects SET automation_enabled = 0 WHERE id = ?
+      `).run(prospect.id);
+      
+      db.prepare(`
+        UPDATE follow_up_sequences SET is_paused = 1 WHERE prospect_id = ?
+      `).run(prospect.id);
+      return;
+    }
+
     switch (newStage) {
-      case 'contacted':
-        // Ensure follow-up sequence exists
+      case 'contacted': {
+        // Ensure follow-up sequence exists (people sending an email by hand start one themselves)
+        if (actor !== this.name) break;
         const existingSequence = db.prepare(`
           SELECT id FROM follow_up_sequences WHERE prospect_id = ?
         `).get(prospect.id);
 
         if (!existingSequence) {
-          const followUpDays = orchestrator.getConfig('follow_up_days', '3,7,14');
-          const maxSteps = followUpDays.split(',').length;
-          const daysBetween = parseInt(followUpDays.split(',')[0]) || 3;
-          
-          const nextSendAt = new Date();
-          nextSendAt.setDate(nextSendAt.getDate() + daysBetween);
-
-          db.prepare(`
-            INSERT INTO follow_up_sequences 
-            (prospect_id, sequence_step, max_steps, days_between, next_send_at)
-            VALUES (?, 0, ?, ?, ?)
-          `).run(prospect.id, maxSteps, daysBetween, nextSendAt.toISOString());
+          sequenceService.enroll(prospect.id);
         }
         break;
+      }
 
       case 'responded':
         // Pause follow-ups when they respond
@@ -229,46 +179,22 @@ class StageAgent {
         break;
 
       case 'meeting_scheduled':
-        // Create high-priority notification
-        db.prepare(`
-          INSERT INTO notifications (type, title, message, prospect_id, action_url)
-          VALUES ('meeting_scheduled', ?, ?, ?, ?)
-        `).run(
-          `Meeting scheduled with ${prospect.business_name}`,
-          'Time to reach out and confirm the meeting details.',
-          prospect.id,
-          `/prospect/${prospect.id}`
-        );
+        // Create high-priority notification (the Response Agent sends its own for meeting requests)
+        if (actor !== 'user' && actor !== 'response_classifier') {
+          notificationService.create({
+            type: 'meeting_scheduled',
+            title: `Meeting scheduled with ${prospect.business_name}`,
+            message: 'Time to reach out and confirm the meeting details.',
+            prospectId: prospect.id,
+            actionUrl: `/prospect/${prospect.id}`,
+          });
+        }
 
         // Stop all automation
         db.prepare(`
           UPDATE prospects SET automation_enabled = 0 WHERE id = ?
         `).run(prospect.id);
         break;
-
-      case 'won':
-        // Celebrate! Create notification
-        db.prepare(`
-          INSERT INTO notifications (type, title, message, prospect_id, action_url)
-          VALUES ('deal_won', ?, ?, ?, ?)
-        `).run(
-          `🎉 Deal won: ${prospect.business_name}`,
-          'Congratulations on closing the deal!',
-          prospect.id,
-          `/prospect/${prospect.id}`
-        );
-        break;
-
-      case 'lost':
-        // Stop automation, archive
-        db.prepare(`
-          UPDATE prospects SET automation_enabled = 0 WHERE id = ?
-        `).run(prospect.id);
-        
-        db.prepare(`
-          UPDATE follow_up_sequences SET is_paused = 1 WHERE prospect_id = ?
-        `).run(prospect.id);
-        break;
     }
   }
 }
@@ -87,6 +87,13 @@ export function initializeDatabase() {
     // Column already exists, ignore
   }
 
+  // Add timezone column (IANA name) for recipient send windows
+  try {
+    db.exec(`ALTER TABLE prospects ADD COLUMN timezone TEXT`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
   // Create activities table
   db.exec(`
     CREATE TABLE IF NOT EXISTS activities (
@@ -190,6 +197,68 @@ export function initializeDatabase() {
     )
   `);
 
+  // Create sequences table (named, reusable follow-up cadences)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sequences (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      segment TEXT,
+      priority INTEGER DEFAULT 0,
+      is_default INTEGER DEFAULT 0,
+      is_active INTEGER DEFAULT 1,
+      on_complete TEXT DEFAULT 'lost',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create sequence_steps table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sequence_steps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sequence_id INTEGER NOT NULL,
+      step_order INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      config TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (sequence_id) REFERENCES sequences(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Track which sequence (and which step of it) each prospect is running
+  try {
+    db.exec(`ALTER TABLE follow_up_sequences ADD COLUMN sequence_id INTEGER REFERENCES sequences(id) ON DELETE SET NULL`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  try {
+    db.exec(`ALTER TABLE follow_up_sequences ADD COLUMN current_step INTEGER DEFAULT 0`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  try {
+    db.exec(`ALTER TABLE follow_up_sequences ADD COLUMN completed_at DATETIME`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Per-sequence send window override ({ start, end, days })
+  try {
+    db.exec(`ALTER TABLE sequences ADD COLUMN send_window TEXT`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Per-prospect sequence assignment (overrides segment matching)
+  try {
+    db.exec(`ALTER TABLE prospects ADD COLUMN sequence_id INTEGER REFERENCES sequences(id) ON DELETE SET NULL`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
   // Create notifications table
   db.exec(`
     CREATE TABLE IF NOT EXISTS notifications (
@@ -205,9 +274,596 @@ export function initializeDatabase() {
     )
   `);
 
+  // Create suppressions table (global do-not-contact list)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS suppressions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope TEXT NOT NULL DEFAULT 'email',
+      value TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      source TEXT,
+      prospect_id INTEGER,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (scope, value),
+      FOREIGN KEY (prospect_id) REFERENCES prospects(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create users table (local accounts)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'rep',
+      is_active INTEGER DEFAULT 1,
+      last_login_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create sessions table (bearer tokens, stored hashed)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      user_agent TEXT,
+      expires_at DATETIME NOT NULL,
+      last_used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Prospect owner (team member responsible for the lead)
+  try {
+    db.exec(`ALTER TABLE prospects ADD COLUMN owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Notification recipient (NULL = whole team)
+  try {
+    db.exec(`ALTER TABLE notifications ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Create assignment_rules table (route new prospects to owners by category/territory)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS assignment_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      segment TEXT,
+      priority INTEGER DEFAULT 0,
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create audit_log table (who changed what through the API)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      status_code INTEGER,
+      ip_address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Record which user performed an activity (NULL for agents and webhooks)
+  try {
+    db.exec(`ALTER TABLE activities ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Create email_send_log table (one row per accepted send, used for throttling)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS email_send_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recipient TEXT NOT NULL,
+      domain TEXT NOT NULL,
+      campaign_id INTEGER,
+      prospect_id INTEGER,
+      sent_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Why a queued task was pushed back (send window, throttle)
+  try {
+    db.exec(`ALTER TABLE agent_tasks ADD COLUMN deferred_reason TEXT`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Provider event ID (sg_event_id, svix-id) so replayed or retried webhooks are processed once
+  try {
+    db.exec(`ALTER TABLE email_events ADD COLUMN event_id TEXT`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Which email transport reported the event (sendgrid, resend, outbox)
+  try {
+    db.exec(`ALTER TABLE email_events ADD COLUMN provider TEXT`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Threading: our Message-ID, the reply token for plus-addressed Reply-To, and the thread headers
+  const campaignThreadColumns = [
+    'message_id TEXT',
+    'reply_token TEXT',
+    'in_reply_to TEXT',
+    'references_header TEXT',
+    'provider_message_id TEXT',
+  ];
+  for (const column of campaignThreadColumns) {
+    try {
+      db.exec(`ALTER TABLE campaigns ADD COLUMN ${column}`);
+    } catch (e) {
+      // Column already exists, ignore
+    }
+  }
+
+  // Create inbound_messages table (replies received, for the inbox)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS inbound_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prospect_id INTEGER NOT NULL,
+      campaign_id INTEGER,
+      from_email TEXT,
+      from_name TEXT,
+      to_email TEXT,
+      subject TEXT,
+      body_text TEXT,
+      body_html TEXT,
+      stripped_text TEXT,
+      message_id TEXT,
+      attachments TEXT,
+      matched_by TEXT,
+      read_at DATETIME,
+      read_by INTEGER,
+      received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (prospect_id) REFERENCES prospects(id) ON DELETE CASCADE,
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE SET NULL,
+      FOREIGN KEY (read_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Bring replies stored before the inbox existed over from email_events (once)
+  const inboundCount = db.prepare('SELECT COUNT(*) as count FROM inbound_messages').get();
+  if (inboundCount.count === 0) {
+    db.exec(`
+      INSERT INTO inbound_messages (prospect_id, campaign_id, from_email, subject, body_text, read_at, received_at)
+      SELECT prospect_id, campaign_id, email_address,
+        CASE WHEN json_valid(raw_payload) THEN json_extract(raw_payload, '$.subject') END,
+        email_content, timestamp, timestamp
+      FROM email_events
+      WHERE event_type = 'reply' AND prospect_id IN (SELECT id FROM prospects)
+    `);
+  }
+
+  // Who sent a campaign by hand (replies from the inbox)
+  try {
+    db.exec(`ALTER TABLE campaigns ADD COLUMN sent_by INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Approval queue: what the agent based an email on, and who reviewed it
+  const campaignReviewColumns = [
+    'review_context TEXT',
+    'reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL',
+    'reviewed_at DATETIME',
+    'rejection_reason TEXT',
+  ];
+  for (const column of campaignReviewColumns) {
+    try {
+      db.exec(`ALTER TABLE campaigns ADD COLUMN ${column}`);
+    } catch (e) {
+      // Column already exists, ignore
+    }
+  }
+
+  // Create prompt_versions table (prompt library: every saved version, one active per prompt)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS prompt_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prompt_key TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      notes TEXT,
+      is_active INTEGER DEFAULT 0,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      activated_at DATETIME,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE(prompt_key, version)
+    )
+  `);
+
+  // Prompt versions an AI-written email was generated with (JSON: prompt key → version)
+  try {
+    db.exec(`ALTER TABLE campaigns ADD COLUMN prompt_versions TEXT`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Template selection rules: conditions on the prospect (JSON) and priority among matching templates
+  try {
+    db.exec(`ALTER TABLE templates ADD COLUMN conditions TEXT`);
+    db.exec(`ALTER TABLE templates ADD COLUMN priority INTEGER DEFAULT 0`);
+
+    // The rule the Outreach Agent used to hard-code
+    db.exec(`
+      UPDATE templates SET conditions = '{"hasWebsite":false}', priority = 10
+      WHERE type = 'email' AND name LIKE '%No Website%'
+    `);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Which template an agent-written email was based on, and why
+  try {
+    db.exec(`ALTER TABLE campaigns ADD COLUMN template_reason TEXT`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Create llm_calls table (one row per LLM completion, for cost accounting and budgets)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS llm_calls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      provider TEXT NOT NULL,
+      model TEXT,
+      prompt_type TEXT,
+      agent_type TEXT,
+      prospect_id INTEGER,
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      total_tokens INTEGER DEFAULT 0,
+      latency_ms INTEGER,
+      cost REAL DEFAULT 0,
+      cached INTEGER DEFAULT 0,
+      success INTEGER DEFAULT 1,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (prospect_id) REFERENCES prospects(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create llm_cache table (responses keyed by a hash of the prompt)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS llm_cache (
+      cache_key TEXT PRIMARY KEY,
+      prompt_type TEXT,
+      provider TEXT,
+      model TEXT,
+      response TEXT NOT NULL,
+      cost REAL DEFAULT 0,
+      hits INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_hit_at DATETIME
+    )
+  `);
+
+  // Create llm_invalid_outputs table (JSON responses that failed their schema, kept for inspection)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS llm_invalid_outputs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prompt_type TEXT,
+      agent_type TEXT,
+      prospect_id INTEGER,
+      provider TEXT,
+      model TEXT,
+      output TEXT,
+      errors TEXT,
+      attempt INTEGER DEFAULT 1,
+      repaired INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (prospect_id) REFERENCES prospects(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create webhook_rejections table (webhooks that failed signature or timestamp checks)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_rejections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      provider TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      path TEXT,
+      ip_address TEXT,
+      headers TEXT,
+      payload TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create experiments tables (A/B tests: variants, and which variant each prospect got)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS experiments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      description TEXT,
+      type TEXT NOT NULL,
+      metric TEXT DEFAULT 'reply',
+      status TEXT DEFAULT 'draft',
+      min_sample INTEGER DEFAULT 50,
+      auto_promote INTEGER DEFAULT 0,
+      winner_variant_id INTEGER,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      ended_at DATETIME
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS experiment_variants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      experiment_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      config TEXT NOT NULL,
+      weight INTEGER DEFAULT 1,
+      variant_order INTEGER DEFAULT 0,
+      FOREIGN KEY (experiment_id) REFERENCES experiments(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS experiment_assignments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      experiment_id INTEGER NOT NULL,
+      variant_id INTEGER NOT NULL,
+      prospect_id INTEGER NOT NULL,
+      campaign_id INTEGER,
+      meeting_requested_at DATETIME,
+      assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(experiment_id, prospect_id),
+      FOREIGN KEY (experiment_id) REFERENCES experiments(id) ON DELETE CASCADE,
+      FOREIGN KEY (variant_id) REFERENCES experiment_variants(id) ON DELETE CASCADE,
+      FOREIGN KEY (prospect_id) REFERENCES prospects(id) ON DELETE CASCADE,
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create contacts table (the people at a prospect's business; prospects.email/phone mirror the primary one)
+  const hasContactsTable = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'contacts'`).get();
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contacts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prospect_id INTEGER NOT NULL,
+      name TEXT,
+      title TEXT,
+      role TEXT DEFAULT 'other',
+      email TEXT,
+      phone TEXT,
+      linkedin_url TEXT,
+      source TEXT DEFAULT 'manual',
+      verification_status TEXT DEFAULT 'unverified',
+      is_primary INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (prospect_id) REFERENCES prospects(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Existing prospects: their email/phone becomes a primary "general" contact
+  if (!hasContactsTable) {
+    db.exec(`
+      INSERT INTO contacts (prospect_id, role, email, phone, source, is_primary)
+      SELECT id, 'general', email, phone, COALESCE(source, 'yelp'), 1 FROM prospects
+      WHERE email IS NOT NULL OR phone IS NOT NULL
+    `);
+  }
+
+  // Which contact a campaign was sent to
+  try {
+    db.exec(`ALTER TABLE campaigns ADD COLUMN contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Create stage_changes table (every pipeline stage change, written by the pipeline service)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS stage_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prospect_id INTEGER NOT NULL,
+      from_stage TEXT,
+      to_stage TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      user_id INTEGER,
+      reason TEXT,
+      forced INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (prospect_id) REFERENCES prospects(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  // The Pipeline board used to save "meeting" and "proposal"; the rest of the app uses the long names
+  db.exec(`
+    UPDATE prospects SET stage = 'meeting_scheduled' WHERE stage = 'meeting';
+    UPDATE prospects SET stage = 'proposal_sent' WHERE stage = 'proposal';
+  `);
+
+  // Create pipelines table (admins can define several, e.g. "Website builds" and "AI consulting")
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pipelines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      is_default INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create pipeline_stages table (transitions: JSON array of stage keys, NULL = any stage)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pipeline_stages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pipeline_id INTEGER NOT NULL,
+      key TEXT NOT NULL,
+      label TEXT NOT NULL,
+      color TEXT DEFAULT 'gray',
+      position INTEGER NOT NULL,
+      is_won INTEGER DEFAULT 0,
+      is_lost INTEGER DEFAULT 0,
+      transitions TEXT,
+      FOREIGN KEY (pipeline_id) REFERENCES pipelines(id) ON DELETE CASCADE,
+      UNIQUE (pipeline_id, key)
+    )
+  `);
+
+  // Add pipeline_id to prospects (NULL = the default pipeline)
+  try {
+    db.exec(`ALTER TABLE prospects ADD COLUMN pipeline_id INTEGER REFERENCES pipelines(id)`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Deals: amount ('manual' or 'estimate' from the website analysis), expected close (YYYY-MM-DD), when won
+  const prospectDealColumns = [
+    'deal_value REAL',
+    'deal_value_source TEXT',
+    'expected_close_date TEXT',
+    'won_at DATETIME',
+  ];
+  for (const column of prospectDealColumns) {
+    try {
+      db.exec(`ALTER TABLE prospects ADD COLUMN ${column}`);
+    } catch (e) {
+      // Column already exists, ignore
+    }
+  }
+
+  // Add win probability (0-100) to pipeline stages
+  try {
+    db.exec(`ALTER TABLE pipeline_stages ADD COLUMN probability INTEGER`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Stages from before probabilities: won/lost are certain, the Sales stages get their usual odds
+  db.exec(`
+    UPDATE pipeline_stages SET probability = CASE
+      WHEN is_won = 1 THEN 100
+      WHEN is_lost = 1 THEN 0
+      WHEN key = 'new' THEN 5
+      WHEN key = 'contacted' THEN 10
+      WHEN key = 'responded' THEN 25
+      WHEN key = 'meeting_scheduled' THEN 40
+      WHEN key = 'proposal_sent' THEN 60
+      ELSE 50
+    END
+    WHERE probability IS NULL
+  `);
+
+  // Won deals from before won_at was recorded: when they last entered the stage
+  db.exec(`
+    UPDATE prospects SET won_at = COALESCE(
+      (SELECT MAX(sc.created_at) FROM stage_changes sc WHERE sc.prospect_id = prospects.id AND sc.to_stage = prospects.stage),
+      updated_at
+    )
+    WHERE won_at IS NULL AND EXISTS (
+      SELECT 1 FROM pipeline_stages s
+      WHERE s.pipeline_id = COALESCE(prospects.pipeline_id, (SELECT id FROM pipelines WHERE is_default = 1))
+        AND s.key = prospects.stage AND s.is_won = 1
+    )
+  `);
+
+  // Create forecast_snapshots table (the weighted forecast for a month, taken as the month starts)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS forecast_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      month TEXT NOT NULL UNIQUE,
+      weighted_value REAL NOT NULL,
+      total_value REAL NOT NULL,
+      deal_count INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Lead score (0-100) and the per-factor breakdown it came from (JSON, see services/scoring.js)
+  const prospectScoreColumns = [
+    'lead_score INTEGER',
+    'lead_score_breakdown TEXT',
+    'lead_score_updated_at DATETIME',
+  ];
+  for (const column of prospectScoreColumns) {
+    try {
+      db.exec(`ALTER TABLE prospects ADD COLUMN ${column}`);
+    } catch (e) {
+      // Column already exists, ignore
+    }
+  }
+
+  // Fields from imported spreadsheets that have no column of their own ({ "Booth": "12B", ... })
+  try {
+    db.exec(`ALTER TABLE prospects ADD COLUMN custom_fields TEXT`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Create imports table (a CSV upload: its columns, how they map to prospect fields, and progress)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS imports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      filename TEXT,
+      status TEXT DEFAULT 'uploaded',
+      headers TEXT NOT NULL,
+      mapping TEXT,
+      options TEXT,
+      total_rows INTEGER DEFAULT 0,
+      processed_rows INTEGER DEFAULT 0,
+      created_count INTEGER DEFAULT 0,
+      updated_count INTEGER DEFAULT 0,
+      skipped_count INTEGER DEFAULT 0,
+      error_count INTEGER DEFAULT 0,
+      error TEXT,
+      user_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      completed_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create import_rows table (each CSV row and what happened to it)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS import_rows (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      import_id INTEGER NOT NULL,
+      row_number INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      prospect_id INTEGER,
+      message TEXT,
+      FOREIGN KEY (import_id) REFERENCES imports(id) ON DELETE CASCADE,
+      FOREIGN KEY (prospect_id) REFERENCES prospects(id) ON DELETE SET NULL
+    )
+  `);
+
   // Create indexes for better performance
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_prospects_stage ON prospects(stage);
+    CREATE INDEX IF NOT EXISTS idx_prospects_lead_score ON prospects(lead_score);
+    CREATE INDEX IF NOT EXISTS idx_stage_changes_prospect ON stage_changes(prospect_id);
+    CREATE INDEX IF NOT EXISTS idx_pipeline_stages_pipeline ON pipeline_stages(pipeline_id, position);
+    CREATE INDEX IF NOT EXISTS idx_prospects_pipeline ON prospects(pipeline_id, stage);
     CREATE INDEX IF NOT EXISTS idx_prospects_yelp_id ON prospects(yelp_id);
     CREATE INDEX IF NOT EXISTS idx_prospects_google_place_id ON prospects(google_place_id);
     CREATE INDEX IF NOT EXISTS idx_activities_prospect ON activities(prospect_id);
@@ -217,8 +873,33 @@ export function initializeDatabase() {
     CREATE INDEX IF NOT EXISTS idx_agent_tasks_scheduled ON agent_tasks(scheduled_for);
     CREATE INDEX IF NOT EXISTS idx_email_events_campaign ON email_events(campaign_id);
     CREATE INDEX IF NOT EXISTS idx_email_events_type ON email_events(event_type);
+    CREATE INDEX IF NOT EXISTS idx_email_events_prospect ON email_events(prospect_id);
     CREATE INDEX IF NOT EXISTS idx_follow_up_next ON follow_up_sequences(next_send_at);
     CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(is_read);
+    CREATE INDEX IF NOT EXISTS idx_suppressions_reason ON suppressions(reason);
+    CREATE INDEX IF NOT EXISTS idx_sequence_steps_sequence ON sequence_steps(sequence_id, step_order);
+    CREATE INDEX IF NOT EXISTS idx_email_send_log_sent ON email_send_log(sent_at);
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_prospects_owner ON prospects(owner_id);
+    CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id);
+    CREATE INDEX IF NOT EXISTS idx_email_send_log_domain ON email_send_log(domain, sent_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_email_events_event_id ON email_events(event_id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_rejections_created ON webhook_rejections(created_at);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_message_id ON campaigns(message_id);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_reply_token ON campaigns(reply_token);
+    CREATE INDEX IF NOT EXISTS idx_inbound_messages_prospect ON inbound_messages(prospect_id, received_at);
+    CREATE INDEX IF NOT EXISTS idx_inbound_messages_unread ON inbound_messages(read_at);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status);
+    CREATE INDEX IF NOT EXISTS idx_llm_calls_created ON llm_calls(created_at);
+    CREATE INDEX IF NOT EXISTS idx_llm_calls_prospect ON llm_calls(prospect_id);
+    CREATE INDEX IF NOT EXISTS idx_llm_invalid_outputs_created ON llm_invalid_outputs(created_at);
+    CREATE INDEX IF NOT EXISTS idx_experiment_variants_experiment ON experiment_variants(experiment_id, variant_order);
+    CREATE INDEX IF NOT EXISTS idx_experiment_assignments_variant ON experiment_assignments(variant_id);
+    CREATE INDEX IF NOT EXISTS idx_experiment_assignments_prospect ON experiment_assignments(prospect_id);
+    CREATE INDEX IF NOT EXISTS idx_contacts_prospect ON contacts(prospect_id);
+    CREATE INDEX IF NOT EXISTS idx_contacts_email ON contacts(email COLLATE NOCASE);
+    CREATE INDEX IF NOT EXISTS idx_import_rows_import ON import_rows(import_id, status);
   `);
 
   // Seed default templates if none exist
@@ -230,18 +911,96 @@ export function initializeDatabase() {
   // Seed default agent config if not exists
   seedDefaultAgentConfig(db);
 
+  // Seed the default follow-up sequence if none exist
+  const sequenceCount = db.prepare('SELECT COUNT(*) as count FROM sequences').get();
+  if (sequenceCount.count === 0) {
+    seedDefaultSequence(db);
+  }
+
+  // Seed the default sales pipeline if none exist
+  const pipelineCount = db.prepare('SELECT COUNT(*) as count FROM pipelines').get();
+  if (pipelineCount.count === 0) {
+    seedDefaultPipeline(db);
+  }
+
   console.log('✅ Database initialized successfully');
 }
 
+function seedDefaultPipeline(db) {
+  // The seven stages the board had before pipelines could be customized
+  const stages = [
+    { key: 'new', label: 'New', color: 'gray', probability: 5, transitions: ['contacted', 'responded', 'lost'] },
+    { key: 'contacted', label: 'Contacted', color: 'blue', probability: 10, transitions: ['responded', 'meeting_scheduled', 'lost'] },
+    { key: 'responded', label: 'Responded', color: 'cyan', probability: 25, transitions: ['meeting_scheduled', 'proposal_sent', 'won', 'lost'] },
+    { key: 'meeting_scheduled', label: 'Meeting Scheduled', color: 'violet', probability: 40, transitions: ['responded', 'proposal_sent', 'won', 'lost'] },
+    { key: 'proposal_sent', label: 'Proposal Sent', color: 'amber', probability: 60, transitions: ['meeting_scheduled', 'won', 'lost'] },
+    { key: 'won', label: 'Won', color: 'emerald', probability: 100, isWon: true, transitions: [] },
+    { key: 'lost', label: 'Lost', color: 'red', probability: 0, isLost: true, transitions: ['new'] },
+  ];
+
+  const result = db.prepare(`
+    INSERT INTO pipelines (name, description, is_default) VALUES (?, ?, 1)
+  `).run('Sales', 'Outreach to local businesses');
+
+  const insertStage = db.prepare(`
+    INSERT INTO pipeline_stages (pipeline_id, key, label, color, position, probability, is_won, is_lost, transitions)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  stages.forEach((stage, index) => {
+    insertStage.run(
+      result.lastInsertRowid, stage.key, stage.label, stage.color, index, stage.probability,
+      stage.isWon ? 1 : 0, stage.isLost ? 1 : 0, JSON.stringify(stage.transitions)
+    );
+  });
+
+  db.prepare('UPDATE prospects SET pipeline_id = ? WHERE pipeline_id IS NULL').run(result.lastInsertRowid);
+
+  console.log('✅ Default pipeline seeded');
+}
+
 function seedDefaultAgentConfig(db) {
   const defaults = [
     { key: 'llm_provider', value: 'openai' },
-    { key: 'follow_up_days', value: '3,7,14' },
-    { key: 'max_follow_ups', value: '3' },
+    { key: 'llm_provider_outreach', value: '' },
+    { key: 'llm_provider_subject', value: '' },
+    { key: 'llm_provider_followup', value: '' },
+    { key: 'llm_provider_classify', value: '' },
+    { key: 'llm_provider_analysis', value: '' },
+    { key: 'llm_compatible_base_url', value: '' },
+    { key: 'llm_compatible_model', value: '' },
+    { key: 'llm_fallback_provider', value: '' },
+    { key: 'llm_timeout_seconds', value: '60' },
+    { key: 'llm_max_retries', value: '2' },
     { key: 'auto_outreach', value: 'true' },
     { key: 'auto_classify', value: 'true' },
     { key: 'auto_enrich', value: 'true' },
+    { key: 'require_approval', value: 'false' },
+    { key: 'default_template_id', value: '' },
+    { key: 'subject_strategy', value: '' },
+    { key: 'llm_daily_budget', value: '0' },
+    { key: 'llm_monthly_budget', value: '0' },
     { key: 'notification_email', value: '' },
+    { key: 'send_window_enabled', value: 'true' },
+    { key: 'send_window_start', value: '09:00' },
+    { key: 'send_window_end', value: '17:00' },
+    { key: 'send_window_days', value: '1,2,3,4,5' },
+    { key: 'send_window_holidays', value: '' },
+    { key: 'send_window_timezone', value: 'America/New_York' },
+    { key: 'throttle_enabled', value: 'true' },
+    { key: 'throttle_daily_cap', value: '200' },
+    { key: 'throttle_hourly_cap', value: '40' },
+    { key: 'throttle_domain_spacing_minutes', value: '10' },
+    { key: 'throttle_warmup_enabled', value: 'true' },
+    { key: 'throttle_warmup_schedule', value: '20,40,75,125,200' },
+    { key: 'throttle_warmup_start_date', value: '' },
+    { key: 'assignment_mode', value: 'manual' },
+    { key: 'assignment_pool', value: '' },
+    { key: 'email_transport', value: '' },
+    { key: 'reply_to_address', value: '' },
+    { key: 'deal_estimate_prices', value: 'website:3500,chatbot:2500,automation:4000,analytics:3000,cloud:5000,ai:6000' },
+    { key: 'lead_score_weights', value: 'fit:25,website:25,contact:20,engagement:30' },
+    { key: 'lead_score_categories', value: '' },
   ];
 
   const insert = db.prepare(`
@@ -253,11 +1012,48 @@ function seedDefaultAgentConfig(db) {
   }
 }
 
+function seedDefaultSequence(db) {
+  // Carry over the legacy follow_up_days cadence (calendar days) as business-day waits
+  const legacy = db.prepare('SELECT value FROM agent_config WHERE key = ?').get('follow_up_days');
+  const days = (legacy?.value || '3,7,14')
+    .split(',')
+    .map(d => parseInt(d.trim()))
+    .filter(d => d > 0);
+
+  const steps = [];
+  for (const d of days) {
+    steps.push({ type: 'wait', config: { businessDays: Math.max(1, Math.round(d * 5 / 7)) } });
+    steps.push({ type: 'email', config: { mode: 'llm' } });
+  }
+  // Give the last follow-up time to land before the sequence completes
+  if (days.length > 0) {
+    steps.push({ type: 'wait', config: { businessDays: Math.max(1, Math.round(days[days.length - 1] * 5 / 7)) } });
+  }
+
+  const result = db.prepare(`
+    INSERT INTO sequences (name, description, is_default, on_complete)
+    VALUES (?, ?, 1, 'lost')
+  `).run('Standard Follow-up', 'AI-written follow-ups on the original cadence');
+
+  const insertStep = db.prepare(`
+    INSERT INTO sequence_steps (sequence_id, step_order, type, config)
+    VALUES (?, ?, ?, ?)
+  `);
+
+  steps.forEach((step, index) => {
+    insertStep.run(result.lastInsertRowid, index, step.type, JSON.stringify(step.config));
+  });
+
+  console.log('✅ Default follow-up sequence seeded');
+}
+
 function seedDefaultTemplates(db) {
   const templates = [
     {
       name: 'Website Pitch - No Website',
       type: 'email',
+      conditions: JSON.stringify({ hasWebsite: false }),
+      priority: 10,
       subject: 'Let\'s Get {{business_name}} Online',
       body: `Hi there,
 
@@ -265,7 +1061,7 @@ I noticed {{business_name}} doesn't have a website yet, and I wanted to reach ou
 
 In today's digital world, most customers search online before visiting a business. Without a website, you're likely missing out on new customers who can't find you.
 
-I'm Anthony from CloudHack, and I specialize in building modern, mobile-friendly websites for local businesses. I'd love to help {{business_name}} establish a strong online presence.
+I'm {{sender_name}} from {{company_name}}, and I specialize in building modern, mobile-friendly websites for local businesses. I'd love to help {{business_name}} establish a strong online presence.
 
 Here's what I can offer:
 • Professional, custom-designed website
@@ -276,8 +1072,8 @@ Here's what I can offer:
 Would you be open to a quick 15-minute call to discuss how we could help? No pressure at all.
 
 Best regards,
-Anthony
-CloudHack Consulting
+{{sender_name}}
+{{company_name}}
 cloudhack.dev`
     },
     {
@@ -294,7 +1090,7 @@ Many businesses in {{industry}} are sitting on valuable data that could:
 • Help predict demand and optimize operations
 • Create personalized customer experiences
 
-At CloudHack, we specialize in practical AI implementations that deliver real ROI. We're not talking about buzzwords – we're talking about solutions that work.
+At {{company_name}}, we specialize in practical AI implementations that deliver real ROI. We're not talking about buzzwords – we're talking about solutions that work.
 
 Some examples of what we've done:
 • Built custom dashboards that consolidate all business metrics
@@ -304,8 +1100,8 @@ Some examples of what we've done:
 I'd love to learn more about {{business_name}} and explore if there's a fit. Would you have 20 minutes for a call this week?
 
 Best,
-Anthony
-CloudHack Consulting`
+{{sender_name}}
+{{company_name}}`
     },
     {
       name: 'Cloud Migration Pitch',
@@ -321,7 +1117,7 @@ If so, you might be missing out on the benefits of cloud technology:
 • Improve security with enterprise-grade protection
 • Scale up or down as needed
 
-I'm Anthony from CloudHack, and I help businesses like {{business_name}} make the transition to the cloud smoothly and cost-effectively.
+I'm {{sender_name}} from {{company_name}}, and I help businesses like {{business_name}} make the transition to the cloud smoothly and cost-effectively.
 
 We handle everything from planning to migration to ongoing support. Most importantly, we make sure your team actually knows how to use the new systems.
 
@@ -330,8 +1126,8 @@ Interested in learning more? I'd be happy to do a quick assessment of your curre
 Let me know if you'd like to chat.
 
 Best,
-Anthony
-CloudHack Consulting`
+{{sender_name}}
+{{company_name}}`
     },
     {
       name: 'Cold Call Script - No Website',
@@ -340,7 +1136,7 @@ CloudHack Consulting`
       body: `COLD CALL SCRIPT - No Website Business
 
 [INTRODUCTION]
-"Hi, is this the owner/manager of {{business_name}}? Great! My name is Anthony from CloudHack. I'm a web developer who works with local businesses in {{city}}."
+"Hi, is this the owner/manager of {{business_name}}? Great! My name is {{sender_name}} from {{company_name}}. I'm a web developer who works with local businesses in {{city}}."
 
 [HOOK]
 "I noticed {{business_name}} doesn't have a website yet, and I wanted to reach out because I've helped several businesses in your area get online and start attracting more customers."
@@ -386,14 +1182,14 @@ If you're interested in:
 If now isn't the right time, no worries at all. Just let me know and I won't bother you again.
 
 Best,
-Anthony
-CloudHack Consulting`
+{{sender_name}}
+{{company_name}}`
     },
     {
       name: 'LinkedIn Connection Message',
       type: 'linkedin',
       subject: null,
-      body: `Hi {{owner_name}},
+      body: `Hi {{owner_name|there}},
 
 I noticed you run {{business_name}} in {{city}} - looks like a great business!
 
@@ -401,17 +1197,17 @@ I'm a tech consultant who helps local businesses with web development, cloud sol
 
 No pitch, just looking to expand my network with fellow business owners in the area.
 
-- Anthony`
+- {{sender_name}}`
     }
   ];
 
   const insert = db.prepare(`
-    INSERT INTO templates (name, type, subject, body)
-    VALUES (@name, @type, @subject, @body)
+    INSERT INTO templates (name, type, subject, body, conditions, priority)
+    VALUES (@name, @type, @subject, @body, @conditions, @priority)
   `);
 
   for (const template of templates) {
-    insert.run(template);
+    insert.run({ conditions: null, priority: 0, ...template });
   }
 
   console.log('✅ Default templates seeded');
@@ -10,11 +10,31 @@ import activitiesRouter from './routes/activities.js';
 import statsRouter from './routes/stats.js';
 import agentsRouter from './routes/agents.js';
 import enrichmentRouter from './routes/enrichment.js';
+import suppressionsRouter from './routes/suppressions.js';
+import sequencesRouter from './routes/sequences.js';
+import unsubscribeRouter from './routes/unsubscribe.js';
+import webhooksRouter from './routes/webhooks.js';
+import authRouter from './routes/auth.js';
+import usersRouter from './routes/users.js';
+import assignmentRouter from './routes/assignment.js';
+import inboxRouter from './routes/inbox.js';
+import approvalsRouter from './routes/approvals.js';
+import promptsRouter from './routes/prompts.js';
+import experimentsRouter from './routes/experiments.js';
+import contactsRouter from './routes/contacts.js';
+import pipelineRouter from './routes/pipeline.js';
+import scoringRouter from './routes/scoring.js';
+import importsRouter from './routes/imports.js';
+import { authenticate, requireRole, restrictViewers } from './middleware/auth.js';
+import { auditLog } from './middleware/audit.js';
+import authService from './services/auth.js';
 import llmService from './services/llm.js';
 import emailService from './services/email.js';
 import scheduler from './services/scheduler.js';
 import enrichmentService from './services/enrichment.js';
 import firecrawlService from './services/firecrawl.js';
+import scoringService from './services/scoring.js';
+import importService from './services/imports.js';
 
 dotenv.config();
 
@@ -22,16 +42,30 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
+// Only the client app may call the API from a browser (CORS_ORIGIN, comma-separated)
 const corsOptions = {
-  origin: process.env.CORS_ORIGIN || '*',
+  origin: (process.env.CORS_ORIGIN || 'http://localhost:5173').split(',').map(origin => origin.trim()),
   credentials: true,
 };
 app.use(cors(corsOptions));
-app.use(express.json());
+// Keep the raw body for webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // Initialize database
 initializeDatabase();
 
+// Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD if no users exist
+authService.seedAdminFromEnv();
+
+// Score prospects that have never been scored (e.g. from before lead scoring)
+const scored = scoringService.recomputeAll({ missingOnly: true });
+if (scored > 0) {
+  console.log(`📊 Scored ${scored} prospects`);
+}
+
+// Finish CSV imports the last run was in the middle of
+importService.resume();
+
 // Initialize LLM service
 llmService.initialize();
 console.log('🧠 LLM Service initialized:', {
@@ -56,18 +90,11 @@ firecrawlService.initialize();
 // Log enrichment service status
 console.log('🔍 Enrichment Service:', enrichmentService.getStats());
 
-// Routes
-app.use('/api/prospects', prospectsRouter);
-app.use('/api/templates', templatesRouter);
-app.use('/api/campaigns', campaignsRouter);
-app.use('/api/yelp', yelpRouter);
-app.use('/api/activities', activitiesRouter);
-app.use('/api/stats', statsRouter);
-app.use('/api/agents', agentsRouter);
-app.use('/api/enrichment', enrichmentRouter);
-
-// Webhook routes (need to be separate for SendGrid)
-app.use('/api/webhooks', campaignsRouter);
+// Public routes: sign-in, signed unsubscribe links, provider webhooks, health check
+app.use('/api/auth', authRouter);
+app.use('/api/unsubscribe', unsubscribeRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/campaigns/webhooks', webhooksRouter); // Legacy webhook URLs
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -88,6 +115,31 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Everything else requires a signed-in user; viewers are read-only and changes are audited
+app.use('/api', authenticate, restrictViewers, auditLog);
+
+// Routes
+app.use('/api/prospects', prospectsRouter);
+app.use('/api/templates', templatesRouter);
+app.use('/api/campaigns', campaignsRouter);
+app.use('/api/yelp', yelpRouter);
+app.use('/api/activities', activitiesRouter);
+app.use('/api/stats', statsRouter);
+app.use('/api/agents', agentsRouter);
+app.use('/api/enrichment', enrichmentRouter);
+app.use('/api/suppressions', suppressionsRouter);
+app.use('/api/sequences', sequencesRouter);
+app.use('/api/users', requireRole('admin'), usersRouter);
+app.use('/api/assignment', assignmentRouter);
+app.use('/api/inbox', inboxRouter);
+app.use('/api/approvals', approvalsRouter);
+app.use('/api/prompts', promptsRouter);
+app.use('/api/experiments', experimentsRouter);
+app.use('/api/contacts', contactsRouter);
+app.use('/api/pipeline', pipelineRouter);
+app.use('/api/scoring', scoringRouter);
+app.use('/api/imports', importsRouter);
+
 app.listen(PORT, () => {
   console.log(`🚀 CloudHack Outreach Server running on http://localhost:${PORT}`);
 });
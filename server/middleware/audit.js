@@ -0,0 +1,27 @@
+import { getDb } from '../db/init.js';
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Record every change a signed-in user makes (method, path, outcome) in audit_log.
+ * Request bodies are not stored so passwords and email content stay out of the log.
+ */
+export function auditLog(req, res, next) {
+  if (READ_ONLY_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    try {
+      const db = getDb();
+      db.prepare(`
+        INSERT INTO audit_log (user_id, method, path, status_code, ip_address)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(req.user?.id || null, req.method, req.originalUrl.split('?')[0], res.statusCode, req.ip);
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+    }
+  });
+
+  next();
+}
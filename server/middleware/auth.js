@@ -0,0 +1,42 @@
+import authService from '../services/auth.js';
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Require a valid bearer token; sets req.user
+ */
+export function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  const user = authService.getUserForToken(token);
+
+  if (!user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  req.user = user;
+  req.authToken = token;
+  next();
+}
+
+/**
+ * Only allow the given roles
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ message: 'You do not have permission to do that' });
+    }
+    next();
+  };
+}
+
+/**
+ * Viewers can read everything but change nothing
+ */
+export function restrictViewers(req, res, next) {
+  if (req.user?.role === 'viewer' && !READ_ONLY_METHODS.includes(req.method)) {
+    return res.status(403).json({ message: 'Viewers have read-only access' });
+  }
+  next();
+}
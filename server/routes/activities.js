@@ -8,9 +8,11 @@ router.get('/prospect/:prospectId', (req, res) => {
   try {
     const db = getDb();
     const activities = db.prepare(`
-      SELECT * FROM activities 
-      WHERE prospect_id = ? 
-      ORDER BY created_at DESC
+      SELECT a.*, u.name as user_name
+      FROM activities a
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE a.prospect_id = ? 
+      ORDER BY a.created_at DESC
     `).all(req.params.prospectId);
     res.json(activities);
   } catch (error) {
@@ -26,9 +28,10 @@ router.get('/recent', (req, res) => {
     const { limit = 10 } = req.query;
     
     const activities = db.prepare(`
-      SELECT a.*, p.business_name
+      SELECT a.*, p.business_name, u.name as user_name
       FROM activities a
       JOIN prospects p ON a.prospect_id = p.id
+      LEFT JOIN users u ON a.user_id = u.id
       ORDER BY a.created_at DESC
       LIMIT ?
     `).all(parseInt(limit));
@@ -57,9 +60,9 @@ router.post('/', (req, res) => {
     }
     
     const result = db.prepare(`
-      INSERT INTO activities (prospect_id, type, description)
-      VALUES (?, ?, ?)
-    `).run(prospect_id, type, description);
+      INSERT INTO activities (prospect_id, type, description, user_id)
+      VALUES (?, ?, ?, ?)
+    `).run(prospect_id, type, description, req.user.id);
     
     // Update prospect's updated_at
     db.prepare('UPDATE prospects SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(prospect_id);
@@ -2,9 +2,17 @@ import express from 'express';
 import { getDb } from '../db/init.js';
 import orchestrator from '../agents/orchestrator.js';
 import scheduler from '../services/scheduler.js';
-import llmService from '../services/llm.js';
+import llmService, { PROVIDERS } from '../services/llm.js';
+import llmUsageService from '../services/llmUsage.js';
 import emailService from '../services/email.js';
 import notificationService from '../services/notifications.js';
+import sequenceService from '../services/sequences.js';
+import sendWindowService from '../services/sendWindow.js';
+import throttleService from '../services/throttle.js';
+import scoringService from '../services/scoring.js';
+import webhookSecurityService from '../services/webhookSecurity.js';
+import { TRANSPORT_NAMES } from '../services/transports/index.js';
+import { requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -24,8 +32,11 @@ router.get('/config', (req, res) => {
       availableProviders,
       currentProvider,
       llmConfigured: llmService.isConfigured(),
+      llmCircuits: llmService.getCircuitStatus(),
       emailConfigured: emailService.isReady(),
       emailFrom: emailService.getFromEmail(),
+      emailTransport: emailService.getTransportName(),
+      emailTransports: emailService.getStatus().transports,
     });
   } catch (error) {
     console.error('Error fetching config:', error);
@@ -34,7 +45,7 @@ router.get('/config', (req, res) => {
 });
 
 // Update agent configuration
-router.put('/config', (req, res) => {
+router.put('/config', requireRole('admin'), (req, res) => {
   try {
     const { key, value } = req.body;
     
@@ -42,6 +53,35 @@ router.put('/config', (req, res) => {
       return res.status(400).json({ message: 'Key is required' });
     }
     
+    if (key === 'email_transport' && value && !TRANSPORT_NAMES.includes(value)) {
+      return res.status(400).json({ message: `email_transport must be one of: ${TRANSPORT_NAMES.join(', ')}` });
+    }
+    
+    if (key === 'reply_to_address' && value && !/^[^\s@+]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      return res.status(400).json({ message: 'reply_to_address must be a plain email address (no + tag)' });
+    }
+    
+    // llm_provider, llm_provider_<type>, llm_fallback_provider, llm_fallback_<type> (only llm_provider is required)
+    if (/^llm_(provider|fallback)(_[a-z]+)?$/.test(key) && (key === 'llm_provider' || value) && !PROVIDERS.includes(value)) {
+      return res.status(400).json({ message: `${key} must be one of: ${PROVIDERS.join(', ')}` });
+    }
+    
+    if (key === 'llm_compatible_base_url' && value && !/^https?:\/\/\S+$/.test(value)) {
+      return res.status(400).json({ message: 'llm_compatible_base_url must be an http(s) URL, e.g. http://localhost:11434/v1' });
+    }
+    
+    if ((key === 'llm_daily_budget' || key === 'llm_monthly_budget') && !(parseFloat(value) >= 0)) {
+      return res.status(400).json({ message: `${key} must be a dollar amount (0 = no limit)` });
+    }
+    
+    if (key === 'llm_timeout_seconds' && !(parseInt(value) > 0)) {
+      return res.status(400).json({ message: 'llm_timeout_seconds must be a positive number of seconds' });
+    }
+    
+    if (key === 'llm_max_retries' && !(parseInt(value) >= 0 && parseInt(value) <= 5)) {
+      return res.status(400).json({ message: 'llm_max_retries must be between 0 and 5' });
+    }
+    
     orchestrator.setConfig(key, value);
     
     // Special handling for LLM provider
@@ -49,6 +89,11 @@ router.put('/config', (req, res) => {
       llmService.setProvider(value);
     }
     
+    // Scores depend on the weights and target categories
+    if (key === 'lead_score_weights' || key === 'lead_score_categories') {
+      scoringService.recomputeAll();
+    }
+    
     res.json({ success: true, key, value });
   } catch (error) {
     console.error('Error updating config:', error);
@@ -57,7 +102,7 @@ router.put('/config', (req, res) => {
 });
 
 // Bulk update configuration
-router.put('/config/bulk', (req, res) => {
+router.put('/config/bulk', requireRole('admin'), (req, res) => {
   try {
     const updates = req.body;
     
@@ -69,6 +114,10 @@ router.put('/config/bulk', (req, res) => {
       }
     }
     
+    if ('lead_score_weights' in updates || 'lead_score_categories' in updates) {
+      scoringService.recomputeAll();
+    }
+    
     res.json({ success: true, updated: Object.keys(updates) });
   } catch (error) {
     console.error('Error updating config:', error);
@@ -86,23 +135,27 @@ router.get('/stats', (req, res) => {
     const stats = orchestrator.getStats();
     const schedulerStatus = scheduler.getStatus();
     const tokenUsage = llmService.getTokenUsage();
+    const llmUsage = llmUsageService.getSummary();
     
     // Include LLM and email config status for dashboard
     const llmConfig = {
       configured: llmService.isConfigured(),
       currentProvider: llmService.getProvider(),
       availableProviders: llmService.getAvailableProviders(),
+      circuits: llmService.getCircuitStatus(),
     };
     
     const emailConfig = {
       configured: emailService.isReady(),
-      from: emailService.getFromEmail ? emailService.getFromEmail() : null,
+      from: emailService.getFromEmail(),
+      transport: emailService.getTransportName(),
     };
     
     res.json({
       ...stats,
       scheduler: schedulerStatus,
       tokenUsage,
+      llmUsage,
       llmConfig,
       emailConfig,
     });
@@ -123,6 +176,41 @@ router.get('/tasks/:status', (req, res) => {
   }
 });
 
+// Get sending throttle status (caps, usage, warm-up, overflow queue)
+router.get('/throttle', (req, res) => {
+  try {
+    res.json(throttleService.getStatus());
+  } catch (error) {
+    console.error('Error fetching throttle status:', error);
+    res.status(500).json({ message: 'Failed to fetch throttle status' });
+  }
+});
+
+// Get LLM responses that failed their JSON schema (?promptType=classify|analysis)
+router.get('/llm/invalid-outputs', (req, res) => {
+  try {
+    const { promptType, limit } = req.query;
+    res.json(llmUsageService.getInvalidOutputs({ promptType: promptType || null, limit: parseInt(limit) || 50 }));
+  } catch (error) {
+    console.error('Error fetching invalid LLM outputs:', error);
+    res.status(500).json({ message: 'Failed to fetch invalid LLM outputs' });
+  }
+});
+
+// Get webhook verification status and rejected webhook log (admins only)
+router.get('/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    const { provider, limit } = req.query;
+    res.json({
+      ...webhookSecurityService.getStatus(),
+      rejections: webhookSecurityService.getRejections({ provider, limit: parseInt(limit) || 100 }),
+    });
+  } catch (error) {
+    console.error('Error fetching webhook status:', error);
+    res.status(500).json({ message: 'Failed to fetch webhook status' });
+  }
+});
+
 // ============================================
 // MANUAL AGENT TRIGGERS
 // ============================================
@@ -200,8 +288,8 @@ router.post('/process', async (req, res) => {
 router.get('/notifications', (req, res) => {
   try {
     const unreadOnly = req.query.unread === 'true';
-    const notifications = notificationService.getAll(unreadOnly);
-    const unreadCount = notificationService.getUnreadCount();
+    const notifications = notificationService.getAll(req.user.id, unreadOnly);
+    const unreadCount = notificationService.getUnreadCount(req.user.id);
     
     res.json({
       notifications,
@@ -216,7 +304,7 @@ router.get('/notifications', (req, res) => {
 // Get unread notification count
 router.get('/notifications/count', (req, res) => {
   try {
-    const count = notificationService.getUnreadCount();
+    const count = notificationService.getUnreadCount(req.user.id);
     res.json({ count });
   } catch (error) {
     console.error('Error fetching count:', error);
@@ -227,7 +315,7 @@ router.get('/notifications/count', (req, res) => {
 // Mark notification as read
 router.put('/notifications/:id/read', (req, res) => {
   try {
-    notificationService.markAsRead(parseInt(req.params.id));
+    notificationService.markAsRead(parseInt(req.params.id), req.user.id);
     res.json({ success: true });
   } catch (error) {
     console.error('Error marking notification:', error);
@@ -238,7 +326,7 @@ router.put('/notifications/:id/read', (req, res) => {
 // Mark all notifications as read
 router.put('/notifications/read-all', (req, res) => {
   try {
-    notificationService.markAllAsRead();
+    notificationService.markAllAsRead(req.user.id);
     res.json({ success: true });
   } catch (error) {
     console.error('Error marking notifications:', error);
@@ -249,7 +337,7 @@ router.put('/notifications/read-all', (req, res) => {
 // Delete notification
 router.delete('/notifications/:id', (req, res) => {
   try {
-    notificationService.delete(parseInt(req.params.id));
+    notificationService.delete(parseInt(req.params.id), req.user.id);
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting notification:', error);
@@ -285,14 +373,36 @@ router.put('/prospect/:prospectId/automation', (req, res) => {
   }
 });
 
+// Get the recipient's timezone and send window status for a prospect
+router.get('/prospect/:prospectId/send-window', (req, res) => {
+  try {
+    const db = getDb();
+    const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(req.params.prospectId);
+
+    if (!prospect) {
+      return res.status(404).json({ message: 'Prospect not found' });
+    }
+
+    const now = new Date();
+    const timezone = sendWindowService.getTimezone(prospect);
+    const nextAllowedAt = sendWindowService.getNextAllowedTime(prospect, now);
+
+    res.json({
+      timezone,
+      localTime: now.toLocaleString('en-US', { timeZone: timezone, weekday: 'short', hour: 'numeric', minute: '2-digit' }),
+      isOpen: nextAllowedAt.getTime() === now.getTime(),
+      nextAllowedAt: nextAllowedAt.toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching send window:', error);
+    res.status(500).json({ message: 'Failed to fetch send window' });
+  }
+});
+
 // Get follow-up sequence for a prospect
 router.get('/prospect/:prospectId/sequence', (req, res) => {
   try {
-    const db = getDb();
-    const sequence = db.prepare(`
-      SELECT * FROM follow_up_sequences WHERE prospect_id = ?
-    `).get(req.params.prospectId);
-    
+    const sequence = sequenceService.getEnrollment(req.params.prospectId);
     res.json(sequence || null);
   } catch (error) {
     console.error('Error fetching sequence:', error);
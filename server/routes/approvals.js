@@ -0,0 +1,99 @@
+import express from 'express';
+import approvalService from '../services/approvals.js';
+
+const router = express.Router();
+
+function parseIds(ids) {
+  return Array.isArray(ids) ? ids.map(id => parseInt(id)).filter(Boolean) : [];
+}
+
+// List emails waiting for approval
+router.get('/', (req, res) => {
+  try {
+    const { agent, owner } = req.query;
+    res.json({
+      enabled: approvalService.isEnabled(),
+      emails: approvalService.getQueue({
+        agent: agent || null,
+        ownerId: owner === 'me' ? req.user.id : parseInt(owner) || null,
+      }),
+    });
+  } catch (error) {
+    console.error('Error fetching approval queue:', error);
+    res.status(500).json({ message: 'Failed to fetch approval queue' });
+  }
+});
+
+// Edit a queued email
+router.put('/:id', (req, res) => {
+  try {
+    const campaign = approvalService.getById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    if (campaign.status !== 'awaiting_approval') {
+      return res.status(409).json({ message: 'Email is no longer waiting for approval' });
+    }
+
+    const { subject, body } = req.body;
+    if ((subject !== undefined && !subject.trim()) || (body !== undefined && !body.trim())) {
+      return res.status(400).json({ message: 'Subject and body cannot be empty' });
+    }
+
+    res.json(approvalService.update(req.params.id, { subject, body }));
+  } catch (error) {
+    console.error('Error updating queued email:', error);
+    res.status(500).json({ message: 'Failed to update email' });
+  }
+});
+
+// Approve emails (sent by the agents, within send windows and caps)
+router.post('/approve', (req, res) => {
+  try {
+    const ids = parseIds(req.body.ids);
+    if (ids.length === 0) {
+      return res.status(400).json({ message: 'ids array is required' });
+    }
+
+    const approved = approvalService.approve(ids, { userId: req.user.id });
+    res.json({ message: `Approved ${approved} emails`, approved });
+  } catch (error) {
+    console.error('Error approving emails:', error);
+    res.status(500).json({ message: 'Failed to approve emails' });
+  }
+});
+
+// Reject emails
+router.post('/reject', (req, res) => {
+  try {
+    const ids = parseIds(req.body.ids);
+    if (ids.length === 0) {
+      return res.status(400).json({ message: 'ids array is required' });
+    }
+
+    const rejected = approvalService.reject(ids, { userId: req.user.id, reason: req.body.reason || null });
+    res.json({ message: `Rejected ${rejected} emails`, rejected });
+  } catch (error) {
+    console.error('Error rejecting emails:', error);
+    res.status(500).json({ message: 'Failed to reject emails' });
+  }
+});
+
+// Have the agents write emails again
+router.post('/regenerate', async (req, res) => {
+  try {
+    const ids = parseIds(req.body.ids);
+    if (ids.length === 0) {
+      return res.status(400).json({ message: 'ids array is required' });
+    }
+
+    const regenerated = await approvalService.regenerate(ids);
+    res.json({ message: `Regenerated ${regenerated} emails`, regenerated });
+  } catch (error) {
+    console.error('Error regenerating emails:', error);
+    res.status(500).json({ message: 'Failed to regenerate emails' });
+  }
+});
+
+export default router;
@@ -0,0 +1,134 @@
+import express from 'express';
+import assignmentService, { ASSIGNMENT_MODES } from '../services/assignment.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Team members who can own leads, with open lead counts
+router.get('/team', (req, res) => {
+  try {
+    res.json(assignmentService.getTeam());
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({ message: 'Failed to fetch team' });
+  }
+});
+
+// Get assignment settings and rules
+router.get('/settings', (req, res) => {
+  try {
+    res.json({
+      mode: assignmentService.getMode(),
+      modes: ASSIGNMENT_MODES,
+      pool: assignmentService.getPool().map(u => u.id),
+      rules: assignmentService.getRules(),
+    });
+  } catch (error) {
+    console.error('Error fetching assignment settings:', error);
+    res.status(500).json({ message: 'Failed to fetch assignment settings' });
+  }
+});
+
+// Update assignment mode / round-robin pool (admins only)
+router.put('/settings', requireRole('admin'), (req, res) => {
+  try {
+    const { mode, pool } = req.body;
+
+    if (mode !== undefined) {
+      if (!ASSIGNMENT_MODES.includes(mode)) {
+        return res.status(400).json({ message: `mode must be one of: ${ASSIGNMENT_MODES.join(', ')}` });
+      }
+      assignmentService.setConfig('assignment_mode', mode);
+    }
+
+    if (pool !== undefined) {
+      if (!Array.isArray(pool)) {
+        return res.status(400).json({ message: 'pool must be an array of user IDs' });
+      }
+      assignmentService.setConfig('assignment_pool', pool.map(id => parseInt(id)).filter(Boolean).join(','));
+    }
+
+    res.json({
+      mode: assignmentService.getMode(),
+      modes: ASSIGNMENT_MODES,
+      pool: assignmentService.getPool().map(u => u.id),
+      rules: assignmentService.getRules(),
+    });
+  } catch (error) {
+    console.error('Error updating assignment settings:', error);
+    res.status(500).json({ message: 'Failed to update assignment settings' });
+  }
+});
+
+// Create an assignment rule (admins only)
+router.post('/rules', requireRole('admin'), (req, res) => {
+  try {
+    const { name, userId, segment, priority, isActive } = req.body;
+
+    if (!name || !userId) {
+      return res.status(400).json({ message: 'name and userId are required' });
+    }
+
+    if (!assignmentService.getTeam().some(u => u.id === parseInt(userId))) {
+      return res.status(400).json({ message: 'Rule owner must be an active team member who can own leads' });
+    }
+
+    const rule = assignmentService.createRule({
+      name,
+      userId: parseInt(userId),
+      segment: segment || {},
+      priority: parseInt(priority) || 0,
+      isActive: isActive !== false,
+    });
+
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating assignment rule:', error);
+    res.status(500).json({ message: 'Failed to create assignment rule' });
+  }
+});
+
+// Update an assignment rule (admins only)
+router.put('/rules/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (!assignmentService.getRuleById(req.params.id)) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    const { name, userId, segment, priority, isActive } = req.body;
+
+    if (userId !== undefined && !assignmentService.getTeam().some(u => u.id === parseInt(userId))) {
+      return res.status(400).json({ message: 'Rule owner must be an active team member who can own leads' });
+    }
+
+    const rule = assignmentService.updateRule(req.params.id, {
+      name,
+      userId: userId === undefined ? undefined : parseInt(userId),
+      segment,
+      priority: priority === undefined ? undefined : parseInt(priority) || 0,
+      isActive,
+    });
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating assignment rule:', error);
+    res.status(500).json({ message: 'Failed to update assignment rule' });
+  }
+});
+
+// Delete an assignment rule (admins only)
+router.delete('/rules/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (!assignmentService.getRuleById(req.params.id)) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    assignmentService.deleteRule(req.params.id);
+    res.json({ message: 'Rule deleted' });
+  } catch (error) {
+    console.error('Error deleting assignment rule:', error);
+    res.status(500).json({ message: 'Failed to delete assignment rule' });
+  }
+});
+
+export default router;
@@ -0,0 +1,116 @@
+import express from 'express';
+import authService from '../services/auth.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Whether first-run setup is still needed (public)
+router.get('/status', (req, res) => {
+  try {
+    res.json({ setupRequired: !authService.hasUsers() });
+  } catch (error) {
+    console.error('Error fetching auth status:', error);
+    res.status(500).json({ message: 'Failed to fetch auth status' });
+  }
+});
+
+// Create the first admin account (only while no users exist)
+router.post('/setup', (req, res) => {
+  try {
+    if (authService.hasUsers()) {
+      return res.status(409).json({ message: 'Setup has already been completed' });
+    }
+
+    const { email, name, password } = req.body;
+    if (!email || !name) {
+      return res.status(400).json({ message: 'Email and name are required' });
+    }
+
+    const passwordError = authService.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    // Checked again with the insert, in case another setup request got there first
+    if (!authService.createFirstAdmin({ email, name, password })) {
+      return res.status(409).json({ message: 'Setup has already been completed' });
+    }
+    const session = authService.login(email, password, { userAgent: req.get('User-Agent') });
+    res.status(201).json(session);
+  } catch (error) {
+    console.error('Error during setup:', error);
+    res.status(500).json({ message: 'Failed to complete setup' });
+  }
+});
+
+// Sign in (locked for a while after too many wrong passwords for an email from one IP)
+router.post('/login', (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    const retryAfter = authService.getLoginLockout(email, req.ip);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: `Too many failed sign-ins. Try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+      });
+    }
+
+    const session = authService.login(email, password, { userAgent: req.get('User-Agent') });
+    if (!session) {
+      authService.recordLoginFailure(email, req.ip);
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    authService.clearLoginFailures(email, req.ip);
+    res.json(session);
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ message: 'Failed to log in' });
+  }
+});
+
+// Sign out (revokes the current token)
+router.post('/logout', authenticate, (req, res) => {
+  try {
+    authService.revokeSession(req.authToken);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ message: 'Failed to log out' });
+  }
+});
+
+// Get the signed-in user
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+// Change own password (signs out other sessions)
+router.put('/me/password', authenticate, (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!authService.checkPassword(req.user.id, currentPassword)) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const passwordError = authService.validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    authService.update(req.user.id, { password: newPassword });
+    const token = authService.createSession(req.user.id, { userAgent: req.get('User-Agent') });
+    res.json({ token, user: authService.getById(req.user.id) });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ message: 'Failed to change password' });
+  }
+});
+
+export default router;
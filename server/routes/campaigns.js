@@ -1,7 +1,11 @@
 import express from 'express';
 import { getDb } from '../db/init.js';
-import orchestrator from '../agents/orchestrator.js';
 import emailService from '../services/email.js';
+import suppressionService from '../services/suppression.js';
+import throttleService from '../services/throttle.js';
+import templateRenderer from '../services/templateRenderer.js';
+import contactService from '../services/contacts.js';
+import pipelineService from '../services/pipeline.js';
 
 const router = express.Router();
 
@@ -10,10 +14,12 @@ router.get('/', (req, res) => {
   try {
     const db = getDb();
     const campaigns = db.prepare(`
-      SELECT c.*, p.business_name, p.email as prospect_email, t.name as template_name
+      SELECT c.*, p.business_name, p.email as prospect_email, t.name as template_name,
+        ct.name as contact_name, ct.email as contact_email
       FROM campaigns c
       LEFT JOIN prospects p ON c.prospect_id = p.id
       LEFT JOIN templates t ON c.template_id = t.id
+      LEFT JOIN contacts ct ON c.contact_id = ct.id
       ORDER BY c.created_at DESC
     `).all();
     res.json(campaigns);
@@ -28,9 +34,10 @@ router.get('/prospect/:prospectId', (req, res) => {
   try {
     const db = getDb();
     const campaigns = db.prepare(`
-      SELECT c.*, t.name as template_name
+      SELECT c.*, t.name as template_name, ct.name as contact_name, ct.email as contact_email
       FROM campaigns c
       LEFT JOIN templates t ON c.template_id = t.id
+      LEFT JOIN contacts ct ON c.contact_id = ct.id
       WHERE c.prospect_id = ?
       ORDER BY c.created_at DESC
     `).all(req.params.prospectId);
@@ -45,7 +52,7 @@ router.get('/prospect/:prospectId', (req, res) => {
 router.post('/send', async (req, res) => {
   try {
     const db = getDb();
-    const { prospectId, templateId, customSubject, customBody } = req.body;
+    const { prospectId, contactId, templateId, customSubject, customBody } = req.body;
     
     // Get prospect
     const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(prospectId);
@@ -53,8 +60,20 @@ router.post('/send', async (req, res) => {
       return res.status(404).json({ message: 'Prospect not found' });
     }
     
-    if (!prospect.email) {
-      return res.status(400).json({ message: 'Prospect does not have an email address' });
+    if (contactId && contactService.getById(contactId)?.prospect_id !== prospect.id) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+    
+    // The contact picked, else the primary one
+    const { email: to, contact } = contactService.getRecipient(prospect, contactId);
+    
+    if (!to) {
+      return res.status(400).json({ message: contact ? 'Contact does not have an email address' : 'Prospect does not have an email address' });
+    }
+    
+    const suppression = suppressionService.isSuppressed(to);
+    if (suppression) {
+      return res.status(409).json({ message: `Recipient is on the suppression list (${suppression.reason})`, suppression });
     }
     
     // Get template if provided
@@ -74,27 +93,26 @@ router.post('/send', async (req, res) => {
       return res.status(400).json({ message: 'Subject and body are required' });
     }
     
-    // Replace variables in subject and body
-    const variables = {
-      business_name: prospect.business_name,
-      city: prospect.city,
-      state: prospect.state,
-      category: prospect.category,
-      industry: prospect.category,
-      owner_name: 'there', // Placeholder since we don't have owner name
-    };
+    // Fill in the variables (a typo in a placeholder is refused rather than sent)
+    const lintErrors = templateRenderer.lintTemplate({ subject, body });
+    if (lintErrors.length > 0) {
+      return res.status(400).json({ message: lintErrors.join('; ') });
+    }
+    ({ subject, body } = templateRenderer.renderTemplate({ subject, body }, prospect, { contact }));
     
-    for (const [key, value] of Object.entries(variables)) {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      subject = subject.replace(regex, value || '');
-      body = body.replace(regex, value || '');
+    // Respect the sending caps; drafts (no email service) don't count against them
+    if (emailService.isReady()) {
+      const throttle = throttleService.check(to);
+      if (!throttle.allowed) {
+        return res.status(429).json({ message: throttle.message, reason: throttle.reason, retryAt: throttle.retryAt });
+      }
     }
     
     // Create campaign record
     const campaignResult = db.prepare(`
-      INSERT INTO campaigns (prospect_id, template_id, subject, body, status)
-      VALUES (?, ?, ?, ?, 'pending')
-    `).run(prospectId, templateId, subject, body);
+      INSERT INTO campaigns (prospect_id, template_id, subject, body, status, sent_by, contact_id)
+      VALUES (?, ?, ?, ?, 'pending', ?, ?)
+    `).run(prospectId, templateId, subject, body, req.user.id, contact?.id || null);
     
     const campaignId = campaignResult.lastInsertRowid;
     
@@ -107,21 +125,21 @@ router.post('/send', async (req, res) => {
       
       // Log activity
       db.prepare(`
-        INSERT INTO activities (prospect_id, type, description)
-        VALUES (?, 'email_drafted', ?)
-      `).run(prospectId, `Email drafted: "${subject}"`);
+        INSERT INTO activities (prospect_id, type, description, user_id)
+        VALUES (?, 'email_drafted', ?, ?)
+      `).run(prospectId, `Email drafted: "${subject}"`, req.user.id);
       
       const campaign = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(campaignId);
       return res.json({
         ...campaign,
-        warning: 'Email service not configured. Email saved as draft. Set RESEND_API_KEY in .env to enable sending.'
+        warning: 'Email service not configured. Email saved as draft. Configure an email transport (AI Agents → Configuration) to enable sending.'
       });
     }
     
-    // Send email via Resend
+    // Send email
     try {
       const result = await emailService.send({
-        to: prospect.email,
+        to,
         subject: subject,
         text: body,
         tags: {
@@ -144,20 +162,13 @@ router.post('/send', async (req, res) => {
       
       // Log activity
       db.prepare(`
-        INSERT INTO activities (prospect_id, type, description)
-        VALUES (?, 'email_sent', ?)
-      `).run(prospectId, `Email sent: "${subject}"`);
+        INSERT INTO activities (prospect_id, type, description, user_id)
+        VALUES (?, 'email_sent', ?, ?)
+      `).run(prospectId, `Email sent${contact?.name ? ` to ${contact.name}` : ''}: "${subject}"`, req.user.id);
       
-      // Update prospect stage if still 'new'
-      if (prospect.stage === 'new') {
-        db.prepare(`
-          UPDATE prospects SET stage = 'contacted', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-        `).run(prospectId);
-        
-        db.prepare(`
-          INSERT INTO activities (prospect_id, type, description)
-          VALUES (?, 'stage_change', 'Stage changed from "new" to "contacted"')
-        `).run(prospectId);
+      // Update prospect stage if not contacted yet
+      if (pipelineService.isBefore(prospect, 'contacted')) {
+        pipelineService.transition(prospect, 'contacted', { userId: req.user.id });
       }
       
       const campaign = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(campaignId);
@@ -178,195 +189,6 @@ router.post('/send', async (req, res) => {
   }
 });
 
-// ============================================
-// SENDGRID WEBHOOKS
-// ============================================
-
-/**
- * SendGrid Event Webhook
- * Receives events like: delivered, open, click, bounce, spam_report, unsubscribe
- * Setup: Configure webhook URL in SendGrid dashboard as POST /api/webhooks/sendgrid
- */
-router.post('/webhooks/sendgrid', express.json(), (req, res) => {
-  try {
-    const events = req.body;
-    
-    if (!Array.isArray(events)) {
-      return res.status(400).json({ message: 'Invalid webhook payload' });
-    }
-
-    const db = getDb();
-
-    for (const event of events) {
-      // Store raw event
-      db.prepare(`
-        INSERT INTO email_events (campaign_id, prospect_id, event_type, email_address, sg_message_id, raw_payload)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `).run(
-        event.campaign_id || null,
-        event.prospect_id || null,
-        event.event,
-        event.email,
-        event.sg_message_id,
-        JSON.stringify(event)
-      );
-
-      // Update campaign based on event type
-      if (event.campaign_id) {
-        const campaignId = parseInt(event.campaign_id);
-        
-        switch (event.event) {
-          case 'delivered':
-            db.prepare(`
-              UPDATE campaigns SET status = 'delivered' WHERE id = ? AND status = 'sent'
-            `).run(campaignId);
-            break;
-            
-          case 'open':
-            db.prepare(`
-              UPDATE campaigns SET opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP) WHERE id = ?
-            `).run(campaignId);
-            
-            // Log activity
-            if (event.prospect_id) {
-              db.prepare(`
-                INSERT INTO activities (prospect_id, type, description)
-                VALUES (?, 'email_opened', 'Prospect opened email')
-              `).run(parseInt(event.prospect_id));
-            }
-            break;
-            
-          case 'click':
-            db.prepare(`
-              UPDATE campaigns SET clicked_at = COALESCE(clicked_at, CURRENT_TIMESTAMP) WHERE id = ?
-            `).run(campaignId);
-            
-            if (event.prospect_id) {
-              db.prepare(`
-                INSERT INTO activities (prospect_id, type, description)
-                VALUES (?, 'email_clicked', ?)
-              `).run(parseInt(event.prospect_id), `Clicked link: ${event.url || 'unknown'}`);
-            }
-            break;
-            
-          case 'bounce':
-          case 'dropped':
-            db.prepare(`
-              UPDATE campaigns SET status = 'bounced' WHERE id = ?
-            `).run(campaignId);
-            
-            // Pause automation for bounced emails
-            if (event.prospect_id) {
-              db.prepare(`
-                UPDATE prospects SET automation_enabled = 0 WHERE id = ?
-              `).run(parseInt(event.prospect_id));
-              
-              db.prepare(`
-                UPDATE follow_up_sequences SET is_paused = 1 WHERE prospect_id = ?
-              `).run(parseInt(event.prospect_id));
-            }
-            break;
-            
-          case 'spamreport':
-          case 'unsubscribe':
-            // Stop all automation for this prospect
-            if (event.prospect_id) {
-              db.prepare(`
-                UPDATE prospects SET automation_enabled = 0 WHERE id = ?
-              `).run(parseInt(event.prospect_id));
-              
-              db.prepare(`
-                UPDATE follow_up_sequences SET is_paused = 1 WHERE prospect_id = ?
-              `).run(parseInt(event.prospect_id));
-              
-              db.prepare(`
-                INSERT INTO activities (prospect_id, type, description)
-                VALUES (?, 'automation_stopped', ?)
-              `).run(parseInt(event.prospect_id), `Automation stopped: ${event.event}`);
-            }
-            break;
-        }
-      }
-    }
-
-    res.json({ received: events.length });
-  } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).json({ message: 'Webhook processing failed' });
-  }
-});
-
-/**
- * SendGrid Inbound Parse Webhook
- * Receives email replies from prospects
- * Setup: Configure inbound parse in SendGrid for your domain
- */
-router.post('/webhooks/sendgrid/inbound', express.urlencoded({ extended: true }), async (req, res) => {
-  try {
-    const { from, to, subject, text, html } = req.body;
-    
-    console.log('📧 Inbound email received:', { from, subject });
-    
-    const db = getDb();
-    
-    // Try to find the prospect by email
-    const fromEmail = from?.match(/<(.+)>/)?.[1] || from;
-    const prospect = db.prepare(`
-      SELECT * FROM prospects WHERE email = ?
-    `).get(fromEmail);
-    
-    if (!prospect) {
-      console.log('No prospect found for email:', fromEmail);
-      return res.json({ message: 'No matching prospect' });
-    }
-    
-    // Store the email event
-    db.prepare(`
-      INSERT INTO email_events (prospect_id, event_type, email_address, email_content, raw_payload)
-      VALUES (?, 'reply', ?, ?, ?)
-    `).run(prospect.id, fromEmail, text || html, JSON.stringify(req.body));
-    
-    // Log activity
-    db.prepare(`
-      INSERT INTO activities (prospect_id, type, description)
-      VALUES (?, 'email_reply', ?)
-    `).run(prospect.id, `Reply received: "${subject}"`);
-    
-    // Update prospect stage to 'responded' if not already past that
-    if (['new', 'contacted'].includes(prospect.stage)) {
-      db.prepare(`
-        UPDATE prospects SET stage = 'responded', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-      `).run(prospect.id);
-      
-      db.prepare(`
-        INSERT INTO activities (prospect_id, type, description)
-        VALUES (?, 'stage_change', 'Stage changed to "responded" - email reply received')
-      `).run(prospect.id);
-    }
-    
-    // Pause follow-up sequence since they responded
-    db.prepare(`
-      UPDATE follow_up_sequences SET is_paused = 1 WHERE prospect_id = ?
-    `).run(prospect.id);
-    
-    // Queue response classification task
-    orchestrator.queueTask({
-      agentType: 'response_classifier',
-      prospectId: prospect.id,
-      payload: {
-        responseText: text || html,
-        subject,
-        from: fromEmail,
-      },
-    });
-    
-    res.json({ message: 'Reply processed', prospectId: prospect.id });
-  } catch (error) {
-    console.error('Inbound webhook error:', error);
-    res.status(500).json({ message: 'Failed to process inbound email' });
-  }
-});
-
 /**
  * Retry a failed campaign
  * POST /api/campaigns/:id/retry
@@ -378,9 +200,10 @@ router.post('/:id/retry', async (req, res) => {
     
     // Get the campaign
     const campaign = db.prepare(`
-      SELECT c.*, p.email as prospect_email, p.business_name, p.stage as prospect_stage
+      SELECT c.*, COALESCE(ct.email, p.email) as prospect_email, p.business_name, p.stage as prospect_stage
       FROM campaigns c
       LEFT JOIN prospects p ON c.prospect_id = p.id
+      LEFT JOIN contacts ct ON c.contact_id = ct.id
       WHERE c.id = ?
     `).get(campaignId);
     
@@ -396,13 +219,23 @@ router.post('/:id/retry', async (req, res) => {
       return res.status(400).json({ message: 'Prospect does not have an email address' });
     }
     
+    const suppression = suppressionService.isSuppressed(campaign.prospect_email);
+    if (suppression) {
+      return res.status(409).json({ message: `Recipient is on the suppression list (${suppression.reason})`, suppression });
+    }
+    
     // Check if email service is configured
     if (!emailService.isReady()) {
       return res.status(400).json({ 
-        message: 'Email service not configured. Set RESEND_API_KEY in .env to enable sending.' 
+        message: 'Email service not configured. Configure an email transport (AI Agents → Configuration) to enable sending.' 
       });
     }
     
+    const throttle = throttleService.check(campaign.prospect_email);
+    if (!throttle.allowed) {
+      return res.status(429).json({ message: throttle.message, reason: throttle.reason, retryAt: throttle.retryAt });
+    }
+    
     // Update status to pending
     db.prepare(`
       UPDATE campaigns SET status = 'pending' WHERE id = ?
@@ -434,20 +267,13 @@ router.post('/:id/retry', async (req, res) => {
       
       // Log activity
       db.prepare(`
-        INSERT INTO activities (prospect_id, type, description)
-        VALUES (?, 'email_sent', ?)
-      `).run(campaign.prospect_id, `Email sent (retry): "${campaign.subject}"`);
+        INSERT INTO activities (prospect_id, type, description, user_id)
+        VALUES (?, 'email_sent', ?, ?)
+      `).run(campaign.prospect_id, `Email sent (retry): "${campaign.subject}"`, req.user.id);
       
-      // Update prospect stage if still 'new'
-      if (campaign.prospect_stage === 'new') {
-        db.prepare(`
-          UPDATE prospects SET stage = 'contacted', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-        `).run(campaign.prospect_id);
-        
-        db.prepare(`
-          INSERT INTO activities (prospect_id, type, description)
-          VALUES (?, 'stage_change', 'Stage changed from "new" to "contacted"')
-        `).run(campaign.prospect_id);
+      // Update prospect stage if not contacted yet
+      if (pipelineService.isBefore(campaign.prospect_id, 'contacted')) {
+        pipelineService.transition(campaign.prospect_id, 'contacted', { userId: req.user.id });
       }
       
       const updatedCampaign = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(campaignId);
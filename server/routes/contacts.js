@@ -0,0 +1,107 @@
+import express from 'express';
+import { getDb } from '../db/init.js';
+import contactService from '../services/contacts.js';
+import scoringService from '../services/scoring.js';
+
+const router = express.Router();
+
+// Get a prospect's contacts (primary first)
+router.get('/prospect/:prospectId', (req, res) => {
+  try {
+    const db = getDb();
+    const prospect = db.prepare('SELECT id FROM prospects WHERE id = ?').get(req.params.prospectId);
+    if (!prospect) {
+      return res.status(404).json({ message: 'Prospect not found' });
+    }
+
+    // Prospects imported with just an email/phone get it as their first contact
+    contactService.syncFromProspect(prospect.id);
+    res.json(contactService.getByProspect(prospect.id));
+  } catch (error) {
+    console.error('Error fetching contacts:', error);
+    res.status(500).json({ message: 'Failed to fetch contacts' });
+  }
+});
+
+// Add a contact ({ prospectId, name?, title?, role?, email?, phone?, linkedin_url?, verification_status?, is_primary? })
+router.post('/', (req, res) => {
+  try {
+    const db = getDb();
+    const prospect = db.prepare('SELECT id FROM prospects WHERE id = ?').get(req.body.prospectId);
+    if (!prospect) {
+      return res.status(404).json({ message: 'Prospect not found' });
+    }
+
+    const errors = contactService.validate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    const contact = contactService.create(prospect.id, { ...req.body, source: 'manual' });
+
+    db.prepare(`
+      INSERT INTO activities (prospect_id, type, description, user_id)
+      VALUES (?, 'contact_added', ?, ?)
+    `).run(prospect.id, `Contact added: ${contact.name || contact.email || contact.phone}`, req.user.id);
+    scoringService.recompute(prospect.id);
+
+    res.status(201).json(contact);
+  } catch (error) {
+    console.error('Error creating contact:', error);
+    res.status(500).json({ message: 'Failed to create contact' });
+  }
+});
+
+// Update a contact
+router.put('/:id', (req, res) => {
+  try {
+    if (!contactService.getById(req.params.id)) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    const errors = contactService.validate(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    const contact = contactService.update(req.params.id, req.body);
+    scoringService.recompute(contact.prospect_id);
+    res.json(contact);
+  } catch (error) {
+    console.error('Error updating contact:', error);
+    res.status(500).json({ message: 'Failed to update contact' });
+  }
+});
+
+// Make a contact the one emails go to by default
+router.post('/:id/primary', (req, res) => {
+  try {
+    const contact = contactService.setPrimary(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    res.json(contact);
+  } catch (error) {
+    console.error('Error setting primary contact:', error);
+    res.status(500).json({ message: 'Failed to set primary contact' });
+  }
+});
+
+// Delete a contact
+router.delete('/:id', (req, res) => {
+  try {
+    const contact = contactService.getById(req.params.id);
+    if (!contact || !contactService.delete(contact.id)) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    scoringService.recompute(contact.prospect_id);
+    res.json({ message: 'Contact deleted' });
+  } catch (error) {
+    console.error('Error deleting contact:', error);
+    res.status(500).json({ message: 'Failed to delete contact' });
+  }
+});
+
+export default router;
@@ -158,9 +158,9 @@ router.delete('/prospect/:id', async (req, res) => {
     
     // Log activity
     db.prepare(`
-      INSERT INTO activities (prospect_id, type, description)
-      VALUES (?, 'enrichment_cleared', ?)
-    `).run(prospectId, `Cleared incorrect enrichment data: ${fieldsToClear.join(', ')}`);
+      INSERT INTO activities (prospect_id, type, description, user_id)
+      VALUES (?, 'enrichment_cleared', ?, ?)
+    `).run(prospectId, `Cleared incorrect enrichment data: ${fieldsToClear.join(', ')}`, req.user.id);
     
     const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(prospectId);
     res.json({ 
@@ -0,0 +1,145 @@
+import express from 'express';
+import experimentService from '../services/experiments.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Get all experiments with results
+router.get('/', (req, res) => {
+  try {
+    res.json(experimentService.getAll());
+  } catch (error) {
+    console.error('Error fetching experiments:', error);
+    res.status(500).json({ message: 'Failed to fetch experiments' });
+  }
+});
+
+// Get experiment by ID (with per-variant results)
+router.get('/:id', (req, res) => {
+  try {
+    const experiment = experimentService.getById(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({ message: 'Experiment not found' });
+    }
+
+    res.json(experiment);
+  } catch (error) {
+    console.error('Error fetching experiment:', error);
+    res.status(500).json({ message: 'Failed to fetch experiment' });
+  }
+});
+
+// Create experiment (as a draft)
+router.post('/', requireRole('admin'), (req, res) => {
+  try {
+    const errors = experimentService.validate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    const experiment = experimentService.create(req.body, req.user.id);
+    res.status(201).json(experiment);
+  } catch (error) {
+    console.error('Error creating experiment:', error);
+    res.status(500).json({ message: 'Failed to create experiment' });
+  }
+});
+
+// Update experiment (variants can only change while it is a draft)
+router.put('/:id', requireRole('admin'), (req, res) => {
+  try {
+    const experiment = experimentService.getById(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({ message: 'Experiment not found' });
+    }
+
+    if (req.body.variants !== undefined && experiment.status !== 'draft') {
+      return res.status(400).json({ message: 'Variants can only be changed before the experiment starts' });
+    }
+
+    const errors = experimentService.validate({ ...req.body, type: experiment.type }, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    res.json(experimentService.update(req.params.id, req.body));
+  } catch (error) {
+    console.error('Error updating experiment:', error);
+    res.status(500).json({ message: 'Failed to update experiment' });
+  }
+});
+
+// Delete experiment
+router.delete('/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (!experimentService.delete(req.params.id)) {
+      return res.status(404).json({ message: 'Experiment not found' });
+    }
+
+    res.json({ message: 'Experiment deleted' });
+  } catch (error) {
+    console.error('Error deleting experiment:', error);
+    res.status(500).json({ message: 'Failed to delete experiment' });
+  }
+});
+
+// Start splitting prospects across the variants
+router.post('/:id/start', requireRole('admin'), (req, res) => {
+  try {
+    if (!experimentService.getById(req.params.id)) {
+      return res.status(404).json({ message: 'Experiment not found' });
+    }
+
+    const error = experimentService.start(req.params.id);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(experimentService.getById(req.params.id));
+  } catch (error) {
+    console.error('Error starting experiment:', error);
+    res.status(500).json({ message: 'Failed to start experiment' });
+  }
+});
+
+// Stop without promoting a variant
+router.post('/:id/stop', requireRole('admin'), (req, res) => {
+  try {
+    if (!experimentService.stop(req.params.id)) {
+      return res.status(400).json({ message: 'Experiment is not running' });
+    }
+
+    res.json(experimentService.getById(req.params.id));
+  } catch (error) {
+    console.error('Error stopping experiment:', error);
+    res.status(500).json({ message: 'Failed to stop experiment' });
+  }
+});
+
+// Make a variant the default and complete the experiment ({ variantId })
+router.post('/:id/promote', requireRole('admin'), (req, res) => {
+  try {
+    const experiment = experimentService.getById(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({ message: 'Experiment not found' });
+    }
+
+    if (experiment.status === 'draft') {
+      return res.status(400).json({ message: 'Start the experiment before promoting a variant' });
+    }
+
+    if (!experimentService.promote(experiment.id, parseInt(req.body.variantId))) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    res.json(experimentService.getById(req.params.id));
+  } catch (error) {
+    console.error('Error promoting variant:', error);
+    res.status(500).json({ message: 'Failed to promote variant' });
+  }
+});
+
+export default router;
@@ -0,0 +1,161 @@
+import express from 'express';
+import importService, { IMPORT_FIELDS, DUPLICATE_MODES } from '../services/imports.js';
+
+const router = express.Router();
+
+// CSV files are sent as-is (the JSON parser doesn't read them, and they can be bigger)
+const csvBody = express.text({
+  type: ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'],
+  limit: '10mb',
+});
+
+// Fields a column can be mapped to and the duplicate handling options
+router.get('/fields', (req, res) => {
+  res.json({
+    fields: IMPORT_FIELDS.map(({ key, label }) => ({ key, label })),
+    duplicateModes: DUPLICATE_MODES,
+  });
+});
+
+// Recent imports
+router.get('/', (req, res) => {
+  try {
+    res.json(importService.getImports());
+  } catch (error) {
+    console.error('Error fetching imports:', error);
+    res.status(500).json({ message: 'Failed to fetch imports' });
+  }
+});
+
+// Upload a CSV file (the body is the file, ?filename= its name); columns are mapped by their headers where possible
+router.post('/', csvBody, (req, res) => {
+  try {
+    if (typeof req.body !== 'string') {
+      return res.status(400).json({ message: 'Send the file as text/csv' });
+    }
+
+    const { importId, errors } = importService.upload(req.body, {
+      filename: req.query.filename || null,
+      userId: req.user.id,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    res.status(201).json({
+      ...importService.getImport(importId),
+      sampleRows: importService.getSampleRows(importId),
+      preview: importService.preview(importId),
+    });
+  } catch (error) {
+    console.error('Error uploading import:', error);
+    res.status(500).json({ message: 'Failed to upload file' });
+  }
+});
+
+// Get an import with its progress (and, before it starts, what importing would do)
+router.get('/:id', (req, res) => {
+  try {
+    const job = importService.getImport(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    res.json({
+      ...job,
+      sampleRows: importService.getSampleRows(job.id),
+      preview: job.status === 'uploaded' ? importService.preview(job.id) : null,
+    });
+  } catch (error) {
+    console.error('Error fetching import:', error);
+    res.status(500).json({ message: 'Failed to fetch import' });
+  }
+});
+
+// Change the column mapping ([field key, "custom:<name>" or null per column]) and options
+// ({ duplicates, pipelineId, ownerId }); returns what importing would do
+router.put('/:id', (req, res) => {
+  try {
+    const job = importService.getImport(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    if (job.status !== 'uploaded') {
+      return res.status(400).json({ message: 'This import has already started' });
+    }
+
+    const { mapping, options } = req.body;
+    const errors = importService.validate(job, { mapping, options });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    importService.saveMapping(job.id, { mapping, options });
+    res.json({ ...importService.getImport(job.id), preview: importService.preview(job.id) });
+  } catch (error) {
+    console.error('Error updating import:', error);
+    res.status(500).json({ message: 'Failed to update import' });
+  }
+});
+
+// Start importing (runs in the background; poll GET /:id for progress)
+router.post('/:id/start', (req, res) => {
+  try {
+    const job = importService.getImport(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    if (job.status !== 'uploaded') {
+      return res.status(400).json({ message: 'This import has already started' });
+    }
+
+    const errors = importService.validate(job, { mapping: job.mapping });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    importService.start(job.id);
+    res.status(202).json(importService.getImport(job.id));
+  } catch (error) {
+    console.error('Error starting import:', error);
+    res.status(500).json({ message: 'Failed to start import' });
+  }
+});
+
+// Download the rows that were skipped or had problems, with the reason, as CSV
+router.get('/:id/errors.csv', (req, res) => {
+  try {
+    const job = importService.getImport(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const name = (job.filename || 'import').replace(/\.csv$/i, '').replace(/[^\w.-]+/g, '_');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-problems.csv"`);
+    res.send(importService.getErrorReport(job.id));
+  } catch (error) {
+    console.error('Error building import report:', error);
+    res.status(500).json({ message: 'Failed to build import report' });
+  }
+});
+
+// Delete an import (the prospects it created stay)
+router.delete('/:id', (req, res) => {
+  try {
+    const job = importService.getImport(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    if (job.status === 'importing') {
+      return res.status(400).json({ message: 'Wait for the import to finish before deleting it' });
+    }
+
+    importService.delete(job.id);
+    res.json({ message: 'Import deleted' });
+  } catch (error) {
+    console.error('Error deleting import:', error);
+    res.status(500).json({ message: 'Failed to delete import' });
+  }
+});
+
+export default router;
@@ -0,0 +1,191 @@
+import express from 'express';
+import { getDb } from '../db/init.js';
+import inboxService from '../services/inbox.js';
+import emailService from '../services/email.js';
+import suppressionService from '../services/suppression.js';
+import throttleService from '../services/throttle.js';
+import threadingService from '../services/threading.js';
+import contactService from '../services/contacts.js';
+
+const router = express.Router();
+
+// "me" → the signed-in user
+function resolveOwner(owner, req) {
+  if (!owner) return null;
+  if (owner === 'me') return req.user.id;
+  if (owner === 'unassigned') return 'unassigned';
+  return parseInt(owner) || null;
+}
+
+// List conversations
+router.get('/', (req, res) => {
+  try {
+    const { owner, unread, search } = req.query;
+
+    const conversations = inboxService.getConversations({
+      ownerId: resolveOwner(owner, req),
+      unreadOnly: unread === 'true',
+      search,
+    });
+
+    res.json(conversations);
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ message: 'Failed to fetch conversations' });
+  }
+});
+
+// Unread reply count (for the nav badge)
+router.get('/unread-count', (req, res) => {
+  try {
+    const ownerId = resolveOwner(req.query.owner, req);
+    res.json({ count: inboxService.getUnreadCount(ownerId === 'unassigned' ? null : ownerId) });
+  } catch (error) {
+    console.error('Error fetching unread count:', error);
+    res.status(500).json({ message: 'Failed to fetch unread count' });
+  }
+});
+
+// Mark a single reply read or unread
+router.patch('/messages/:id', (req, res) => {
+  try {
+    if (!inboxService.getInboundById(req.params.id)) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    inboxService.setRead(req.params.id, req.body.isRead !== false, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error updating message:', error);
+    res.status(500).json({ message: 'Failed to update message' });
+  }
+});
+
+// Get a prospect's conversation
+router.get('/:prospectId', (req, res) => {
+  try {
+    const db = getDb();
+    const prospect = db.prepare(`
+      SELECT p.*, u.name as owner_name
+      FROM prospects p
+      LEFT JOIN users u ON p.owner_id = u.id
+      WHERE p.id = ?
+    `).get(req.params.prospectId);
+
+    if (!prospect) {
+      return res.status(404).json({ message: 'Prospect not found' });
+    }
+
+    res.json({ prospect, messages: inboxService.getThread(prospect.id) });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ message: 'Failed to fetch conversation' });
+  }
+});
+
+// Mark a conversation read
+router.post('/:prospectId/read', (req, res) => {
+  try {
+    const updated = inboxService.markConversationRead(req.params.prospectId, req.user.id);
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error('Error marking conversation read:', error);
+    res.status(500).json({ message: 'Failed to mark conversation read' });
+  }
+});
+
+/**
+ * Reply to a prospect from the inbox, in the same thread
+ * POST /api/inbox/:prospectId/reply { body, subject?, inboundId? }
+ * Answers the given reply (default: their latest one), or our latest email if they haven't replied.
+ */
+router.post('/:prospectId/reply', async (req, res) => {
+  try {
+    const db = getDb();
+    const { body, subject: customSubject, inboundId } = req.body;
+
+    const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(req.params.prospectId);
+    if (!prospect) {
+      return res.status(404).json({ message: 'Prospect not found' });
+    }
+
+    if (!body?.trim()) {
+      return res.status(400).json({ message: 'Reply body is required' });
+    }
+
+    // What we're answering: their reply (and the campaign it was matched to), else our last email
+    const inbound = inboundId ? inboxService.getInboundById(inboundId) : inboxService.getLatestInbound(prospect.id);
+    if (inboundId && (!inbound || inbound.prospect_id !== prospect.id)) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const parent = inbound?.campaign_id
+      ? db.prepare('SELECT * FROM campaigns WHERE id = ?').get(inbound.campaign_id)
+      : threadingService.getThreadParent(prospect.id);
+
+    // The reply goes to the contact the thread was with
+    const { email: to, contact } = contactService.getRecipient(prospect, parent?.contact_id);
+    if (!to) {
+      return res.status(400).json({ message: 'Prospect does not have an email address' });
+    }
+
+    if (!emailService.isReady()) {
+      return res.status(400).json({ message: 'Email service not configured. Configure an email transport (AI Agents → Configuration) to reply from the inbox.' });
+    }
+
+    const suppression = suppressionService.isSuppressed(to);
+    if (suppression) {
+      return res.status(409).json({ message: `Recipient is on the suppression list (${suppression.reason})`, suppression });
+    }
+
+    const throttle = throttleService.check(to);
+    if (!throttle.allowed) {
+      return res.status(429).json({ message: throttle.message, reason: throttle.reason, retryAt: throttle.retryAt });
+    }
+
+    const subject = customSubject?.trim() || threadingService.replySubject(inbound?.subject || parent?.subject || '');
+
+    const campaignResult = db.prepare(`
+      INSERT INTO campaigns (prospect_id, contact_id, subject, body, status, sent_by)
+      VALUES (?, ?, ?, ?, 'pending', ?)
+    `).run(prospect.id, contact?.id || null, subject, body, req.user.id);
+
+    const campaignId = campaignResult.lastInsertRowid;
+
+    const result = await emailService.send({
+      to,
+      subject,
+      text: body,
+      tags: {
+        campaign_id: campaignId,
+        prospect_id: prospect.id,
+      },
+      replyToCampaignId: parent?.id || null,
+      replyToMessageId: inbound?.message_id || null,
+    });
+
+    if (!result.success) {
+      db.prepare(`UPDATE campaigns SET status = 'failed' WHERE id = ?`).run(campaignId);
+      return res.status(500).json({ message: 'Failed to send reply', error: result.error });
+    }
+
+    db.prepare(`
+      UPDATE campaigns SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(campaignId);
+
+    db.prepare(`
+      INSERT INTO activities (prospect_id, type, description, user_id)
+      VALUES (?, 'email_sent', ?, ?)
+    `).run(prospect.id, `Reply sent from inbox: "${subject}"`, req.user.id);
+
+    // Answering a conversation reads it
+    inboxService.markConversationRead(prospect.id, req.user.id);
+
+    res.json({ campaignId, messages: inboxService.getThread(prospect.id) });
+  } catch (error) {
+    console.error('Error sending reply:', error);
+    res.status(500).json({ message: 'Failed to send reply' });
+  }
+});
+
+export default router;
@@ -0,0 +1,146 @@
+import express from 'express';
+import { getDb } from '../db/init.js';
+import pipelineService from '../services/pipeline.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Get all pipelines with their stages
+router.get('/', (req, res) => {
+  try {
+    res.json(pipelineService.getPipelines());
+  } catch (error) {
+    console.error('Error fetching pipelines:', error);
+    res.status(500).json({ message: 'Failed to fetch pipelines' });
+  }
+});
+
+// Get a pipeline's stages (board order) and where each can move to (?pipelineId=, else the default pipeline)
+router.get('/stages', (req, res) => {
+  try {
+    const { pipelineId } = req.query;
+    if (pipelineId && !pipelineService.getPipeline(pipelineId)) {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+
+    res.json(pipelineService.getStages(pipelineId));
+  } catch (error) {
+    console.error('Error fetching pipeline stages:', error);
+    res.status(500).json({ message: 'Failed to fetch pipeline stages' });
+  }
+});
+
+// Get a prospect's stage changes (newest first)
+router.get('/history/:prospectId', (req, res) => {
+  try {
+    const db = getDb();
+    const prospect = db.prepare('SELECT id FROM prospects WHERE id = ?').get(req.params.prospectId);
+    if (!prospect) {
+      return res.status(404).json({ message: 'Prospect not found' });
+    }
+
+    res.json(pipelineService.getHistory(prospect.id));
+  } catch (error) {
+    console.error('Error fetching stage history:', error);
+    res.status(500).json({ message: 'Failed to fetch stage history' });
+  }
+});
+
+// Get pipeline by ID
+router.get('/:id', (req, res) => {
+  try {
+    const pipeline = pipelineService.getPipeline(req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+
+    res.json(pipeline);
+  } catch (error) {
+    console.error('Error fetching pipeline:', error);
+    res.status(500).json({ message: 'Failed to fetch pipeline' });
+  }
+});
+
+// Create pipeline ({ name, description?, isDefault?, stages: [{ key?, label, color, is_won, is_lost, transitions }] })
+router.post('/', requireRole('admin'), (req, res) => {
+  try {
+    const stages = pipelineService.normalizeStages(req.body.stages);
+    const errors = pipelineService.validate({ ...req.body, stages });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    const pipeline = pipelineService.create({ ...req.body, stages });
+    res.status(201).json(pipeline);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ message: 'A pipeline with that name already exists' });
+    }
+    console.error('Error creating pipeline:', error);
+    res.status(500).json({ message: 'Failed to create pipeline' });
+  }
+});
+
+// Update pipeline (stages are replaced when given)
+router.put('/:id', requireRole('admin'), (req, res) => {
+  try {
+    const existing = pipelineService.getPipeline(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+
+    const stages = pipelineService.normalizeStages(req.body.stages);
+    const errors = pipelineService.validate({ ...req.body, stages }, { partial: true, pipelineId: existing.id });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    const pipeline = pipelineService.update(existing.id, { ...req.body, stages });
+    res.json(pipeline);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ message: 'A pipeline with that name already exists' });
+    }
+    console.error('Error updating pipeline:', error);
+    res.status(500).json({ message: 'Failed to update pipeline' });
+  }
+});
+
+// Make a pipeline the default (new prospects go in it)
+router.post('/:id/default', requireRole('admin'), (req, res) => {
+  try {
+    if (!pipelineService.getPipeline(req.params.id)) {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+
+    res.json(pipelineService.update(req.params.id, { isDefault: true }));
+  } catch (error) {
+    console.error('Error setting default pipeline:', error);
+    res.status(500).json({ message: 'Failed to set default pipeline' });
+  }
+});
+
+// Delete pipeline (not the default one, and only once its prospects have moved)
+router.delete('/:id', requireRole('admin'), (req, res) => {
+  try {
+    const pipeline = pipelineService.getPipelines().find(p => p.id === parseInt(req.params.id));
+    if (!pipeline) {
+      return res.status(404).json({ message: 'Pipeline not found' });
+    }
+    if (pipeline.is_default) {
+      return res.status(400).json({ message: 'Make another pipeline the default before deleting this one' });
+    }
+    if (pipeline.prospect_count > 0) {
+      return res.status(400).json({ message: `Move the ${pipeline.prospect_count} prospects in this pipeline to another one first` });
+    }
+
+    pipelineService.delete(pipeline.id);
+    res.json({ message: 'Pipeline deleted' });
+  } catch (error) {
+    console.error('Error deleting pipeline:', error);
+    res.status(500).json({ message: 'Failed to delete pipeline' });
+  }
+});
+
+export default router;
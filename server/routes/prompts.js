@@ -0,0 +1,108 @@
+import express from 'express';
+import promptService from '../services/prompts.js';
+import { SENDER_DEFAULTS } from '../services/promptDefaults.js';
+import orchestrator from '../agents/orchestrator.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// List the prompt library and the workspace sender settings
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      prompts: promptService.list(),
+      sender: promptService.getSender(),
+      senderDefaults: SENDER_DEFAULTS,
+    });
+  } catch (error) {
+    console.error('Error fetching prompts:', error);
+    res.status(500).json({ message: 'Failed to fetch prompts' });
+  }
+});
+
+// Update the workspace sender (empty = built-in default)
+router.put('/sender', requireRole('admin'), (req, res) => {
+  try {
+    for (const key of Object.keys(SENDER_DEFAULTS)) {
+      if (req.body[key] !== undefined) {
+        orchestrator.setConfig(key, String(req.body[key]).trim());
+      }
+    }
+    res.json(promptService.getSender());
+  } catch (error) {
+    console.error('Error updating sender:', error);
+    res.status(500).json({ message: 'Failed to update sender' });
+  }
+});
+
+// Get a prompt with all its versions
+router.get('/:key', (req, res) => {
+  try {
+    const prompt = promptService.list().find(p => p.key === req.params.key);
+    if (!prompt) {
+      return res.status(404).json({ message: 'Prompt not found' });
+    }
+
+    res.json({ ...prompt, versions: promptService.getVersions(req.params.key) });
+  } catch (error) {
+    console.error('Error fetching prompt:', error);
+    res.status(500).json({ message: 'Failed to fetch prompt' });
+  }
+});
+
+// Save a new version (becomes the active one)
+router.post('/:key/versions', requireRole('admin'), (req, res) => {
+  try {
+    if (!promptService.getDefinition(req.params.key)) {
+      return res.status(404).json({ message: 'Prompt not found' });
+    }
+
+    const { body, notes } = req.body;
+    const errors = promptService.validate(req.params.key, body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    const version = promptService.saveVersion(req.params.key, { body, notes: notes || null, userId: req.user.id });
+    res.status(201).json({ key: req.params.key, version });
+  } catch (error) {
+    console.error('Error saving prompt version:', error);
+    res.status(500).json({ message: 'Failed to save prompt' });
+  }
+});
+
+// Make an earlier version active again
+router.post('/:key/rollback', requireRole('admin'), (req, res) => {
+  try {
+    if (!promptService.getDefinition(req.params.key)) {
+      return res.status(404).json({ message: 'Prompt not found' });
+    }
+
+    const version = parseInt(req.body.version);
+    if (!promptService.activate(req.params.key, version)) {
+      return res.status(404).json({ message: `Version ${req.body.version} not found` });
+    }
+
+    res.json({ key: req.params.key, version });
+  } catch (error) {
+    console.error('Error rolling back prompt:', error);
+    res.status(500).json({ message: 'Failed to roll back prompt' });
+  }
+});
+
+// Line diff between two versions (?from=1&to=3)
+router.get('/:key/diff', (req, res) => {
+  try {
+    const lines = promptService.diff(req.params.key, parseInt(req.query.from), parseInt(req.query.to));
+    if (!lines) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.json({ from: parseInt(req.query.from), to: parseInt(req.query.to), lines });
+  } catch (error) {
+    console.error('Error diffing prompt versions:', error);
+    res.status(500).json({ message: 'Failed to diff prompt versions' });
+  }
+});
+
+export default router;
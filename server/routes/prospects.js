@@ -2,35 +2,86 @@ import express from 'express';
 import { getDb } from '../db/init.js';
 import orchestrator from '../agents/orchestrator.js';
 import enrichmentService from '../services/enrichment.js';
+import sendWindowService from '../services/sendWindow.js';
+import assignmentService from '../services/assignment.js';
+import contactService from '../services/contacts.js';
+import pipelineService from '../services/pipeline.js';
+import forecastService from '../services/forecast.js';
+import scoringService from '../services/scoring.js';
 
 const router = express.Router();
 
+/**
+ * Move a prospect to another stage through the pipeline service ({ stage, force, reason };
+ * only admins can force a move the pipeline rules don't allow)
+ * @returns {{status: number, message: string}|null} The error to respond with, if any
+ */
+function changeStage(prospect, { stage, force, reason }, user) {
+  if (force && user.role !== 'admin') {
+    return { status: 403, message: 'Only admins can override the pipeline rules' };
+  }
+
+  const result = pipelineService.transition(prospect, stage, { userId: user.id, reason, force: !!force });
+  return result.success ? null : { status: 400, message: result.message };
+}
+
 // Get all prospects
 router.get('/', (req, res) => {
   try {
     const db = getDb();
-    const { stage, search } = req.query;
+    const { stage, search, owner, pipeline, sort, minScore, maxScore } = req.query;
     
-    let query = 'SELECT * FROM prospects';
+    let query = `
+      SELECT p.*, u.name as owner_name
+      FROM prospects p
+      LEFT JOIN users u ON p.owner_id = u.id
+    `;
     const params = [];
     const conditions = [];
     
     if (stage) {
-      conditions.push('stage = ?');
+      conditions.push('p.stage = ?');
       params.push(stage);
     }
     
+    if (pipeline) {
+      conditions.push('COALESCE(p.pipeline_id, (SELECT id FROM pipelines WHERE is_default = 1)) = ?');
+      params.push(parseInt(pipeline));
+    }
+    
     if (search) {
-      conditions.push('(business_name LIKE ? OR city LIKE ? OR category LIKE ?)');
+      conditions.push('(p.business_name LIKE ? OR p.city LIKE ? OR p.category LIKE ?)');
       const searchTerm = `%${search}%`;
       params.push(searchTerm, searchTerm, searchTerm);
     }
     
+    // owner: "me", "unassigned" or a user id
+    if (owner === 'unassigned') {
+      conditions.push('p.owner_id IS NULL');
+    } else if (owner) {
+      conditions.push('p.owner_id = ?');
+      params.push(owner === 'me' ? req.user.id : parseInt(owner));
+    }
+    
+    // Lead score range (0-100)
+    if (minScore) {
+      conditions.push('p.lead_score >= ?');
+      params.push(parseInt(minScore));
+    }
+    
+    if (maxScore) {
+      conditions.push('p.lead_score <= ?');
+      params.push(parseInt(maxScore));
+    }
+    
     if (conditions.length > 0) {
       query += ' WHERE ' + conditions.join(' AND ');
     }
     
-    query += ' ORDER BY updated_at DESC';
+    // sort: "score" (best leads first) or the most recently updated
+    query += sort === 'score'
+      ? ' ORDER BY p.lead_score IS NULL, p.lead_score DESC, p.updated_at DESC'
+      : ' ORDER BY p.updated_at DESC';
     
     const prospects = db.prepare(query).all(...params);
     res.json(prospects);
@@ -44,13 +95,24 @@ router.get('/', (req, res) => {
 router.get('/:id', (req, res) => {
   try {
     const db = getDb();
-    const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(req.params.id);
+    const prospect = db.prepare(`
+      SELECT p.*, u.name as owner_name
+      FROM prospects p
+      LEFT JOIN users u ON p.owner_id = u.id
+      WHERE p.id = ?
+    `).get(req.params.id);
     
     if (!prospect) {
       return res.status(404).json({ message: 'Prospect not found' });
     }
     
-    res.json(prospect);
+    // What the website analysis suggests the deal is worth (the prospect page offers it)
+    res.json({
+      ...prospect,
+      deal_estimate: forecastService.estimate(prospect),
+      lead_score_breakdown: scoringService.getBreakdown(prospect),
+      custom_fields: prospect.custom_fields ? JSON.parse(prospect.custom_fields) : null,
+    });
   } catch (error) {
     console.error('Error fetching prospect:', error);
     res.status(500).json({ message: 'Failed to fetch prospect' });
@@ -77,15 +139,41 @@ router.post('/', (req, res) => {
       category,
       rating,
       review_count,
-      stage = 'new',
+      pipeline_id,
+      stage,
       notes,
-      source = 'yelp'
+      source = 'yelp',
+      timezone,
+      utc_offset_minutes,
+      owner_id,
+      deal_value,
+      expected_close_date
     } = req.body;
     
     if (!business_name) {
       return res.status(400).json({ message: 'Business name is required' });
     }
     
+    const dealErrors = forecastService.validate(req.body);
+    if (dealErrors.length > 0) {
+      return res.status(400).json({ message: dealErrors.join('; ') });
+    }
+    
+    const ownerId = owner_id === 'me' ? req.user.id : parseInt(owner_id);
+    if (owner_id && !assignmentService.getTeam().some(u => u.id === ownerId)) {
+      return res.status(400).json({ message: 'Owner must be an active team member who can own leads' });
+    }
+    
+    // New prospects go in the default pipeline's first stage unless told otherwise
+    const pipeline = pipeline_id ? pipelineService.getPipeline(pipeline_id) : pipelineService.getDefaultPipeline();
+    if (!pipeline) {
+      return res.status(400).json({ message: 'Pipeline not found' });
+    }
+    const initialStage = stage || pipeline.stages[0]?.key;
+    if (!pipelineService.isStage(initialStage, pipeline.id)) {
+      return res.status(400).json({ message: `Unknown stage "${initialStage}" in the ${pipeline.name} pipeline` });
+    }
+    
     // Check for duplicate yelp_id or google_place_id
     if (yelp_id) {
       const existing = db.prepare('SELECT id FROM prospects WHERE yelp_id = ?').get(yelp_id);
@@ -105,21 +193,36 @@ router.post('/', (req, res) => {
       INSERT INTO prospects (
         business_name, phone, email, address, city, state, zip_code,
         website_url, yelp_url, yelp_id, google_place_id, google_maps_url,
-        category, rating, review_count, stage, notes, source
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        category, rating, review_count, pipeline_id, stage, notes, source,
+        deal_value, deal_value_source, expected_close_date, timezone
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       business_name, phone, email, address, city, state, zip_code,
       website_url, yelp_url, yelp_id, google_place_id, google_maps_url,
-      category, rating, review_count, stage, notes, source
+      category, rating, review_count, pipeline.id, initialStage, notes, source,
+      deal_value ? Number(deal_value) : null, deal_value ? 'manual' : null, expected_close_date || null,
+      // Explicit timezone wins. Otherwise the address decides when it's read (nothing is stored);
+      // the UTC offset Google Places gives us shifts with daylight saving, so it's only a last resort
+      sendWindowService.isValidTimezone(timezone)
+        ? timezone
+        : sendWindowService.timezoneFromAddress({ zip_code, state }) ? null : sendWindowService.timezoneFromOffset(utc_offset_minutes)
     );
     
     const prospectId = result.lastInsertRowid;
+    contactService.syncFromProspect(prospectId);
     
     // Log activity
     db.prepare(`
-      INSERT INTO activities (prospect_id, type, description)
-      VALUES (?, 'created', 'Prospect added to pipeline')
-    `).run(prospectId);
+      INSERT INTO activities (prospect_id, type, description, user_id)
+      VALUES (?, 'created', 'Prospect added to pipeline', ?)
+    `).run(prospectId, req.user.id);
+    
+    // Explicit owner wins; otherwise the workspace assignment mode decides
+    if (owner_id) {
+      assignmentService.assign([prospectId], ownerId, { assignedBy: req.user.id });
+    } else {
+      assignmentService.autoAssign(prospectId);
+    }
     
     // Auto-enrich prospect to find missing contact info (async - don't wait)
     const autoEnrich = orchestrator.getConfig('auto_enrich', 'true');
@@ -163,6 +266,8 @@ router.post('/', (req, res) => {
       // Don't fail the request if agent queueing fails
     }
     
+    scoringService.recompute(prospectId);
+    
     const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(prospectId);
     res.status(201).json(prospect);
   } catch (error) {
@@ -171,6 +276,27 @@ router.post('/', (req, res) => {
   }
 });
 
+// Assign prospects to an owner (userId null to unassign)
+router.post('/assign', (req, res) => {
+  try {
+    const { prospectIds, userId } = req.body;
+
+    if (!Array.isArray(prospectIds) || prospectIds.length === 0) {
+      return res.status(400).json({ message: 'prospectIds array is required' });
+    }
+
+    if (userId && !assignmentService.getTeam().some(u => u.id === parseInt(userId))) {
+      return res.status(400).json({ message: 'Owner must be an active team member who can own leads' });
+    }
+
+    const assigned = assignmentService.assign(prospectIds, userId ? parseInt(userId) : null, { assignedBy: req.user.id });
+    res.json({ message: `Updated owner on ${assigned} prospects`, assigned });
+  } catch (error) {
+    console.error('Error assigning prospects:', error);
+    res.status(500).json({ message: 'Failed to assign prospects' });
+  }
+});
+
 // Update prospect
 router.put('/:id', (req, res) => {
   try {
@@ -186,39 +312,86 @@ router.put('/:id', (req, res) => {
     const allowedFields = [
       'business_name', 'phone', 'email', 'address', 'city', 'state',
       'zip_code', 'website_url', 'yelp_url', 'google_place_id', 'google_maps_url',
-      'category', 'rating', 'review_count', 'stage', 'notes', 'automation_enabled', 'source'
+      'category', 'rating', 'review_count', 'notes', 'automation_enabled', 'source',
+      'timezone', 'deal_value', 'expected_close_date'
     ];
     
+    const dealErrors = forecastService.validate(updates);
+    if (dealErrors.length > 0) {
+      return res.status(400).json({ message: dealErrors.join('; ') });
+    }
+    
     const setClauses = [];
     const values = [];
     
     for (const field of allowedFields) {
       if (updates[field] !== undefined) {
         setClauses.push(`${field} = ?`);
-        values.push(updates[field]);
+        // Clearing a deal field saves NULL, not an empty string
+        values.push(['deal_value', 'expected_close_date'].includes(field) && updates[field] === '' ? null : updates[field]);
       }
     }
     
-    if (setClauses.length === 0) {
+    // A value typed in replaces an estimate
+    if (updates.deal_value !== undefined) {
+      setClauses.push('deal_value_source = ?');
+      values.push(updates.deal_value === null || updates.deal_value === '' ? null : 'manual');
+    }
+    
+    const ownerChanged = updates.owner_id !== undefined;
+    if (updates.owner_id && !assignmentService.getTeam().some(u => u.id === parseInt(updates.owner_id))) {
+      return res.status(400).json({ message: 'Owner must be an active team member who can own leads' });
+    }
+    const pipelineChanged = updates.pipeline_id !== undefined
+      && parseInt(updates.pipeline_id) !== pipelineService.getPipelineFor(existing).id;
+    const stageChanged = updates.stage !== undefined && (pipelineChanged || updates.stage !== existing.stage);
+    
+    if (setClauses.length === 0 && !ownerChanged && updates.stage === undefined && updates.pipeline_id === undefined) {
       return res.status(400).json({ message: 'No valid fields to update' });
     }
     
-    setClauses.push('updated_at = CURRENT_TIMESTAMP');
-    values.push(id);
+    // The pipeline and stage go first so a refused move doesn't leave the other changes half-applied
+    if (pipelineChanged) {
+      const result = pipelineService.movePipeline(existing, parseInt(updates.pipeline_id), { userId: req.user.id });
+      if (!result.success) {
+        return res.status(400).json({ message: result.message });
+      }
+    }
     
-    db.prepare(`
-      UPDATE prospects SET ${setClauses.join(', ')} WHERE id = ?
-    `).run(...values);
+    if (stageChanged) {
+      const stageError = changeStage(existing, updates, req.user);
+      if (stageError) {
+        return res.status(stageError.status).json({ message: stageError.message });
+      }
+    }
     
-    // Log stage change if applicable
-    if (updates.stage && updates.stage !== existing.stage) {
+    if (setClauses.length > 0) {
+      setClauses.push('updated_at = CURRENT_TIMESTAMP');
+      values.push(id);
+      
       db.prepare(`
-        INSERT INTO activities (prospect_id, type, description)
-        VALUES (?, 'stage_change', ?)
-      `).run(id, `Stage changed from "${existing.stage}" to "${updates.stage}"`);
+        UPDATE prospects SET ${setClauses.join(', ')} WHERE id = ?
+      `).run(...values);
+    }
+
+    // A new email or phone typed on the prospect becomes a contact
+    if (updates.email || updates.phone) {
+      contactService.syncFromProspect(id);
     }
     
-    const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(id);
+    // Owner changes go through the assignment service (activity + notification)
+    if (ownerChanged) {
+      assignmentService.assign([id], updates.owner_id ? parseInt(updates.owner_id) : null, { assignedBy: req.user.id });
+    }
+    
+    scoringService.recompute(id);
+    
+    const prospect = db.prepare(`
+      SELECT p.*, u.name as owner_name
+      FROM prospects p
+      LEFT JOIN users u ON p.owner_id = u.id
+      WHERE p.id = ?
+    `).get(id);
     res.json(prospect);
   } catch (error) {
     console.error('Error updating prospect:', error);
@@ -226,7 +399,7 @@ router.put('/:id', (req, res) => {
   }
 });
 
-// Update prospect stage (convenience endpoint)
+// Update prospect stage (convenience endpoint; { stage, force?, reason? })
 router.patch('/:id/stage', (req, res) => {
   try {
     const db = getDb();
@@ -242,16 +415,9 @@ router.patch('/:id/stage', (req, res) => {
       return res.status(400).json({ message: 'Stage is required' });
     }
     
-    db.prepare(`
-      UPDATE prospects SET stage = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
-    `).run(stage, id);
-    
-    // Log activity
-    if (stage !== existing.stage) {
-      db.prepare(`
-        INSERT INTO activities (prospect_id, type, description)
-        VALUES (?, 'stage_change', ?)
-      `).run(id, `Stage changed from "${existing.stage}" to "${stage}"`);
+    const stageError = changeStage(existing, req.body, req.user);
+    if (stageError) {
+      return res.status(stageError.status).json({ message: stageError.message });
     }
     
     const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(id);
@@ -0,0 +1,87 @@
+import express from 'express';
+import { getDb } from '../db/init.js';
+import scoringService, { SCORE_GROUPS } from '../services/scoring.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Get the score groups, their weights, the target categories and how many prospects are in each score band
+router.get('/', (req, res) => {
+  try {
+    const db = getDb();
+    const distribution = db.prepare(`
+      SELECT
+        SUM(CASE WHEN lead_score >= 70 THEN 1 ELSE 0 END) as hot,
+        SUM(CASE WHEN lead_score >= 40 AND lead_score < 70 THEN 1 ELSE 0 END) as warm,
+        SUM(CASE WHEN lead_score < 40 THEN 1 ELSE 0 END) as cold,
+        ROUND(AVG(lead_score)) as average
+      FROM prospects
+    `).get();
+
+    res.json({
+      groups: SCORE_GROUPS,
+      weights: scoringService.getWeights(),
+      targetCategories: scoringService.getTargetCategories(),
+      distribution: {
+        hot: distribution.hot || 0,
+        warm: distribution.warm || 0,
+        cold: distribution.cold || 0,
+        average: distribution.average,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching scoring settings:', error);
+    res.status(500).json({ message: 'Failed to fetch scoring settings' });
+  }
+});
+
+// Update weights and target categories ({ weights: { fit, website, contact, engagement }, targetCategories: [] });
+// every prospect is rescored
+router.put('/', requireRole('admin'), (req, res) => {
+  try {
+    const { weights, targetCategories } = req.body;
+    const errors = scoringService.validate({ weights, targetCategories });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    const rescored = scoringService.saveSettings({ weights, targetCategories });
+    res.json({
+      weights: scoringService.getWeights(),
+      targetCategories: scoringService.getTargetCategories(),
+      rescored,
+    });
+  } catch (error) {
+    console.error('Error updating scoring settings:', error);
+    res.status(500).json({ message: 'Failed to update scoring settings' });
+  }
+});
+
+// Rescore every prospect
+router.post('/recompute', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ rescored: scoringService.recomputeAll() });
+  } catch (error) {
+    console.error('Error rescoring prospects:', error);
+    res.status(500).json({ message: 'Failed to rescore prospects' });
+  }
+});
+
+// Rescore one prospect and get its breakdown
+router.post('/prospect/:id', (req, res) => {
+  try {
+    const score = scoringService.recompute(req.params.id);
+    if (score === null) {
+      return res.status(404).json({ message: 'Prospect not found' });
+    }
+
+    const db = getDb();
+    const prospect = db.prepare('SELECT lead_score_breakdown FROM prospects WHERE id = ?').get(req.params.id);
+    res.json({ score, breakdown: scoringService.getBreakdown(prospect) });
+  } catch (error) {
+    console.error('Error rescoring prospect:', error);
+    res.status(500).json({ message: 'Failed to rescore prospect' });
+  }
+});
+
+export default router;
@@ -0,0 +1,179 @@
+import express from 'express';
+import { getDb } from '../db/init.js';
+import sequenceService, { COMPLETION_ACTIONS } from '../services/sequences.js';
+
+const router = express.Router();
+
+/**
+ * Validate a sequence payload
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSequence(body, { partial = false } = {}) {
+  if (!partial && !body.name) {
+    return 'Name is required';
+  }
+
+  if (body.onComplete && !COMPLETION_ACTIONS.includes(body.onComplete)) {
+    return `onComplete must be one of ${COMPLETION_ACTIONS.join(', ')}`;
+  }
+
+  if (body.sendWindow) {
+    const { start, end, days } = body.sendWindow;
+    // "HH:MM" as minutes after midnight (null if it isn't a time of day)
+    const toMinutes = (t) => {
+      const match = String(t).match(/^(\d{1,2}):(\d{2})$/);
+      if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return null;
+      return parseInt(match[1]) * 60 + parseInt(match[2]);
+    };
+    if ((start && toMinutes(start) === null) || (end && toMinutes(end) === null)) {
+      return 'Send window times must be HH:MM (00:00 to 23:59)';
+    }
+    if (start && end && toMinutes(start) >= toMinutes(end)) {
+      return 'Send window must end after it starts';
+    }
+    if (days && (!Array.isArray(days) || days.some(d => !(d >= 0 && d <= 6)))) {
+      return 'Send window days must be weekday numbers 0-6';
+    }
+  }
+
+  if (!partial || body.steps !== undefined) {
+    const errors = sequenceService.validateSteps(body.steps);
+    if (errors.length > 0) {
+      return errors.join('; ');
+    }
+  }
+
+  return null;
+}
+
+// Get all sequences
+router.get('/', (req, res) => {
+  try {
+    res.json(sequenceService.getAll());
+  } catch (error) {
+    console.error('Error fetching sequences:', error);
+    res.status(500).json({ message: 'Failed to fetch sequences' });
+  }
+});
+
+// Get sequence by ID
+router.get('/:id', (req, res) => {
+  try {
+    const sequence = sequenceService.getById(req.params.id);
+
+    if (!sequence) {
+      return res.status(404).json({ message: 'Sequence not found' });
+    }
+
+    res.json(sequence);
+  } catch (error) {
+    console.error('Error fetching sequence:', error);
+    res.status(500).json({ message: 'Failed to fetch sequence' });
+  }
+});
+
+// Get prospects currently enrolled in a sequence
+router.get('/:id/enrollments', (req, res) => {
+  try {
+    const db = getDb();
+    const enrollments = db.prepare(`
+      SELECT f.*, p.business_name, p.email, p.stage, p.category
+      FROM follow_up_sequences f
+      JOIN prospects p ON f.prospect_id = p.id
+      WHERE f.sequence_id = ?
+      ORDER BY f.completed_at IS NOT NULL, f.next_send_at ASC
+    `).all(req.params.id);
+
+    res.json(enrollments);
+  } catch (error) {
+    console.error('Error fetching enrollments:', error);
+    res.status(500).json({ message: 'Failed to fetch enrollments' });
+  }
+});
+
+// Create sequence
+router.post('/', (req, res) => {
+  try {
+    const error = validateSequence(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const sequence = sequenceService.create(req.body);
+    res.status(201).json(sequence);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ message: 'A sequence with that name already exists' });
+    }
+    console.error('Error creating sequence:', error);
+    res.status(500).json({ message: 'Failed to create sequence' });
+  }
+});
+
+// Update sequence
+router.put('/:id', (req, res) => {
+  try {
+    if (!sequenceService.getById(req.params.id)) {
+      return res.status(404).json({ message: 'Sequence not found' });
+    }
+
+    const error = validateSequence(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const sequence = sequenceService.update(req.params.id, req.body);
+    res.json(sequence);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ message: 'A sequence with that name already exists' });
+    }
+    console.error('Error updating sequence:', error);
+    res.status(500).json({ message: 'Failed to update sequence' });
+  }
+});
+
+// Delete sequence
+router.delete('/:id', (req, res) => {
+  try {
+    const sequence = sequenceService.getById(req.params.id);
+
+    if (!sequence) {
+      return res.status(404).json({ message: 'Sequence not found' });
+    }
+
+    if (sequence.is_default) {
+      return res.status(400).json({ message: 'Make another sequence the default before deleting this one' });
+    }
+
+    sequenceService.delete(req.params.id);
+    res.json({ message: 'Sequence deleted' });
+  } catch (error) {
+    console.error('Error deleting sequence:', error);
+    res.status(500).json({ message: 'Failed to delete sequence' });
+  }
+});
+
+// Assign a sequence to prospects (pass sequence id "none" to clear the assignment)
+router.post('/:id/assign', (req, res) => {
+  try {
+    const { prospectIds } = req.body;
+    const sequenceId = req.params.id === 'none' ? null : parseInt(req.params.id);
+
+    if (!Array.isArray(prospectIds) || prospectIds.length === 0) {
+      return res.status(400).json({ message: 'prospectIds array is required' });
+    }
+
+    if (sequenceId && !sequenceService.getById(sequenceId)) {
+      return res.status(404).json({ message: 'Sequence not found' });
+    }
+
+    const assigned = sequenceService.assign(sequenceId, prospectIds);
+    res.json({ message: `Assigned ${assigned} prospects`, assigned });
+  } catch (error) {
+    console.error('Error assigning sequence:', error);
+    res.status(500).json({ message: 'Failed to assign sequence' });
+  }
+});
+
+export default router;
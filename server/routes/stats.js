@@ -1,5 +1,7 @@
 import express from 'express';
 import { getDb } from '../db/init.js';
+import pipelineService from '../services/pipeline.js';
+import forecastService from '../services/forecast.js';
 
 const router = express.Router();
 
@@ -8,29 +10,29 @@ router.get('/dashboard', (req, res) => {
   try {
     const db = getDb();
     
-    // Get counts by stage
+    // Get counts and deal values by pipeline and stage
     const stageCounts = db.prepare(`
-      SELECT stage, COUNT(*) as count
+      SELECT COALESCE(pipeline_id, (SELECT id FROM pipelines WHERE is_default = 1)) as pipeline_id, stage,
+        COUNT(*) as count, COALESCE(SUM(deal_value), 0) as value
       FROM prospects
-      GROUP BY stage
+      GROUP BY 1, stage
     `).all();
     
-    const stageMap = {
-      new: 0,
-      contacted: 0,
-      responded: 0,
-      meeting: 0,
-      proposal: 0,
-      won: 0,
-      lost: 0,
-    };
-    
-    stageCounts.forEach(row => {
-      stageMap[row.stage] = row.count;
-    });
+    // Each pipeline's stages in board order, with how many prospects are in them and what they're worth
+    const pipelines = pipelineService.getPipelines().map(({ id, name, is_default, stages }) => ({
+      id,
+      name,
+      is_default,
+      stages: stages.map(stage => {
+        const row = stageCounts.find(r => r.pipeline_id === id && r.stage === stage.key);
+        return { ...stage, count: row?.count || 0, value: row?.value || 0 };
+      }),
+    }));
+    const defaultPipeline = pipelines.find(pipeline => pipeline.is_default) || pipelines[0];
+    const stageMap = Object.fromEntries((defaultPipeline?.stages || []).map(stage => [stage.key, stage.count]));
     
     // Total prospects
-    const totalProspects = Object.values(stageMap).reduce((a, b) => a + b, 0);
+    const totalProspects = stageCounts.reduce((total, row) => total + row.count, 0);
     
     // Campaigns stats
     const campaignStats = db.prepare(`
@@ -67,7 +69,10 @@ router.get('/dashboard', (req, res) => {
     
     res.json({
       pipeline: stageMap,
+      stages: defaultPipeline?.stages || [],
+      pipelines,
       totalProspects,
+      dealValue: forecastService.getForecast({ months: 1 }).totals,
       campaigns: campaignStats,
       recentActivities,
       thisWeek: {
@@ -81,5 +86,22 @@ router.get('/dashboard', (req, res) => {
   }
 });
 
+// Get the weighted revenue forecast by month and forecast vs actual on won deals
+// (?months= how many months each way, default 6; ?pipelineId= to forecast one pipeline)
+router.get('/forecast', (req, res) => {
+  try {
+    const months = Math.min(Math.max(parseInt(req.query.months) || 6, 1), 24);
+    const pipelineId = req.query.pipelineId ? parseInt(req.query.pipelineId) : null;
+
+    res.json({
+      forecast: forecastService.getForecast({ months, pipelineId }),
+      actual: forecastService.getForecastVsActual({ months }),
+    });
+  } catch (error) {
+    console.error('Error fetching forecast:', error);
+    res.status(500).json({ message: 'Failed to fetch forecast' });
+  }
+});
+
 export default router;
 
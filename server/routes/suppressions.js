@@ -0,0 +1,76 @@
+import express from 'express';
+import suppressionService from '../services/suppression.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Get suppression list
+router.get('/', (req, res) => {
+  try {
+    const { reason, search } = req.query;
+    const suppressions = suppressionService.getAll({ reason, search });
+    res.json({
+      suppressions,
+      stats: suppressionService.getStats(),
+    });
+  } catch (error) {
+    console.error('Error fetching suppressions:', error);
+    res.status(500).json({ message: 'Failed to fetch suppressions' });
+  }
+});
+
+// Check whether an address is suppressed
+router.get('/check', (req, res) => {
+  try {
+    const { email } = req.query;
+    if (!email) {
+      return res.status(400).json({ message: 'email is required' });
+    }
+    const suppression = suppressionService.isSuppressed(email);
+    res.json({ suppressed: !!suppression, suppression });
+  } catch (error) {
+    console.error('Error checking suppression:', error);
+    res.status(500).json({ message: 'Failed to check suppression' });
+  }
+});
+
+// Add an email or domain (manual block)
+router.post('/', (req, res) => {
+  try {
+    const { email, domain, reason, notes, prospectId } = req.body;
+
+    if (!email && !domain) {
+      return res.status(400).json({ message: 'email or domain is required' });
+    }
+
+    const suppression = suppressionService.add({
+      email,
+      domain,
+      reason: reason || (domain ? 'domain' : 'manual'),
+      source: 'user',
+      prospectId: prospectId || null,
+      notes,
+    });
+
+    res.status(201).json(suppression);
+  } catch (error) {
+    console.error('Error adding suppression:', error);
+    res.status(500).json({ message: 'Failed to add suppression' });
+  }
+});
+
+// Remove a suppression entry (admins only)
+router.delete('/:id', requireRole('admin'), (req, res) => {
+  try {
+    const removed = suppressionService.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ message: 'Suppression not found' });
+    }
+    res.json({ message: 'Suppression removed' });
+  } catch (error) {
+    console.error('Error removing suppression:', error);
+    res.status(500).json({ message: 'Failed to remove suppression' });
+  }
+});
+
+export default router;
@@ -1,8 +1,18 @@
 import express from 'express';
 import { getDb } from '../db/init.js';
+import templateRuleService from '../services/templateRules.js';
+import templateRenderer, { TEMPLATE_VARIABLES } from '../services/templateRenderer.js';
+import contactService from '../services/contacts.js';
 
 const router = express.Router();
 
+/**
+ * Template row with its rule conditions parsed
+ */
+function formatTemplate(template) {
+  return { ...template, conditions: templateRuleService.parseConditions(template.conditions) };
+}
+
 // Get all templates
 router.get('/', (req, res) => {
   try {
@@ -20,13 +30,40 @@ router.get('/', (req, res) => {
     query += ' ORDER BY created_at DESC';
     
     const templates = db.prepare(query).all(...params);
-    res.json(templates);
+    res.json(templates.map(formatTemplate));
   } catch (error) {
     console.error('Error fetching templates:', error);
     res.status(500).json({ message: 'Failed to fetch templates' });
   }
 });
 
+// Variables templates can use
+router.get('/variables', (req, res) => {
+  res.json(TEMPLATE_VARIABLES);
+});
+
+// Which template rule a prospect matches, and why the others don't (?prospectId=)
+router.get('/rules/test', (req, res) => {
+  try {
+    const db = getDb();
+    const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(req.query.prospectId);
+
+    if (!prospect) {
+      return res.status(404).json({ message: 'Prospect not found' });
+    }
+
+    const { facts, rules, selected } = templateRuleService.explain(prospect);
+    res.json({
+      facts,
+      rules,
+      selected: { templateId: selected.template?.id || null, name: selected.template?.name || null, reason: selected.reason },
+    });
+  } catch (error) {
+    console.error('Error testing template rules:', error);
+    res.status(500).json({ message: 'Failed to test template rules' });
+  }
+});
+
 // Get template by ID
 router.get('/:id', (req, res) => {
   try {
@@ -37,7 +74,7 @@ router.get('/:id', (req, res) => {
       return res.status(404).json({ message: 'Template not found' });
     }
     
-    res.json(template);
+    res.json(formatTemplate(template));
   } catch (error) {
     console.error('Error fetching template:', error);
     res.status(500).json({ message: 'Failed to fetch template' });
@@ -48,19 +85,25 @@ router.get('/:id', (req, res) => {
 router.post('/', (req, res) => {
   try {
     const db = getDb();
-    const { name, type, subject, body } = req.body;
+    const { name, type, subject, body, priority = 0 } = req.body;
     
     if (!name || !type || !body) {
       return res.status(400).json({ message: 'Name, type, and body are required' });
     }
+
+    const conditions = templateRuleService.normalize(req.body.conditions);
+    const errors = [...templateRenderer.lintTemplate({ subject, body }), ...templateRuleService.validate(conditions)];
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
     
     const result = db.prepare(`
-      INSERT INTO templates (name, type, subject, body)
-      VALUES (?, ?, ?, ?)
-    `).run(name, type, subject, body);
+      INSERT INTO templates (name, type, subject, body, conditions, priority)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(name, type, subject, body, conditions ? JSON.stringify(conditions) : null, parseInt(priority) || 0);
     
     const template = db.prepare('SELECT * FROM templates WHERE id = ?').get(result.lastInsertRowid);
-    res.status(201).json(template);
+    res.status(201).json(formatTemplate(template));
   } catch (error) {
     console.error('Error creating template:', error);
     res.status(500).json({ message: 'Failed to create template' });
@@ -72,27 +115,45 @@ router.put('/:id', (req, res) => {
   try {
     const db = getDb();
     const { id } = req.params;
-    const { name, type, subject, body } = req.body;
+    const { name, type, subject, body, priority } = req.body;
     
     const existing = db.prepare('SELECT * FROM templates WHERE id = ?').get(id);
     if (!existing) {
       return res.status(404).json({ message: 'Template not found' });
     }
+
+    const lintErrors = templateRenderer.lintTemplate({ subject: subject ?? existing.subject, body: body ?? existing.body });
+    if (lintErrors.length > 0) {
+      return res.status(400).json({ message: lintErrors.join('; ') });
+    }
+
+    // conditions: omitted = keep, null/{} = no rule
+    let conditions = existing.conditions;
+    if (req.body.conditions !== undefined) {
+      const normalized = templateRuleService.normalize(req.body.conditions);
+      const errors = templateRuleService.validate(normalized);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: errors.join('; ') });
+      }
+      conditions = normalized ? JSON.stringify(normalized) : null;
+    }
     
     db.prepare(`
       UPDATE templates 
-      SET name = ?, type = ?, subject = ?, body = ?, updated_at = CURRENT_TIMESTAMP
+      SET name = ?, type = ?, subject = ?, body = ?, conditions = ?, priority = ?, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `).run(
       name ?? existing.name,
       type ?? existing.type,
       subject ?? existing.subject,
       body ?? existing.body,
+      conditions,
+      priority !== undefined ? parseInt(priority) || 0 : existing.priority,
       id
     );
     
     const template = db.prepare('SELECT * FROM templates WHERE id = ?').get(id);
-    res.json(template);
+    res.json(formatTemplate(template));
   } catch (error) {
     console.error('Error updating template:', error);
     res.status(500).json({ message: 'Failed to update template' });
@@ -118,31 +179,31 @@ router.delete('/:id', (req, res) => {
   }
 });
 
-// Preview template with variables replaced
+// Preview template for a prospect ({ prospectId?, contactId?, ...variable overrides })
 router.post('/:id/preview', (req, res) => {
   try {
     const db = getDb();
     const { id } = req.params;
-    const variables = req.body;
+    const { prospectId, contactId, ...overrides } = req.body;
     
     const template = db.prepare('SELECT * FROM templates WHERE id = ?').get(id);
     if (!template) {
       return res.status(404).json({ message: 'Template not found' });
     }
-    
-    let previewSubject = template.subject || '';
-    let previewBody = template.body;
-    
-    // Replace variables
-    for (const [key, value] of Object.entries(variables)) {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      previewSubject = previewSubject.replace(regex, value || '');
-      previewBody = previewBody.replace(regex, value || '');
+
+    let prospect = {};
+    let contact = null;
+    if (prospectId) {
+      prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(prospectId);
+      if (!prospect) {
+        return res.status(404).json({ message: 'Prospect not found' });
+      }
+      contact = contactService.getRecipient(prospect, contactId).contact;
     }
     
     res.json({
-      subject: previewSubject,
-      body: previewBody
+      ...templateRenderer.renderTemplate(template, prospect, { contact, variables: overrides }),
+      warnings: templateRenderer.lintTemplate(template),
     });
   } catch (error) {
     console.error('Error previewing template:', error);
@@ -0,0 +1,83 @@
+import express from 'express';
+import suppressionService from '../services/suppression.js';
+import emailService from '../services/email.js';
+
+const router = express.Router();
+
+/**
+ * Render a minimal standalone page for the unsubscribe flow
+ */
+function renderPage(title, message, form = '') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title} - CloudHack</title>
+</head>
+<body style="margin: 0; padding: 60px 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; background-color: #f9fafb; text-align: center;">
+  <div style="max-width: 480px; margin: 0 auto; background: #ffffff; border-radius: 12px; padding: 40px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.05);">
+    <h1 style="margin: 0 0 16px 0; font-size: 22px; color: #111827;">${title}</h1>
+    <p style="margin: 0; color: #374151; line-height: 1.6;">${message}</p>
+    ${form}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Unsubscribe confirmation page
+ * GET /api/unsubscribe?token=...
+ * Only shows a confirmation button so link scanners that prefetch URLs don't opt people out.
+ */
+router.get('/', (req, res) => {
+  const data = suppressionService.verifyToken(req.query.token);
+  if (!data) {
+    return res.status(400).send(renderPage('Invalid link', 'This unsubscribe link is invalid or has been altered.'));
+  }
+
+  const existing = suppressionService.isSuppressed(data.email);
+  if (existing) {
+    return res.send(renderPage('You\'re unsubscribed', `${emailService.escapeHtml(data.email)} will not receive any more emails from us.`));
+  }
+
+  const form = `
+    <form method="POST" action="?token=${encodeURIComponent(req.query.token)}" style="margin-top: 24px;">
+      <button type="submit" style="background: #06b6d4; color: #ffffff; border: 0; border-radius: 8px; padding: 12px 24px; font-size: 15px; cursor: pointer;">
+        Unsubscribe ${emailService.escapeHtml(data.email)}
+      </button>
+    </form>`;
+
+  res.send(renderPage('Unsubscribe', 'Click below and we won\'t email you again.', form));
+});
+
+/**
+ * Record an opt-out
+ * POST /api/unsubscribe?token=...
+ * Handles both the confirmation form and RFC 8058 one-click requests from mail clients.
+ */
+router.post('/', express.urlencoded({ extended: false }), (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+    const data = suppressionService.verifyToken(token);
+    if (!data) {
+      return res.status(400).send(renderPage('Invalid link', 'This unsubscribe link is invalid or has been altered.'));
+    }
+
+    suppressionService.add({
+      email: data.email,
+      reason: 'unsubscribe',
+      source: req.body?.['List-Unsubscribe'] === 'One-Click' ? 'one_click' : 'unsubscribe_link',
+      prospectId: data.prospectId,
+    });
+
+    console.log(`🚫 Unsubscribed: ${data.email}`);
+
+    res.send(renderPage('You\'re unsubscribed', `${emailService.escapeHtml(data.email)} will not receive any more emails from us.`));
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).send(renderPage('Something went wrong', 'Please try again, or reply to our email and ask to be removed.'));
+  }
+});
+
+export default router;
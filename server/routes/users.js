@@ -0,0 +1,126 @@
+import express from 'express';
+import { getDb } from '../db/init.js';
+import authService, { ROLES } from '../services/auth.js';
+
+const router = express.Router();
+
+// Get all users
+router.get('/', (req, res) => {
+  try {
+    res.json(authService.getAll());
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ message: 'Failed to fetch users' });
+  }
+});
+
+// Get the audit log (who changed what)
+router.get('/audit', (req, res) => {
+  try {
+    const db = getDb();
+    const { userId, limit = 100 } = req.query;
+
+    const entries = db.prepare(`
+      SELECT a.*, u.name as user_name, u.email as user_email
+      FROM audit_log a
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE (? IS NULL OR a.user_id = ?)
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ?
+    `).all(userId || null, userId || null, parseInt(limit));
+
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ message: 'Failed to fetch audit log' });
+  }
+});
+
+// Create user
+router.post('/', (req, res) => {
+  try {
+    const { email, name, password, role = 'rep' } = req.body;
+
+    if (!email || !name) {
+      return res.status(400).json({ message: 'Email and name are required' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of ${ROLES.join(', ')}` });
+    }
+
+    const passwordError = authService.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const user = authService.create({ email, name, password, role });
+    res.status(201).json(user);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ message: 'A user with that email already exists' });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ message: 'Failed to create user' });
+  }
+});
+
+// Update user (name, role, active flag, password reset)
+router.put('/:id', (req, res) => {
+  try {
+    const user = authService.getById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { name, role, isActive, password } = req.body;
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of ${ROLES.join(', ')}` });
+    }
+
+    if (password) {
+      const passwordError = authService.validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+      }
+    }
+
+    // Keep at least one active admin
+    const losesAdmin = user.role === 'admin' && user.is_active && ((role && role !== 'admin') || isActive === false);
+    if (losesAdmin && authService.countActiveAdmins() <= 1) {
+      return res.status(400).json({ message: 'There must be at least one active admin' });
+    }
+
+    res.json(authService.update(user.id, { name, role, isActive, password }));
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ message: 'Failed to update user' });
+  }
+});
+
+// Delete user
+router.delete('/:id', (req, res) => {
+  try {
+    const user = authService.getById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+
+    if (user.role === 'admin' && user.is_active && authService.countActiveAdmins() <= 1) {
+      return res.status(400).json({ message: 'There must be at least one active admin' });
+    }
+
+    authService.delete(user.id);
+    res.json({ message: 'User deleted' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ message: 'Failed to delete user' });
+  }
+});
+
+export default router;
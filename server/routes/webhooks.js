@@ -0,0 +1,192 @@
+import express from 'express';
+import crypto from 'crypto';
+import { getDb } from '../db/init.js';
+import orchestrator from '../agents/orchestrator.js';
+import emailService from '../services/email.js';
+import emailEventsService from '../services/emailEvents.js';
+import webhookSecurityService from '../services/webhookSecurity.js';
+import threadingService from '../services/threading.js';
+import inboxService from '../services/inbox.js';
+import pipelineService from '../services/pipeline.js';
+import scoringService from '../services/scoring.js';
+
+const router = express.Router();
+
+// Keep the exact bytes the provider signed
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ * Reject requests that fail the provider's signature or timestamp check (logged for review)
+ */
+const verifyWebhook = (provider) => (req, res, next) => {
+  const result = webhookSecurityService.verify(provider, req);
+  if (!result.valid) {
+    webhookSecurityService.reject(provider, req, result.reason);
+    return res.status(401).json({ message: 'Webhook verification failed' });
+  }
+  next();
+};
+
+// ============================================
+// SENDGRID WEBHOOKS
+// ============================================
+
+/**
+ * SendGrid Event Webhook
+ * Receives events like: delivered, open, click, bounce, spam_report, unsubscribe
+ * Setup: Configure webhook URL in SendGrid dashboard as POST /api/webhooks/sendgrid
+ * and enable Signed Event Webhook (public key in SENDGRID_WEBHOOK_PUBLIC_KEY)
+ */
+router.post('/sendgrid', express.json({ verify: keepRawBody }), verifyWebhook('sendgrid'), (req, res) => {
+  try {
+    if (!Array.isArray(req.body)) {
+      return res.status(400).json({ message: 'Invalid webhook payload' });
+    }
+
+    // SendGrid retries reuse sg_event_id, so events we've seen are skipped
+    const events = emailService.getTransport('sendgrid').normalizeEvents(req.body, req);
+    res.json(emailEventsService.ingest(events));
+  } catch (error) {
+    console.error('Webhook error:', error);
+    res.status(500).json({ message: 'Webhook processing failed' });
+  }
+});
+
+/**
+ * SendGrid Inbound Parse Webhook
+ * Receives email replies from prospects
+ * Setup: Configure inbound parse in SendGrid for your domain, either with signature
+ * verification (SENDGRID_INBOUND_PUBLIC_KEY) or a URL ending in ?token=SENDGRID_INBOUND_TOKEN
+ */
+router.post('/sendgrid/inbound', express.urlencoded({ extended: true, verify: keepRawBody }), verifyWebhook('sendgrid_inbound'), async (req, res) => {
+  try {
+    const { from, to, cc, subject, text, html, headers, envelope, 'attachment-info': attachmentInfo } = req.body;
+    
+    console.log('📧 Inbound email received:', { from, subject });
+    
+    const db = getDb();
+    
+    // Match to a campaign by reply token or thread headers, falling back to the sender's address
+    // (so replies from a colleague or another alias still land on the right prospect)
+    const fromEmail = from?.match(/<(.+)>/)?.[1] || from;
+    let envelopeTo = [];
+    try {
+      envelopeTo = envelope ? JSON.parse(envelope).to || [] : [];
+    } catch (e) {
+      // Malformed envelope, rely on the headers
+    }
+    const match = threadingService.matchInbound({
+      from: fromEmail,
+      recipients: [to, cc, ...envelopeTo].filter(Boolean),
+      headers,
+    });
+    
+    if (!match) {
+      console.log('No prospect found for email:', fromEmail);
+      return res.json({ message: 'No matching prospect' });
+    }
+    
+    const { prospect, campaign, matchedBy } = match;
+    
+    // Store the email event; a replayed reply (same Message-ID) is only processed once
+    const messageId = threadingService.getHeader(headers, 'Message-ID');
+    const isNew = emailEventsService.record({
+      provider: 'sendgrid',
+      eventId: `inbound:${messageId || crypto.createHash('sha256').update(req.rawBody || '').digest('hex')}`,
+      campaignId: campaign?.id || null,
+      prospectId: prospect.id,
+      type: 'reply',
+      email: fromEmail,
+      content: text || html,
+      raw: req.body,
+    });
+
+    if (!isNew) {
+      return res.json({ message: 'Duplicate reply ignored', prospectId: prospect.id });
+    }
+    
+    // Keep the full message for the inbox
+    inboxService.recordInbound({
+      prospectId: prospect.id,
+      campaignId: campaign?.id || null,
+      from,
+      to,
+      subject,
+      text,
+      html,
+      headers,
+      attachmentInfo,
+      matchedBy,
+    });
+    
+    // Log activity
+    db.prepare(`
+      INSERT INTO activities (prospect_id, type, description)
+      VALUES (?, 'email_reply', ?)
+    `).run(
+      prospect.id,
+      fromEmail?.toLowerCase() === prospect.email?.toLowerCase()
+        ? `Reply received: "${subject}"`
+        : `Reply received from ${fromEmail}: "${subject}" (matched by ${matchedBy === 'reply_token' ? 'reply address' : 'thread'})`
+    );
+    
+    // Update prospect stage to 'responded' if not already past that
+    if (pipelineService.isBefore(prospect, 'responded')) {
+      pipelineService.transition(prospect, 'responded', { actor: 'webhook', reason: 'email reply received' });
+    }
+    
+    // Pause follow-up sequence since they responded
+    db.prepare(`
+      UPDATE follow_up_sequences SET is_paused = 1 WHERE prospect_id = ?
+    `).run(prospect.id);
+    
+    // A reply is the strongest engagement signal
+    scoringService.recompute(prospect.id);
+    
+    // Queue response classification task
+    orchestrator.queueTask({
+      agentType: 'response_classifier',
+      prospectId: prospect.id,
+      payload: {
+        responseText: text || html,
+        subject,
+        from: fromEmail,
+        campaignId: campaign?.id || null,
+      },
+    });
+    
+    res.json({ message: 'Reply processed', prospectId: prospect.id, campaignId: campaign?.id || null, matchedBy });
+  } catch (error) {
+    console.error('Inbound webhook error:', error);
+    res.status(500).json({ message: 'Failed to process inbound email' });
+  }
+});
+
+// ============================================
+// RESEND WEBHOOKS
+// ============================================
+
+/**
+ * Resend Webhook
+ * Receives email.delivered, email.opened, email.clicked, email.bounced, email.complained
+ * Setup: Add POST /api/webhooks/resend in the Resend dashboard and put its signing secret in RESEND_WEBHOOK_SECRET
+ */
+router.post('/resend', express.json({ verify: keepRawBody }), verifyWebhook('resend'), (req, res) => {
+  try {
+    // Resend retries reuse the svix-id, so events we've seen are skipped
+    const events = emailService.getTransport('resend').normalizeEvents(req.body, req);
+
+    if (events.length === 0) {
+      return res.status(400).json({ message: 'Invalid webhook payload' });
+    }
+
+    res.json(emailEventsService.ingest(events));
+  } catch (error) {
+    console.error('Resend webhook error:', error);
+    res.status(500).json({ message: 'Webhook processing failed' });
+  }
+});
+
+export default router;
@@ -0,0 +1,238 @@
+import { getDb } from '../db/init.js';
+import orchestrator from '../agents/orchestrator.js';
+import notificationService from './notifications.js';
+
+/**
+ * Approval Service - Review queue for agent-written emails ("approve before send")
+ *
+ * With require_approval on, the outreach and follow-up agents save what they wrote as a campaign
+ * with status 'awaiting_approval' instead of sending it. review_context records what the email
+ * was based on (agent, template and how confident the choice was, whether website analysis was used).
+ *
+ *   awaiting_approval → approved → sent / failed   (sent by a queued agent task, so send windows and caps apply)
+ *   awaiting_approval → rejected
+ *
+ * A follow-up sequence waits while its email is in the queue and carries on once it is approved or rejected.
+ */
+class ApprovalService {
+  isEnabled() {
+    return orchestrator.getConfig('require_approval', 'false') === 'true';
+  }
+
+  /**
+   * Put a generated email in the review queue
+   * @param {number} campaignId
+   * @param {Object} context - { agent, followUpNumber?, replyToCampaignId?, template?, usedWebsiteAnalysis? }
+   */
+  queue(campaignId, context) {
+    const db = getDb();
+    db.prepare(`
+      UPDATE campaigns SET status = 'awaiting_approval', review_context = ? WHERE id = ?
+    `).run(JSON.stringify(context), campaignId);
+
+    const campaign = this.getById(campaignId);
+    db.prepare(`
+      INSERT INTO activities (prospect_id, type, description)
+      VALUES (?, 'agent_action', ?)
+    `).run(campaign.prospect_id, `Email waiting for approval: "${campaign.subject}"`);
+
+    // One reminder per prospect until it is read
+    const pending = db.prepare(`
+      SELECT id FROM notifications WHERE type = 'approval_needed' AND prospect_id = ? AND is_read = 0
+    `).get(campaign.prospect_id);
+    if (!pending) {
+      notificationService.create({
+        type: 'approval_needed',
+        title: `✉️ Email to approve: ${campaign.business_name}`,
+        message: `The ${context.agent === 'followup' ? 'Follow-up' : 'Outreach'} Agent wrote "${campaign.subject}"`,
+        prospectId: campaign.prospect_id,
+        actionUrl: '/agents?tab=approvals',
+      });
+    }
+  }
+
+  getById(id) {
+    const db = getDb();
+    const campaign = db.prepare(`
+      SELECT c.*, p.business_name, p.email, p.stage, p.owner_id, p.website_analysis, u.name as owner_name
+      FROM campaigns c
+      JOIN prospects p ON c.prospect_id = p.id
+      LEFT JOIN users u ON p.owner_id = u.id
+      WHERE c.id = ?
+    `).get(id);
+    return campaign ? this.format(campaign) : null;
+  }
+
+  format({ review_context, website_analysis, ...campaign }) {
+    const context = JSON.parse(review_context || '{}');
+    return {
+      ...campaign,
+      context,
+      websiteAnalysis: context.usedWebsiteAnalysis && website_analysis ? JSON.parse(website_analysis) : null,
+    };
+  }
+
+  /**
+   * Emails waiting for review, oldest first
+   * @param {Object} [filters]
+   * @param {string} [filters.agent] - 'outreach' or 'followup'
+   * @param {number} [filters.ownerId]
+   */
+  getQueue({ agent = null, ownerId = null } = {}) {
+    const db = getDb();
+    const conditions = [`c.status = 'awaiting_approval'`];
+    const params = [];
+
+    if (agent) {
+      conditions.push(`json_extract(c.review_context, '$.agent') = ?`);
+      params.push(agent);
+    }
+
+    if (ownerId) {
+      conditions.push('p.owner_id = ?');
+      params.push(ownerId);
+    }
+
+    return db.prepare(`
+      SELECT c.*, p.business_name, p.email, p.stage, p.owner_id, p.website_analysis, u.name as owner_name
+      FROM campaigns c
+      JOIN prospects p ON c.prospect_id = p.id
+      LEFT JOIN users u ON p.owner_id = u.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY c.created_at ASC
+    `).all(...params).map(campaign => this.format(campaign));
+  }
+
+  getCount() {
+    const db = getDb();
+    return db.prepare(`SELECT COUNT(*) as count FROM campaigns WHERE status = 'awaiting_approval'`).get().count;
+  }
+
+  /**
+   * Edit a queued email before approving it
+   */
+  update(id, { subject, body }) {
+    const db = getDb();
+    db.prepare(`
+      UPDATE campaigns SET subject = COALESCE(?, subject), body = COALESCE(?, body)
+      WHERE id = ? AND status = 'awaiting_approval'
+    `).run(subject ?? null, body ?? null, id);
+    return this.getById(id);
+  }
+
+  /**
+   * Approve queued emails; each is sent by an agent task (respecting send windows and caps)
+   * @returns {number} Emails approved
+   */
+  approve(ids, { userId }) {
+    const db = getDb();
+    let approved = 0;
+
+    for (const id of ids) {
+      const campaign = this.getById(id);
+      if (!campaign || campaign.status !== 'awaiting_approval') continue;
+
+      db.prepare(`
+        UPDATE campaigns SET status = 'approved', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(userId, id);
+
+      db.prepare(`
+        INSERT INTO activities (prospect_id, type, description, user_id)
+        VALUES (?, 'email_approved', ?, ?)
+      `).run(campaign.prospect_id, `Email approved: "${campaign.subject}"`, userId);
+
+      orchestrator.queueTask({
+        agentType: campaign.context.agent || 'outreach',
+        prospectId: campaign.prospect_id,
+        payload: { approvedCampaignId: campaign.id },
+      });
+      approved++;
+    }
+
+    return approved;
+  }
+
+  /**
+   * Reject queued emails. A rejected follow-up is skipped and the sequence carries on.
+   * @returns {number} Emails rejected
+   */
+  reject(ids, { userId, reason = null }) {
+    const db = getDb();
+    let rejected = 0;
+
+    for (const id of ids) {
+      const campaign = this.getById(id);
+      if (!campaign || campaign.status !== 'awaiting_approval') continue;
+
+      db.prepare(`
+        UPDATE campaigns SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, rejection_reason = ?
+        WHERE id = ?
+      `).run(userId, reason, id);
+
+      db.prepare(`
+        INSERT INTO activities (prospect_id, type, description, user_id)
+        VALUES (?, 'email_rejected', ?, ?)
+      `).run(campaign.prospect_id, `Email rejected: "${campaign.subject}"${reason ? ` (${reason})` : ''}`, userId);
+
+      if (campaign.context.agent === 'followup') {
+        this.resumeSequence(campaign.prospect_id);
+      }
+      rejected++;
+    }
+
+    return rejected;
+  }
+
+  /**
+   * Have the agent write queued emails again (same context, new text)
+   * @returns {Promise<number>} Emails regenerated
+   */
+  async regenerate(ids) {
+    const db = getDb();
+    let regenerated = 0;
+
+    for (const id of ids) {
+      const campaign = this.getById(id);
+      if (!campaign || campaign.status !== 'awaiting_approval') continue;
+
+      const agent = orchestrator.getAgent(campaign.context.agent || 'outreach');
+      const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(campaign.prospect_id);
+      const draft = await agent.generateDraft(prospect, campaign.context);
+
+      db.prepare(`
+        UPDATE campaigns SET subject = ?, body = ?, template_id = ?, review_context = ?, prompt_versions = ?, template_reason = ? WHERE id = ?
+      `).run(
+        draft.subject, draft.body, draft.templateId, JSON.stringify({ ...campaign.context, ...draft.context }),
+        draft.promptVersions ? JSON.stringify(draft.promptVersions) : null, draft.templateReason || null, id
+      );
+      regenerated++;
+    }
+
+    return regenerated;
+  }
+
+  /**
+   * Let a sequence that was waiting on the queue run its next step
+   */
+  resumeSequence(prospectId) {
+    const db = getDb();
+    db.prepare(`
+      UPDATE follow_up_sequences SET next_send_at = ? WHERE prospect_id = ? AND next_send_at IS NULL AND completed_at IS NULL
+    `).run(new Date().toISOString(), prospectId);
+  }
+
+  /**
+   * Mark an approved email that the agent could no longer send (e.g. the prospect replied meanwhile)
+   */
+  cancel(campaignId, reason) {
+    const db = getDb();
+    db.prepare(`
+      UPDATE campaigns SET status = 'rejected', rejection_reason = ? WHERE id = ? AND status = 'approved'
+    `).run(reason, campaignId);
+  }
+}
+
+// Singleton instance
+const approvalService = new ApprovalService();
+
+export default approvalService;
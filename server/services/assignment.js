@@ -0,0 +1,263 @@
+import { getDb } from '../db/init.js';
+import sequenceService from './sequences.js';
+import notificationService from './notifications.js';
+
+export const ASSIGNMENT_MODES = ['manual', 'round_robin', 'rules'];
+
+/**
+ * Assignment Service - Prospect ownership across team members
+ *
+ * Modes (agent_config assignment_mode):
+ *   manual       new prospects stay unassigned until someone picks an owner
+ *   round_robin  new prospects rotate through the assignment pool
+ *   rules        the highest-priority matching rule (category/territory) wins;
+ *                prospects no rule matches fall back to round-robin
+ */
+class AssignmentService {
+  /**
+   * Read a config value
+   */
+  getConfig(key, defaultValue) {
+    const db = getDb();
+    const row = db.prepare('SELECT value FROM agent_config WHERE key = ?').get(key);
+    return row ? row.value : defaultValue;
+  }
+
+  /**
+   * Write a config value
+   */
+  setConfig(key, value) {
+    const db = getDb();
+    db.prepare(`
+      INSERT OR REPLACE INTO agent_config (key, value, updated_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+    `).run(key, value);
+  }
+
+  /**
+   * Current assignment mode
+   */
+  getMode() {
+    const mode = this.getConfig('assignment_mode', 'manual');
+    return ASSIGNMENT_MODES.includes(mode) ? mode : 'manual';
+  }
+
+  /**
+   * Active users who can own leads (viewers can't)
+   */
+  getTeam() {
+    const db = getDb();
+    return db.prepare(`
+      SELECT u.id, u.name, u.email, u.role,
+        (SELECT COUNT(*) FROM prospects p WHERE p.owner_id = u.id AND NOT EXISTS (
+          SELECT 1 FROM pipeline_stages s
+          WHERE s.pipeline_id = COALESCE(p.pipeline_id, (SELECT id FROM pipelines WHERE is_default = 1))
+            AND s.key = p.stage AND (s.is_won = 1 OR s.is_lost = 1)
+        )) as open_leads
+      FROM users u
+      WHERE u.is_active = 1 AND u.role != 'viewer'
+      ORDER BY u.name COLLATE NOCASE ASC
+    `).all();
+  }
+
+  /**
+   * Users in the round-robin rotation: the configured pool, or the whole team if none is set
+   */
+  getPool() {
+    const team = this.getTeam();
+    const poolIds = this.getConfig('assignment_pool', '')
+      .split(',')
+      .map(id => parseInt(id))
+      .filter(Boolean);
+
+    return poolIds.length > 0 ? team.filter(u => poolIds.includes(u.id)) : team;
+  }
+
+  /**
+   * Next user in the rotation (advances the pointer)
+   */
+  nextRoundRobin() {
+    const pool = this.getPool().sort((a, b) => a.id - b.id);
+    if (pool.length === 0) return null;
+
+    const lastId = parseInt(this.getConfig('assignment_last_user_id', '0'));
+    const next = pool.find(u => u.id > lastId) || pool[0];
+    this.setConfig('assignment_last_user_id', String(next.id));
+    return next;
+  }
+
+  /**
+   * Parse an assignment_rules row
+   */
+  parseRule(row) {
+    if (!row) return null;
+    let segment = {};
+    try {
+      segment = row.segment ? JSON.parse(row.segment) : {};
+    } catch (e) {
+      segment = {};
+    }
+    return { ...row, segment };
+  }
+
+  /**
+   * Get all rules, highest priority first
+   */
+  getRules() {
+    const db = getDb();
+    return db.prepare(`
+      SELECT r.*, u.name as user_name
+      FROM assignment_rules r
+      LEFT JOIN users u ON r.user_id = u.id
+      ORDER BY r.priority DESC, r.id ASC
+    `).all().map(row => this.parseRule(row));
+  }
+
+  /**
+   * Get rule by ID
+   */
+  getRuleById(id) {
+    const db = getDb();
+    return this.parseRule(db.prepare('SELECT * FROM assignment_rules WHERE id = ?').get(id));
+  }
+
+  /**
+   * Create a rule (segment: { categories, states, cities, sources })
+   */
+  createRule({ name, userId, segment = {}, priority = 0, isActive = true }) {
+    const db = getDb();
+    const result = db.prepare(`
+      INSERT INTO assignment_rules (name, user_id, segment, priority, is_active)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(name, userId, JSON.stringify(segment), priority, isActive ? 1 : 0);
+    return this.getRuleById(result.lastInsertRowid);
+  }
+
+  /**
+   * Update a rule; omitted fields are kept
+   */
+  updateRule(id, { name, userId, segment, priority, isActive }) {
+    const db = getDb();
+    db.prepare(`
+      UPDATE assignment_rules SET
+        name = COALESCE(?, name),
+        user_id = COALESCE(?, user_id),
+        segment = COALESCE(?, segment),
+        priority = COALESCE(?, priority),
+        is_active = COALESCE(?, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      name ?? null,
+      userId ?? null,
+      segment === undefined ? null : JSON.stringify(segment),
+      priority ?? null,
+      isActive === undefined ? null : (isActive ? 1 : 0),
+      id
+    );
+    return this.getRuleById(id);
+  }
+
+  /**
+   * Delete a rule
+   */
+  deleteRule(id) {
+    const db = getDb();
+    db.prepare('DELETE FROM assignment_rules WHERE id = ?').run(id);
+  }
+
+  /**
+   * First active rule (by priority) whose segment matches the prospect and whose owner can take leads
+   */
+  matchRule(prospect) {
+    const teamIds = this.getTeam().map(u => u.id);
+    return this.getRules().find(rule =>
+      rule.is_active && teamIds.includes(rule.user_id) && sequenceService.matchesSegment(rule.segment, prospect)
+    ) || null;
+  }
+
+  /**
+   * Pick an owner for a new prospect according to the assignment mode
+   * @returns {{userId: number, reason: string}|null}
+   */
+  resolveOwner(prospect) {
+    const mode = this.getMode();
+    if (mode === 'manual') return null;
+
+    if (mode === 'rules') {
+      const rule = this.matchRule(prospect);
+      if (rule) {
+        return { userId: rule.user_id, reason: `matched rule "${rule.name}"` };
+      }
+    }
+
+    const next = this.nextRoundRobin();
+    return next ? { userId: next.id, reason: 'round-robin' } : null;
+  }
+
+  /**
+   * Assign an owner to a newly created prospect (no-op in manual mode)
+   */
+  autoAssign(prospectId) {
+    const db = getDb();
+    const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(prospectId);
+    if (!prospect || prospect.owner_id) return null;
+
+    const owner = this.resolveOwner(prospect);
+    if (!owner) return null;
+
+    this.assign([prospectId], owner.userId, { reason: owner.reason });
+    return owner;
+  }
+
+  /**
+   * Set the owner of prospects (userId null = unassign). Logs an activity and notifies the new owner.
+   * @returns {number} Number of prospects whose owner changed
+   */
+  assign(prospectIds, userId, { assignedBy = null, reason = null } = {}) {
+    const db = getDb();
+    const owner = userId ? db.prepare('SELECT id, name FROM users WHERE id = ?').get(userId) : null;
+    let changed = 0;
+
+    for (const prospectId of prospectIds) {
+      const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(prospectId);
+      if (!prospect || prospect.owner_id === (owner?.id || null)) continue;
+
+      db.prepare(`
+        UPDATE prospects SET owner_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(owner?.id || null, prospectId);
+
+      notificationService.reassignForProspect(prospectId, owner?.id || null);
+
+      const description = owner
+        ? `Assigned to ${owner.name}${reason ? ` (${reason})` : ''}`
+        : 'Owner removed';
+
+      db.prepare(`
+        INSERT INTO activities (prospect_id, type, description, user_id)
+        VALUES (?, 'owner_change', ?, ?)
+      `).run(prospectId, description, assignedBy);
+
+      // Let the new owner know, unless they assigned it to themselves
+      if (owner && owner.id !== assignedBy) {
+        notificationService.create({
+          type: 'lead_assigned',
+          title: `New lead: ${prospect.business_name}`,
+          message: reason ? `Assigned to you (${reason})` : 'Assigned to you',
+          prospectId: prospect.id,
+          userId: owner.id,
+          actionUrl: `/prospect/${prospect.id}`,
+        });
+      }
+
+      changed++;
+    }
+
+    return changed;
+  }
+}
+
+// Singleton instance
+const assignmentService = new AssignmentService();
+
+export default assignmentService;
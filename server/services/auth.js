@@ -0,0 +1,315 @@
+import crypto from 'crypto';
+import { getDb } from '../db/init.js';
+
+export const ROLES = ['admin', 'rep', 'viewer'];
+
+const MIN_PASSWORD_LENGTH = 8;
+// Failed sign-ins tracked at once; the oldest are dropped past this
+const MAX_TRACKED_LOGINS = 10000;
+
+// Read when used, since this module is imported before .env is loaded
+const sessionTtlDays = () => parseInt(process.env.SESSION_TTL_DAYS) || 30;
+const loginMaxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const loginLockoutMs = () => (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Auth Service - Local user accounts, password hashing and session tokens
+ */
+class AuthService {
+  constructor() {
+    // Failed sign-ins by email and IP: { count, firstAt }
+    this.loginFailures = new Map();
+  }
+
+  /**
+   * Hash a password with a random salt (scrypt)
+   */
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+  }
+
+  /**
+   * Check a password against a stored hash
+   */
+  verifyPassword(password, stored) {
+    if (!password || !stored) return false;
+
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, 64);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Check a user's current password
+   */
+  checkPassword(userId, password) {
+    const db = getDb();
+    const user = db.prepare('SELECT password_hash FROM users WHERE id = ?').get(userId);
+    return this.verifyPassword(password, user?.password_hash);
+  }
+
+  /**
+   * Validate a new password
+   * @returns {string|null} Error message, or null if valid
+   */
+  validatePassword(password) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Hash a bearer token for storage
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Strip secrets from a user row
+   */
+  toPublicUser(user) {
+    if (!user) return null;
+    const { password_hash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  /**
+   * Whether any user accounts exist (first-run setup is open until one does)
+   */
+  hasUsers() {
+    const db = getDb();
+    return db.prepare('SELECT COUNT(*) as count FROM users').get().count > 0;
+  }
+
+  getAll() {
+    const db = getDb();
+    return db.prepare(`
+      SELECT id, email, name, role, is_active, last_login_at, created_at, updated_at
+      FROM users
+      ORDER BY name COLLATE NOCASE ASC
+    `).all();
+  }
+
+  getById(id) {
+    const db = getDb();
+    return this.toPublicUser(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+  }
+
+  /**
+   * Create the first admin account. The check and the insert share a write transaction,
+   * so two setup requests at once can't both get through.
+   * @returns {Object|null} The admin, or null if an account already exists
+   */
+  createFirstAdmin({ email, name, password }) {
+    const db = getDb();
+    return db.transaction(() => {
+      if (this.hasUsers()) return null;
+      return this.create({ email, name, password, role: 'admin' });
+    }).immediate();
+  }
+
+  /**
+   * Create a user account
+   */
+  create({ email, name, password, role = 'rep' }) {
+    const db = getDb();
+
+    const result = db.prepare(`
+      INSERT INTO users (email, name, password_hash, role)
+      VALUES (?, ?, ?, ?)
+    `).run(email.trim().toLowerCase(), name.trim(), this.hashPassword(password), role);
+
+    return this.getById(result.lastInsertRowid);
+  }
+
+  /**
+   * Update a user. Deactivating a user or changing the password signs them out everywhere.
+   */
+  update(id, { name, role, isActive, password }) {
+    const db = getDb();
+
+    db.prepare(`
+      UPDATE users SET
+        name = COALESCE(?, name),
+        role = COALESCE(?, role),
+        is_active = COALESCE(?, is_active),
+        password_hash = COALESCE(?, password_hash),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      name?.trim() || null,
+      role || null,
+      isActive === undefined ? null : (isActive ? 1 : 0),
+      password ? this.hashPassword(password) : null,
+      id
+    );
+
+    if (password || isActive === false) {
+      this.revokeAllSessions(id);
+    }
+
+    return this.getById(id);
+  }
+
+  delete(id) {
+    const db = getDb();
+    this.revokeAllSessions(id);
+
+    // Their leads go back to the unassigned pool
+    db.prepare('UPDATE prospects SET owner_id = NULL WHERE owner_id = ?').run(id);
+    db.prepare('DELETE FROM assignment_rules WHERE user_id = ?').run(id);
+    db.prepare('DELETE FROM notifications WHERE user_id = ?').run(id);
+
+    db.prepare('DELETE FROM users WHERE id = ?').run(id);
+  }
+
+  /**
+   * Count active admins (used to stop the last admin locking everyone out)
+   */
+  countActiveAdmins() {
+    const db = getDb();
+    return db.prepare(`SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND is_active = 1`).get().count;
+  }
+
+  /**
+   * Check credentials and open a session
+   * @returns {{token: string, user: Object}|null}
+   */
+  login(email, password, { userAgent = null } = {}) {
+    const db = getDb();
+    const user = db.prepare('SELECT * FROM users WHERE email = ?').get((email || '').trim().toLowerCase());
+
+    if (!user || !user.is_active || !this.verifyPassword(password, user.password_hash)) {
+      return null;
+    }
+
+    db.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+
+    return { token: this.createSession(user.id, { userAgent }), user: this.toPublicUser(user) };
+  }
+
+  // ============================================
+  // LOGIN THROTTLING
+  // ============================================
+
+  loginKey(email, ip) {
+    return `${(email || '').trim().toLowerCase()}|${ip || ''}`;
+  }
+
+  /**
+   * Seconds until an email can try to sign in again from an IP (0 = it can now)
+   */
+  getLoginLockout(email, ip) {
+    const failures = this.loginFailures.get(this.loginKey(email, ip));
+    if (!failures) return 0;
+
+    const unlocksAt = failures.firstAt + loginLockoutMs();
+    if (Date.now() >= unlocksAt) {
+      this.loginFailures.delete(this.loginKey(email, ip));
+      return 0;
+    }
+    return failures.count >= loginMaxAttempts() ? Math.ceil((unlocksAt - Date.now()) / 1000) : 0;
+  }
+
+  recordLoginFailure(email, ip) {
+    const key = this.loginKey(email, ip);
+    const failures = this.loginFailures.get(key) || { count: 0, firstAt: Date.now() };
+    this.loginFailures.set(key, { ...failures, count: failures.count + 1 });
+    this.pruneLoginFailures();
+  }
+
+  /**
+   * Forget failures whose lockout window has passed, and the oldest ones if too many
+   * are tracked (the keys come from whoever is signing in, so this must not grow forever)
+   */
+  pruneLoginFailures() {
+    const expiredBefore = Date.now() - loginLockoutMs();
+    for (const [key, failures] of this.loginFailures) {
+      if (failures.firstAt <= expiredBefore) this.loginFailures.delete(key);
+    }
+
+    // Maps keep insertion order, so the first keys are the oldest
+    for (const key of this.loginFailures.keys()) {
+      if (this.loginFailures.size <= MAX_TRACKED_LOGINS) break;
+      this.loginFailures.delete(key);
+    }
+  }
+
+  clearLoginFailures(email, ip) {
+    this.loginFailures.delete(this.loginKey(email, ip));
+  }
+
+  /**
+   * Create a session and return its bearer token (only the hash is stored)
+   */
+  createSession(userId, { userAgent = null } = {}) {
+    const db = getDb();
+    const token = crypto.randomBytes(32).toString('hex');
+
+    db.prepare(`
+      INSERT INTO sessions (user_id, token_hash, user_agent, expires_at)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `).run(userId, this.hashToken(token), userAgent, `+${sessionTtlDays()} days`);
+
+    return token;
+  }
+
+  /**
+   * Resolve a bearer token to its (active) user
+   */
+  getUserForToken(token) {
+    if (!token) return null;
+
+    const db = getDb();
+    const row = db.prepare(`
+      SELECT u.*, s.id as session_id
+      FROM sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.token_hash = ? AND datetime(s.expires_at) > datetime('now') AND u.is_active = 1
+    `).get(this.hashToken(token));
+
+    if (!row) return null;
+
+    db.prepare('UPDATE sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.session_id);
+    return this.toPublicUser(row);
+  }
+
+  revokeSession(token) {
+    const db = getDb();
+    db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(this.hashToken(token));
+  }
+
+  revokeAllSessions(userId) {
+    const db = getDb();
+    db.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId);
+  }
+
+  /**
+   * Remove expired sessions
+   */
+  cleanupSessions() {
+    const db = getDb();
+    return db.prepare(`DELETE FROM sessions WHERE datetime(expires_at) <= datetime('now')`).run().changes;
+  }
+
+  /**
+   * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no users exist yet
+   */
+  seedAdminFromEnv() {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+
+    if (!this.createFirstAdmin({ email: ADMIN_EMAIL, name: ADMIN_NAME || 'Admin', password: ADMIN_PASSWORD })) return;
+    console.log(`🔐 Admin account created for ${ADMIN_EMAIL}`);
+  }
+}
+
+// Singleton instance
+const authService = new AuthService();
+
+export default authService;
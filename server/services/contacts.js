@@ -0,0 +1,333 @@
+import { getDb } from '../db/init.js';
+
+// Best person to write to first: owner, then manager, ... then the shared inbox
+export const CONTACT_ROLES = ['owner', 'manager', 'marketing', 'other', 'general'];
+
+export const VERIFICATION_STATUSES = ['unverified', 'verified', 'risky', 'invalid'];
+
+const GENERIC_MAILBOXES = ['info', 'contact', 'hello', 'sales', 'support', 'admin', 'office', 'team', 'reservations', 'bookings', 'orders', 'enquiries', 'inquiries', 'mail'];
+
+const ROLE_TITLES = [
+  ['owner', /\b(owner|co-?owner|founder|co-?founder|proprietor|ceo|president|principal|partner)\b/i],
+  ['manager', /\b(manager|director|gm|head chef|executive chef|operations)\b/i],
+  ['marketing', /\b(marketing|social media|communications|brand)\b/i],
+];
+
+const FIELDS = ['name', 'title', 'role', 'email', 'phone', 'linkedin_url', 'source', 'verification_status'];
+
+/**
+ * Contact Service - The people at a prospect's business
+ *
+ * A prospect can have several contacts (the owner, a manager, the info@ inbox, ...); one is primary and
+ * prospects.email/phone mirror it, so everything that reads the prospect's address keeps working.
+ * Emails go to the contact a campaign targets, else the primary contact, else the best-ranked one.
+ */
+class ContactService {
+  getByProspect(prospectId) {
+    const db = getDb();
+    return db.prepare(`
+      SELECT * FROM contacts WHERE prospect_id = ? ORDER BY is_primary DESC, id ASC
+    `).all(prospectId).map(contact => ({ ...contact, is_primary: !!contact.is_primary }));
+  }
+
+  getById(id) {
+    const db = getDb();
+    const contact = db.prepare('SELECT * FROM contacts WHERE id = ?').get(id);
+    return contact ? { ...contact, is_primary: !!contact.is_primary } : null;
+  }
+
+  /**
+   * Problems with a contact from the API
+   * @param {Object} [options]
+   * @param {boolean} [options.partial] - An update: only the fields given are checked
+   * @returns {string[]}
+   */
+  validate(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial && !['name', 'email', 'phone', 'linkedin_url'].some(field => data[field]?.toString().trim())) {
+      errors.push('A contact needs a name, email, phone or LinkedIn profile');
+    }
+    if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+      errors.push(`"${data.email}" is not a valid email address`);
+    }
+    if (data.role !== undefined && !CONTACT_ROLES.includes(data.role)) {
+      errors.push(`Role must be one of ${CONTACT_ROLES.join(', ')}`);
+    }
+    if (data.verification_status !== undefined && !VERIFICATION_STATUSES.includes(data.verification_status)) {
+      errors.push(`Verification status must be one of ${VERIFICATION_STATUSES.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Add a contact; the first one (or one added with is_primary) becomes primary
+   */
+  create(prospectId, data) {
+    const db = getDb();
+    const values = this.clean(data);
+    const result = db.prepare(`
+      INSERT INTO contacts (prospect_id, name, title, role, email, phone, linkedin_url, source, verification_status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      prospectId,
+      values.name ?? null,
+      values.title ?? null,
+      values.role || this.guessRole(values),
+      values.email ?? null,
+      values.phone ?? null,
+      values.linkedin_url ?? null,
+      values.source || 'manual',
+      values.verification_status || 'unverified'
+    );
+
+    const id = result.lastInsertRowid;
+    const hasPrimary = db.prepare('SELECT 1 FROM contacts WHERE prospect_id = ? AND is_primary = 1').get(prospectId);
+    if (data.is_primary || !hasPrimary) {
+      this.setPrimary(id);
+    }
+    return this.getById(id);
+  }
+
+  update(id, data) {
+    const db = getDb();
+    const contact = this.getById(id);
+    if (!contact) return null;
+
+    const values = this.clean(data);
+    if (values.role === null) delete values.role;
+    const fields = Object.keys(values);
+    if (fields.length > 0) {
+      db.prepare(`
+        UPDATE contacts SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(...fields.map(field => values[field]), id);
+    }
+
+    if (data.is_primary) {
+      this.setPrimary(id);
+    } else if (contact.is_primary) {
+      this.syncProspect(contact.prospect_id);
+    }
+    return this.getById(id);
+  }
+
+  /**
+   * Delete a contact (the best remaining one takes over as primary)
+   */
+  delete(id) {
+    const db = getDb();
+    const contact = this.getById(id);
+    if (!contact) return false;
+
+    db.prepare('DELETE FROM contacts WHERE id = ?').run(id);
+    if (contact.is_primary) {
+      const [next] = this.rank(this.getByProspect(contact.prospect_id));
+      if (next) this.setPrimary(next.id);
+    }
+    return true;
+  }
+
+  setPrimary(id) {
+    const db = getDb();
+    const contact = this.getById(id);
+    if (!contact) return null;
+
+    db.transaction(() => {
+      db.prepare('UPDATE contacts SET is_primary = 0 WHERE prospect_id = ?').run(contact.prospect_id);
+      db.prepare('UPDATE contacts SET is_primary = 1 WHERE id = ?').run(id);
+    })();
+    this.syncProspect(contact.prospect_id);
+    return this.getById(id);
+  }
+
+  /**
+   * Copy the primary contact's email and phone onto the prospect
+   */
+  syncProspect(prospectId) {
+    const db = getDb();
+    const primary = db.prepare('SELECT * FROM contacts WHERE prospect_id = ? AND is_primary = 1').get(prospectId);
+    if (!primary || (!primary.email && !primary.phone)) return;
+
+    db.prepare(`
+      UPDATE prospects SET email = COALESCE(?, email), phone = COALESCE(?, phone), updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(primary.email, primary.phone, prospectId);
+  }
+
+  /**
+   * Make sure the email/phone typed on the prospect itself is one of its contacts
+   */
+  syncFromProspect(prospectId) {
+    const db = getDb();
+    const prospect = db.prepare('SELECT id, email, phone, source FROM prospects WHERE id = ?').get(prospectId);
+    if (!prospect || (!prospect.email && !prospect.phone)) return;
+
+    const contacts = this.getByProspect(prospectId);
+    const known = prospect.email
+      ? contacts.find(c => c.email?.toLowerCase() === prospect.email.toLowerCase())
+      : contacts.find(c => c.phone === prospect.phone);
+    if (known) return;
+
+    // A new address for the business replaces the primary general contact's
+    const primary = contacts.find(c => c.is_primary);
+    if (primary?.role === 'general') {
+      this.update(primary.id, { email: prospect.email, phone: prospect.phone });
+    } else {
+      this.create(prospectId, { email: prospect.email, phone: prospect.phone, source: 'manual', is_primary: !primary });
+    }
+  }
+
+  // ============================================
+  // FOUND BY ENRICHMENT
+  // ============================================
+
+  /**
+   * Merge contacts found by enrichment into a prospect's (matched by email, else by name;
+   * only empty fields are filled in). A named owner or manager with an email takes over as
+   * primary from a shared inbox.
+   * @param {Array<{name?, title?, role?, email?, phone?, linkedin_url?, verification_status?, source?}>} found
+   * @param {string} source - Where they were found (unless a contact says otherwise)
+   * @returns {{added: number, updated: number}}
+   */
+  addFound(prospectId, found, source) {
+    let added = 0;
+    let updated = 0;
+
+    for (const candidate of found) {
+      const contacts = this.getByProspect(prospectId);
+      const existing = contacts.find(c => candidate.email && c.email?.toLowerCase() === candidate.email.toLowerCase())
+        || contacts.find(c => candidate.name && c.name?.toLowerCase() === candidate.name.toLowerCase());
+
+      if (!existing) {
+        this.create(prospectId, { source, ...candidate });
+        added++;
+        continue;
+      }
+
+      const changes = {};
+      for (const field of ['name', 'title', 'email', 'phone', 'linkedin_url']) {
+        if (candidate[field] && !existing[field]) changes[field] = candidate[field];
+      }
+      if (candidate.role && CONTACT_ROLES.indexOf(candidate.role) < CONTACT_ROLES.indexOf(existing.role)) {
+        changes.role = candidate.role;
+      }
+      if (candidate.verification_status && existing.verification_status === 'unverified') {
+        changes.verification_status = candidate.verification_status;
+      }
+      if (Object.keys(changes).length > 0) {
+        this.update(existing.id, changes);
+        updated++;
+      }
+    }
+
+    const contacts = this.getByProspect(prospectId);
+    const primary = contacts.find(c => c.is_primary);
+    const [best] = this.rank(contacts.filter(c => c.email));
+    if (best && primary?.role === 'general' && ['owner', 'manager'].includes(best.role)) {
+      this.setPrimary(best.id);
+    }
+
+    return { added, updated };
+  }
+
+  /**
+   * Whether a prospect already has a named person with an email address
+   */
+  hasNamedContact(prospectId) {
+    const db = getDb();
+    return !!db.prepare(`
+      SELECT 1 FROM contacts WHERE prospect_id = ? AND name IS NOT NULL AND email IS NOT NULL AND verification_status != 'invalid'
+    `).get(prospectId);
+  }
+
+  /**
+   * Role from a job title (unnamed contacts are a shared inbox)
+   */
+  guessRole({ title, name }) {
+    const match = title && ROLE_TITLES.find(([, pattern]) => pattern.test(title));
+    if (match) return match[0];
+    return name ? 'other' : 'general';
+  }
+
+  /**
+   * A shared inbox like info@ or reservations@ rather than a person's address
+   */
+  isGenericMailbox(email) {
+    return GENERIC_MAILBOXES.includes(email.split('@')[0].toLowerCase());
+  }
+
+  // ============================================
+  // SENDING
+  // ============================================
+
+  /**
+   * Contacts best to write to first: by role, then verified ones, then the oldest (invalid ones last)
+   */
+  rank(contacts) {
+    const verification = { verified: 0, unverified: 1, risky: 2 };
+    const invalid = (contact) => (contact.verification_status === 'invalid' ? 1 : 0);
+    return [...contacts].sort((a, b) =>
+      invalid(a) - invalid(b)
+      || CONTACT_ROLES.indexOf(a.role) - CONTACT_ROLES.indexOf(b.role)
+      || (verification[a.verification_status] ?? 1) - (verification[b.verification_status] ?? 1)
+      || a.id - b.id
+    );
+  }
+
+  /**
+   * Who an email to a prospect goes to
+   * @param {number} [contactId] - The contact the campaign targets
+   * @returns {{email: string|null, contact: Object|null}} the primary (else best) emailable contact,
+   *   or the prospect's own address when it has no contacts with one
+   */
+  getRecipient(prospect, contactId = null) {
+    if (contactId) {
+      const contact = this.getById(contactId);
+      if (contact && contact.prospect_id === prospect.id) {
+        return { email: contact.email, contact };
+      }
+    }
+
+    const emailable = this.getByProspect(prospect.id).filter(c => c.email && c.verification_status !== 'invalid');
+    const contact = emailable.find(c => c.is_primary) || this.rank(emailable)[0];
+    if (contact) {
+      return { email: contact.email, contact };
+    }
+    return { email: prospect.email || null, contact: null };
+  }
+
+  /**
+   * A hard bounce: the address doesn't work for any prospect
+   */
+  markInvalid(email) {
+    const db = getDb();
+    db.prepare(`
+      UPDATE contacts SET verification_status = 'invalid', updated_at = CURRENT_TIMESTAMP WHERE lower(email) = lower(?)
+    `).run(email);
+  }
+
+  /**
+   * First name to greet a contact by (null for a shared inbox)
+   */
+  firstName(contact) {
+    return contact?.name ? contact.name.trim().split(/\s+/)[0] : null;
+  }
+
+  /**
+   * Known fields from the API, trimmed (empty strings become null)
+   */
+  clean(data) {
+    const values = {};
+    for (const field of FIELDS) {
+      if (data[field] === undefined) continue;
+      const value = typeof data[field] === 'string' ? data[field].trim() : data[field];
+      values[field] = value === '' ? null : value;
+    }
+    return values;
+  }
+}
+
+// Singleton instance
+const contactService = new ContactService();
+
+export default contactService;
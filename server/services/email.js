@@ -1,30 +1,87 @@
-import { Resend } from 'resend';
+import { getDb } from '../db/init.js';
+import suppressionService from './suppression.js';
+import throttleService from './throttle.js';
+import emailEventsService from './emailEvents.js';
+import threadingService from './threading.js';
+import promptService from './prompts.js';
+import { TRANSPORTS, TRANSPORT_NAMES } from './transports/index.js';
 
 /**
- * Email Service - Handles sending emails via Resend
+ * Email Service - Builds outgoing email and hands it to the workspace's transport
+ * (agent_config email_transport: resend, sendgrid, smtp or outbox; empty = first one with credentials)
  */
 class EmailService {
   constructor() {
-    this.resend = null;
-    this.fromEmail = null;
-    this.isConfigured = false;
+    this.transports = {};
     // Logo URL - update this to your production frontend URL
     this.logoUrl = process.env.LOGO_URL || 'https://upbeat-stillness-production.up.railway.app/cloudhack-logo.png';
   }
 
   initialize() {
-    if (process.env.RESEND_API_KEY) {
-      this.resend = new Resend(process.env.RESEND_API_KEY);
-      this.fromEmail = process.env.RESEND_FROM_EMAIL || 'onboarding@resend.dev';
-      this.isConfigured = true;
-      console.log('📧 Resend email service initialized');
-      console.log(`📧 Email Service: { configured: ${this.isConfigured}, from: '${this.fromEmail}' }`);
+    const transport = this.getTransport();
+    if (transport.isReady()) {
+      console.log(`📧 Email transport: ${TRANSPORTS[transport.name].label}`);
     } else {
-      console.log('📧 Email service not configured (add RESEND_API_KEY to .env)');
-      console.log(`📧 Email Service: { configured: ${this.isConfigured}, from: null }`);
+      console.log(`📧 Email service not configured (add ${transport.getMissingConfig()} to .env)`);
     }
   }
 
+  /**
+   * Get a transport instance (created once per name)
+   */
+  getTransport(name = this.getTransportName()) {
+    if (!this.transports[name]) {
+      this.transports[name] = new TRANSPORTS[name].Transport();
+    }
+    return this.transports[name];
+  }
+
+  /**
+   * The transport chosen in agent_config, or the first one with credentials.
+   * The outbox is never auto-selected so a misconfigured server can't silently stop sending.
+   */
+  getTransportName() {
+    const db = getDb();
+    const configured = db.prepare(`SELECT value FROM agent_config WHERE key = 'email_transport'`).get()?.value;
+    if (TRANSPORT_NAMES.includes(configured)) return configured;
+
+    return TRANSPORT_NAMES.find(name => name !== 'outbox' && this.getTransport(name).isReady()) || 'resend';
+  }
+
+  /**
+   * Transport status for the dashboard (no secrets)
+   */
+  getStatus() {
+    const current = this.getTransportName();
+    return {
+      transport: current,
+      configured: this.isReady(),
+      from: this.getFromEmail(),
+      transports: TRANSPORT_NAMES.map(name => {
+        const transport = this.getTransport(name);
+        return {
+          name,
+          label: TRANSPORTS[name].label,
+          configured: transport.isReady(),
+          missing: transport.getMissingConfig(),
+          active: name === current,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Escape text for use inside HTML (sender settings are typed by users)
+   */
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Format plain text email body into professional HTML
    */
@@ -74,9 +131,19 @@ class EmailService {
 
   /**
    * Generate professional HTML email template
+   * @param {string} text - Plain text body
+   * @param {Object} [options]
+   * @param {string} [options.unsubscribeUrl] - One-click unsubscribe link shown in the footer
+   * @param {Object} [options.sender] - Signature name and company (promptService.getSender())
    */
-  generateHtmlTemplate(text) {
+  generateHtmlTemplate(text, { unsubscribeUrl = null, sender = promptService.getSender() } = {}) {
     const formattedBody = this.formatEmailHtml(text);
+    const unsubscribeHtml = unsubscribeUrl
+      ? `
+              <p style="margin: 8px 0 0 0; font-size: 12px; color: #9ca3af; text-align: center;">
+                Not interested? <a href="${unsubscribeUrl}" style="color: #9ca3af; text-decoration: underline;">Unsubscribe</a> and we won't email you again.
+              </p>`
+      : '';
     
     return `
 <!DOCTYPE html>
@@ -113,8 +180,8 @@ class EmailService {
                 <tr>
                   <td style="padding-top: 24px; border-top: 1px solid #e5e7eb;">
                     <p style="margin: 0 0 4px 0; color: #374151; font-size: 15px;">Best,</p>
-                    <p style="margin: 0 0 4px 0; color: #111827; font-size: 15px; font-weight: 600;">Anthony</p>
-                    <p style="margin: 0; color: #6b7280; font-size: 14px;">CloudHack Consulting</p>
+                    <p style="margin: 0 0 4px 0; color: #111827; font-size: 15px; font-weight: 600;">${this.escapeHtml(sender.sender_name)}</p>
+                    <p style="margin: 0; color: #6b7280; font-size: 14px;">${this.escapeHtml(sender.company_name)}</p>
                   </td>
                 </tr>
               </table>
@@ -126,7 +193,7 @@ class EmailService {
             <td style="padding: 20px 40px; background-color: #f9fafb; border-top: 1px solid #e5e7eb;">
               <p style="margin: 0; font-size: 12px; color: #9ca3af; text-align: center;">
                 © ${new Date().getFullYear()} CloudHack Consulting. Helping businesses grow with technology.
-              </p>
+              </p>${unsubscribeHtml}
             </td>
           </tr>
           
@@ -142,7 +209,7 @@ class EmailService {
    * Check if email service is ready
    */
   isReady() {
-    return this.isConfigured && this.resend !== null;
+    return this.getTransport().isReady();
   }
 
   /**
@@ -153,52 +220,107 @@ class EmailService {
    * @param {string} options.text - Plain text body
    * @param {string} options.html - HTML body (optional)
    * @param {boolean} options.useTemplate - Whether to use the professional HTML template (default: true)
-   * @param {Object} options.tags - Custom tags for tracking
-   * @returns {Promise<{success: boolean, id?: string, error?: string}>}
+   * @param {Object} options.tags - Custom tags for tracking (campaign_id gets a Message-ID and reply token)
+   * @param {number} options.replyToCampaignId - Send as a reply in this campaign's thread (optional)
+   * @param {string} options.replyToMessageId - Message-ID of the inbound reply being answered (optional)
+   * @returns {Promise<{success: boolean, id?: string, error?: string, suppressed?: boolean, throttled?: boolean, retryAt?: Date}>}
    */
-  async send({ to, subject, text, html, useTemplate = true, tags = {} }) {
-    if (!this.isReady()) {
+  async send({ to, subject, text, html, useTemplate = true, tags = {}, replyToCampaignId = null, replyToMessageId = null }) {
+    // Never mail a suppressed address, even if the caller forgot to check
+    const suppression = suppressionService.isSuppressed(to);
+    if (suppression) {
       return {
         success: false,
-        error: 'Email service not configured. Add RESEND_API_KEY to .env',
+        suppressed: true,
+        error: `Recipient is on the suppression list (${suppression.reason})`,
       };
     }
 
-    try {
-      // Strip existing signature from text (we'll add our own styled one)
-      let cleanedText = this.stripExistingSignature(text);
-      
-      // Generate HTML - use provided html, or generate from template, or simple conversion
-      let emailHtml;
-      if (html) {
-        emailHtml = html;
-      } else if (useTemplate) {
-        emailHtml = this.generateHtmlTemplate(cleanedText);
-      } else {
-        emailHtml = text.replace(/\n/g, '<br>');
-      }
+    const transport = this.getTransport();
+    if (!transport.isReady()) {
+      return {
+        success: false,
+        error: `Email service not configured. Add ${transport.getMissingConfig()} to .env`,
+      };
+    }
 
-      const { data, error } = await this.resend.emails.send({
-        from: this.fromEmail,
-        to: [to],
-        subject,
-        text,
-        html: emailHtml,
-        tags: Object.entries(tags).map(([name, value]) => ({ name, value: String(value) })),
-      });
+    // Sending caps and domain spacing apply to every send path
+    const throttle = throttleService.check(to);
+    if (!throttle.allowed) {
+      return {
+        success: false,
+        throttled: true,
+        reason: throttle.reason,
+        retryAt: throttle.retryAt,
+        error: `${throttle.message}, retry after ${throttle.retryAt.toISOString()}`,
+      };
+    }
 
-      if (error) {
-        console.error('Resend error:', error);
-        return { success: false, error: error.message };
+    try {
+      const thread = tags.campaign_id
+        ? threadingService.prepare(tags.campaign_id, {
+          parentCampaignId: replyToCampaignId,
+          replyToMessageId,
+          fromEmail: this.getFromEmail(),
+        })
+        : null;
+      const message = this.buildMessage({ to, subject, text, html, useTemplate, prospectId: tags.prospect_id, thread });
+      const result = await transport.send({ ...message, tags });
+
+      if (!result.success) {
+        return { success: false, error: result.error };
       }
 
-      return { success: true, id: data.id };
+      if (tags.campaign_id) {
+        threadingService.recordSent(tags.campaign_id, result.id);
+      }
+      throttleService.record({ to, campaignId: tags.campaign_id, prospectId: tags.prospect_id });
+      this.recordTransportEvents(result);
+      return { success: true, id: result.id };
     } catch (err) {
       console.error('Email send error:', err);
       return { success: false, error: err.message };
     }
   }
 
+  /**
+   * Build the outgoing message with unsubscribe link, List-Unsubscribe and threading headers
+   * @param {Object} [options.thread] - From threadingService.prepare(): messageId, inReplyTo, references, replyTo
+   */
+  buildMessage({ to, subject, text, html, useTemplate = true, prospectId = null, thread = null }) {
+    const unsubscribeUrl = suppressionService.getUnsubscribeUrl(to, prospectId);
+
+    // Strip existing signature from text (we'll add our own styled one)
+    const cleanedText = this.stripExistingSignature(text);
+
+    // Generate HTML - use provided html, or generate from template, or simple conversion
+    let emailHtml;
+    if (html) {
+      emailHtml = html;
+    } else if (useTemplate) {
+      // Signed by the prospect's owner when it has one
+      const prospect = prospectId ? getDb().prepare('SELECT owner_id FROM prospects WHERE id = ?').get(prospectId) : null;
+      emailHtml = this.generateHtmlTemplate(cleanedText, { unsubscribeUrl, sender: promptService.getSender(prospect) });
+    } else {
+      emailHtml = text.replace(/\n/g, '<br>');
+    }
+
+    const headers = suppressionService.getListUnsubscribeHeaders(to, prospectId);
+    if (thread?.messageId) headers['Message-ID'] = thread.messageId;
+    if (thread?.inReplyTo) headers['In-Reply-To'] = thread.inReplyTo;
+    if (thread?.references) headers['References'] = thread.references;
+
+    return {
+      from: this.getFromEmail(),
+      to: [to],
+      ...(thread?.replyTo && { replyTo: thread.replyTo }),
+      subject,
+      text: `${text}\n\n--\nUnsubscribe: ${unsubscribeUrl}`,
+      html: emailHtml,
+      headers,
+    };
+  }
+
   /**
    * Strip existing plain text signature from email body
    */
@@ -226,42 +348,86 @@ class EmailService {
    * @returns {Promise<Array>}
    */
   async sendBatch(emails) {
-    if (!this.isReady()) {
-      return emails.map(() => ({
+    // Results keep the same order as the input; suppressed and throttled recipients are skipped
+    const accepted = [];
+    const results = emails.map((email) => {
+      const suppression = suppressionService.isSuppressed(email.to);
+      if (suppression) {
+        return { success: false, suppressed: true, error: `Recipient is on the suppression list (${suppression.reason})` };
+      }
+
+      const throttle = throttleService.check(email.to, { pending: accepted });
+      if (!throttle.allowed) {
+        return { success: false, throttled: true, reason: throttle.reason, retryAt: throttle.retryAt, error: throttle.message };
+      }
+
+      accepted.push(email.to);
+      return null;
+    });
+    const sendable = emails.filter((_, i) => results[i] === null);
+    const fill = (result) => {
+      let index = 0;
+      return results.map((r) => r || (typeof result === 'function' ? result(index++) : result));
+    };
+
+    if (sendable.length === 0) {
+      return results;
+    }
+
+    const transport = this.getTransport();
+    if (!transport.isReady()) {
+      return fill({
         success: false,
         error: 'Email service not configured',
-      }));
+      });
     }
 
     try {
-      const { data, error } = await this.resend.batch.send(
-        emails.map((email) => {
-          const cleanedText = this.stripExistingSignature(email.text);
-          return {
-            from: this.fromEmail,
-            to: [email.to],
+      const sent = await transport.sendBatch(
+        sendable.map((email) => ({
+          ...this.buildMessage({
+            to: email.to,
             subject: email.subject,
             text: email.text,
-            html: email.html || this.generateHtmlTemplate(cleanedText),
-          };
-        })
+            html: email.html,
+            prospectId: email.prospectId,
+          }),
+          tags: email.prospectId ? { prospect_id: email.prospectId } : {},
+        }))
       );
 
-      if (error) {
-        return emails.map(() => ({ success: false, error: error.message }));
-      }
-
-      return data.map((result) => ({ success: true, id: result.id }));
+      sendable.forEach((email, i) => {
+        if (!sent[i].success) return;
+        throttleService.record({ to: email.to, prospectId: email.prospectId });
+        this.recordTransportEvents(sent[i]);
+      });
+      return fill((i) => sent[i].success ? { success: true, id: sent[i].id } : { success: false, error: sent[i].error });
     } catch (err) {
-      return emails.map(() => ({ success: false, error: err.message }));
+      return fill({ success: false, error: err.message });
     }
   }
 
   /**
-   * Get the from email address
+   * Store events a transport reports at send time (the outbox has no webhooks).
+   * Deferred until the caller has marked the campaign sent, like a real provider callback.
+   */
+  recordTransportEvents(result) {
+    if (!result.events?.length) return;
+
+    setImmediate(() => {
+      try {
+        emailEventsService.ingest(result.events);
+      } catch (error) {
+        console.error('Error recording transport events:', error);
+      }
+    });
+  }
+
+  /**
+   * Get the from email address (EMAIL_FROM overrides the transport's default)
    */
   getFromEmail() {
-    return this.fromEmail;
+    return process.env.EMAIL_FROM || this.getTransport().getFromEmail();
   }
 }
 
@@ -0,0 +1,165 @@
+import { getDb } from '../db/init.js';
+import suppressionService from './suppression.js';
+import contactService from './contacts.js';
+import scoringService from './scoring.js';
+
+// Normalized event types (SendGrid's names, which email_events has always stored)
+export const EMAIL_EVENT_TYPES = [
+  'processed', 'delivered', 'deferred', 'open', 'click',
+  'bounce', 'dropped', 'spamreport', 'unsubscribe', 'group_unsubscribe', 'reply',
+];
+
+/**
+ * Email Events Service - Stores normalized provider events and applies them to campaigns, prospects and suppressions
+ *
+ * A normalized event looks like:
+ *   { provider, eventId, type, email, campaignId, prospectId, messageId, url, bounceType ('hard'|'soft'), content, raw }
+ * Transports produce these from their webhooks (or directly, for the outbox), so nothing downstream
+ * cares which provider sent the email.
+ */
+class EmailEventsService {
+  /**
+   * Store an event once. Returns false if the event ID was already stored (a replay or provider retry).
+   */
+  record({ provider = null, eventId = null, campaignId = null, prospectId = null, type, email = null, content = null, messageId = null, raw }) {
+    const db = getDb();
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO email_events (event_id, provider, campaign_id, prospect_id, event_type, email_address, email_content, sg_message_id, raw_payload)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(eventId, provider, campaignId, prospectId, type, email, content, messageId, JSON.stringify(raw ?? null));
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Store and apply a list of events, skipping duplicates
+   * @returns {{received: number, duplicates: number}}
+   */
+  ingest(events) {
+    let duplicates = 0;
+
+    for (const event of events) {
+      if (!this.record(event)) {
+        duplicates++;
+        continue;
+      }
+      this.apply(event);
+
+      // Opens, clicks, replies and opt-outs change the prospect's engagement score
+      if (event.prospectId) {
+        scoringService.recompute(event.prospectId);
+      }
+    }
+
+    return { received: events.length, duplicates };
+  }
+
+  /**
+   * Apply a delivery event to campaigns, prospects and the suppression list
+   */
+  apply({ provider, type, email, campaignId, prospectId, url, bounceType }) {
+    const db = getDb();
+
+    // Feed hard bounces, complaints and unsubscribes into the suppression list
+    const suppressionReason = {
+      bounce: bounceType === 'soft' ? null : 'bounce',
+      spamreport: 'complaint',
+      unsubscribe: 'unsubscribe',
+      group_unsubscribe: 'unsubscribe',
+    }[type];
+
+    if (suppressionReason && email) {
+      suppressionService.add({
+        email,
+        reason: suppressionReason,
+        source: `${provider || 'provider'}_webhook`,
+        prospectId,
+      });
+    }
+
+    // A hard bounce means the address doesn't exist
+    if (suppressionReason === 'bounce' && email) {
+      contactService.markInvalid(email);
+    }
+
+    // Update campaign based on event type
+    if (!campaignId) return;
+
+    switch (type) {
+      case 'delivered':
+        db.prepare(`
+          UPDATE campaigns SET status = 'delivered' WHERE id = ? AND status = 'sent'
+        `).run(campaignId);
+        break;
+
+      case 'open':
+        db.prepare(`
+          UPDATE campaigns SET opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP) WHERE id = ?
+        `).run(campaignId);
+
+        // Log activity
+        if (prospectId) {
+          db.prepare(`
+            INSERT INTO activities (prospect_id, type, description)
+            VALUES (?, 'email_opened', 'Prospect opened email')
+          `).run(prospectId);
+        }
+        break;
+
+      case 'click':
+        db.prepare(`
+          UPDATE campaigns SET clicked_at = COALESCE(clicked_at, CURRENT_TIMESTAMP) WHERE id = ?
+        `).run(campaignId);
+
+        if (prospectId) {
+          db.prepare(`
+            INSERT INTO activities (prospect_id, type, description)
+            VALUES (?, 'email_clicked', ?)
+          `).run(prospectId, `Clicked link: ${url || 'unknown'}`);
+        }
+        break;
+
+      case 'bounce':
+      case 'dropped':
+        db.prepare(`
+          UPDATE campaigns SET status = 'bounced' WHERE id = ?
+        `).run(campaignId);
+
+        // Pause automation for bounced emails
+        if (prospectId) {
+          db.prepare(`
+            UPDATE prospects SET automation_enabled = 0 WHERE id = ?
+          `).run(prospectId);
+
+          db.prepare(`
+            UPDATE follow_up_sequences SET is_paused = 1 WHERE prospect_id = ?
+          `).run(prospectId);
+        }
+        break;
+
+      case 'spamreport':
+      case 'unsubscribe':
+        // Stop all automation for this prospect
+        if (prospectId) {
+          db.prepare(`
+            UPDATE prospects SET automation_enabled = 0 WHERE id = ?
+          `).run(prospectId);
+
+          db.prepare(`
+            UPDATE follow_up_sequences SET is_paused = 1 WHERE prospect_id = ?
+          `).run(prospectId);
+
+          db.prepare(`
+            INSERT INTO activities (prospect_id, type, description)
+            VALUES (?, 'automation_stopped', ?)
+          `).run(prospectId, `Automation stopped: ${type}`);
+        }
+        break;
+    }
+  }
+}
+
+// Singleton instance
+const emailEventsService = new EmailEventsService();
+
+export default emailEventsService;
@@ -2,6 +2,8 @@ import fetch from 'node-fetch';
 import * as cheerio from 'cheerio';
 import { getDb } from '../db/init.js';
 import firecrawlService from './firecrawl.js';
+import contactService from './contacts.js';
+import scoringService from './scoring.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -57,6 +59,7 @@ class EnrichmentService {
       website: null,
       email: null,
       phone: null,
+      contacts: [],
       methods: [],
     };
 
@@ -86,7 +89,9 @@ class EnrichmentService {
     const websiteUrl = enrichmentResults.website || prospect.website_url;
 
     // Step 2: If we have a website, try Firecrawl first (better results), then fallback to cheerio
-    if (websiteUrl && !prospect.email) {
+    // (also when we have an email but not yet the name of anyone to write to)
+    const hasNamedContact = contactService.hasNamedContact(prospect.id);
+    if (websiteUrl && (!prospect.email || !hasNamedContact)) {
       console.log(`🌐 Scraping website: ${websiteUrl}`);
       
       // Try Firecrawl first if configured
@@ -105,6 +110,7 @@ class EnrichmentService {
             enrichmentResults.phone = contactInfo.phone;
             enrichmentResults.methods.push('firecrawl');
           }
+          enrichmentResults.contacts.push(...contactInfo.contacts.map(contact => ({ ...contact, source: 'firecrawl' })));
           
           // Also trigger website analysis for prospects with websites
           console.log(`🔍 Triggering Firecrawl analysis for prospect ${prospect.id}`);
@@ -115,7 +121,7 @@ class EnrichmentService {
       }
       
       // Fallback to cheerio if Firecrawl didn't find email
-      if (!enrichmentResults.email) {
+      if (!enrichmentResults.email && !prospect.email) {
         const scrapedData = await this.scrapeWebsiteForContact(websiteUrl);
         
         if (scrapedData.email) {
@@ -126,15 +132,20 @@ class EnrichmentService {
           enrichmentResults.phone = scrapedData.phone;
           enrichmentResults.methods.push('website_scrape');
         }
+        enrichmentResults.contacts.push(...scrapedData.contacts.map(contact => ({ ...contact, source: 'website' })));
       }
     }
 
-    // Step 3: If still no email and we have a website, try Hunter.io
-    if (!enrichmentResults.email && !prospect.email && websiteUrl && this.hunterApiKey) {
+    // Step 3: If still no email, or no named person to write to, and we have a website, try Hunter.io
+    const foundNamedContact = enrichmentResults.contacts.some(contact => contact.name && contact.email);
+    if (websiteUrl && this.getApiKeys().hunter && (!(enrichmentResults.email || prospect.email) || !(hasNamedContact || foundNamedContact))) {
       console.log(`🔎 Trying Hunter.io for: ${websiteUrl}`);
-      const hunterEmail = await this.findEmailWithHunter(websiteUrl);
-      if (hunterEmail) {
-        enrichmentResults.email = hunterEmail;
+      const hunter = await this.findContactsWithHunter(websiteUrl);
+      if (hunter.email && !enrichmentResults.email && !prospect.email) {
+        enrichmentResults.email = hunter.email;
+      }
+      if (hunter.contacts.length > 0) {
+        enrichmentResults.contacts.push(...hunter.contacts.map(contact => ({ ...contact, source: 'hunter' })));
         enrichmentResults.methods.push('hunter_io');
       }
     }
@@ -163,12 +174,20 @@ class EnrichmentService {
       db.prepare(`
         UPDATE prospects SET ${updates.join(', ')} WHERE id = ?
       `).run(...params);
+    }
 
+    // Step 5: The address found and the people behind it become contacts
+    contactService.syncFromProspect(prospectId);
+    const contactResults = contactService.addFound(prospectId, enrichmentResults.contacts, 'website');
+    scoringService.recompute(prospectId);
+
+    if (updates.length > 0 || contactResults.added > 0) {
       // Log activity
       const enrichedFields = [];
       if (enrichmentResults.email) enrichedFields.push('email');
       if (enrichmentResults.website) enrichedFields.push('website');
       if (enrichmentResults.phone) enrichedFields.push('phone');
+      if (contactResults.added > 0) enrichedFields.push(`${contactResults.added} contact${contactResults.added > 1 ? 's' : ''}`);
       
       db.prepare(`
         INSERT INTO activities (prospect_id, type, description)
@@ -183,8 +202,8 @@ class EnrichmentService {
     return {
       prospectId,
       businessName: prospect.business_name,
-      enriched: updates.length > 0,
-      results: enrichmentResults,
+      enriched: updates.length > 0 || contactResults.added > 0,
+      results: { ...enrichmentResults, contactsAdded: contactResults.added },
     };
   }
 
@@ -393,6 +412,7 @@ class EnrichmentService {
       phone: null,
       emails: [],
       phones: [],
+      contacts: [],
     };
 
     try {
@@ -454,6 +474,11 @@ class EnrichmentService {
 
       result.email = result.emails[0] || null;
 
+      // Named people (one line per element so names and titles don't run together)
+      const linkText = $('a[href*="linkedin.com/in/"]').map((_, el) => $(el).attr('href')).get().join('\n');
+      const blockText = $('p, li, h1, h2, h3, h4, h5, h6, td, figcaption').map((_, el) => $(el).text()).get().join('\n');
+      result.contacts = firecrawlService.extractPeople(`${blockText}\n${linkText}`, result.emails);
+
       // Extract phone numbers using regex
       const phoneRegex = /(?:\+?1[-.\s]?)?(?:\(?\d{3}\)?[-.\s]?)?\d{3}[-.\s]?\d{4}/g;
       const foundPhones = textContent.match(phoneRegex) || [];
@@ -526,13 +551,15 @@ class EnrichmentService {
   }
 
   /**
-   * Find email using Hunter.io API
+   * Find the people at a domain using the Hunter.io API
+   * @returns {Promise<{email: string|null, contacts: Object[]}>} email: the generic address (else the first one)
    */
-  async findEmailWithHunter(websiteUrl) {
+  async findContactsWithHunter(websiteUrl) {
     const { hunter: hunterApiKey } = this.getApiKeys();
+    const none = { email: null, contacts: [] };
     if (!hunterApiKey) {
       console.log('⚠️ Hunter.io API key not configured');
-      return null;
+      return none;
     }
 
     try {
@@ -552,27 +579,40 @@ class EnrichmentService {
 
       if (!response.ok) {
         console.error('Hunter.io API error:', response.status);
-        return null;
+        return none;
       }
 
       const data = await response.json();
-      
-      if (data.data?.emails?.length > 0) {
-        // Return the first email (usually most confident)
-        // Prefer generic emails like info@, contact@
-        const emails = data.data.emails;
-        const genericEmail = emails.find(e => 
-          ['info', 'contact', 'hello', 'sales', 'support'].some(prefix => 
-            e.value.toLowerCase().startsWith(prefix)
-          )
-        );
-        return genericEmail?.value || emails[0]?.value;
+      const emails = data.data?.emails || [];
+      if (emails.length === 0) {
+        return none;
       }
 
-      return null;
+      // Prefer generic emails like info@, contact@ for the business address
+      const genericEmail = emails.find(e => 
+        ['info', 'contact', 'hello', 'sales', 'support'].some(prefix => 
+          e.value.toLowerCase().startsWith(prefix)
+        )
+      );
+
+      const verification = { valid: 'verified', accept_all: 'risky', invalid: 'invalid' };
+      const contacts = emails.map(e => {
+        const name = [e.first_name, e.last_name].filter(Boolean).join(' ') || null;
+        return {
+          name,
+          title: e.position || null,
+          role: e.position ? contactService.guessRole({ name, title: e.position }) : (e.type === 'generic' ? 'general' : undefined),
+          email: e.value,
+          phone: e.phone_number || null,
+          linkedin_url: e.linkedin || null,
+          verification_status: verification[e.verification?.status] || 'unverified',
+        };
+      });
+
+      return { email: genericEmail?.value || emails[0]?.value, contacts };
     } catch (error) {
       console.error('Error with Hunter.io:', error.message);
-      return null;
+      return none;
     }
   }
 
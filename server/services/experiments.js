@@ -0,0 +1,455 @@
+import { getDb } from '../db/init.js';
+import orchestrator from '../agents/orchestrator.js';
+import promptService from './prompts.js';
+import notificationService from './notifications.js';
+
+export const EXPERIMENT_TYPES = ['template', 'subject', 'prompt'];
+export const EXPERIMENT_METRICS = ['open', 'click', 'reply', 'meeting'];
+
+// Prompts used to write the first email, which a prompt experiment can pin to a version
+export const EXPERIMENT_PROMPTS = ['outreach_system', 'outreach_prompt', 'subject_system', 'subject_prompt', 'industry_insights'];
+
+// A winner must beat every other variant with p below this (95% confidence)
+const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided p-value of a two-proportion z-test (x successes out of n)
+ * @returns {number|null} null when either side has nothing sent yet
+ */
+export function twoProportionPValue(x1, n1, x2, n2) {
+  if (!n1 || !n2) return null;
+  const pooled = (x1 + x2) / (n1 + n2);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (standardError === 0) return 1;
+  const z = (x2 / n2 - x1 / n1) / standardError;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+/**
+ * Experiment Service - A/B tests of the first email the Outreach Agent sends
+ *
+ * An experiment splits prospects across variants of one kind:
+ *   template { templateId }          - the template the email is based on
+ *   subject  { strategy }            - an extra instruction for the subject line ('' = the prompt as is)
+ *   prompt   { promptKey, version }  - a version of one of the outreach prompts
+ *
+ * The first variant is the control. Each prospect is assigned a variant (weighted at random) when the
+ * Outreach Agent writes its email, and results come from email_events (opens, clicks, replies) and
+ * reply classifications (meeting requests). One experiment of each kind can run at a time.
+ */
+class ExperimentService {
+  parseVariant(row) {
+    let config = {};
+    try {
+      config = JSON.parse(row.config);
+    } catch (e) {
+      config = {};
+    }
+    return { ...row, config };
+  }
+
+  getVariants(experimentId) {
+    const db = getDb();
+    return db.prepare(`
+      SELECT * FROM experiment_variants WHERE experiment_id = ? ORDER BY variant_order ASC
+    `).all(experimentId).map(row => this.parseVariant(row));
+  }
+
+  /**
+   * All experiments with their variants and results, running ones first
+   */
+  getAll() {
+    const db = getDb();
+    const experiments = db.prepare(`
+      SELECT e.*, u.name as created_by_name
+      FROM experiments e
+      LEFT JOIN users u ON u.id = e.created_by
+      ORDER BY CASE e.status WHEN 'running' THEN 0 WHEN 'draft' THEN 1 ELSE 2 END, e.created_at DESC
+    `).all();
+
+    return experiments.map(row => this.withResults(row));
+  }
+
+  getById(id) {
+    const db = getDb();
+    const row = db.prepare(`
+      SELECT e.*, u.name as created_by_name FROM experiments e LEFT JOIN users u ON u.id = e.created_by WHERE e.id = ?
+    `).get(id);
+    return row ? this.withResults(row) : null;
+  }
+
+  withResults(row) {
+    const results = this.getResults(row.id, row);
+    return { ...row, auto_promote: !!row.auto_promote, variants: results.variants, winner: results.winner, ready: results.ready };
+  }
+
+  /**
+   * Problems with an experiment payload
+   * @returns {string[]}
+   */
+  validate({ name, type, metric, minSample, variants }, { partial = false } = {}) {
+    const errors = [];
+    const db = getDb();
+
+    if (!partial && !name?.trim()) {
+      errors.push('Name is required');
+    }
+    if ((!partial || type !== undefined) && !EXPERIMENT_TYPES.includes(type)) {
+      errors.push(`type must be one of ${EXPERIMENT_TYPES.join(', ')}`);
+    }
+    if (metric !== undefined && !EXPERIMENT_METRICS.includes(metric)) {
+      errors.push(`metric must be one of ${EXPERIMENT_METRICS.join(', ')}`);
+    }
+    if (minSample !== undefined && !(parseInt(minSample) >= 1)) {
+      errors.push('minSample must be at least 1');
+    }
+
+    if (partial && variants === undefined) {
+      return errors;
+    }
+    if (!Array.isArray(variants) || variants.length < 2) {
+      errors.push('An experiment needs at least two variants');
+      return errors;
+    }
+
+    variants.forEach((variant, index) => {
+      const label = `Variant ${index + 1}`;
+      const config = variant.config || {};
+
+      if (!variant.name?.trim()) {
+        errors.push(`${label}: name is required`);
+      }
+      if (variant.weight !== undefined && !(parseInt(variant.weight) >= 1)) {
+        errors.push(`${label}: weight must be at least 1`);
+      }
+
+      if (type === 'template') {
+        const template = db.prepare(`SELECT id FROM templates WHERE id = ? AND type = 'email'`).get(config.templateId);
+        if (!template) {
+          errors.push(`${label}: pick an email template`);
+        }
+      } else if (type === 'subject') {
+        if (typeof (config.strategy ?? '') !== 'string') {
+          errors.push(`${label}: strategy must be text`);
+        }
+      } else if (type === 'prompt') {
+        if (!EXPERIMENT_PROMPTS.includes(config.promptKey)) {
+          errors.push(`${label}: promptKey must be one of ${EXPERIMENT_PROMPTS.join(', ')}`);
+        } else if (!promptService.getVersion(config.promptKey, parseInt(config.version))) {
+          errors.push(`${label}: ${config.promptKey} has no version ${config.version}`);
+        }
+      }
+    });
+
+    if (type === 'prompt' && new Set(variants.map(v => v.config?.promptKey)).size > 1) {
+      errors.push('All variants must use the same prompt');
+    }
+
+    return errors;
+  }
+
+  saveVariants(experimentId, variants) {
+    const db = getDb();
+    db.prepare('DELETE FROM experiment_variants WHERE experiment_id = ?').run(experimentId);
+
+    const insert = db.prepare(`
+      INSERT INTO experiment_variants (experiment_id, name, config, weight, variant_order)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    variants.forEach((variant, index) => {
+      insert.run(experimentId, variant.name.trim(), JSON.stringify(variant.config || {}), parseInt(variant.weight) || 1, index);
+    });
+  }
+
+  create({ name, description = null, type, metric = 'reply', minSample = 50, autoPromote = false, variants }, userId = null) {
+    const db = getDb();
+
+    const id = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO experiments (name, description, type, metric, min_sample, auto_promote, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(name.trim(), description, type, metric, parseInt(minSample), autoPromote ? 1 : 0, userId);
+
+      this.saveVariants(result.lastInsertRowid, variants);
+      return result.lastInsertRowid;
+    })();
+
+    return this.getById(id);
+  }
+
+  /**
+   * Update a draft experiment (variants are replaced), or the settings of a running one
+   */
+  update(id, { name, description, metric, minSample, autoPromote, variants }) {
+    const db = getDb();
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE experiments SET
+          name = COALESCE(?, name),
+          description = COALESCE(?, description),
+          metric = COALESCE(?, metric),
+          min_sample = COALESCE(?, min_sample),
+          auto_promote = COALESCE(?, auto_promote)
+        WHERE id = ?
+      `).run(
+        name?.trim() ?? null,
+        description ?? null,
+        metric ?? null,
+        minSample !== undefined ? parseInt(minSample) : null,
+        autoPromote !== undefined ? (autoPromote ? 1 : 0) : null,
+        id
+      );
+
+      if (variants !== undefined) {
+        this.saveVariants(id, variants);
+      }
+    })();
+
+    return this.getById(id);
+  }
+
+  delete(id) {
+    const db = getDb();
+    return db.prepare('DELETE FROM experiments WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Start splitting prospects
+   * @returns {string|null} Why it can't start, or null once started
+   */
+  start(id) {
+    const db = getDb();
+    const experiment = db.prepare('SELECT * FROM experiments WHERE id = ?').get(id);
+
+    if (experiment.status !== 'draft') {
+      return 'Only a draft experiment can be started';
+    }
+
+    const running = db.prepare(`SELECT name FROM experiments WHERE type = ? AND status = 'running'`).get(experiment.type);
+    if (running) {
+      return `"${running.name}" is already testing ${experiment.type}s - stop it first`;
+    }
+
+    db.prepare(`UPDATE experiments SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = ?`).run(id);
+    return null;
+  }
+
+  /**
+   * Stop a running experiment without promoting a variant
+   */
+  stop(id) {
+    const db = getDb();
+    return db.prepare(`
+      UPDATE experiments SET status = 'completed', ended_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'running'
+    `).run(id).changes > 0;
+  }
+
+  // ============================================
+  // ASSIGNMENT
+  // ============================================
+
+  /**
+   * A variant of every running experiment for a prospect (the one it already has, else a weighted draw).
+   * Nothing is stored until the email is written - see record().
+   * @returns {Array<{experimentId: number, experimentName: string, variantId: number, variantName: string, type: string, config: Object}>}
+   */
+  pick(prospect) {
+    const db = getDb();
+    const experiments = db.prepare(`SELECT * FROM experiments WHERE status = 'running'`).all();
+
+    return experiments.map(experiment => {
+      const variants = this.getVariants(experiment.id);
+      if (variants.length === 0) return null;
+
+      const existing = db.prepare(`
+        SELECT variant_id FROM experiment_assignments WHERE experiment_id = ? AND prospect_id = ?
+      `).get(experiment.id, prospect.id);
+
+      let variant = existing && variants.find(v => v.id === existing.variant_id);
+      if (!variant) {
+        const total = variants.reduce((sum, v) => sum + v.weight, 0);
+        let draw = Math.random() * total;
+        variant = variants.find(v => (draw -= v.weight) < 0) || variants[variants.length - 1];
+      }
+
+      return {
+        experimentId: experiment.id,
+        experimentName: experiment.name,
+        variantId: variant.id,
+        variantName: variant.name,
+        type: experiment.type,
+        config: variant.config,
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Store the variants an email was written with
+   */
+  record(prospectId, campaignId, variants) {
+    const db = getDb();
+    const upsert = db.prepare(`
+      INSERT INTO experiment_assignments (experiment_id, variant_id, prospect_id, campaign_id)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(experiment_id, prospect_id) DO UPDATE SET variant_id = excluded.variant_id, campaign_id = excluded.campaign_id
+    `);
+
+    for (const variant of variants) {
+      upsert.run(variant.experimentId, variant.variantId, prospectId, campaignId);
+    }
+  }
+
+  /**
+   * Count a meeting request for the variants a prospect got
+   */
+  recordClassification(prospectId, classification) {
+    if (classification !== 'MEETING_REQUEST') return;
+
+    const db = getDb();
+    db.prepare(`
+      UPDATE experiment_assignments SET meeting_requested_at = COALESCE(meeting_requested_at, CURRENT_TIMESTAMP)
+      WHERE prospect_id = ?
+    `).run(prospectId);
+  }
+
+  // ============================================
+  // RESULTS
+  // ============================================
+
+  /**
+   * Per-variant sends, opens, clicks, replies and meetings, each variant's lift and p-value against
+   * the control on the experiment's metric, and the winner once one is significant
+   */
+  getResults(id, experiment = null) {
+    const db = getDb();
+    experiment = experiment || db.prepare('SELECT * FROM experiments WHERE id = ?').get(id);
+
+    const rows = db.prepare(`
+      SELECT v.id, v.name, v.config, v.weight, v.variant_order,
+        COUNT(a.id) as assigned,
+        COUNT(c.sent_at) as sent,
+        SUM(CASE WHEN c.sent_at IS NOT NULL AND EXISTS (
+          SELECT 1 FROM email_events e WHERE e.campaign_id = a.campaign_id AND e.event_type = 'open'
+        ) THEN 1 ELSE 0 END) as open,
+        SUM(CASE WHEN c.sent_at IS NOT NULL AND EXISTS (
+          SELECT 1 FROM email_events e WHERE e.campaign_id = a.campaign_id AND e.event_type = 'click'
+        ) THEN 1 ELSE 0 END) as click,
+        SUM(CASE WHEN c.sent_at IS NOT NULL AND EXISTS (
+          SELECT 1 FROM email_events e WHERE e.prospect_id = a.prospect_id AND e.event_type = 'reply' AND e.timestamp >= a.assigned_at
+        ) THEN 1 ELSE 0 END) as reply,
+        SUM(CASE WHEN c.sent_at IS NOT NULL AND a.meeting_requested_at IS NOT NULL THEN 1 ELSE 0 END) as meeting
+      FROM experiment_variants v
+      LEFT JOIN experiment_assignments a ON a.variant_id = v.id
+      LEFT JOIN campaigns c ON c.id = a.campaign_id
+      WHERE v.experiment_id = ?
+      GROUP BY v.id
+      ORDER BY v.variant_order ASC
+    `).all(id);
+
+    const metric = experiment.metric;
+    const variants = rows.map(row => ({
+      ...this.parseVariant(row),
+      rate: row.sent > 0 ? row[metric] / row.sent : null,
+    }));
+
+    const control = variants[0];
+    for (const variant of variants) {
+      variant.lift = variant !== control && control?.rate ? (variant.rate - control.rate) / control.rate : null;
+      variant.pValue = variant !== control && control ? twoProportionPValue(control[metric], control.sent, variant[metric], variant.sent) : null;
+    }
+
+    const ready = variants.length > 1 && variants.every(v => v.sent >= experiment.min_sample);
+    const best = [...variants].filter(v => v.rate !== null).sort((a, b) => b.rate - a.rate)[0];
+    let winner = null;
+
+    if (ready && best) {
+      const pValues = variants
+        .filter(v => v !== best)
+        .map(v => twoProportionPValue(v[metric], v.sent, best[metric], best.sent));
+      if (pValues.every(p => p !== null && p < SIGNIFICANCE_LEVEL)) {
+        winner = { variantId: best.id, name: best.name, pValue: Math.max(...pValues) };
+      }
+    }
+
+    return { variants, winner, ready };
+  }
+
+  // ============================================
+  // PROMOTION
+  // ============================================
+
+  /**
+   * Make a variant the new default and complete the experiment:
+   * template → default_template_id, subject → subject_strategy, prompt → activate that version
+   */
+  promote(id, variantId, { auto = false } = {}) {
+    const db = getDb();
+    const experiment = db.prepare('SELECT * FROM experiments WHERE id = ?').get(id);
+    const variant = this.getVariants(id).find(v => v.id === variantId);
+    if (!experiment || !variant) return false;
+
+    switch (experiment.type) {
+      case 'template':
+        orchestrator.setConfig('default_template_id', String(variant.config.templateId));
+        break;
+      case 'subject':
+        orchestrator.setConfig('subject_strategy', variant.config.strategy || '');
+        break;
+      case 'prompt':
+        promptService.activate(variant.config.promptKey, parseInt(variant.config.version));
+        break;
+    }
+
+    db.prepare(`
+      UPDATE experiments SET status = 'completed', winner_variant_id = ?, ended_at = COALESCE(ended_at, CURRENT_TIMESTAMP)
+      WHERE id = ?
+    `).run(variantId, id);
+
+    notificationService.create({
+      type: 'experiment_winner',
+      title: `🏆 Experiment "${experiment.name}": ${variant.name} ${auto ? 'won' : 'promoted'}`,
+      message: auto
+        ? `"${variant.name}" had the best ${experiment.metric} rate with significance and is now the default`
+        : `"${variant.name}" is now the default`,
+      actionUrl: '/experiments',
+      userId: null,
+    });
+
+    return true;
+  }
+
+  /**
+   * Promote the winner of every running auto-promote experiment that has one
+   * @returns {number} Experiments completed
+   */
+  evaluateAll() {
+    const db = getDb();
+    const experiments = db.prepare(`SELECT * FROM experiments WHERE status = 'running' AND auto_promote = 1`).all();
+    let promoted = 0;
+
+    for (const experiment of experiments) {
+      const { winner } = this.getResults(experiment.id, experiment);
+      if (winner && this.promote(experiment.id, winner.variantId, { auto: true })) {
+        promoted++;
+      }
+    }
+
+    return promoted;
+  }
+}
+
+// Singleton instance
+const experimentService = new ExperimentService();
+
+export default experimentService;
@@ -1,11 +1,25 @@
 import Firecrawl from '@mendable/firecrawl-js';
 import { getDb } from '../db/init.js';
 import llmService from './llm.js';
+import { WEBSITE_ANALYSIS_SCHEMA } from './llmSchemas.js';
+import promptService from './prompts.js';
+import contactService from './contacts.js';
+import forecastService from './forecast.js';
+import scoringService from './scoring.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
 dotenv.config();
 
+// Job titles that mark a named person worth writing to (matched with either case first letter)
+const CONTACT_TITLES = [
+  'Co-Owner', 'Owner', 'Co-Founder', 'Founder', 'Proprietor', 'CEO', 'President', 'Principal', 'Managing Partner',
+  'General Manager', 'Office Manager', 'Marketing Manager', 'Marketing Director', 'Director of Operations',
+  'Operations Manager', 'Executive Chef', 'Head Chef', 'Manager', 'Director',
+].map(title => title.replace(/\b([A-Za-z])/g, (match, letter) => `[${letter.toUpperCase()}${letter.toLowerCase()}]`)).join('|');
+const PERSON_NAME = "[A-Z][a-z'’-]+(?:[ \\t]+[A-Z][a-z'’-]+){1,2}";
+const NOT_NAMES = new Set(['Our', 'The', 'Meet', 'About', 'Contact', 'Us', 'Team', 'Menu', 'Home', 'Call', 'Email', 'Phone', 'Hours', 'Open', 'Welcome', 'General', 'Manager', 'Owner', 'Director', 'Location', 'Locations', 'Services', 'Book', 'Now', 'Today', 'Family', 'Owned', 'Operated']);
+
 /**
  * Firecrawl Service
  * Handles advanced web scraping and AI-powered website analysis
@@ -88,7 +102,8 @@ class FirecrawlService {
   /**
    * Extract contact information from scraped content
    * @param {string} content - The markdown content from the website
-   * @returns {{emails: string[], phones: string[], email: string|null, phone: string|null}}
+   * @returns {{emails: string[], phones: string[], email: string|null, phone: string|null, contacts: Object[]}}
+   *   contacts: named people (with their email/LinkedIn when it can be matched to them) and shared inboxes
    */
   extractContactInfo(content) {
     const result = {
@@ -96,6 +111,7 @@ class FirecrawlService {
       phones: [],
       email: null,
       phone: null,
+      contacts: [],
     };
 
     if (!content) return result;
@@ -149,9 +165,53 @@ class FirecrawlService {
       result.phone = this.formatPhoneNumber(result.phones[0]);
     }
 
+    result.contacts = this.extractPeople(content, result.emails);
+
     return result;
   }
 
+  /**
+   * Named people on a page ("Jane Doe, Owner", "Owner: Jane Doe"), matched to the emails and
+   * LinkedIn profiles that look like theirs; emails no one matches are added on their own
+   * @returns {Array<{name?, title?, role, email?, linkedin_url?}>}
+   */
+  extractPeople(content, emails = []) {
+    const text = content.replace(/[*_#>|[\]]/g, ' ');
+    const people = new Map();
+
+    const patterns = [
+      new RegExp(`(${PERSON_NAME})[ \\t]*(?:,|-|–|—|\\()[ \\t]*(${CONTACT_TITLES})\\b`, 'g'),
+      new RegExp(`\\b(${CONTACT_TITLES})[ \\t]*(?::|,|-|–|—)[ \\t]*(${PERSON_NAME})`, 'g'),
+    ];
+    patterns.forEach((pattern, i) => {
+      for (const match of text.matchAll(pattern)) {
+        const [name, title] = i === 0 ? [match[1], match[2]] : [match[2], match[1]];
+        if (name.split(/\s+/).some(word => NOT_NAMES.has(word)) || people.has(name)) continue;
+        people.set(name, { name, title, role: contactService.guessRole({ name, title }) });
+      }
+    });
+
+    const linkedinUrls = [...new Set(content.match(/https?:\/\/(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[A-Za-z0-9_%-]+/g) || [])];
+    const unmatched = new Set(emails);
+    const contacts = [...people.values()].slice(0, 5).map(person => {
+      const [first, ...rest] = person.name.toLowerCase().split(/\s+/);
+      const last = rest[rest.length - 1];
+      const email = [...unmatched].find(address => {
+        const local = address.split('@')[0].toLowerCase();
+        return local.includes(first) || local.includes(last) || local === `${first[0]}${last}`;
+      });
+      if (email) unmatched.delete(email);
+      const linkedin = linkedinUrls.find(url => url.toLowerCase().includes(first) && url.toLowerCase().includes(last));
+      return { ...person, email: email || null, linkedin_url: linkedin || null };
+    });
+
+    for (const email of unmatched) {
+      contacts.push({ email, role: contactService.isGenericMailbox(email) ? 'general' : 'other' });
+    }
+
+    return contacts;
+  }
+
   /**
    * Format a phone number for display
    */
@@ -170,90 +230,56 @@ class FirecrawlService {
    * Analyze website content for AI/automation opportunities
    * @param {string} content - The markdown content from the website
    * @param {object} businessInfo - Information about the business
+   * @param {object} [options]
+   * @param {number} [options.prospectId] - Prospect the analysis is for (cost accounting)
    * @returns {Promise<object>} Analysis results
    */
-  async analyzeForAIOpportunities(content, businessInfo) {
-    if (!llmService.isConfigured()) {
+  async analyzeForAIOpportunities(content, businessInfo, { prospectId = null } = {}) {
+    if (!llmService.isConfigured('analysis')) {
       return {
         success: false,
         error: 'LLM service not configured',
       };
     }
 
-    const systemPrompt = `You are an expert digital consultant analyzing a business website to identify opportunities for AI, automation, and digital transformation.
-
-Your goal is to identify SPECIFIC, ACTIONABLE opportunities that CloudHack (a digital services company) could offer to help this business.
-
-CloudHack services:
-- Website development and redesign
-- AI chatbots and virtual assistants
-- Business automation (booking systems, CRM, inventory)
-- Cloud solutions and migrations
-- Custom SaaS product development
-- Data analytics and dashboards
-- AI/ML implementations
-
-Be specific and practical. Focus on opportunities that would provide clear ROI for a small/medium business.`;
-
-    const prompt = `Analyze this business website content and identify AI and automation opportunities:
-
-BUSINESS INFO:
-- Name: ${businessInfo.business_name || 'Unknown'}
-- Category/Industry: ${businessInfo.category || 'Unknown'}
-- Location: ${businessInfo.city ? `${businessInfo.city}, ${businessInfo.state}` : 'Unknown'}
-
-WEBSITE CONTENT (scraped in markdown):
-${content.substring(0, 8000)}
-
-Please provide a JSON analysis with the following structure:
-{
-  "overallScore": <1-10 rating of their digital presence>,
-  "summary": "<2-3 sentence executive summary>",
-  "opportunities": [
-    {
-      "type": "<category: chatbot|automation|analytics|website|cloud|ai>",
-      "title": "<brief opportunity title>",
-      "description": "<1-2 sentence description>",
-      "impact": "<high|medium|low>",
-      "complexity": "<high|medium|low>"
-    }
-  ],
-  "strengths": ["<what they're doing well>"],
-  "weaknesses": ["<areas needing improvement>"],
-  "recommendedPitch": "<1-2 sentence tailored pitch for outreach email>"
-}
-
-Return ONLY valid JSON, no additional text.`;
+    const promptVersions = {};
+    const sender = promptService.getSender();
+    const systemPrompt = promptService.render('analysis_system', sender, promptVersions);
+    const prompt = promptService.render('analysis_prompt', {
+      ...sender,
+      business_name: businessInfo.business_name || 'Unknown',
+      category: businessInfo.category || 'Unknown',
+      location: businessInfo.city ? `${businessInfo.city}, ${businessInfo.state}` : 'Unknown',
+      website_content: content.substring(0, 8000),
+    }, promptVersions);
 
     try {
-      const result = await llmService.complete({
+      const result = await llmService.completeJson({
         prompt,
         systemPrompt,
         maxTokens: 1500,
         temperature: 0.5,
+        promptType: 'analysis',
+        agentType: 'enrichment',
+        prospectId,
+        // An unchanged website gives the same prompt, so it isn't paid for twice
+        cache: true,
+        schema: WEBSITE_ANALYSIS_SCHEMA,
       });
 
-      // Parse the JSON response
-      const jsonMatch = result.text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const analysis = JSON.parse(jsonMatch[0]);
-        return {
-          success: true,
-          analysis,
-          provider: result.provider,
-        };
-      } else {
-        return {
-          success: false,
-          error: 'Failed to parse analysis response',
-          rawResponse: result.text,
-        };
-      }
+      return {
+        success: true,
+        analysis: result.data,
+        provider: result.provider,
+        cached: result.cached,
+        promptVersions,
+      };
     } catch (error) {
       console.error('AI analysis error:', error.message);
       return {
         success: false,
         error: error.message,
+        rawResponse: error.output,
       };
     }
   }
@@ -296,7 +322,7 @@ Return ONLY valid JSON, no additional text.`;
       category: prospect.category,
       city: prospect.city,
       state: prospect.state,
-    });
+    }, { prospectId: prospect.id });
 
     // Step 4: Compile the report
     const report = {
@@ -334,10 +360,18 @@ Return ONLY valid JSON, no additional text.`;
       UPDATE prospects SET ${updates.join(', ')} WHERE id = ?
     `).run(...params);
 
+    // The people found on the site become contacts
+    contactService.syncFromProspect(prospectId);
+    // Deals without a value get an estimate from the opportunities found
+    forecastService.prefillEstimate(prospectId);
+    const { added: contactsAdded } = contactService.addFound(prospectId, contactInfo.contacts, 'firecrawl');
+    scoringService.recompute(prospectId);
+
     // Log activity
     const enrichedFields = [];
     if (contactInfo.email && !prospect.email) enrichedFields.push('email');
     if (contactInfo.phone && !prospect.phone) enrichedFields.push('phone');
+    if (contactsAdded > 0) enrichedFields.push(`${contactsAdded} contact${contactsAdded > 1 ? 's' : ''}`);
     
     let activityDescription = 'Website analyzed with Firecrawl';
     if (enrichedFields.length > 0) {
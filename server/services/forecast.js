@@ -0,0 +1,255 @@
+import { getDb } from '../db/init.js';
+import { OPPORTUNITY_TYPES } from './llmSchemas.js';
+
+const COMPLEXITY_FACTORS = { low: 0.6, medium: 1, high: 1.5 };
+
+// Prospects with the stage they are in (NULL pipeline_id = the default pipeline)
+const DEALS_QUERY = `
+  SELECT p.id, p.business_name, p.deal_value, p.deal_value_source, p.expected_close_date, p.won_at,
+    p.stage, pl.id as pipeline_id, pl.name as pipeline_name,
+    s.label as stage_label, s.probability, s.is_won, s.is_lost
+  FROM prospects p
+  JOIN pipelines pl ON pl.id = COALESCE(p.pipeline_id, (SELECT id FROM pipelines WHERE is_default = 1))
+  LEFT JOIN pipeline_stages s ON s.pipeline_id = pl.id AND s.key = p.stage
+`;
+
+/**
+ * Forecast Service - Deal values, the weighted revenue forecast and how it compared with what closed
+ *
+ * A deal is a prospect with a deal_value. Open deals (not in a won or lost stage) count towards the
+ * month of their expected_close_date at their stage's win probability; past-due ones count towards
+ * the current month. Each month's forecast is snapshotted as the month starts (forecast_snapshots)
+ * so it can be compared with the value of the deals won that month (prospects.won_at).
+ */
+class ForecastService {
+  getConfig(key, defaultValue) {
+    const db = getDb();
+    const row = db.prepare('SELECT value FROM agent_config WHERE key = ?').get(key);
+    return row?.value || defaultValue;
+  }
+
+  /**
+   * Problems with deal fields from the API
+   * @returns {string[]}
+   */
+  validate({ deal_value, expected_close_date }) {
+    const errors = [];
+
+    if (deal_value !== undefined && deal_value !== null && deal_value !== ''
+      && !(Number.isFinite(Number(deal_value)) && Number(deal_value) >= 0)) {
+      errors.push('Deal value must be a positive amount');
+    }
+    if (expected_close_date && !/^\d{4}-\d{2}-\d{2}$/.test(expected_close_date)) {
+      errors.push('Expected close date must be YYYY-MM-DD');
+    }
+
+    return errors;
+  }
+
+  // ============================================
+  // ESTIMATES
+  // ============================================
+
+  /**
+   * Price of each opportunity type, from "type:amount,..." (deal_estimate_prices)
+   */
+  getPrices() {
+    return Object.fromEntries(
+      this.getConfig('deal_estimate_prices', '')
+        .split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([type, amount]) => OPPORTUNITY_TYPES.includes(type) && Number(amount) > 0)
+        .map(([type, amount]) => [type, Number(amount)])
+    );
+  }
+
+  /**
+   * What a deal is likely worth from the website analysis: each kind of opportunity found at its
+   * price, scaled by its complexity (a business with no website gets the website price)
+   * @returns {{value: number, breakdown: Array<{type, title, amount}>}|null}
+   */
+  estimate(prospect) {
+    const prices = this.getPrices();
+    let analysis = null;
+    try {
+      analysis = prospect.website_analysis ? JSON.parse(prospect.website_analysis).analysis : null;
+    } catch (e) {
+      analysis = null;
+    }
+
+    const breakdown = [];
+    const seen = new Set();
+    for (const opportunity of analysis?.opportunities || []) {
+      if (seen.has(opportunity.type) || !prices[opportunity.type]) continue;
+      seen.add(opportunity.type);
+      breakdown.push({
+        type: opportunity.type,
+        title: opportunity.title,
+        amount: Math.round(prices[opportunity.type] * (COMPLEXITY_FACTORS[opportunity.complexity] ?? 1)),
+      });
+    }
+    if (breakdown.length === 0 && !prospect.website_url && prices.website) {
+      breakdown.push({ type: 'website', title: 'New website', amount: prices.website });
+    }
+
+    if (breakdown.length === 0) return null;
+    return { value: breakdown.reduce((total, item) => total + item.amount, 0), breakdown };
+  }
+
+  /**
+   * Fill in an estimated value for a prospect that has none (never overwrites a value)
+   * @returns {number|null} The estimate saved
+   */
+  prefillEstimate(prospectId) {
+    const db = getDb();
+    const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(prospectId);
+    if (!prospect || prospect.deal_value !== null) return null;
+
+    const estimate = this.estimate(prospect);
+    if (!estimate) return null;
+
+    db.prepare(`
+      UPDATE prospects SET deal_value = ?, deal_value_source = 'estimate', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND deal_value IS NULL
+    `).run(estimate.value, prospectId);
+    return estimate.value;
+  }
+
+  // ============================================
+  // FORECAST
+  // ============================================
+
+  /**
+   * Open deals with a value, with their weighted value
+   * @param {number} [pipelineId] - Only this pipeline's deals
+   */
+  getOpenDeals(pipelineId = null) {
+    const db = getDb();
+    return db.prepare(`
+      ${DEALS_QUERY}
+      WHERE p.deal_value > 0 AND COALESCE(s.is_won, 0) = 0 AND COALESCE(s.is_lost, 0) = 0
+        AND (? IS NULL OR pl.id = ?)
+      ORDER BY p.expected_close_date IS NULL, p.expected_close_date ASC
+    `).all(pipelineId, pipelineId).map(deal => ({
+      ...deal,
+      probability: deal.probability ?? 0,
+      weighted_value: deal.deal_value * (deal.probability ?? 0) / 100,
+    }));
+  }
+
+  /**
+   * The weighted forecast for this month and the next ones
+   * @param {Object} [options]
+   * @param {number} [options.months] - How many months, starting with this one
+   * @param {number} [options.pipelineId] - Only this pipeline's deals
+   * @returns {{months: Array, later: Object, unscheduled: Object, totals: Object}}
+   *   months: [{ month: 'YYYY-MM', deals, total, weighted, overdue }] (overdue deals are in this month);
+   *   later/unscheduled: deals closing after the last month / with no expected close date
+   */
+  getForecast({ months = 6, pipelineId = null } = {}) {
+    const monthKeys = this.monthRange(this.currentMonth(), months);
+    const bucket = (month) => ({ month, deals: 0, total: 0, weighted: 0, overdue: 0 });
+    const buckets = Object.fromEntries(monthKeys.map(month => [month, bucket(month)]));
+    const later = bucket(null);
+    const unscheduled = bucket(null);
+    const totals = { deals: 0, total: 0, weighted: 0 };
+
+    for (const deal of this.getOpenDeals(pipelineId)) {
+      const month = deal.expected_close_date?.slice(0, 7);
+      let target;
+      if (!month) {
+        target = unscheduled;
+      } else if (month < monthKeys[0]) {
+        target = buckets[monthKeys[0]];
+        target.overdue++;
+      } else {
+        target = buckets[month] || later;
+      }
+
+      for (const sum of [target, totals]) {
+        sum.deals++;
+        sum.total += deal.deal_value;
+        sum.weighted += deal.weighted_value;
+      }
+    }
+
+    return { months: monthKeys.map(month => buckets[month]), later, unscheduled, totals };
+  }
+
+  /**
+   * Save this month's forecast if it hasn't been yet (run as each month starts)
+   * @returns {boolean} Whether a snapshot was taken
+   */
+  snapshot() {
+    const db = getDb();
+    const [month] = this.getForecast({ months: 1 }).months;
+    return db.prepare(`
+      INSERT OR IGNORE INTO forecast_snapshots (month, weighted_value, total_value, deal_count)
+      VALUES (?, ?, ?, ?)
+    `).run(month.month, month.weighted, month.total, month.deals).changes > 0;
+  }
+
+  /**
+   * Forecast vs actual for this month and the ones before it, plus the deals won in them
+   * @returns {{months: Array<{month, forecast, actual, won}>, wonDeals: Array}}
+   *   forecast is null for months without a snapshot; wonDeals have slipDays (won after the
+   *   expected close date when positive)
+   */
+  getForecastVsActual({ months = 6 } = {}) {
+    const db = getDb();
+    this.snapshot();
+
+    const current = this.currentMonth();
+    const monthKeys = this.monthRange(this.addMonths(current, 1 - months), months);
+    const snapshots = db.prepare(`
+      SELECT * FROM forecast_snapshots WHERE month >= ? AND month <= ?
+    `).all(monthKeys[0], current);
+
+    const wonDeals = db.prepare(`
+      ${DEALS_QUERY}
+      WHERE p.won_at IS NOT NULL AND strftime('%Y-%m', p.won_at) >= ?
+      ORDER BY p.won_at DESC
+    `).all(monthKeys[0]).map(deal => ({
+      ...deal,
+      deal_value: deal.deal_value || 0,
+      slipDays: deal.expected_close_date
+        ? Math.round((new Date(deal.won_at.slice(0, 10)) - new Date(deal.expected_close_date)) / 86400000)
+        : null,
+    }));
+
+    return {
+      months: monthKeys.map(month => {
+        const won = wonDeals.filter(deal => deal.won_at.slice(0, 7) === month);
+        return {
+          month,
+          forecast: snapshots.find(snapshot => snapshot.month === month)?.weighted_value ?? null,
+          actual: won.reduce((total, deal) => total + deal.deal_value, 0),
+          won: won.length,
+        };
+      }),
+      wonDeals,
+    };
+  }
+
+  currentMonth() {
+    return new Date().toISOString().slice(0, 7);
+  }
+
+  /**
+   * 'YYYY-MM' plus some months
+   */
+  addMonths(month, count) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthIndex - 1 + count, 1));
+    return date.toISOString().slice(0, 7);
+  }
+
+  monthRange(start, count) {
+    return Array.from({ length: count }, (_, i) => this.addMonths(start, i));
+  }
+}
+
+// Singleton instance
+const forecastService = new ForecastService();
+
+export default forecastService;
@@ -83,7 +83,7 @@ class GooglePlacesService {
           'Content-Type': 'application/json',
           'X-Goog-Api-Key': apiKey,
           // Request all the fields we need
-          'X-Goog-FieldMask': 'places.id,places.displayName,places.formattedAddress,places.nationalPhoneNumber,places.websiteUri,places.googleMapsUri,places.rating,places.userRatingCount,places.types,places.primaryType,places.businessStatus,places.photos',
+          'X-Goog-FieldMask': 'places.id,places.displayName,places.formattedAddress,places.nationalPhoneNumber,places.websiteUri,places.googleMapsUri,places.rating,places.userRatingCount,places.types,places.primaryType,places.businessStatus,places.photos,places.utcOffsetMinutes',
         },
         body: JSON.stringify(requestBody),
       });
@@ -139,6 +139,7 @@ class GooglePlacesService {
         ? `https://places.googleapis.com/v1/${place.photos[0].name}/media?maxHeightPx=400&maxWidthPx=400&key=${this.getApiKey()}`
         : null,
       business_status: place.businessStatus,
+      utc_offset_minutes: place.utcOffsetMinutes ?? null,
       source: 'google',
     };
   }
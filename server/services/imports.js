@@ -0,0 +1,755 @@
+import { getDb } from '../db/init.js';
+import pipelineService from './pipeline.js';
+import contactService from './contacts.js';
+import enrichmentService from './enrichment.js';
+import forecastService from './forecast.js';
+import scoringService from './scoring.js';
+import notificationService from './notifications.js';
+import assignmentService from './assignment.js';
+
+/**
+ * Prospect fields a CSV column can go into, with the header names they're recognized by
+ * (compared lowercase, with _ - . read as spaces)
+ */
+export const IMPORT_FIELDS = [
+  { key: 'business_name', label: 'Business name', aliases: ['business name', 'business', 'company', 'company name', 'organization', 'account', 'account name', 'name'] },
+  { key: 'email', label: 'Email', aliases: ['email', 'email address', 'e mail', 'work email'] },
+  { key: 'phone', label: 'Phone', aliases: ['phone', 'phone number', 'telephone', 'tel', 'mobile', 'work phone'] },
+  { key: 'website_url', label: 'Website', aliases: ['website', 'website url', 'url', 'web', 'site', 'domain', 'company website'] },
+  { key: 'address', label: 'Street address', aliases: ['address', 'street', 'street address', 'address 1', 'address line 1'] },
+  { key: 'city', label: 'City', aliases: ['city', 'town'] },
+  { key: 'state', label: 'State', aliases: ['state', 'province', 'region'] },
+  { key: 'zip_code', label: 'ZIP code', aliases: ['zip', 'zip code', 'zipcode', 'postal code', 'postcode'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'industry', 'business type'] },
+  { key: 'rating', label: 'Rating', aliases: ['rating', 'stars'] },
+  { key: 'review_count', label: 'Review count', aliases: ['reviews', 'review count'] },
+  { key: 'yelp_id', label: 'Yelp ID', aliases: ['yelp id'] },
+  { key: 'yelp_url', label: 'Yelp URL', aliases: ['yelp url', 'yelp'] },
+  { key: 'google_place_id', label: 'Google Place ID', aliases: ['google place id', 'place id'] },
+  { key: 'google_maps_url', label: 'Google Maps URL', aliases: ['google maps url', 'google maps'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comments'] },
+  { key: 'deal_value', label: 'Deal value', aliases: ['deal value', 'deal amount', 'amount'] },
+  { key: 'expected_close_date', label: 'Expected close date', aliases: ['expected close date', 'close date'] },
+  { key: 'contact_name', label: 'Contact name', aliases: ['contact', 'contact name', 'full name'] },
+  { key: 'contact_first_name', label: 'Contact first name', aliases: ['first name', 'firstname', 'given name'] },
+  { key: 'contact_last_name', label: 'Contact last name', aliases: ['last name', 'lastname', 'surname', 'family name'] },
+  { key: 'contact_title', label: 'Contact job title', aliases: ['title', 'job title', 'position'] },
+];
+
+// What to do with a row that matches a prospect already in the app
+export const DUPLICATE_MODES = ['skip', 'update', 'create'];
+
+const FIELD_KEYS = IMPORT_FIELDS.map(field => field.key);
+const PROSPECT_COLUMNS = [
+  'business_name', 'email', 'phone', 'website_url', 'address', 'city', 'state', 'zip_code', 'category',
+  'rating', 'review_count', 'yelp_id', 'yelp_url', 'google_place_id', 'google_maps_url', 'notes',
+  'deal_value', 'expected_close_date',
+];
+const FREE_MAIL_DOMAINS = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com', 'icloud.com', 'me.com', 'live.com', 'msn.com', 'comcast.net', 'protonmail.com'];
+const NAME_SUFFIXES = /\b(the|inc|llc|ltd|co|corp|corporation|company)\b/g;
+const MAX_ROWS = 20000;
+const BATCH_SIZE = 100;
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Import Service - Brings prospects in from CSV files (trade show lists, exports from other CRMs)
+ *
+ * An import goes: upload (the rows are stored in import_rows) → map columns to prospect fields or
+ * custom fields → preview (validation and duplicates) → run in the background in batches, which
+ * resumes after a restart. Every row ends up created, updated, skipped (a duplicate) or error, and
+ * the skipped and error rows can be downloaded as a CSV to fix and import again.
+ */
+class ImportService {
+  // ============================================
+  // UPLOAD & MAPPING
+  // ============================================
+
+  /**
+   * Store an uploaded CSV
+   * @returns {{importId: number|null, errors: string[]}}
+   */
+  upload(text, { filename = null, userId = null } = {}) {
+    const db = getDb();
+    const [header, ...rows] = this.parseCsv(text || '');
+
+    if (!header || rows.length === 0) {
+      return { importId: null, errors: ['The file needs a header row and at least one row of data'] };
+    }
+    if (rows.length > MAX_ROWS) {
+      return { importId: null, errors: [`Files can have up to ${MAX_ROWS} rows (this one has ${rows.length}); split it up`] };
+    }
+
+    const headers = header.map((name, i) => name || `Column ${i + 1}`);
+    const importId = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO imports (filename, headers, mapping, options, total_rows, user_id) VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        filename, JSON.stringify(headers), JSON.stringify(this.suggestMapping(headers)),
+        JSON.stringify({ duplicates: 'skip', pipelineId: null, ownerId: null }), rows.length, userId
+      );
+
+      const insertRow = db.prepare('INSERT INTO import_rows (import_id, row_number, data) VALUES (?, ?, ?)');
+      // Row numbers as a spreadsheet shows them (the header is row 1)
+      rows.forEach((row, i) => insertRow.run(result.lastInsertRowid, i + 2, JSON.stringify(row)));
+      return result.lastInsertRowid;
+    })();
+
+    return { importId, errors: [] };
+  }
+
+  /**
+   * Split CSV text into rows of trimmed values (quoted values, "" escapes, CRLF and newlines
+   * inside quotes are handled; the delimiter is guessed from the header: comma, semicolon or tab)
+   */
+  parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+      .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+      .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"' && value.trim() === '') {
+        quoted = true;
+        value = '';
+      } else if (char === delimiter) {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+    if (value !== '' || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+
+    return rows
+      .map(values => values.map(v => v.trim()))
+      .filter(values => values.some(v => v !== ''));
+  }
+
+  /**
+   * The field each column most likely holds (null = not imported)
+   */
+  suggestMapping(headers) {
+    const used = new Set();
+    return headers.map(header => {
+      const normalized = normalizeHeader(header);
+      const field = IMPORT_FIELDS.find(f => !used.has(f.key) && (f.key === normalized.replace(/ /g, '_') || f.aliases.includes(normalized)));
+      if (!field) return null;
+      used.add(field.key);
+      return field.key;
+    });
+  }
+
+  /**
+   * Problems with a mapping and import options from the API
+   * @param {Array<string|null>} mapping - Per column: a field key, "custom:<name>" or null
+   * @returns {string[]}
+   */
+  validate(job, { mapping, options }) {
+    const errors = [];
+
+    if (mapping !== undefined) {
+      if (!Array.isArray(mapping) || mapping.length !== job.headers.length) {
+        errors.push(`Mapping must have one entry per column (${job.headers.length})`);
+      } else if (mapping.some(target => target !== null && typeof target !== 'string')) {
+        errors.push('Each mapping entry must be a field key, "custom:<name>" or null');
+      } else {
+        const fields = mapping.filter(Boolean);
+        for (const target of fields) {
+          if (target.startsWith('custom:') ? !target.slice(7).trim() : !FIELD_KEYS.includes(target)) {
+            errors.push(`Unknown field "${target}"`);
+          }
+        }
+        const repeated = [...new Set(fields.filter((target, i) => fields.indexOf(target) !== i))];
+        if (repeated.length > 0) {
+          errors.push(`Each field can only be mapped once: ${repeated.join(', ')}`);
+        }
+        if (!fields.includes('business_name')) {
+          errors.push('Map a column to Business name');
+        }
+      }
+    }
+
+    if (options !== undefined) {
+      if (options.duplicates !== undefined && !DUPLICATE_MODES.includes(options.duplicates)) {
+        errors.push(`Duplicates must be one of: ${DUPLICATE_MODES.join(', ')}`);
+      }
+      if (options.pipelineId && !pipelineService.getPipeline(options.pipelineId)) {
+        errors.push('Pipeline not found');
+      }
+      if (options.ownerId && !assignmentService.getTeam().some(u => u.id === parseInt(options.ownerId))) {
+        errors.push('Owner must be an active team member who can own leads');
+      }
+    }
+
+    return errors;
+  }
+
+  saveMapping(importId, { mapping, options }) {
+    const db = getDb();
+    const job = this.getImport(importId);
+    db.prepare('UPDATE imports SET mapping = ?, options = ? WHERE id = ?').run(
+      JSON.stringify(mapping ?? job.mapping),
+      JSON.stringify({ ...job.options, ...options }),
+      importId
+    );
+    return this.getImport(importId);
+  }
+
+  // ============================================
+  // VALIDATION & DUPLICATES
+  // ============================================
+
+  /**
+   * A row's values by field, with custom fields and the contact's name put together
+   * @returns {{fields: Object, custom: Object}}
+   */
+  mapRow(values, mapping) {
+    const fields = {};
+    const custom = {};
+
+    mapping.forEach((target, i) => {
+      const value = values[i]?.trim();
+      if (!target || !value) return;
+      if (target.startsWith('custom:')) {
+        custom[target.slice(7).trim()] = value;
+      } else {
+        fields[target] = value;
+      }
+    });
+
+    if (!fields.contact_name && (fields.contact_first_name || fields.contact_last_name)) {
+      fields.contact_name = [fields.contact_first_name, fields.contact_last_name].filter(Boolean).join(' ');
+    }
+    return { fields, custom };
+  }
+
+  /**
+   * Clean up a row's values (phone format, website with https://, numbers) and list what's wrong with it
+   * @returns {{values: Object, errors: string[]}}
+   */
+  validateRow(fields) {
+    const values = { ...fields };
+    const errors = [];
+
+    if (!values.business_name) {
+      errors.push('Missing business name');
+    }
+
+    if (values.email) {
+      // Several addresses in one cell: the first one is used
+      values.email = values.email.split(/[\s,;]+/)[0].toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+        errors.push(`Invalid email "${fields.email}"`);
+      }
+    }
+
+    if (values.phone) {
+      const digits = values.phone.replace(/\D/g, '');
+      const isUs = digits.length === 10 || (digits.length === 11 && digits.startsWith('1'));
+      if (isUs) {
+        values.phone = enrichmentService.formatPhoneNumber(digits);
+      } else if (!(values.phone.startsWith('+') && digits.length >= 8 && digits.length <= 15)) {
+        errors.push(`Invalid phone "${fields.phone}"`);
+      }
+    }
+
+    if (values.website_url) {
+      const url = /^https?:\/\//i.test(values.website_url) ? values.website_url : `https://${values.website_url}`;
+      try {
+        if (!new URL(url).hostname.includes('.')) throw new Error('No domain');
+        values.website_url = url;
+      } catch (e) {
+        errors.push(`Invalid website "${fields.website_url}"`);
+      }
+    }
+
+    if (values.rating !== undefined) {
+      values.rating = Number(values.rating);
+      if (!(values.rating >= 0 && values.rating <= 5)) {
+        errors.push(`Rating must be from 0 to 5 ("${fields.rating}")`);
+      }
+    }
+
+    if (values.review_count !== undefined) {
+      values.review_count = Number(values.review_count.replace(/,/g, ''));
+      if (!Number.isInteger(values.review_count) || values.review_count < 0) {
+        errors.push(`Review count must be a whole number ("${fields.review_count}")`);
+      }
+    }
+
+    if (values.deal_value !== undefined) {
+      values.deal_value = values.deal_value.replace(/[$,\s]/g, '');
+      if (values.deal_value === '') delete values.deal_value;
+    }
+    if (values.expected_close_date) {
+      // 3/15/2026 as well as 2026-03-15
+      const us = values.expected_close_date.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+      if (us) {
+        values.expected_close_date = `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+      }
+    }
+    errors.push(...forecastService.validate(values));
+    if (values.deal_value !== undefined) {
+      values.deal_value = Number(values.deal_value);
+    }
+
+    return { values, errors };
+  }
+
+  normalizeName(name) {
+    return (name || '')
+      .toLowerCase()
+      .replace(/['’]/g, '')
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9 ]+/g, ' ')
+      .replace(NAME_SUFFIXES, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * The business's domain: its website's, else its email's (unless that's a free mail provider)
+   */
+  domainOf({ website_url, email }) {
+    if (website_url) {
+      try {
+        const url = /^https?:\/\//i.test(website_url) ? website_url : `https://${website_url}`;
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+      } catch (e) {
+        // Not a URL; try the email
+      }
+    }
+    const emailDomain = email?.split('@')[1]?.toLowerCase();
+    return emailDomain && !FREE_MAIL_DOMAINS.includes(emailDomain) ? emailDomain : null;
+  }
+
+  /**
+   * The ways a business is recognized as one already seen: Yelp ID, Google Place ID,
+   * name + city, and domain
+   */
+  matchKeys(values) {
+    const name = this.normalizeName(values.business_name);
+    const domain = this.domainOf(values);
+    return [
+      values.yelp_id && ['Yelp ID', `yelp:${values.yelp_id}`],
+      values.google_place_id && ['Google Place ID', `place:${values.google_place_id}`],
+      name && values.city && ['name and city', `name:${name}|${values.city.toLowerCase().trim()}`],
+      domain && ['domain', `domain:${domain}`],
+    ].filter(Boolean);
+  }
+
+  /**
+   * Lookup of the businesses already in the app (rows are added as they're imported)
+   */
+  buildIndex() {
+    const db = getDb();
+    const index = new Map();
+    const add = (values, ref) => {
+      for (const [, key] of this.matchKeys(values)) {
+        if (!index.has(key)) index.set(key, ref);
+      }
+    };
+    const find = (values) => {
+      for (const [matchedBy, key] of this.matchKeys(values)) {
+        if (index.has(key)) return { ...index.get(key), matchedBy };
+      }
+      return null;
+    };
+
+    const prospects = db.prepare(`
+      SELECT id, business_name, city, email, website_url, yelp_id, google_place_id FROM prospects
+    `).all();
+    for (const prospect of prospects) {
+      add(prospect, { prospectId: prospect.id, businessName: prospect.business_name });
+    }
+    return { add, find };
+  }
+
+  describeDuplicate(duplicate) {
+    return duplicate.prospectId
+      ? `Matches "${duplicate.businessName}" by ${duplicate.matchedBy}`
+      : `Same business as row ${duplicate.row} by ${duplicate.matchedBy}`;
+  }
+
+  /**
+   * What importing would do, without importing anything
+   * @returns {{total, valid, duplicates, invalid, problems: Array<{row, businessName, status, message}>, sample: Array}}
+   *   valid rows would be created; problems lists the first 200 duplicate and invalid rows
+   */
+  preview(importId) {
+    const db = getDb();
+    const job = this.getImport(importId);
+    const index = this.buildIndex();
+    const summary = { total: 0, valid: 0, duplicates: 0, invalid: 0, problems: [], sample: [] };
+
+    const rows = db.prepare('SELECT row_number, data FROM import_rows WHERE import_id = ? ORDER BY row_number').all(importId);
+    for (const row of rows) {
+      const { fields, custom } = this.mapRow(JSON.parse(row.data), job.mapping);
+      const { values, errors } = this.validateRow(fields);
+      const duplicate = errors.length === 0 && job.options.duplicates !== 'create' ? index.find(values) : null;
+
+      summary.total++;
+      if (errors.length > 0) {
+        summary.invalid++;
+      } else if (duplicate) {
+        summary.duplicates++;
+      } else {
+        summary.valid++;
+        index.add(values, { row: row.row_number });
+      }
+
+      if ((errors.length > 0 || duplicate) && summary.problems.length < 200) {
+        summary.problems.push({
+          row: row.row_number,
+          businessName: values.business_name || null,
+          status: errors.length > 0 ? 'error' : 'duplicate',
+          message: errors.length > 0 ? errors.join('; ') : this.describeDuplicate(duplicate),
+        });
+      }
+      if (summary.sample.length < 5) {
+        summary.sample.push({ row: row.row_number, values, custom });
+      }
+    }
+
+    return summary;
+  }
+
+  // ============================================
+  // IMPORTING
+  // ============================================
+
+  /**
+   * Start importing in the background
+   */
+  start(importId) {
+    const db = getDb();
+    db.prepare(`
+      UPDATE imports SET status = 'importing', started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE id = ?
+    `).run(importId);
+
+    this.run(importId).catch(error => {
+      console.error(`Import ${importId} failed:`, error);
+    });
+  }
+
+  /**
+   * Carry on with imports that were running when the server stopped
+   */
+  resume() {
+    const db = getDb();
+    const running = db.prepare(`SELECT id FROM imports WHERE status = 'importing'`).all();
+    for (const { id } of running) {
+      console.log(`📥 Resuming import ${id}`);
+      this.start(id);
+    }
+  }
+
+  /**
+   * Import the pending rows in batches, letting other requests in between them
+   */
+  async run(importId) {
+    const db = getDb();
+    const job = this.getImport(importId);
+    const index = this.buildIndex();
+    const pipeline = (job.options.pipelineId && pipelineService.getPipeline(job.options.pipelineId))
+      || pipelineService.getDefaultPipeline();
+    const nextBatch = db.prepare(`
+      SELECT * FROM import_rows WHERE import_id = ? AND status = 'pending' ORDER BY row_number LIMIT ?
+    `);
+
+    try {
+      let rows;
+      while ((rows = nextBatch.all(importId, BATCH_SIZE)).length > 0) {
+        db.transaction(() => {
+          for (const row of rows) {
+            this.importRow(job, row, { index, pipeline });
+          }
+        })();
+        this.updateCounts(importId);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      db.prepare(`
+        UPDATE imports SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(importId);
+      this.notifyOwner(this.getImport(importId));
+      console.log(`📥 Import ${importId} complete`);
+    } catch (error) {
+      db.prepare(`
+        UPDATE imports SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(error.message, importId);
+      throw error;
+    }
+  }
+
+  /**
+   * Import one row. It runs in its own savepoint, so a row that fails is rolled back and
+   * recorded as an error without taking the rest of the batch with it.
+   */
+  importRow(job, row, { index, pipeline }) {
+    const db = getDb();
+    const setRow = (status, message = null, prospectId = null) => {
+      db.prepare('UPDATE import_rows SET status = ?, message = ?, prospect_id = ? WHERE id = ?')
+        .run(status, message, prospectId, row.id);
+    };
+
+    let created = null;
+    try {
+      created = db.transaction(() => {
+        const { fields, custom } = this.mapRow(JSON.parse(row.data), job.mapping);
+        const { values, errors } = this.validateRow(fields);
+        if (errors.length > 0) {
+          setRow('error', errors.join('; '));
+          return null;
+        }
+
+        const duplicate = job.options.duplicates !== 'create' ? index.find(values) : null;
+        if (duplicate && job.options.duplicates === 'skip') {
+          setRow('skipped', this.describeDuplicate(duplicate), duplicate.prospectId || null);
+          return null;
+        }
+        if (duplicate) {
+          this.updateProspect(duplicate.prospectId, values, custom, job);
+          setRow('updated', this.describeDuplicate(duplicate), duplicate.prospectId);
+          return null;
+        }
+
+        const prospectId = this.createProspect(values, custom, job, pipeline);
+        setRow('created', null, prospectId);
+        return { values, prospectId };
+      })();
+    } catch (error) {
+      console.error(`Import ${job.id} row ${row.row_number} failed:`, error);
+      setRow('error', error.message);
+    }
+
+    // Only once it's saved, so later rows aren't matched against a row that was rolled back
+    if (created) {
+      index.add(created.values, { prospectId: created.prospectId, businessName: created.values.business_name });
+    }
+  }
+
+  createProspect(values, custom, job, pipeline) {
+    const db = getDb();
+    const columns = PROSPECT_COLUMNS.filter(column => values[column] !== undefined && values[column] !== '');
+    const result = db.prepare(`
+      INSERT INTO prospects (${[...columns, 'pipeline_id', 'stage', 'source', 'owner_id', 'deal_value_source', 'custom_fields'].join(', ')})
+      VALUES (${[...columns, 1, 2, 3, 4, 5, 6].map(() => '?').join(', ')})
+    `).run(
+      ...columns.map(column => values[column]),
+      pipeline.id,
+      pipeline.stages[0]?.key,
+      'import',
+      job.options.ownerId || null,
+      values.deal_value ? 'manual' : null,
+      Object.keys(custom).length > 0 ? JSON.stringify(custom) : null
+    );
+    const prospectId = result.lastInsertRowid;
+
+    db.prepare(`
+      INSERT INTO activities (prospect_id, type, description, user_id)
+      VALUES (?, 'created', ?, ?)
+    `).run(prospectId, `Imported from ${job.filename || 'a CSV file'}`, job.user_id);
+
+    this.addContact(prospectId, values);
+    scoringService.recompute(prospectId);
+    // Without an owner picked for the import, the workspace assignment mode decides
+    if (!job.options.ownerId) {
+      assignmentService.autoAssign(prospectId);
+    }
+    return prospectId;
+  }
+
+  /**
+   * Fill in the fields an existing prospect is missing (nothing it already has is overwritten)
+   */
+  updateProspect(prospectId, values, custom, job) {
+    const db = getDb();
+    const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(prospectId);
+    if (!prospect) return;
+
+    const filled = PROSPECT_COLUMNS.filter(column =>
+      values[column] !== undefined && values[column] !== '' && (prospect[column] === null || prospect[column] === ''));
+    const existingCustom = prospect.custom_fields ? JSON.parse(prospect.custom_fields) : {};
+    const addedCustom = Object.keys(custom).filter(key => existingCustom[key] === undefined);
+    const customFields = { ...custom, ...existingCustom };
+
+    if (filled.length > 0 || addedCustom.length > 0) {
+      db.prepare(`
+        UPDATE prospects SET ${[...filled, 'custom_fields'].map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...filled.map(column => values[column]), Object.keys(customFields).length > 0 ? JSON.stringify(customFields) : null, prospectId);
+
+      db.prepare(`
+        INSERT INTO activities (prospect_id, type, description, user_id)
+        VALUES (?, 'import', ?, ?)
+      `).run(
+        prospectId,
+        `Filled in from ${job.filename || 'a CSV import'}: ${[...filled, ...addedCustom].join(', ')}`,
+        job.user_id
+      );
+    }
+
+    this.addContact(prospectId, values);
+    scoringService.recompute(prospectId);
+  }
+
+  /**
+   * The row's email/phone and named person become the prospect's contacts
+   */
+  addContact(prospectId, values) {
+    contactService.syncFromProspect(prospectId);
+    if (!values.contact_name) return;
+
+    contactService.addFound(prospectId, [{
+      name: values.contact_name,
+      title: values.contact_title || null,
+      role: contactService.guessRole({ title: values.contact_title, name: values.contact_name }),
+      email: values.email || null,
+      phone: values.phone || null,
+    }], 'import');
+  }
+
+  updateCounts(importId) {
+    const db = getDb();
+    const counts = Object.fromEntries(db.prepare(`
+      SELECT status, COUNT(*) as count FROM import_rows WHERE import_id = ? GROUP BY status
+    `).all(importId).map(row => [row.status, row.count]));
+
+    db.prepare(`
+      UPDATE imports SET processed_rows = ?, created_count = ?, updated_count = ?, skipped_count = ?, error_count = ?
+      WHERE id = ?
+    `).run(
+      (counts.created || 0) + (counts.updated || 0) + (counts.skipped || 0) + (counts.error || 0),
+      counts.created || 0, counts.updated || 0, counts.skipped || 0, counts.error || 0,
+      importId
+    );
+  }
+
+  /**
+   * Let the owner the prospects were imported for know (once per import, not per prospect)
+   */
+  notifyOwner(job) {
+    if (!job.options.ownerId || job.options.ownerId === job.user_id || job.created_count === 0) return;
+
+    notificationService.create({
+      type: 'lead_assigned',
+      title: `${job.created_count} new leads imported`,
+      message: `From ${job.filename || 'a CSV file'}, assigned to you`,
+      userId: job.options.ownerId,
+      actionUrl: '/my-leads',
+    });
+  }
+
+  // ============================================
+  // READING
+  // ============================================
+
+  getImport(id) {
+    const db = getDb();
+    const job = db.prepare(`
+      SELECT i.*, u.name as user_name FROM imports i LEFT JOIN users u ON u.id = i.user_id WHERE i.id = ?
+    `).get(id);
+    if (!job) return null;
+
+    return {
+      ...job,
+      headers: JSON.parse(job.headers),
+      mapping: job.mapping ? JSON.parse(job.mapping) : [],
+      options: job.options ? JSON.parse(job.options) : {},
+    };
+  }
+
+  /**
+   * Recent imports, newest first
+   */
+  getImports(limit = 20) {
+    const db = getDb();
+    return db.prepare(`
+      SELECT i.id, i.filename, i.status, i.total_rows, i.processed_rows, i.created_count, i.updated_count,
+        i.skipped_count, i.error_count, i.error, i.created_at, i.completed_at, u.name as user_name
+      FROM imports i LEFT JOIN users u ON u.id = i.user_id
+      ORDER BY i.created_at DESC, i.id DESC
+      LIMIT ?
+    `).all(limit);
+  }
+
+  /**
+   * The first rows of the file, for showing what each column holds
+   */
+  getSampleRows(importId, limit = 5) {
+    const db = getDb();
+    return db.prepare(`
+      SELECT data FROM import_rows WHERE import_id = ? ORDER BY row_number LIMIT ?
+    `).all(importId, limit).map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * The skipped and error rows as CSV: the original columns plus what went wrong
+   */
+  getErrorReport(importId) {
+    const db = getDb();
+    const job = this.getImport(importId);
+    const rows = db.prepare(`
+      SELECT row_number, data, status, message FROM import_rows
+      WHERE import_id = ? AND status IN ('error', 'skipped')
+      ORDER BY row_number
+    `).all(importId);
+
+    const lines = [
+      [...job.headers, 'Row', 'Import status', 'Import problem'],
+      ...rows.map(row => {
+        const values = JSON.parse(row.data);
+        return [...job.headers.map((_, i) => values[i] ?? ''), row.row_number, row.status, row.message];
+      }),
+    ];
+    return lines.map(line => line.map(value => this.csvValue(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  csvValue(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Delete an import and its rows (prospects it created stay)
+   */
+  delete(importId) {
+    const db = getDb();
+    db.transaction(() => {
+      db.prepare('DELETE FROM import_rows WHERE import_id = ?').run(importId);
+      db.prepare('DELETE FROM imports WHERE id = ?').run(importId);
+    })();
+  }
+}
+
+// Singleton instance
+const importService = new ImportService();
+
+export default importService;
@@ -0,0 +1,280 @@
+import { getDb } from '../db/init.js';
+import threadingService from './threading.js';
+
+// Lines that start the quoted part of a reply (everything from here down is the earlier message)
+const QUOTE_HEADERS = [
+  /^On .+wrote:\s*$/i,                         // Gmail / Apple Mail: "On Mon, Jan 5, 2026 at 9:00 AM Jane <jane@x.com> wrote:"
+  /^-{2,}\s*Original Message\s*-{2,}/i,          // Outlook (older)
+  /^_{10,}\s*$/,                                 // Outlook (web) separator
+  /^From:\s.+$/i,                                // Outlook header block ("From: ... Sent: ... To: ...")
+  /^Le .+a écrit\s*:\s*$/i,                      // French clients
+  /^Am .+schrieb .+:\s*$/i,                      // German clients
+];
+
+const MAX_SNIPPET = 140;
+
+/**
+ * Inbox Service - Threaded conversations per prospect (our emails and their replies)
+ *
+ * Outbound messages are campaigns; inbound ones are rows in inbound_messages, stored by the
+ * inbound webhook with the quoted text stripped and attachment metadata (never the files).
+ * Only inbound messages have a read/unread state.
+ */
+class InboxService {
+  /**
+   * Plain text from an HTML body (for replies that only came with HTML)
+   */
+  htmlToText(html) {
+    return (html || '')
+      .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|tr|li|blockquote)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Drop the quoted earlier message from a reply, keeping only what the sender wrote
+   */
+  stripQuotedText(text) {
+    const lines = (text || '').replace(/\r\n/g, '\n').split('\n');
+    const kept = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+
+      // Gmail wraps long "On ... wrote:" lines, so also try joining with the next line
+      const joined = `${line} ${(lines[i + 1] || '').trim()}`;
+      if (QUOTE_HEADERS.some(pattern => pattern.test(line) || (/^On /i.test(line) && pattern.test(joined)))) {
+        break;
+      }
+      if (line.startsWith('>')) continue;
+
+      kept.push(lines[i]);
+    }
+
+    const stripped = kept.join('\n').trim();
+    // Never strip a message down to nothing (e.g. a forward that is all quote)
+    return stripped || (text || '').trim();
+  }
+
+  /**
+   * Attachment metadata from SendGrid Inbound Parse's attachment-info field
+   * @returns {Array<{filename: string, type: string|null, contentId: string|null}>}
+   */
+  parseAttachments(attachmentInfo) {
+    if (!attachmentInfo) return [];
+
+    try {
+      const info = typeof attachmentInfo === 'string' ? JSON.parse(attachmentInfo) : attachmentInfo;
+      return Object.values(info).map(attachment => ({
+        filename: attachment.filename || attachment.name || 'attachment',
+        type: attachment.type || null,
+        contentId: attachment['content-id'] || null,
+      }));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Store an inbound reply
+   */
+  recordInbound({ prospectId, campaignId = null, from, to = null, subject, text, html, headers, attachmentInfo, matchedBy = null }) {
+    const db = getDb();
+    const body = text || this.htmlToText(html);
+    const fromEmail = from?.match(/<(.+)>/)?.[1] || from;
+    const fromName = from?.match(/^"?([^"<]+?)"?\s*</)?.[1] || null;
+
+    const result = db.prepare(`
+      INSERT INTO inbound_messages (
+        prospect_id, campaign_id, from_email, from_name, to_email, subject,
+        body_text, body_html, stripped_text, message_id, attachments, matched_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      prospectId, campaignId, fromEmail, fromName, to, subject,
+      body, html || null, this.stripQuotedText(body),
+      threadingService.getHeader(headers, 'Message-ID'),
+      JSON.stringify(this.parseAttachments(attachmentInfo)),
+      matchedBy
+    );
+
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Conversations (one per prospect with any email), latest activity first
+   * @param {Object} [filters]
+   * @param {number|string} [filters.ownerId] - User ID, or 'unassigned'
+   * @param {boolean} [filters.unreadOnly]
+   * @param {string} [filters.search] - Business name, email or subject
+   */
+  getConversations({ ownerId = null, unreadOnly = false, search = null, limit = 100 } = {}) {
+    const db = getDb();
+    const conditions = [];
+    const params = [];
+
+    if (ownerId === 'unassigned') {
+      conditions.push('p.owner_id IS NULL');
+    } else if (ownerId) {
+      conditions.push('p.owner_id = ?');
+      params.push(ownerId);
+    }
+
+    if (unreadOnly) {
+      conditions.push('c.unread_count > 0');
+    }
+
+    if (search) {
+      conditions.push('(p.business_name LIKE ? OR p.email LIKE ? OR c.last_subject LIKE ?)');
+      const searchTerm = `%${search}%`;
+      params.push(searchTerm, searchTerm, searchTerm);
+    }
+
+    const rows = db.prepare(`
+      WITH messages AS (
+        SELECT prospect_id, 'outbound' as direction, subject, body as text, COALESCE(sent_at, created_at) as at
+        FROM campaigns WHERE status NOT IN ('pending', 'awaiting_approval', 'approved', 'rejected')
+        UNION ALL
+        SELECT prospect_id, 'inbound' as direction, subject, COALESCE(stripped_text, body_text) as text, received_at as at
+        FROM inbound_messages
+      ),
+      c AS (
+        SELECT
+          m.prospect_id,
+          COUNT(*) as message_count,
+          MAX(datetime(m.at)) as last_message_at,
+          (SELECT COUNT(*) FROM inbound_messages i WHERE i.prospect_id = m.prospect_id AND i.read_at IS NULL) as unread_count,
+          (SELECT subject FROM messages l WHERE l.prospect_id = m.prospect_id ORDER BY datetime(l.at) DESC LIMIT 1) as last_subject,
+          (SELECT text FROM messages l WHERE l.prospect_id = m.prospect_id ORDER BY datetime(l.at) DESC LIMIT 1) as last_text,
+          (SELECT direction FROM messages l WHERE l.prospect_id = m.prospect_id ORDER BY datetime(l.at) DESC LIMIT 1) as last_direction
+        FROM messages m
+        GROUP BY m.prospect_id
+      )
+      SELECT c.*, p.business_name, p.email, p.stage, p.owner_id, u.name as owner_name
+      FROM c
+      JOIN prospects p ON p.id = c.prospect_id
+      LEFT JOIN users u ON p.owner_id = u.id
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY c.last_message_at DESC
+      LIMIT ?
+    `).all(...params, limit);
+
+    return rows.map(({ last_text, ...row }) => ({
+      ...row,
+      snippet: (last_text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_SNIPPET),
+    }));
+  }
+
+  /**
+   * Unread replies, optionally only on one owner's leads
+   */
+  getUnreadCount(ownerId = null) {
+    const db = getDb();
+    const row = ownerId
+      ? db.prepare(`
+          SELECT COUNT(*) as count FROM inbound_messages i
+          JOIN prospects p ON p.id = i.prospect_id
+          WHERE i.read_at IS NULL AND p.owner_id = ?
+        `).get(ownerId)
+      : db.prepare('SELECT COUNT(*) as count FROM inbound_messages WHERE read_at IS NULL').get();
+    return row.count;
+  }
+
+  /**
+   * Every email to and from a prospect, oldest first
+   */
+  getThread(prospectId) {
+    const db = getDb();
+
+    const outbound = db.prepare(`
+      SELECT c.*, u.name as sent_by_name
+      FROM campaigns c
+      LEFT JOIN users u ON c.sent_by = u.id
+      WHERE c.prospect_id = ? AND c.status NOT IN ('pending', 'awaiting_approval', 'approved', 'rejected')
+    `).all(prospectId).map(campaign => ({
+      id: `campaign-${campaign.id}`,
+      direction: 'outbound',
+      campaignId: campaign.id,
+      subject: campaign.subject,
+      body: campaign.body,
+      status: campaign.status,
+      sentBy: campaign.sent_by_name || null,
+      openedAt: campaign.opened_at,
+      clickedAt: campaign.clicked_at,
+      messageId: campaign.message_id,
+      at: campaign.sent_at || campaign.created_at,
+    }));
+
+    const inbound = db.prepare(`
+      SELECT * FROM inbound_messages WHERE prospect_id = ?
+    `).all(prospectId).map(message => ({
+      id: `inbound-${message.id}`,
+      direction: 'inbound',
+      inboundId: message.id,
+      campaignId: message.campaign_id,
+      from: message.from_name ? `${message.from_name} <${message.from_email}>` : message.from_email,
+      fromEmail: message.from_email,
+      subject: message.subject,
+      body: message.stripped_text || this.stripQuotedText(message.body_text),
+      fullBody: message.body_text,
+      hasQuotedText: (message.stripped_text || this.stripQuotedText(message.body_text)) !== (message.body_text || '').trim(),
+      attachments: JSON.parse(message.attachments || '[]'),
+      messageId: message.message_id,
+      isRead: !!message.read_at,
+      at: message.received_at,
+    }));
+
+    // Timestamps are to the second; on a tie the reply came first (we answered it)
+    return [...outbound, ...inbound].sort((a, b) =>
+      new Date(`${a.at}Z`) - new Date(`${b.at}Z`) || (a.direction === 'inbound' ? -1 : 1) - (b.direction === 'inbound' ? -1 : 1)
+    );
+  }
+
+  /**
+   * The latest inbound reply for a prospect (what a reply from the inbox answers by default)
+   */
+  getLatestInbound(prospectId) {
+    const db = getDb();
+    return db.prepare(`
+      SELECT * FROM inbound_messages WHERE prospect_id = ? ORDER BY datetime(received_at) DESC, id DESC LIMIT 1
+    `).get(prospectId) || null;
+  }
+
+  getInboundById(id) {
+    const db = getDb();
+    return db.prepare('SELECT * FROM inbound_messages WHERE id = ?').get(id) || null;
+  }
+
+  /**
+   * Mark all of a prospect's replies read
+   */
+  markConversationRead(prospectId, userId) {
+    const db = getDb();
+    return db.prepare(`
+      UPDATE inbound_messages SET read_at = CURRENT_TIMESTAMP, read_by = ? WHERE prospect_id = ? AND read_at IS NULL
+    `).run(userId, prospectId).changes;
+  }
+
+  /**
+   * Flip one reply's read state
+   */
+  setRead(id, isRead, userId) {
+    const db = getDb();
+    return isRead
+      ? db.prepare('UPDATE inbound_messages SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP), read_by = ? WHERE id = ?').run(userId, id).changes
+      : db.prepare('UPDATE inbound_messages SET read_at = NULL, read_by = NULL WHERE id = ?').run(id).changes;
+  }
+}
+
+// Singleton instance
+const inboxService = new InboxService();
+
+export default inboxService;
@@ -1,14 +1,45 @@
+import { AsyncLocalStorage } from 'async_hooks';
 import OpenAI from 'openai';
 import Anthropic from '@anthropic-ai/sdk';
 import { getDb } from '../db/init.js';
+import llmUsageService from './llmUsage.js';
+import { mockCompletion } from './llmFixtures.js';
+import { CLASSIFICATION_SCHEMA, parseAndValidate } from './llmSchemas.js';
+import promptService from './prompts.js';
 
-// LLM Service - Unified interface for OpenAI and Anthropic
+export const PROVIDERS = ['openai', 'anthropic', 'compatible', 'mock'];
+
+// What each LLM call is for; each can be sent to its own provider (agent_config llm_provider_<type>)
+export const PROMPT_TYPES = ['outreach', 'subject', 'followup', 'classify', 'analysis'];
+
+const MODELS = {
+  openai: 'gpt-4o-mini',
+  anthropic: 'claude-3-5-sonnet-20241022',
+  mock: 'mock',
+};
+
+// A provider that keeps failing is skipped for a while (vendor outage) instead of being retried on every call
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 10 * 1000;
+
+// Network errors worth retrying (no HTTP status); SDK error classes are matched by class name
+const RETRYABLE_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError'];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// LLM calls made while running an agent task (see trackCalls)
+const callTrail = new AsyncLocalStorage();
+
+// LLM Service - Unified interface for OpenAI, Anthropic, OpenAI-compatible servers and a mock provider
 class LLMService {
   constructor() {
     this.openai = null;
     this.anthropic = null;
+    this.compatible = null;
     this.defaultProvider = 'openai';
-    this.tokenUsage = { openai: 0, anthropic: 0 };
+    this.circuits = new Map();
   }
 
   initialize() {
@@ -32,8 +63,8 @@ class LLMService {
   }
 
   setProvider(provider) {
-    if (provider !== 'openai' && provider !== 'anthropic') {
-      throw new Error('Invalid provider. Use "openai" or "anthropic"');
+    if (!PROVIDERS.includes(provider)) {
+      throw new Error(`Invalid provider. Use one of: ${PROVIDERS.join(', ')}`);
     }
     this.defaultProvider = provider;
     
@@ -52,59 +83,456 @@ class LLMService {
     return this.defaultProvider;
   }
 
-  isConfigured() {
-    return !!(this.openai || this.anthropic);
+  /**
+   * Provider for a kind of call: its own setting if there is one, else the default provider
+   */
+  getProviderFor(promptType) {
+    if (promptType && PROMPT_TYPES.includes(promptType)) {
+      try {
+        const db = getDb();
+        const config = db.prepare('SELECT value FROM agent_config WHERE key = ?').get(`llm_provider_${promptType}`);
+        if (config?.value) {
+          return config.value;
+        }
+      } catch (e) {
+        // Table might not exist yet, use default
+      }
+    }
+    return this.defaultProvider;
+  }
+
+  /**
+   * Routing rule for a kind of call: primary provider/model and an optional fallback.
+   *   llm_provider_<type> / llm_model_<type>                   - primary (default provider and its model)
+   *   llm_fallback_<type> / llm_fallback_model_<type>          - fallback (else llm_fallback_provider)
+   * @returns {{primary: {provider: string, model: string|null}, fallback: {provider: string, model: string|null}|null}}
+   */
+  getRoute(promptType) {
+    let config = {};
+    try {
+      const db = getDb();
+      config = db.prepare(`SELECT key, value FROM agent_config WHERE key LIKE 'llm_%'`).all()
+        .reduce((acc, r) => ({ ...acc, [r.key]: r.value }), {});
+    } catch (e) {
+      // Table might not exist yet, use defaults
+    }
+
+    const type = PROMPT_TYPES.includes(promptType) ? promptType : null;
+    const primary = {
+      provider: (type && config[`llm_provider_${type}`]) || this.defaultProvider,
+      model: (type && config[`llm_model_${type}`]) || null,
+    };
+    const fallbackProvider = (type && config[`llm_fallback_${type}`]) || config.llm_fallback_provider || null;
+    const fallback = fallbackProvider
+      ? { provider: fallbackProvider, model: (type && config[`llm_fallback_model_${type}`]) || null }
+      : null;
+
+    // A fallback identical to the primary would only repeat the same failure
+    const sameAsPrimary = fallback?.provider === primary.provider
+      && (fallback.model || this.getModel(fallback.provider)) === (primary.model || this.getModel(primary.provider));
+
+    return { primary, fallback: sameAsPrimary ? null : fallback };
+  }
+
+  /**
+   * Timeout and retry settings (agent_config llm_timeout_seconds, llm_max_retries)
+   */
+  getResilienceConfig() {
+    let config = {};
+    try {
+      const db = getDb();
+      config = db.prepare(`
+        SELECT key, value FROM agent_config WHERE key IN ('llm_timeout_seconds', 'llm_max_retries')
+      `).all().reduce((acc, r) => ({ ...acc, [r.key]: r.value }), {});
+    } catch (e) {
+      // Table might not exist yet, use defaults
+    }
+
+    const timeoutSeconds = parseInt(config.llm_timeout_seconds);
+    const maxRetries = parseInt(config.llm_max_retries);
+    return {
+      timeoutMs: (timeoutSeconds > 0 ? timeoutSeconds : 60) * 1000,
+      maxRetries: maxRetries >= 0 ? Math.min(maxRetries, 5) : 2,
+    };
+  }
+
+  /**
+   * Settings for the OpenAI-compatible provider (Ollama, llama.cpp server, vLLM, ...).
+   * Base URL and model come from agent_config, falling back to the environment; the key is env-only.
+   */
+  getCompatibleConfig() {
+    let config = {};
+    try {
+      const db = getDb();
+      config = db.prepare(`
+        SELECT key, value FROM agent_config WHERE key IN ('llm_compatible_base_url', 'llm_compatible_model')
+      `).all().reduce((acc, r) => ({ ...acc, [r.key]: r.value }), {});
+    } catch (e) {
+      // Table might not exist yet, use the environment
+    }
+
+    return {
+      baseUrl: config.llm_compatible_base_url || process.env.OPENAI_COMPATIBLE_BASE_URL || null,
+      model: config.llm_compatible_model || process.env.OPENAI_COMPATIBLE_MODEL || null,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || null,
+    };
+  }
+
+  /**
+   * OpenAI SDK client for the compatible provider (rebuilt when the base URL changes)
+   */
+  getCompatibleClient() {
+    const { baseUrl, model, apiKey } = this.getCompatibleConfig();
+    if (!baseUrl || !model) {
+      return null;
+    }
+
+    if (this.compatible?.baseUrl !== baseUrl) {
+      this.compatible = {
+        baseUrl,
+        // Local servers usually ignore the key, but the SDK requires one
+        client: new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: baseUrl }),
+      };
+    }
+
+    return { client: this.compatible.client, model };
+  }
+
+  getModel(provider) {
+    return provider === 'compatible' ? this.getCompatibleConfig().model : MODELS[provider] || null;
+  }
+
+  /**
+   * True when a real provider is set up, or the mock provider is in use.
+   * With a prompt type: whether the provider that kind of call goes to is available.
+   */
+  isConfigured(promptType = null) {
+    if (promptType) {
+      return this.getAvailableProviders().includes(this.getProviderFor(promptType));
+    }
+    return this.getAvailableProviders().some(provider => provider !== 'mock')
+      || this.defaultProvider === 'mock';
   }
 
   getAvailableProviders() {
     const providers = [];
     if (this.openai) providers.push('openai');
     if (this.anthropic) providers.push('anthropic');
+    if (this.getCompatibleClient()) providers.push('compatible');
+    providers.push('mock');
     return providers;
   }
 
   /**
-   * Generate text completion using configured LLM
+   * Generate text completion using configured LLM.
+   * Goes to the prompt type's primary provider, retrying rate limits (429), server errors (5xx),
+   * timeouts and connection errors with backoff, then to its fallback provider. Providers whose
+   * circuit is open (too many failures in a row) are skipped.
    * @param {Object} options
    * @param {string} options.prompt - The prompt to send
    * @param {string} options.systemPrompt - System instructions
-   * @param {string} [options.provider] - Override default provider
+   * @param {string} [options.provider] - Override the routing rule (no fallback)
    * @param {number} [options.maxTokens] - Max tokens in response
    * @param {number} [options.temperature] - Temperature (0-1)
-   * @returns {Promise<{text: string, usage: object, provider: string}>}
+   * @param {string} [options.promptType] - What the call is for (outreach, subject, followup, classify, analysis), for routing and cost accounting
+   * @param {string} [options.agentType] - Agent the call is made for
+   * @param {number} [options.prospectId] - Prospect the call is about
+   * @param {boolean} [options.cache] - Reuse an earlier response to the exact same prompt
+   * @returns {Promise<{text: string, usage: object, provider: string, model: string, cost: number, cached: boolean, fallbackUsed: boolean, attempts: Array}>}
+   * @throws {Error} with code 'LLM_BUDGET_EXCEEDED' once the daily or monthly budget is spent,
+   *   or 'LLM_UNAVAILABLE' (with .attempts) when every provider failed
    */
-  async complete({ prompt, systemPrompt, provider, maxTokens = 1000, temperature = 0.7 }) {
-    const useProvider = provider || this.defaultProvider;
-    
-    if (useProvider === 'openai') {
-      return this.completeOpenAI({ prompt, systemPrompt, maxTokens, temperature });
-    } else if (useProvider === 'anthropic') {
-      return this.completeAnthropic({ prompt, systemPrompt, maxTokens, temperature });
+  async complete({
+    prompt, systemPrompt, provider, maxTokens = 1000, temperature = 0.7,
+    promptType = null, agentType = null, prospectId = null, cache = false,
+  }) {
+    const meta = { promptType, agentType, prospectId };
+
+    const cacheKey = cache ? llmUsageService.getCacheKey({ promptType, systemPrompt, prompt }) : null;
+    if (cacheKey) {
+      const cached = llmUsageService.getCached(cacheKey);
+      if (cached) {
+        llmUsageService.record({ ...meta, provider: cached.provider, model: cached.model, cached: true });
+        this.trail({ promptType, provider: cached.provider, model: cached.model, cached: true, attempts: [] });
+        return { ...cached, cost: 0, cached: true, fallbackUsed: false, attempts: [] };
+      }
     }
-    
-    throw new Error(`Provider ${useProvider} not available`);
+
+    const budget = llmUsageService.checkBudget();
+    if (!budget.allowed) {
+      const error = new Error(budget.message);
+      error.code = 'LLM_BUDGET_EXCEEDED';
+      throw error;
+    }
+
+    const route = provider ? { primary: { provider, model: null }, fallback: null } : this.getRoute(promptType);
+    const candidates = [route.primary, route.fallback].filter(Boolean);
+    const { timeoutMs, maxRetries } = this.getResilienceConfig();
+    const attempts = [];
+    let lastError = null;
+
+    for (const [index, candidate] of candidates.entries()) {
+      const model = candidate.model || this.getModel(candidate.provider);
+
+      if (this.isCircuitOpen(candidate.provider)) {
+        attempts.push({ provider: candidate.provider, model, skipped: 'circuit_open' });
+        continue;
+      }
+
+      for (let retry = 0; retry <= maxRetries; retry++) {
+        const startedAt = Date.now();
+        try {
+          const result = await this.callProvider(candidate.provider, {
+            prompt, systemPrompt, maxTokens, temperature, promptType, model: candidate.model, timeoutMs,
+          });
+          const latencyMs = Date.now() - startedAt;
+          attempts.push({ provider: result.provider, model: result.model, ok: true, latencyMs });
+          this.recordCircuitSuccess(candidate.provider);
+
+          const cost = llmUsageService.record({ ...meta, provider: result.provider, model: result.model, usage: result.usage, latencyMs });
+          if (cacheKey) {
+            llmUsageService.setCached(cacheKey, { promptType, result, cost });
+          }
+
+          const fallbackUsed = index > 0;
+          this.trail({ promptType, provider: result.provider, model: result.model, cost, fallbackUsed, attempts });
+          return { ...result, cost, cached: false, fallbackUsed, attempts };
+        } catch (error) {
+          const latencyMs = Date.now() - startedAt;
+          const retryable = this.isRetryable(error);
+          lastError = error;
+          attempts.push({ provider: candidate.provider, model, ok: false, status: error.status || null, error: error.message, latencyMs });
+          llmUsageService.record({ ...meta, provider: candidate.provider, model, latencyMs, error: error.message });
+
+          if (!retryable) break;
+          if (retry === maxRetries) {
+            this.recordCircuitFailure(candidate.provider);
+            break;
+          }
+
+          const delay = this.getRetryDelay(error, retry);
+          console.warn(`⚠️ LLM ${candidate.provider} ${error.status || error.constructor?.name || 'error'} for ${promptType || 'completion'}, retrying in ${delay}ms`);
+          await sleep(delay);
+        }
+      }
+    }
+
+    const error = new Error(lastError
+      ? `LLM call failed (${attempts.map(a => a.provider).filter((p, i, all) => all.indexOf(p) === i).join(' → ')}): ${lastError.message}`
+      : 'LLM call failed: every provider is temporarily disabled after repeated errors');
+    error.code = 'LLM_UNAVAILABLE';
+    error.attempts = attempts;
+    this.trail({ promptType, failed: true, error: error.message, attempts });
+    throw error;
+  }
+
+  /**
+   * Send one request to a provider
+   */
+  async callProvider(provider, { prompt, systemPrompt, maxTokens, temperature, promptType, model, timeoutMs }) {
+    if (provider === 'openai') {
+      return this.completeOpenAI({ prompt, systemPrompt, maxTokens, temperature, model, timeoutMs });
+    } else if (provider === 'anthropic') {
+      return this.completeAnthropic({ prompt, systemPrompt, maxTokens, temperature, model, timeoutMs });
+    } else if (provider === 'compatible') {
+      return this.completeCompatible({ prompt, systemPrompt, maxTokens, temperature, model, timeoutMs });
+    } else if (provider === 'mock') {
+      return this.completeMock({ prompt, systemPrompt, promptType });
+    }
+
+    throw new Error(`Provider ${provider} not available`);
+  }
+
+  /**
+   * Completion that must be JSON matching a schema (see llmSchemas.js).
+   * An invalid response is recorded in llm_invalid_outputs and the model is asked again with
+   * the validation errors, up to maxAttempts times.
+   * @param {Object} options - Same as complete(), plus:
+   * @param {Object} options.schema - Schema the response must match
+   * @param {number} [options.maxAttempts] - Total attempts, including re-prompts
+   * @returns {Promise<Object>} complete()'s result plus `data` (the validated, coerced object) and `repairs`
+   * @throws {Error} with code 'LLM_INVALID_OUTPUT' (and .errors, .output) when no attempt was valid
+   */
+  async completeJson({ schema, maxAttempts = 2, ...options }) {
+    const invalidIds = [];
+    let prompt = options.prompt;
+    let result;
+    let errors;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      // Only the original prompt is cached; re-prompts always go to the model
+      result = await this.complete({ ...options, prompt, cache: options.cache && attempt === 1 });
+      const validation = parseAndValidate(schema, result.text);
+      errors = validation.errors;
+
+      if (errors.length === 0) {
+        llmUsageService.markRepaired(invalidIds);
+        return { ...result, data: validation.value, repairs: attempt - 1 };
+      }
+
+      console.warn(`⚠️ Invalid ${options.promptType || 'JSON'} response from ${result.provider} (attempt ${attempt}): ${errors.join('; ')}`);
+      invalidIds.push(llmUsageService.recordInvalidOutput({
+        promptType: options.promptType,
+        agentType: options.agentType,
+        prospectId: options.prospectId,
+        provider: result.provider,
+        model: result.model,
+        output: result.text,
+        errors,
+        attempt,
+      }));
+      if (options.cache) {
+        llmUsageService.uncache(llmUsageService.getCacheKey(options));
+      }
+
+      prompt = `${options.prompt}
+
+Your previous answer could not be used:
+${result.text}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Answer again with ONLY the corrected JSON, no additional text.`;
+    }
+
+    const error = new Error(`Invalid ${options.promptType || 'JSON'} response after ${maxAttempts} attempts: ${errors.join('; ')}`);
+    error.code = 'LLM_INVALID_OUTPUT';
+    error.errors = errors;
+    error.output = result.text;
+    throw error;
+  }
+
+  // ============================================
+  // RETRIES & CIRCUIT BREAKER
+  // ============================================
+
+  /**
+   * Rate limits, server errors, timeouts and dropped connections are worth another try
+   */
+  isRetryable(error) {
+    if (error.status) {
+      return error.status === 429 || error.status >= 500;
+    }
+    return RETRYABLE_ERROR_NAMES.includes(error.constructor?.name)
+      || RETRYABLE_ERROR_CODES.includes(error.code || error.cause?.code);
+  }
+
+  /**
+   * Backoff before the next retry: the provider's Retry-After if it sent one, else exponential
+   */
+  getRetryDelay(error, retry) {
+    const retryAfter = parseFloat(error.headers?.get?.('retry-after') ?? error.headers?.['retry-after']);
+    const delay = retryAfter > 0 ? retryAfter * 1000 : 500 * 2 ** retry;
+    return Math.min(delay, MAX_BACKOFF_MS);
   }
 
-  async completeOpenAI({ prompt, systemPrompt, maxTokens, temperature }) {
+  /**
+   * Open: skip the provider until the cooldown has passed, then let one call through to test it
+   */
+  isCircuitOpen(provider, now = Date.now()) {
+    const circuit = this.circuits.get(provider);
+    return !!circuit?.openUntil && circuit.openUntil > now;
+  }
+
+  recordCircuitSuccess(provider) {
+    this.circuits.delete(provider);
+  }
+
+  recordCircuitFailure(provider, now = Date.now()) {
+    const circuit = this.circuits.get(provider) || { failures: 0, openUntil: null };
+    circuit.failures++;
+
+    if (circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+      circuit.openUntil = now + CIRCUIT_COOLDOWN_MS;
+      console.warn(`🔌 LLM provider ${provider} disabled for ${CIRCUIT_COOLDOWN_MS / 1000}s after ${circuit.failures} failed calls`);
+    }
+
+    this.circuits.set(provider, circuit);
+  }
+
+  /**
+   * Circuit state per provider (for the stats API)
+   */
+  getCircuitStatus(now = Date.now()) {
+    return Object.fromEntries([...this.circuits.entries()].map(([provider, circuit]) => [provider, {
+      failures: circuit.failures,
+      open: !!circuit.openUntil && circuit.openUntil > now,
+      openUntil: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null,
+    }]));
+  }
+
+  // ============================================
+  // CALL TRAIL
+  // ============================================
+
+  /**
+   * Run fn and collect the LLM calls it makes (provider, model, attempts, fallback), for agent task results
+   * @returns {Promise<{result: any, llmCalls: Array}>}
+   * @throws the error fn throws, with .llmCalls attached
+   */
+  async trackCalls(fn) {
+    const llmCalls = [];
+    try {
+      const result = await callTrail.run(llmCalls, fn);
+      return { result, llmCalls };
+    } catch (error) {
+      error.llmCalls = llmCalls;
+      throw error;
+    }
+  }
+
+  trail(call) {
+    callTrail.getStore()?.push(call);
+  }
+
+  /**
+   * Whether the LLM budget still has room (agents fall back to templates when it doesn't)
+   */
+  checkBudget() {
+    return llmUsageService.checkBudget();
+  }
+
+  async completeOpenAI({ prompt, systemPrompt, maxTokens, temperature, model, timeoutMs }) {
     if (!this.openai) {
       throw new Error('OpenAI not configured. Set OPENAI_API_KEY in .env');
     }
 
+    return this.completeChat(this.openai, {
+      provider: 'openai', model: model || MODELS.openai, prompt, systemPrompt, maxTokens, temperature, timeoutMs,
+    });
+  }
+
+  async completeCompatible({ prompt, systemPrompt, maxTokens, temperature, model, timeoutMs }) {
+    const compatible = this.getCompatibleClient();
+    if (!compatible) {
+      throw new Error('OpenAI-compatible provider not configured. Set its base URL and model in AI Agents → Configuration (or OPENAI_COMPATIBLE_BASE_URL and OPENAI_COMPATIBLE_MODEL in .env)');
+    }
+
+    return this.completeChat(compatible.client, {
+      provider: 'compatible', model: model || compatible.model, prompt, systemPrompt, maxTokens, temperature, timeoutMs,
+    });
+  }
+
+  /**
+   * Chat completion through the OpenAI SDK (OpenAI itself or any server speaking its API)
+   */
+  async completeChat(client, { provider, model, prompt, systemPrompt, maxTokens, temperature, timeoutMs }) {
     const messages = [];
     if (systemPrompt) {
       messages.push({ role: 'system', content: systemPrompt });
     }
     messages.push({ role: 'user', content: prompt });
 
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    // Retries are handled in complete(), not by the SDK
+    const response = await client.chat.completions.create({
+      model,
       messages,
       max_tokens: maxTokens,
       temperature,
-    });
+    }, { timeout: timeoutMs, maxRetries: 0 });
 
     const usage = response.usage || {};
-    this.tokenUsage.openai += usage.total_tokens || 0;
 
     return {
       text: response.choices[0]?.message?.content || '',
@@ -113,25 +541,26 @@ class LLMService {
         completionTokens: usage.completion_tokens,
         totalTokens: usage.total_tokens,
       },
-      provider: 'openai',
+      provider,
+      model,
     };
   }
 
-  async completeAnthropic({ prompt, systemPrompt, maxTokens, temperature }) {
+  async completeAnthropic({ prompt, systemPrompt, maxTokens, temperature, model, timeoutMs }) {
     if (!this.anthropic) {
       throw new Error('Anthropic not configured. Set ANTHROPIC_API_KEY in .env');
     }
 
+    const useModel = model || MODELS.anthropic;
     const response = await this.anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
+      model: useModel,
       max_tokens: maxTokens,
       system: systemPrompt || 'You are a helpful assistant.',
       messages: [{ role: 'user', content: prompt }],
       temperature,
-    });
+    }, { timeout: timeoutMs, maxRetries: 0 });
 
     const usage = response.usage || {};
-    this.tokenUsage.anthropic += (usage.input_tokens || 0) + (usage.output_tokens || 0);
 
     return {
       text: response.content[0]?.text || '',
@@ -141,6 +570,23 @@ class LLMService {
         totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0),
       },
       provider: 'anthropic',
+      model: useModel,
+    };
+  }
+
+  /**
+   * Fixture response, no network (token counts are estimated at ~4 characters per token)
+   */
+  completeMock({ prompt, systemPrompt, promptType }) {
+    const text = mockCompletion({ promptType, prompt, systemPrompt });
+    const promptTokens = Math.ceil(((systemPrompt || '').length + prompt.length) / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+
+    return {
+      text,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      provider: 'mock',
+      model: MODELS.mock,
     };
   }
 
@@ -149,73 +595,55 @@ class LLMService {
    * @param {object} options
    * @param {object} options.prospect - The prospect data
    * @param {object} [options.template] - Optional email template
+   * @param {object} [options.contact] - The contact the email goes to
    * @param {object} [options.context] - Additional context
    * @param {object} [options.websiteAnalysis] - Website analysis from Firecrawl
+   * @param {object} [options.pinnedVersions] - Prompt versions to use instead of the active ones (prompt key → version)
+   * @returns {Promise<object>} complete()'s result plus promptVersions (prompt key → version used)
    */
-  async generateOutreachEmail({ prospect, template, context = {}, websiteAnalysis = null }) {
-    // Build intelligent context from all available data
-    const businessContext = this.buildBusinessContext(prospect, websiteAnalysis);
-    
-    const systemPrompt = `You are Anthony, founder of CloudHack — a boutique AI & data consulting firm that helps businesses unlock operational efficiency through intelligent automation and data infrastructure.
-
-YOUR VOICE & TONE:
-- Sound like a curious founder who genuinely noticed something interesting about their business
-- Direct, confident, but never pushy or salesy
-- Write like you're texting a smart colleague, not writing marketing copy
-- Short sentences. No fluff. Every word earns its place.
-- NEVER use phrases like: "I hope this finds you well", "reaching out", "touching base", "circle back", "synergies"
-
-CLOUDHACK'S HIGH-VALUE OFFERINGS (pick the 1-2 most relevant to this business):
-1. **AI-Powered Workflow Automation** — Eliminate repetitive tasks, reduce labor costs 40-60%, free teams for strategic work
-2. **Predictive Analytics & Forecasting** — Dynamic demand forecasting, inventory optimization, data-driven budgeting that adapts in real-time
-3. **Manufacturing & Operations Intelligence** — Process optimization, predictive maintenance, quality control automation, supply chain visibility
-4. **Data Infrastructure & BI** — Build the analytics backbone: data warehouses, dashboards, self-serve reporting that actually gets used
-5. **AI-Enhanced Decision Support** — From M&A due diligence to market analysis, augment executive decisions with AI-processed insights
-6. **Customer Intelligence Systems** — Churn prediction, lifetime value optimization, personalized engagement at scale
-
-STRATEGIC APPROACH:
-- Lead with a specific observation about THEIR business (use the data provided)
-- Connect that observation to a tangible outcome (cost savings, revenue, time)
-- Make them curious about what's possible, don't pitch features
-- End with ONE low-friction ask (15-min call, not a sales meeting)
+  async generateOutreachEmail({ prospect, template, contact = null, context = {}, websiteAnalysis = null, agentType = 'outreach', pinnedVersions = {} }) {
+    const promptVersions = { ...pinnedVersions };
+    const sender = promptService.getSender(prospect);
 
-EMAIL STRUCTURE:
-- Opening: Reference something specific you noticed (1-2 sentences)
-- Insight: Share a relevant pattern or opportunity (2-3 sentences)  
-- Proof point: Brief example or outcome if natural (1 sentence, optional)
-- Ask: Single, specific call to action (1 sentence)
-- Keep total under 150 words — busy executives skim`;
-
-    const prompt = `Write a highly personalized cold email for this prospect. Use the business intelligence below to craft something that feels researched, not templated.
-
-===== BUSINESS INTELLIGENCE =====
-${businessContext}
-
-===== TASK =====
-${template ? `Reference this template for tone/structure, but make it highly specific:\n${template.body}\n` : ''}
-${context.followUpNumber ? `This is follow-up #${context.followUpNumber}. Be more direct, reference that you reached out before.` : ''}
-
-Based on their industry, size indicators, and any analysis data:
-1. Identify the SINGLE most compelling angle for this specific business
-2. Write an email that makes them think "this person actually understands my business"
-3. Focus on outcomes (cost savings, efficiency gains, competitive advantage) not features
-
-Return ONLY the email body. Start with a personalized greeting using their name or business name.`;
-
-    const result = await this.complete({ prompt, systemPrompt, temperature: 0.8 });
-    return result;
+    // Build intelligent context from all available data
+    const businessContext = this.buildBusinessContext(prospect, websiteAnalysis, promptVersions, contact);
+
+    const systemPrompt = promptService.render('outreach_system', sender, promptVersions);
+    const prompt = promptService.render('outreach_prompt', {
+      ...sender,
+      business_context: businessContext,
+      template_instructions: template ? `Reference this template for tone/structure, but make it highly specific:\n${template.body}\n` : '',
+      followup_instructions: context.followUpNumber ? `This is follow-up #${context.followUpNumber}. Be more direct, reference that you reached out before.` : '',
+    }, promptVersions);
+
+    const result = await this.complete({
+      prompt,
+      systemPrompt,
+      temperature: 0.8,
+      promptType: 'outreach',
+      agentType,
+      prospectId: prospect.id,
+    });
+    return { ...result, promptVersions };
   }
 
   /**
    * Build rich business context from all available data
    */
-  buildBusinessContext(prospect, websiteAnalysis) {
+  buildBusinessContext(prospect, websiteAnalysis, promptVersions = {}, contact = null) {
     const parts = [];
     
     // Core business info
     parts.push(`BUSINESS: ${prospect.business_name}`);
     parts.push(`INDUSTRY: ${prospect.category || 'Unknown'}`);
     parts.push(`LOCATION: ${prospect.city ? `${prospect.city}, ${prospect.state}` : 'Unknown'}`);
+
+    // Who it's addressed to
+    if (contact?.name) {
+      parts.push(`RECIPIENT: ${contact.name}${contact.title ? ` (${contact.title})` : ''} - greet them by first name`);
+    } else if (contact) {
+      parts.push(`RECIPIENT: The business's shared inbox (${contact.email}) - no name to greet`);
+    }
     
     // Size & reputation indicators
     if (prospect.rating || prospect.review_count) {
@@ -263,7 +691,7 @@ Return ONLY the email body. Start with a personalized greeting using their name
     }
     
     // Industry-specific insights
-    const industryInsights = this.getIndustryInsights(prospect.category);
+    const industryInsights = this.getIndustryInsights(prospect.category, promptVersions);
     if (industryInsights) {
       parts.push(`\n----- INDUSTRY CONTEXT -----`);
       parts.push(industryInsights);
@@ -273,98 +701,56 @@ Return ONLY the email body. Start with a personalized greeting using their name
   }
 
   /**
-   * Get industry-specific pain points and opportunities
+   * Get industry-specific pain points and opportunities (the industry_insights prompt:
+   * the first [keyword|keyword] section matching the category, else [default])
    */
-  getIndustryInsights(category) {
+  getIndustryInsights(category, promptVersions = {}) {
     if (!category) return null;
-    
-    const categoryLower = category.toLowerCase();
-    
-    const industryMap = {
-      'restaurant|food|dining|cafe|bar': `
-Common pain points: Labor costs (30-35% of revenue), food waste, inconsistent demand forecasting, thin margins (3-5%)
-AI opportunities: Demand forecasting to optimize staffing/inventory, automated scheduling, waste reduction through predictive ordering
-Typical ROI: 15-25% reduction in food waste, 10-20% labor cost optimization`,
-      
-      'retail|shop|store|boutique': `
-Common pain points: Inventory management, demand forecasting, customer retention, omnichannel complexity
-AI opportunities: Predictive inventory, personalized marketing automation, customer lifetime value optimization, dynamic pricing
-Typical ROI: 20-30% inventory cost reduction, 15-25% increase in repeat purchases`,
-      
-      'manufacturing|industrial|factory|production': `
-Common pain points: Downtime costs ($260K/hr avg), quality control, supply chain visibility, skilled labor shortage
-AI opportunities: Predictive maintenance, automated QC, demand-driven production scheduling, digital twin simulations
-Typical ROI: 25-40% reduction in unplanned downtime, 20-35% quality improvement`,
-      
-      'healthcare|medical|clinic|dental|health': `
-Common pain points: Administrative burden (30% of costs), scheduling inefficiency, patient no-shows, compliance documentation
-AI opportunities: Automated scheduling/reminders, clinical documentation, patient flow optimization, predictive staffing
-Typical ROI: 20-30% reduction in no-shows, 25-40% admin time savings`,
-      
-      'professional services|consulting|legal|accounting|agency': `
-Common pain points: Utilization rates, project profitability tracking, knowledge management, proposal generation
-AI opportunities: Resource optimization, automated reporting, AI-assisted research/analysis, intelligent document processing
-Typical ROI: 15-25% improvement in utilization, 30-50% faster proposal/report generation`,
-      
-      'real estate|property|realty': `
-Common pain points: Lead qualification, market analysis time, property valuation accuracy, transaction coordination
-AI opportunities: Predictive lead scoring, automated market comps, AI-powered valuations, transaction workflow automation
-Typical ROI: 40-60% reduction in lead qualification time, 20-30% faster closings`,
-      
-      'fitness|gym|wellness|spa|salon': `
-Common pain points: Member retention (avg 50% annual churn), scheduling gaps, personalization at scale
-AI opportunities: Churn prediction, dynamic scheduling optimization, personalized engagement sequences, demand forecasting
-Typical ROI: 15-25% improvement in retention, 20-30% better capacity utilization`,
-      
-      'automotive|car|auto|repair|dealership': `
-Common pain points: Service scheduling, parts inventory, customer follow-up, technician utilization
-AI opportunities: Predictive maintenance recommendations, inventory optimization, automated service reminders, dynamic pricing
-Typical ROI: 20-30% parts inventory optimization, 25-35% improvement in service bay utilization`,
-      
-      'construction|contractor|builder|plumbing|electric': `
-Common pain points: Project estimation accuracy, scheduling complexity, material waste, cash flow management
-AI opportunities: AI-powered estimation, resource/schedule optimization, material forecasting, automated progress tracking
-Typical ROI: 15-25% improvement in estimate accuracy, 20-30% reduction in material waste`,
-    };
-    
-    for (const [pattern, insights] of Object.entries(industryMap)) {
-      if (new RegExp(pattern, 'i').test(categoryLower)) {
-        return insights;
+
+    const sections = promptService.getSections('industry_insights', {}, promptVersions);
+
+    for (const { header, text } of sections) {
+      if (header === 'default') continue;
+      try {
+        if (new RegExp(header, 'i').test(category)) {
+          return text;
+        }
+      } catch (e) {
+        // Not a valid pattern, skip it
       }
     }
-    
-    return `General opportunity: Most businesses in this category underutilize their data. Common wins include workflow automation (20-40% time savings), predictive analytics for demand/inventory, and customer intelligence systems.`;
+
+    return sections.find(section => section.header === 'default')?.text || null;
   }
 
   /**
    * Generate an email subject line
+   * @param {object} [options.promptVersions] - Filled with the prompt versions used
+   * @param {string} [options.strategy] - Extra instruction for this subject line (e.g. from an experiment)
    */
-  async generateSubjectLine({ prospect, emailBody }) {
-    const systemPrompt = `You generate subject lines that busy executives actually open. 
-You avoid anything that sounds like marketing or sales spam.
-Your subject lines sound like they're from a peer or colleague, not a vendor.`;
-    
-    const prompt = `Generate a subject line for this cold email to ${prospect.business_name} (${prospect.category || 'business'}):
-
-Email preview:
-${emailBody.substring(0, 400)}...
-
-REQUIREMENTS:
-- Under 45 characters (will get cut off on mobile otherwise)
-- Sound like a human, not a marketer
-- Reference their business/industry specifically if possible
-- Create genuine curiosity OR offer concrete value
-- AVOID: "Quick question", "Opportunity", "Partnership", emojis, ALL CAPS, excessive punctuation
-
-GOOD EXAMPLES:
-- "re: ${prospect.business_name} operations"
-- "idea for reducing [specific pain point]"
-- "[Industry] data insight"
-- "noticed something about ${prospect.business_name}"
-
-Return ONLY the subject line text, nothing else.`;
+  async generateSubjectLine({ prospect, emailBody, agentType = 'outreach', promptVersions = {}, strategy = '' }) {
+    const sender = promptService.getSender(prospect);
+    const systemPrompt = promptService.render('subject_system', sender, promptVersions);
+    let prompt = promptService.render('subject_prompt', {
+      ...sender,
+      business_name: prospect.business_name,
+      category: prospect.category || 'business',
+      email_preview: emailBody.substring(0, 400),
+    }, promptVersions);
+
+    if (strategy?.trim()) {
+      prompt += `\n\nSTRATEGY FOR THIS SUBJECT LINE: ${strategy.trim()}`;
+    }
 
-    const result = await this.complete({ prompt, systemPrompt, maxTokens: 50, temperature: 0.7 });
+    const result = await this.complete({
+      prompt,
+      systemPrompt,
+      maxTokens: 50,
+      temperature: 0.7,
+      promptType: 'subject',
+      agentType,
+      prospectId: prospect.id,
+    });
     return result.text.trim().replace(/^["']|["']$/g, '').replace(/^Subject:\s*/i, '');
   }
 
@@ -372,106 +758,84 @@ Return ONLY the subject line text, nothing else.`;
    * Classify an email response from a prospect
    */
   async classifyResponse({ responseText, prospect, conversationHistory = [] }) {
-    const systemPrompt = `You are an expert at analyzing sales email responses. Classify the prospect's intent accurately.`;
-
-    const prompt = `Analyze this email response from a prospect and classify their intent:
-
-Business: ${prospect.business_name}
-Response:
-"${responseText}"
-
-${conversationHistory.length > 0 ? `Previous conversation:\n${conversationHistory.join('\n---\n')}` : ''}
-
-Classify the response into ONE of these categories:
-1. INTERESTED - They want to learn more, schedule a call, or discuss further
-2. NOT_INTERESTED - They declined, unsubscribed, or asked to stop contact
-3. QUESTION - They have a question but haven't committed either way
-4. MEETING_REQUEST - They explicitly want to schedule a meeting/call
-5. OUT_OF_OFFICE - Auto-reply or temporary unavailability
-6. UNCLEAR - Can't determine intent
-
-Also provide:
-- A confidence score (0-100)
-- A brief summary of their response
-- Suggested next action
-
-Return your analysis as JSON:
-{
-  "classification": "CATEGORY",
-  "confidence": 85,
-  "summary": "Brief summary",
-  "suggestedAction": "What to do next",
-  "sentiment": "positive/neutral/negative"
-}`;
-
-    const result = await this.complete({ prompt, systemPrompt, temperature: 0.3 });
-    
+    const promptVersions = {};
+    const sender = promptService.getSender(prospect);
+    const systemPrompt = promptService.render('classify_system', sender, promptVersions);
+    const prompt = promptService.render('classify_prompt', {
+      ...sender,
+      business_name: prospect.business_name,
+      response_text: responseText,
+      conversation_history: conversationHistory.length > 0 ? `Previous conversation:\n${conversationHistory.join('\n---\n')}` : '',
+    }, promptVersions);
+
     try {
-      // Extract JSON from response
-      const jsonMatch = result.text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-    } catch (e) {
-      console.error('Failed to parse classification response:', e);
+      const result = await this.completeJson({
+        prompt,
+        systemPrompt,
+        temperature: 0.3,
+        promptType: 'classify',
+        agentType: 'response_classifier',
+        prospectId: prospect.id,
+        schema: CLASSIFICATION_SCHEMA,
+      });
+      return { ...result.data, promptVersions };
+    } catch (error) {
+      if (error.code !== 'LLM_INVALID_OUTPUT') throw error;
+
+      // Never act on a guess: leave the reply for a person (UNCLEAR changes no stage)
+      return {
+        classification: 'UNCLEAR',
+        confidence: 0,
+        summary: 'The AI returned an unreadable classification, so this reply needs a manual look',
+        suggestedAction: 'Manual review required',
+        sentiment: 'neutral',
+        invalidOutput: error.errors,
+        promptVersions,
+      };
     }
-    
-    return {
-      classification: 'UNCLEAR',
-      confidence: 0,
-      summary: 'Failed to classify response',
-      suggestedAction: 'Manual review required',
-      sentiment: 'neutral',
-    };
   }
 
   /**
    * Generate a follow-up email based on context
+   * @returns {Promise<object>} complete()'s result plus promptVersions (prompt key → version used)
    */
   async generateFollowUp({ prospect, previousEmails, followUpNumber }) {
-    const systemPrompt = `You are Anthony from CloudHack. You write follow-ups that add NEW value — never just "bumping" or "checking in."
-
-Each follow-up should:
-- Bring a fresh insight, example, or angle they haven't seen
-- Be even shorter than the original (busy people appreciate brevity)
-- Feel like you're sharing something useful, not asking for something
-- Never guilt-trip or use passive aggressive language`;
-
-    const industryInsights = this.getIndustryInsights(prospect.category);
-
-    const prompt = `Write follow-up #${followUpNumber} for ${prospect.business_name} (${prospect.category || 'business'}) who hasn't responded.
-
-PREVIOUS OUTREACH:
-${previousEmails.map((e, i) => `Email ${i + 1}: ${e.subject || 'No subject'}\n${e.body?.substring(0, 150)}...`).join('\n\n')}
-
-INDUSTRY CONTEXT:
-${industryInsights || 'General business'}
-
-FOLLOW-UP STRATEGY:
-${followUpNumber === 1 ? `
-- Very short (under 50 words)
-- Add ONE new data point or insight relevant to their industry
-- Don't reference "my last email" — just deliver value
-- Example angle: Share a quick stat about their industry + offer to discuss` : ''}
-${followUpNumber === 2 ? `
-- Medium length (under 75 words)  
-- Different angle than before — maybe a case study snippet or specific use case
-- Slight urgency: "working with a few [industry] businesses this quarter"
-- Make the ask even more specific` : ''}
-${followUpNumber >= 3 ? `
-- Final email — be direct but gracious (under 60 words)
-- "Closing the loop" energy — you're moving on, door stays open
-- No desperation, just professional closure
-- Leave them with one compelling thought` : ''}
-
-Return ONLY the email body. Start with their name or a casual greeting.`;
-
-    const result = await this.complete({ prompt, systemPrompt, temperature: 0.8 });
-    return result;
+    const promptVersions = {};
+    const sender = promptService.getSender(prospect);
+    const systemPrompt = promptService.render('followup_system', sender, promptVersions);
+
+    const industryInsights = this.getIndustryInsights(prospect.category, promptVersions);
+
+    // The section for this follow-up number, or the last one for anything later
+    const strategies = promptService.getSections('followup_strategies', sender, promptVersions);
+    const strategy = strategies.find(section => parseInt(section.header) === followUpNumber) || strategies[strategies.length - 1];
+
+    const prompt = promptService.render('followup_prompt', {
+      ...sender,
+      followup_number: followUpNumber,
+      business_name: prospect.business_name,
+      category: prospect.category || 'business',
+      previous_emails: previousEmails.map((e, i) => `Email ${i + 1}: ${e.subject || 'No subject'}\n${e.body?.substring(0, 150)}...`).join('\n\n'),
+      industry_insights: industryInsights || 'General business',
+      followup_strategy: strategy?.text || '',
+    }, promptVersions);
+
+    const result = await this.complete({
+      prompt,
+      systemPrompt,
+      temperature: 0.8,
+      promptType: 'followup',
+      agentType: 'followup',
+      prospectId: prospect.id,
+    });
+    return { ...result, promptVersions };
   }
 
+  /**
+   * Tokens used per provider (from the call log, so it survives restarts)
+   */
   getTokenUsage() {
-    return this.tokenUsage;
+    return { openai: 0, anthropic: 0, ...llmUsageService.getTokensByProvider() };
   }
 }
 
@@ -0,0 +1,127 @@
+import fs from 'fs';
+
+/**
+ * Fixture responses for the "mock" LLM provider (tests and demos).
+ * The same prompt always gets the same response, and no request leaves the server.
+ * LLM_MOCK_FIXTURES can point at a JSON file of { promptType: responseText } to override these.
+ */
+
+// Pull the business name out of the prompts built in llm.js
+function businessName(prompt) {
+  return prompt.match(/BUSINESS: (.+)/)?.[1]
+    || prompt.match(/(?:follow-up #\d+ for|cold email to) (.+?) \(/)?.[1]
+    || prompt.match(/Business: (.+)/)?.[1]
+    || prompt.match(/- Name: (.+)/)?.[1]
+    || 'your business';
+}
+
+// Who to sign as (the sender from the system prompt built from the prompt library)
+function signer(systemPrompt) {
+  return systemPrompt?.match(/Sign off as (.+)/)?.[1].trim()
+    || systemPrompt?.match(/^You are ([^,]+?)(?:,| from )/)?.[1]
+    || 'Anthony';
+}
+
+// Classify on keywords in the reply (mirrors the categories the real prompt asks for)
+function classify(prompt) {
+  const reply = (prompt.match(/Response:\n"([\s\S]*?)"\n/)?.[1] || '').toLowerCase();
+  const rules = [
+    [/out of (the )?office|on vacation|auto-?reply/, 'OUT_OF_OFFICE', 'neutral', 'Try again after they are back'],
+    [/not interested|unsubscribe|remove me|stop (emailing|contacting)|no thanks/, 'NOT_INTERESTED', 'negative', 'Stop outreach'],
+    [/meet|call|calendar|schedule|available (on|at)/, 'MEETING_REQUEST', 'positive', 'Book the meeting'],
+    [/\?/, 'QUESTION', 'neutral', 'Answer their question'],
+    [/interest|sounds good|tell me more|learn more/, 'INTERESTED', 'positive', 'Send more details and suggest a call'],
+  ];
+  const [, classification, sentiment, suggestedAction] = rules.find(([pattern]) => pattern.test(reply))
+    || [null, 'UNCLEAR', 'neutral', 'Manual review required'];
+
+  return JSON.stringify({
+    classification,
+    confidence: classification === 'UNCLEAR' ? 40 : 90,
+    summary: `Mock classification of: "${reply.slice(0, 80)}"`,
+    suggestedAction,
+    sentiment,
+  });
+}
+
+const DEFAULT_FIXTURES = {
+  outreach: (prompt, systemPrompt) => `Hi ${businessName(prompt)} team,
+
+I was looking at how businesses like yours handle scheduling and reporting, and there's usually a few hours a week to win back with some light automation.
+
+We've helped similar teams cut that work in half without changing the tools they already use.
+
+Worth a 15-minute call next week to see if it applies to you?
+
+${signer(systemPrompt)}`,
+
+  subject: (prompt) => `idea for ${businessName(prompt)}`,
+
+  followup: (prompt, systemPrompt) => `Hi ${businessName(prompt)} team,
+
+One more thought: most of the time savings we see come from automating the reporting nobody enjoys doing.
+
+Happy to share a quick example if it's useful.
+
+${signer(systemPrompt)}`,
+
+  classify,
+
+  analysis: (prompt) => JSON.stringify({
+    overallScore: 6,
+    summary: `${businessName(prompt)} has a working website with room to automate bookings and follow-ups.`,
+    opportunities: [
+      {
+        type: 'automation',
+        title: 'Online booking',
+        description: 'Let customers book without calling, with automatic reminders.',
+        impact: 'high',
+        complexity: 'low',
+      },
+      {
+        type: 'chatbot',
+        title: 'FAQ assistant',
+        description: 'Answer common questions on the site around the clock.',
+        impact: 'medium',
+        complexity: 'low',
+      },
+    ],
+    strengths: ['Clear contact information'],
+    weaknesses: ['No online booking', 'No way to ask questions after hours'],
+    recommendedPitch: 'Automate bookings and reminders so staff spend less time on the phone.',
+  }),
+};
+
+let fileFixtures;
+
+/**
+ * Fixtures from LLM_MOCK_FIXTURES (read once)
+ */
+function loadFileFixtures() {
+  if (fileFixtures === undefined) {
+    fileFixtures = {};
+    if (process.env.LLM_MOCK_FIXTURES) {
+      try {
+        fileFixtures = JSON.parse(fs.readFileSync(process.env.LLM_MOCK_FIXTURES, 'utf8'));
+      } catch (error) {
+        console.error(`Failed to load LLM_MOCK_FIXTURES (${process.env.LLM_MOCK_FIXTURES}):`, error.message);
+      }
+    }
+  }
+  return fileFixtures;
+}
+
+/**
+ * The mock provider's response to a prompt
+ * @param {Object} options
+ * @param {string} [options.promptType] - outreach, subject, followup, classify or analysis
+ * @param {string} options.prompt
+ * @param {string} [options.systemPrompt]
+ * @returns {string}
+ */
+export function mockCompletion({ promptType, prompt, systemPrompt }) {
+  const fixture = loadFileFixtures()[promptType] ?? DEFAULT_FIXTURES[promptType];
+  if (typeof fixture === 'function') return fixture(prompt, systemPrompt);
+  if (typeof fixture === 'string') return fixture;
+  return `Mock response (${promptType || 'unknown prompt type'})`;
+}
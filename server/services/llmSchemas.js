@@ -0,0 +1,189 @@
+/**
+ * Schemas for the LLM prompts that answer in JSON, and the parser/validator for their responses.
+ *
+ * A schema is a plain object:
+ *   { type: 'object', properties: { name: schema } }
+ *   { type: 'array', items: schema, maxItems }
+ *   { type: 'string' } / { type: 'number', min, max, integer } / { type: 'enum', values }
+ * Any field can set `default` (used when the value is missing) - fields without one are required.
+ * Validation coerces what is clearly meant ("85" or "85%" → 85, 0.85 → 85 on a 0-100 scale,
+ * "meeting request" → MEETING_REQUEST) and reports everything else as an error.
+ */
+
+export const CLASSIFICATIONS = ['INTERESTED', 'NOT_INTERESTED', 'QUESTION', 'MEETING_REQUEST', 'OUT_OF_OFFICE', 'UNCLEAR'];
+
+export const OPPORTUNITY_TYPES = ['chatbot', 'automation', 'analytics', 'website', 'cloud', 'ai'];
+
+const LEVELS = ['high', 'medium', 'low'];
+
+// Reply classification (llmService.classifyResponse)
+export const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    classification: { type: 'enum', values: CLASSIFICATIONS },
+    confidence: { type: 'number', min: 0, max: 100, integer: true },
+    summary: { type: 'string' },
+    suggestedAction: { type: 'string', default: '' },
+    sentiment: { type: 'enum', values: ['positive', 'neutral', 'negative'], default: 'neutral' },
+  },
+};
+
+// Website analysis (firecrawlService.analyzeForAIOpportunities)
+export const WEBSITE_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    overallScore: { type: 'number', min: 1, max: 10, integer: true },
+    summary: { type: 'string' },
+    opportunities: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'enum', values: OPPORTUNITY_TYPES },
+          title: { type: 'string' },
+          description: { type: 'string', default: '' },
+          impact: { type: 'enum', values: LEVELS, default: 'medium' },
+          complexity: { type: 'enum', values: LEVELS, default: 'medium' },
+        },
+      },
+    },
+    strengths: { type: 'array', items: { type: 'string' }, default: [] },
+    weaknesses: { type: 'array', items: { type: 'string' }, default: [] },
+    recommendedPitch: { type: 'string', default: '' },
+  },
+};
+
+/**
+ * The JSON object in a model response (bare, in a ```json fence, or surrounded by prose)
+ * @throws {Error} when there is no complete, parseable object
+ */
+export function parseJsonResponse(text) {
+  const source = (text || '').replace(/```(?:json)?/gi, '');
+  const start = source.indexOf('{');
+  if (start === -1) {
+    throw new Error('Response contains no JSON object');
+  }
+
+  // Walk to the brace that closes the first object, skipping braces inside strings
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      try {
+        return JSON.parse(source.slice(start, i + 1));
+      } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+      }
+    }
+  }
+
+  throw new Error('JSON object is incomplete (response cut off?)');
+}
+
+function coerce(schema, value, path, errors) {
+  const label = path || 'response';
+
+  if (value === undefined || value === null || value === '') {
+    if (schema.default !== undefined) return schema.default;
+    errors.push(`${label}: is required`);
+    return undefined;
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${label}: must be an object`);
+        return undefined;
+      }
+      return Object.fromEntries(Object.entries(schema.properties).map(([key, property]) => [
+        key,
+        coerce(property, value[key], path ? `${path}.${key}` : key, errors),
+      ]));
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`${label}: must be an array`);
+        return undefined;
+      }
+      return value
+        .slice(0, schema.maxItems || value.length)
+        .map((item, index) => coerce(schema.items, item, `${label}[${index}]`, errors));
+    }
+
+    case 'string': {
+      if (typeof value === 'object') {
+        errors.push(`${label}: must be text`);
+        return undefined;
+      }
+      return String(value).trim();
+    }
+
+    case 'number': {
+      let number = typeof value === 'number' ? value : parseFloat(String(value).replace('%', ''));
+      if (!Number.isFinite(number)) {
+        errors.push(`${label}: must be a number from ${schema.min} to ${schema.max}`);
+        return undefined;
+      }
+      // A 0-1 fraction on a 0-100 scale (e.g. confidence 0.85)
+      if (schema.max === 100 && number > 0 && number < 1) {
+        number *= 100;
+      }
+      if (schema.integer) {
+        number = Math.round(number);
+      }
+      if (number < schema.min || number > schema.max) {
+        errors.push(`${label}: ${value} is outside ${schema.min}-${schema.max}`);
+        return undefined;
+      }
+      return number;
+    }
+
+    case 'enum': {
+      const upper = schema.values[0] === schema.values[0].toUpperCase();
+      const normalized = String(value).trim().replace(/[\s-]+/g, '_');
+      const match = upper ? normalized.toUpperCase() : normalized.toLowerCase();
+      if (!schema.values.includes(match)) {
+        errors.push(`${label}: "${value}" is not one of ${schema.values.join(', ')}`);
+        return undefined;
+      }
+      return match;
+    }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate and coerce a parsed response against a schema
+ * @returns {{value: any, errors: string[]}}
+ */
+export function validate(schema, value) {
+  const errors = [];
+  const coerced = coerce(schema, value, '', errors);
+  return { value: coerced, errors };
+}
+
+/**
+ * Parse and validate a model response in one step
+ * @returns {{value: any, errors: string[]}}
+ */
+export function parseAndValidate(schema, text) {
+  let parsed;
+  try {
+    parsed = parseJsonResponse(text);
+  } catch (error) {
+    return { value: null, errors: [error.message] };
+  }
+  return validate(schema, parsed);
+}
@@ -0,0 +1,312 @@
+import crypto from 'crypto';
+import { getDb } from '../db/init.js';
+import sendWindowService from './sendWindow.js';
+import throttleService from './throttle.js';
+
+// USD per million tokens [input, output]. Models not listed are logged at no cost.
+export const MODEL_PRICING = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'claude-3-5-sonnet-20241022': [3, 15],
+  'claude-3-5-haiku-20241022': [0.8, 4],
+};
+
+// How long a cached response stays valid
+const CACHE_TTL_DAYS = 30;
+
+/**
+ * Format a Date the way SQLite's CURRENT_TIMESTAMP does
+ */
+function toSqlDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * LLM Usage Service - Per-call logging, cost estimates, budget caps and a response cache
+ *
+ * Every completion is written to llm_calls with what it was for (prompt type, agent, prospect),
+ * its token counts, latency and estimated cost. Daily and monthly budgets (agent_config
+ * llm_daily_budget / llm_monthly_budget, USD, 0 = no limit) are checked against that log;
+ * once one is spent, the agents fall back to templates until the period rolls over.
+ */
+class LLMUsageService {
+  /**
+   * Estimated cost (USD) of a call
+   */
+  estimateCost(model, promptTokens = 0, completionTokens = 0) {
+    const pricing = MODEL_PRICING[model];
+    if (!pricing) return 0;
+    return (promptTokens * pricing[0] + completionTokens * pricing[1]) / 1000000;
+  }
+
+  /**
+   * Log a completion (or a failed attempt, or a cache hit)
+   */
+  record({
+    provider, model = null, promptType = null, agentType = null, prospectId = null,
+    usage = {}, latencyMs = null, cached = false, error = null,
+  }) {
+    const db = getDb();
+    const cost = cached ? 0 : this.estimateCost(model, usage.promptTokens || 0, usage.completionTokens || 0);
+
+    db.prepare(`
+      INSERT INTO llm_calls (
+        provider, model, prompt_type, agent_type, prospect_id,
+        prompt_tokens, completion_tokens, total_tokens, latency_ms, cost, cached, success, error
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      provider, model, promptType, agentType, prospectId,
+      usage.promptTokens || 0, usage.completionTokens || 0, usage.totalTokens || 0,
+      latencyMs, cost, cached ? 1 : 0, error ? 0 : 1, error
+    );
+
+    return cost;
+  }
+
+  // ============================================
+  // BUDGETS
+  // ============================================
+
+  /**
+   * Load budget settings from agent_config
+   */
+  getConfig() {
+    const db = getDb();
+    const rows = db.prepare(`SELECT key, value FROM agent_config WHERE key IN ('llm_daily_budget', 'llm_monthly_budget')`).all();
+    const config = rows.reduce((acc, r) => ({ ...acc, [r.key]: r.value }), {});
+    const toBudget = (value) => {
+      const n = parseFloat(value);
+      return Number.isFinite(n) && n > 0 ? n : 0;
+    };
+
+    return {
+      dailyBudget: toBudget(config.llm_daily_budget),
+      monthlyBudget: toBudget(config.llm_monthly_budget),
+      timezone: sendWindowService.getConfig().timezone,
+    };
+  }
+
+  /**
+   * Start of the current local month in the workspace timezone
+   */
+  getMonthStart(now, timezone) {
+    const p = sendWindowService.getZonedParts(now, timezone);
+    return sendWindowService.zonedTimeToDate({ year: p.year, month: p.month, day: 1, hour: 0, minute: 0 }, timezone);
+  }
+
+  /**
+   * Spend since a point in time
+   */
+  getSpendSince(since) {
+    const db = getDb();
+    return db.prepare(`
+      SELECT COALESCE(SUM(cost), 0) as cost, COUNT(*) as calls, COALESCE(SUM(total_tokens), 0) as tokens
+      FROM llm_calls WHERE created_at >= ?
+    `).get(toSqlDate(since));
+  }
+
+  /**
+   * Whether another LLM call fits in today's and this month's budget
+   * @returns {{allowed: boolean, reason?: string, message?: string}}
+   */
+  checkBudget(now = new Date()) {
+    const config = this.getConfig();
+
+    if (config.dailyBudget) {
+      const { start } = throttleService.getDayBounds(now, config.timezone);
+      if (this.getSpendSince(start).cost >= config.dailyBudget) {
+        return { allowed: false, reason: 'daily_budget', message: `Daily LLM budget of $${config.dailyBudget.toFixed(2)} reached` };
+      }
+    }
+
+    if (config.monthlyBudget) {
+      if (this.getSpendSince(this.getMonthStart(now, config.timezone)).cost >= config.monthlyBudget) {
+        return { allowed: false, reason: 'monthly_budget', message: `Monthly LLM budget of $${config.monthlyBudget.toFixed(2)} reached` };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  // ============================================
+  // CACHE
+  // ============================================
+
+  /**
+   * Cache key for a prompt (the same content always hashes the same)
+   */
+  getCacheKey({ promptType, systemPrompt, prompt }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([promptType || '', systemPrompt || '', prompt]))
+      .digest('hex');
+  }
+
+  /**
+   * Cached response for a key, if it is still fresh
+   */
+  getCached(cacheKey) {
+    const db = getDb();
+    const row = db.prepare(`
+      SELECT * FROM llm_cache WHERE cache_key = ? AND created_at >= datetime('now', ?)
+    `).get(cacheKey, `-${CACHE_TTL_DAYS} days`);
+
+    if (!row) return null;
+
+    db.prepare(`
+      UPDATE llm_cache SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP WHERE cache_key = ?
+    `).run(cacheKey);
+
+    return { ...JSON.parse(row.response), cost: row.cost };
+  }
+
+  setCached(cacheKey, { promptType, result, cost }) {
+    const db = getDb();
+    db.prepare(`
+      INSERT OR REPLACE INTO llm_cache (cache_key, prompt_type, provider, model, response, cost)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(cacheKey, promptType, result.provider, result.model || null, JSON.stringify(result), cost);
+  }
+
+  /**
+   * Remove cache entries past their TTL
+   */
+  cleanupCache() {
+    const db = getDb();
+    return db.prepare(`DELETE FROM llm_cache WHERE created_at < datetime('now', ?)`).run(`-${CACHE_TTL_DAYS} days`).changes;
+  }
+
+  /**
+   * Drop a cached response (it turned out to be unusable)
+   */
+  uncache(cacheKey) {
+    const db = getDb();
+    db.prepare('DELETE FROM llm_cache WHERE cache_key = ?').run(cacheKey);
+  }
+
+  // ============================================
+  // INVALID OUTPUTS
+  // ============================================
+
+  /**
+   * Keep a JSON response that failed its schema, with what was wrong
+   * @returns {number} Row ID
+   */
+  recordInvalidOutput({ promptType = null, agentType = null, prospectId = null, provider, model = null, output, errors, attempt = 1 }) {
+    const db = getDb();
+    return db.prepare(`
+      INSERT INTO llm_invalid_outputs (prompt_type, agent_type, prospect_id, provider, model, output, errors, attempt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(promptType, agentType, prospectId, provider, model, output, JSON.stringify(errors), attempt).lastInsertRowid;
+  }
+
+  /**
+   * Flag invalid outputs whose re-prompt came back valid
+   */
+  markRepaired(ids) {
+    if (ids.length === 0) return;
+    const db = getDb();
+    db.prepare(`UPDATE llm_invalid_outputs SET repaired = 1 WHERE id IN (${ids.map(() => '?').join(', ')})`).run(...ids);
+  }
+
+  /**
+   * Latest invalid outputs, newest first
+   */
+  getInvalidOutputs({ promptType = null, limit = 50 } = {}) {
+    const db = getDb();
+    return db.prepare(`
+      SELECT o.*, p.business_name
+      FROM llm_invalid_outputs o
+      LEFT JOIN prospects p ON p.id = o.prospect_id
+      ${promptType ? 'WHERE o.prompt_type = ?' : ''}
+      ORDER BY o.created_at DESC, o.id DESC
+      LIMIT ?
+    `).all(...(promptType ? [promptType] : []), limit).map(row => ({
+      ...row,
+      errors: JSON.parse(row.errors || '[]'),
+      repaired: !!row.repaired,
+    }));
+  }
+
+  // ============================================
+  // STATS
+  // ============================================
+
+  /**
+   * Total tokens per provider (all time)
+   */
+  getTokensByProvider() {
+    const db = getDb();
+    return db.prepare(`
+      SELECT provider, COALESCE(SUM(total_tokens), 0) as tokens FROM llm_calls WHERE cached = 0 GROUP BY provider
+    `).all().reduce((acc, r) => ({ ...acc, [r.provider]: r.tokens }), {});
+  }
+
+  /**
+   * Spend for the stats API: today, this month, budgets, and breakdowns per agent, prompt type and prospect
+   */
+  getSummary(now = new Date()) {
+    const db = getDb();
+    const config = this.getConfig();
+    const { start: dayStart } = throttleService.getDayBounds(now, config.timezone);
+    const monthStart = this.getMonthStart(now, config.timezone);
+
+    const byAgent = db.prepare(`
+      SELECT COALESCE(agent_type, 'other') as agent_type, COUNT(*) as calls,
+        COALESCE(SUM(total_tokens), 0) as tokens, COALESCE(SUM(cost), 0) as cost
+      FROM llm_calls WHERE created_at >= ?
+      GROUP BY COALESCE(agent_type, 'other')
+      ORDER BY cost DESC
+    `).all(toSqlDate(monthStart));
+
+    const byPromptType = db.prepare(`
+      SELECT COALESCE(prompt_type, 'other') as prompt_type, COUNT(*) as calls,
+        COALESCE(SUM(total_tokens), 0) as tokens, COALESCE(SUM(cost), 0) as cost,
+        ROUND(AVG(latency_ms)) as avg_latency_ms
+      FROM llm_calls WHERE created_at >= ?
+      GROUP BY COALESCE(prompt_type, 'other')
+      ORDER BY cost DESC
+    `).all(toSqlDate(monthStart));
+
+    const byProspect = db.prepare(`
+      SELECT l.prospect_id, p.business_name, COUNT(*) as calls,
+        COALESCE(SUM(l.total_tokens), 0) as tokens, COALESCE(SUM(l.cost), 0) as cost
+      FROM llm_calls l
+      JOIN prospects p ON p.id = l.prospect_id
+      GROUP BY l.prospect_id
+      ORDER BY cost DESC
+      LIMIT 20
+    `).all();
+
+    const cache = db.prepare(`
+      SELECT COALESCE(SUM(hits), 0) as hits, COALESCE(SUM(hits * cost), 0) as saved FROM llm_cache
+    `).get();
+
+    const invalidOutputs = db.prepare(`
+      SELECT COUNT(*) as count, COALESCE(SUM(repaired), 0) as repaired FROM llm_invalid_outputs WHERE created_at >= ?
+    `).get(toSqlDate(monthStart));
+
+    return {
+      today: this.getSpendSince(dayStart),
+      month: this.getSpendSince(monthStart),
+      budgets: {
+        daily: config.dailyBudget || null,
+        monthly: config.monthlyBudget || null,
+        ...this.checkBudget(now),
+      },
+      byAgent,
+      byPromptType,
+      byProspect,
+      cache,
+      invalidOutputs: {
+        ...invalidOutputs,
+        recent: this.getInvalidOutputs({ limit: 5 }),
+      },
+    };
+  }
+}
+
+// Singleton instance
+const llmUsageService = new LLMUsageService();
+
+export default llmUsageService;
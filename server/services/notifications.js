@@ -2,75 +2,105 @@ import { getDb } from '../db/init.js';
 
 /**
  * Notification Service - Manages user notifications
+ *
+ * Notifications about a prospect go to the prospect's owner. Notifications with
+ * no recipient (unowned prospects, system notices) are shown to the whole team.
  */
 class NotificationService {
   /**
    * Create a new notification
+   * @param {number} [options.userId] - Recipient; defaults to the prospect's owner
    */
-  create({ type, title, message, prospectId = null, actionUrl = null }) {
+  create({ type, title, message, prospectId = null, actionUrl = null, userId = undefined }) {
     const db = getDb();
+
+    if (userId === undefined) {
+      const prospect = prospectId ? db.prepare('SELECT owner_id FROM prospects WHERE id = ?').get(prospectId) : null;
+      userId = prospect?.owner_id || null;
+    }
     
     const result = db.prepare(`
-      INSERT INTO notifications (type, title, message, prospect_id, action_url)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(type, title, message, prospectId, actionUrl);
+      INSERT INTO notifications (type, title, message, prospect_id, action_url, user_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(type, title, message, prospectId, actionUrl, userId);
 
     return result.lastInsertRowid;
   }
 
   /**
-   * Get all notifications (optionally unread only)
+   * Get a user's notifications (their own plus team-wide ones), optionally unread only
    */
-  getAll(unreadOnly = false, limit = 50) {
+  getAll(userId, unreadOnly = false, limit = 50) {
     const db = getDb();
     
     const query = unreadOnly
       ? `SELECT n.*, p.business_name 
          FROM notifications n 
          LEFT JOIN prospects p ON n.prospect_id = p.id 
-         WHERE n.is_read = 0 
+         WHERE n.is_read = 0 AND (n.user_id = ? OR n.user_id IS NULL)
          ORDER BY n.created_at DESC 
          LIMIT ?`
       : `SELECT n.*, p.business_name 
          FROM notifications n 
          LEFT JOIN prospects p ON n.prospect_id = p.id 
+         WHERE n.user_id = ? OR n.user_id IS NULL
          ORDER BY n.created_at DESC 
          LIMIT ?`;
 
-    return db.prepare(query).all(limit);
+    return db.prepare(query).all(userId, limit);
   }
 
   /**
-   * Get unread count
+   * Get a user's unread count
    */
-  getUnreadCount() {
+  getUnreadCount(userId) {
     const db = getDb();
-    const result = db.prepare(`SELECT COUNT(*) as count FROM notifications WHERE is_read = 0`).get();
+    const result = db.prepare(`
+      SELECT COUNT(*) as count FROM notifications WHERE is_read = 0 AND (user_id = ? OR user_id IS NULL)
+    `).get(userId);
     return result.count;
   }
 
   /**
    * Mark notification as read
    */
-  markAsRead(notificationId) {
+  markAsRead(notificationId, userId) {
     const db = getDb();
-    db.prepare(`UPDATE notifications SET is_read = 1 WHERE id = ?`).run(notificationId);
+    db.prepare(`
+      UPDATE notifications SET is_read = 1 WHERE id = ? AND (user_id = ? OR user_id IS NULL)
+    `).run(notificationId, userId);
   }
 
   /**
-   * Mark all notifications as read
+   * Mark all of a user's notifications as read
    */
-  markAllAsRead() {
+  markAllAsRead(userId) {
     const db = getDb();
-    db.prepare(`UPDATE notifications SET is_read = 1 WHERE is_read = 0`).run();
+    db.prepare(`
+      UPDATE notifications SET is_read = 1 WHERE is_read = 0 AND (user_id = ? OR user_id IS NULL)
+    `).run(userId);
   }
 
   /**
    * Delete a notification
    */
-  delete(notificationId) {
+  delete(notificationId, userId) {
+    const db = getDb();
+    db.prepare(`DELETE FROM notifications WHERE id = ? AND (user_id = ? OR user_id IS NULL)`).run(notificationId, userId);
+  }
+
+  /**
+   * Hand a prospect's unread notifications to its new owner
+   * (stale "lead assigned" notices for the previous owner are dropped)
+   */
+  reassignForProspect(prospectId, userId) {
     const db = getDb();
-    db.prepare(`DELETE FROM notifications WHERE id = ?`).run(notificationId);
+    db.prepare(`
+      DELETE FROM notifications WHERE prospect_id = ? AND type = 'lead_assigned' AND is_read = 0
+    `).run(prospectId);
+    db.prepare(`
+      UPDATE notifications SET user_id = ? WHERE prospect_id = ? AND is_read = 0
+    `).run(userId, prospectId);
   }
 
   /**
@@ -0,0 +1,485 @@
+import { EventEmitter } from 'events';
+import { getDb } from '../db/init.js';
+
+// Colors a stage can have (the client has a class for each)
+export const STAGE_COLORS = ['gray', 'blue', 'cyan', 'teal', 'violet', 'indigo', 'pink', 'amber', 'orange', 'emerald', 'red'];
+
+// Stage names older versions of the board saved
+export const LEGACY_STAGES = {
+  meeting: 'meeting_scheduled',
+  proposal: 'proposal_sent',
+};
+
+const ACTOR_LABELS = {
+  outreach: 'Outreach Agent',
+  followup: 'Follow-up Agent',
+  response_classifier: 'Response Agent',
+  stage_manager: 'Stage Agent',
+};
+
+/**
+ * Pipeline Service - The pipelines, their stages and the only code that changes prospects.stage
+ *
+ * Admins define pipelines (pipelines + pipeline_stages): ordered stages with a color, a win probability
+ * (0-100, for the revenue forecast), won/lost flags and the stages each can move to (NULL = any). A prospect is in one pipeline (prospects.pipeline_id,
+ * NULL = the default one) and prospects.stage is a stage key in it.
+ *
+ * Every change goes through transition(): it is checked against the stage's transitions (admins can
+ * override with a reason), run past the before() hooks, saved with an activity and a stage_changes
+ * row, and then emitted as a 'stage_changed' event to the after() hooks:
+ *   { prospect, pipeline, stage, from, to, actor, userId, reason, forced }
+ * stage is the stage entered; actor is 'user', 'webhook' or the agent's name.
+ *
+ * The agents move prospects by key (contacted, responded, meeting_scheduled), so a pipeline's
+ * prospects only move automatically into stages with those keys; 'won' and 'lost' also find the
+ * stages flagged as won and lost.
+ */
+class PipelineService extends EventEmitter {
+  constructor() {
+    super();
+    this.beforeHooks = [];
+  }
+
+  parseStage(row) {
+    let transitions = null;
+    try {
+      transitions = row.transitions ? JSON.parse(row.transitions) : null;
+    } catch (e) {
+      transitions = null;
+    }
+    return { ...row, is_won: !!row.is_won, is_lost: !!row.is_lost, transitions };
+  }
+
+  /**
+   * A pipeline's stages in board order (the default pipeline's when no ID is given)
+   */
+  getStages(pipelineId = null) {
+    const db = getDb();
+    const id = pipelineId || this.getDefaultPipeline()?.id;
+    return db.prepare(`
+      SELECT * FROM pipeline_stages WHERE pipeline_id = ? ORDER BY position ASC
+    `).all(id).map(row => this.parseStage(row));
+  }
+
+  /**
+   * Every pipeline with its stages and how many prospects it has
+   */
+  getPipelines() {
+    const db = getDb();
+    return db.prepare(`
+      SELECT pl.*,
+        (SELECT COUNT(*) FROM prospects p
+         WHERE COALESCE(p.pipeline_id, (SELECT id FROM pipelines WHERE is_default = 1)) = pl.id) as prospect_count
+      FROM pipelines pl
+      ORDER BY pl.is_default DESC, pl.name ASC
+    `).all().map(row => ({ ...row, is_default: !!row.is_default, stages: this.getStages(row.id) }));
+  }
+
+  getPipeline(id) {
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM pipelines WHERE id = ?').get(id);
+    return row ? { ...row, is_default: !!row.is_default, stages: this.getStages(row.id) } : null;
+  }
+
+  getDefaultPipeline() {
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM pipelines ORDER BY is_default DESC, id ASC LIMIT 1').get();
+    return row ? this.getPipeline(row.id) : null;
+  }
+
+  /**
+   * The pipeline a prospect is in
+   */
+  getPipelineFor(prospect) {
+    return (prospect.pipeline_id && this.getPipeline(prospect.pipeline_id)) || this.getDefaultPipeline();
+  }
+
+  /**
+   * A stage of a pipeline by key ('won' and 'lost' fall back to the stages flagged as such)
+   */
+  findStage(pipeline, key) {
+    const wanted = LEGACY_STAGES[key] || key;
+    return pipeline.stages.find(stage => stage.key === wanted)
+      || (wanted === 'won' && pipeline.stages.find(stage => stage.is_won))
+      || (wanted === 'lost' && pipeline.stages.find(stage => stage.is_lost))
+      || null;
+  }
+
+  isStage(key, pipelineId = null) {
+    return this.getStages(pipelineId).some(stage => stage.key === key);
+  }
+
+  /**
+   * Whether the rules allow a move (a prospect in a stage that no longer exists can go anywhere)
+   */
+  canTransition(fromStage, toKey) {
+    return !fromStage || !fromStage.transitions || fromStage.transitions.includes(toKey);
+  }
+
+  /**
+   * Whether a prospect hasn't reached a stage of its pipeline yet (false when the pipeline doesn't have it)
+   */
+  isBefore(prospectOrId, key) {
+    const prospect = this.getProspect(prospectOrId);
+    if (!prospect) return false;
+
+    const pipeline = this.getPipelineFor(prospect);
+    const target = this.findStage(pipeline, key);
+    const current = pipeline.stages.find(stage => stage.key === prospect.stage);
+    return !!target && (!current || current.position < target.position);
+  }
+
+  /**
+   * Run a check before every stage change; return a message to refuse it
+   * @param {function(Object): string|null|undefined} hook - Gets the change (see the class comment)
+   */
+  before(hook) {
+    this.beforeHooks.push(hook);
+  }
+
+  /**
+   * Run something after every stage change
+   * @param {function(Object): void} hook - Gets the change (see the class comment)
+   */
+  after(hook) {
+    this.on('stage_changed', hook);
+  }
+
+  /**
+   * Move a prospect to another stage
+   * @param {Object|number} prospectOrId
+   * @param {string} toStage
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who made the change: 'user', 'webhook' or an agent's name
+   * @param {number} [options.userId] - The user, when a person made it
+   * @param {string} [options.reason] - Why (shown in the activity; required to override)
+   * @param {boolean} [options.force] - Skip the transition rules (admin override)
+   * @returns {{success: boolean, changed: boolean, previousStage: string, newStage: string, message: string}}
+   */
+  transition(prospectOrId, toStage, { actor = 'user', userId = null, reason = null, force = false } = {}) {
+    const prospect = this.getProspect(prospectOrId);
+
+    if (!prospect) {
+      return { success: false, changed: false, message: 'Prospect not found' };
+    }
+    const pipeline = this.getPipelineFor(prospect);
+    const stage = this.findStage(pipeline, toStage);
+    const from = prospect.stage;
+    const to = stage?.key || toStage;
+    const result = { previousStage: from, newStage: to };
+
+    if (!stage) {
+      return { ...result, success: false, changed: false, message: `Unknown stage "${toStage}" in the ${pipeline.name} pipeline` };
+    }
+    if (from === to) {
+      return { ...result, success: true, changed: false, message: `Already in "${to}"` };
+    }
+    if (force && !reason?.trim()) {
+      return { ...result, success: false, changed: false, message: 'A reason is required to override the pipeline rules' };
+    }
+    const fromStage = pipeline.stages.find(s => s.key === from);
+    if (!force && !this.canTransition(fromStage, to)) {
+      return { ...result, success: false, changed: false, message: `Invalid transition from "${from}" to "${to}"` };
+    }
+
+    const event = { prospect, pipeline, stage, from, to, actor, userId, reason: reason?.trim() || null, forced: !!force };
+    for (const hook of this.beforeHooks) {
+      const refusal = hook(event);
+      if (refusal) {
+        return { ...result, success: false, changed: false, message: refusal };
+      }
+    }
+
+    const description = this.save(event);
+    return { ...result, success: true, changed: true, message: description };
+  }
+
+  /**
+   * Move a prospect to another pipeline: into the stage with the same key, else its first stage
+   * (no transition rules apply; the change is recorded and the after() hooks run like any other)
+   * @returns {{success: boolean, changed: boolean, message: string}}
+   */
+  movePipeline(prospectOrId, pipelineId, { actor = 'user', userId = null } = {}) {
+    const prospect = this.getProspect(prospectOrId);
+    const pipeline = this.getPipeline(pipelineId);
+
+    if (!prospect) {
+      return { success: false, changed: false, message: 'Prospect not found' };
+    }
+    if (!pipeline) {
+      return { success: false, changed: false, message: 'Pipeline not found' };
+    }
+    if (pipeline.stages.length === 0) {
+      return { success: false, changed: false, message: `The ${pipeline.name} pipeline has no stages` };
+    }
+    if (this.getPipelineFor(prospect).id === pipeline.id) {
+      return { success: true, changed: false, message: `Already in the ${pipeline.name} pipeline` };
+    }
+
+    const stage = pipeline.stages.find(s => s.key === prospect.stage) || pipeline.stages[0];
+    const event = {
+      prospect, pipeline, stage, from: prospect.stage, to: stage.key, actor, userId,
+      reason: `moved to the ${pipeline.name} pipeline`, forced: false,
+    };
+    const description = this.save(event, `Moved to the ${pipeline.name} pipeline, stage "${stage.key}"`);
+    return { success: true, changed: true, message: description };
+  }
+
+  /**
+   * Write a change (prospect, stage_changes row and activity) and run the after() hooks
+   * @returns {string} The activity text
+   */
+  save(event, description = this.describe(event)) {
+    const db = getDb();
+    const { prospect, pipeline, stage, to, actor, userId } = event;
+
+    db.transaction(() => {
+      // won_at dates the deal for the forecast-vs-actual report (kept while it stays won)
+      db.prepare(`
+        UPDATE prospects SET
+          pipeline_id = ?,
+          stage = ?,
+          won_at = CASE WHEN ? = 1 THEN COALESCE(won_at, CURRENT_TIMESTAMP) ELSE NULL END,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(pipeline.id, to, stage.is_won ? 1 : 0, prospect.id);
+
+      db.prepare(`
+        INSERT INTO stage_changes (prospect_id, from_stage, to_stage, actor, user_id, reason, forced)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(prospect.id, event.from, to, actor, userId, event.reason, event.forced ? 1 : 0);
+
+      db.prepare(`
+        INSERT INTO activities (prospect_id, type, description, user_id)
+        VALUES (?, 'stage_change', ?, ?)
+      `).run(prospect.id, description, userId);
+    })();
+
+    // A failing hook must not undo a change that's already saved
+    for (const hook of this.listeners('stage_changed')) {
+      try {
+        hook(event);
+      } catch (error) {
+        console.error(`Stage change hook failed for prospect ${prospect.id}:`, error);
+      }
+    }
+
+    return description;
+  }
+
+  /**
+   * Re-read a prospect: the caller's copy may be out of date
+   */
+  getProspect(prospectOrId) {
+    const db = getDb();
+    const prospectId = typeof prospectOrId === 'object' ? prospectOrId.id : prospectOrId;
+    return db.prepare('SELECT * FROM prospects WHERE id = ?').get(prospectId);
+  }
+
+  /**
+   * A prospect's stage changes, newest first
+   */
+  getHistory(prospectId) {
+    const db = getDb();
+    return db.prepare(`
+      SELECT sc.*, u.name as user_name
+      FROM stage_changes sc
+      LEFT JOIN users u ON sc.user_id = u.id
+      WHERE sc.prospect_id = ?
+      ORDER BY sc.created_at DESC, sc.id DESC
+    `).all(prospectId);
+  }
+
+  /**
+   * Activity text for a change, e.g. 'Stage changed from "new" to "contacted" by Outreach Agent'
+   */
+  describe({ from, to, actor, reason, forced }) {
+    const by = ACTOR_LABELS[actor] ? ` by ${ACTOR_LABELS[actor]}` : '';
+    const override = forced ? ' (admin override)' : '';
+    return `Stage changed from "${from}" to "${to}"${by}${override}${reason ? `: ${reason}` : ''}`;
+  }
+
+  // ============================================
+  // EDITING
+  // ============================================
+
+  /**
+   * Stages from the API with their keys (slugs of the labels unless given) and colors filled in
+   */
+  normalizeStages(stages) {
+    if (!Array.isArray(stages)) return stages;
+    return stages.map(stage => {
+      const label = String(stage.label || '').trim();
+      return {
+        key: String(stage.key || label).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, ''),
+        label,
+        color: stage.color || 'gray',
+        // Won and lost stages are certain either way
+        probability: stage.is_won ? 100 : stage.is_lost ? 0
+          : stage.probability === undefined || stage.probability === null || stage.probability === '' ? null : Number(stage.probability),
+        is_won: !!stage.is_won,
+        is_lost: !!stage.is_lost,
+        transitions: Array.isArray(stage.transitions) ? [...new Set(stage.transitions)] : null,
+      };
+    });
+  }
+
+  /**
+   * Problems with a pipeline from the API (stages normalized)
+   * @param {Object} [options]
+   * @param {boolean} [options.partial] - An update: only the fields given are checked
+   * @param {number} [options.pipelineId] - The pipeline being updated (its stages with prospects can't go)
+   * @returns {string[]}
+   */
+  validate({ name, stages }, { partial = false, pipelineId = null } = {}) {
+    const errors = [];
+
+    if ((!partial || name !== undefined) && !String(name || '').trim()) {
+      errors.push('Name is required');
+    }
+    if (partial && stages === undefined) {
+      return errors;
+    }
+    if (!Array.isArray(stages) || stages.length < 2) {
+      return [...errors, 'A pipeline needs at least two stages'];
+    }
+
+    const keys = stages.map(stage => stage.key);
+    stages.forEach((stage, index) => {
+      const label = stage.label || `Stage ${index + 1}`;
+      if (!stage.label) {
+        errors.push(`Stage ${index + 1}: label is required`);
+      } else if (!stage.key) {
+        errors.push(`${label}: key must contain letters or numbers`);
+      } else if (keys.indexOf(stage.key) !== index) {
+        errors.push(`${label}: another stage already has the key "${stage.key}"`);
+      }
+      if (!STAGE_COLORS.includes(stage.color)) {
+        errors.push(`${label}: color must be one of ${STAGE_COLORS.join(', ')}`);
+      }
+      if (!Number.isInteger(stage.probability) || stage.probability < 0 || stage.probability > 100) {
+        errors.push(`${label}: win probability must be a whole number from 0 to 100`);
+      }
+      if (stage.is_won && stage.is_lost) {
+        errors.push(`${label}: a stage can't be both won and lost`);
+      }
+      const unknown = (stage.transitions || []).filter(key => !keys.includes(key) || key === stage.key);
+      if (unknown.length > 0) {
+        errors.push(`${label}: can't move to ${unknown.map(key => `"${key}"`).join(', ')}`);
+      }
+    });
+
+    if (pipelineId) {
+      const db = getDb();
+      const removed = this.getStages(pipelineId).filter(stage => !keys.includes(stage.key));
+      for (const stage of removed) {
+        const { count } = db.prepare(`
+          SELECT COUNT(*) as count FROM prospects
+          WHERE COALESCE(pipeline_id, (SELECT id FROM pipelines WHERE is_default = 1)) = ? AND stage = ?
+        `).get(pipelineId, stage.key);
+        if (count > 0) {
+          errors.push(`${count} prospect${count === 1 ? ' is' : 's are'} in "${stage.label}" - move ${count === 1 ? 'it' : 'them'} before removing the stage`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Write the stages of a pipeline (replaces existing stages)
+   */
+  saveStages(pipelineId, stages) {
+    const db = getDb();
+    db.prepare('DELETE FROM pipeline_stages WHERE pipeline_id = ?').run(pipelineId);
+
+    const insert = db.prepare(`
+      INSERT INTO pipeline_stages (pipeline_id, key, label, color, position, probability, is_won, is_lost, transitions)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    stages.forEach((stage, index) => {
+      insert.run(
+        pipelineId, stage.key, stage.label, stage.color, index, stage.probability,
+        stage.is_won ? 1 : 0, stage.is_lost ? 1 : 0, stage.transitions ? JSON.stringify(stage.transitions) : null
+      );
+    });
+  }
+
+  /**
+   * Create a pipeline (stages normalized and validated)
+   */
+  create({ name, description = null, isDefault = false, stages }) {
+    const db = getDb();
+
+    const create = db.transaction(() => {
+      if (isDefault) {
+        this.clearDefault(db);
+      }
+
+      const result = db.prepare(`
+        INSERT INTO pipelines (name, description, is_default) VALUES (?, ?, ?)
+      `).run(name.trim(), description, isDefault ? 1 : 0);
+
+      this.saveStages(result.lastInsertRowid, stages);
+      return result.lastInsertRowid;
+    });
+
+    return this.getPipeline(create());
+  }
+
+  /**
+   * Update a pipeline (stages are replaced when provided)
+   */
+  update(id, { name, description, isDefault, stages }) {
+    const db = getDb();
+
+    db.transaction(() => {
+      if (isDefault) {
+        this.clearDefault(db);
+      }
+
+      db.prepare(`
+        UPDATE pipelines SET
+          name = COALESCE(?, name),
+          description = COALESCE(?, description),
+          is_default = CASE WHEN ? = 1 THEN 1 ELSE is_default END,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(name?.trim() ?? null, description ?? null, isDefault ? 1 : 0, id);
+
+      if (stages) {
+        this.saveStages(id, stages);
+      }
+    })();
+
+    return this.getPipeline(id);
+  }
+
+  /**
+   * Unset the default pipeline, first giving its prospects without a pipeline_id an explicit one
+   */
+  clearDefault(db) {
+    db.prepare(`
+      UPDATE prospects SET pipeline_id = (SELECT id FROM pipelines WHERE is_default = 1) WHERE pipeline_id IS NULL
+    `).run();
+    db.prepare('UPDATE pipelines SET is_default = 0').run();
+  }
+
+  /**
+   * Delete a pipeline (the route refuses the default one and ones with prospects)
+   */
+  delete(id) {
+    const db = getDb();
+    // Foreign keys aren't enforced, so the stages don't cascade on their own
+    return db.transaction(() => {
+      db.prepare('DELETE FROM pipeline_stages WHERE pipeline_id = ?').run(id);
+      return db.prepare('DELETE FROM pipelines WHERE id = ?').run(id).changes > 0;
+    })();
+  }
+}
+
+// Singleton instance
+const pipelineService = new PipelineService();
+
+export default pipelineService;
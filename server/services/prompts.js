@@ -0,0 +1,295 @@
+import { getDb } from '../db/init.js';
+import { PROMPT_DEFINITIONS, SENDER_DEFAULTS, SENDER_VARIABLES } from './promptDefaults.js';
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const SECTION_HEADER = /^\[([^\]]+)\]\s*$/;
+
+/**
+ * Prompt Service - Versioned library of the prompts the LLM agents use
+ *
+ * Every prompt starts at version 1 (the built-in default from promptDefaults.js). Saving an edit
+ * adds a new version and makes it active; rolling back makes an earlier version active again,
+ * so the history is never rewritten. Emails record the versions they were written with.
+ */
+class PromptService {
+  getDefinition(key) {
+    return PROMPT_DEFINITIONS.find(definition => definition.key === key) || null;
+  }
+
+  /**
+   * Variables a prompt may use (its own plus the sender ones)
+   */
+  getVariables(key) {
+    return { ...SENDER_VARIABLES, ...this.getDefinition(key)?.variables };
+  }
+
+  /**
+   * The active version of a prompt (stores the built-in default as version 1 the first time)
+   * @returns {{key: string, version: number, body: string}}
+   */
+  getActive(key) {
+    const definition = this.getDefinition(key);
+    if (!definition) {
+      throw new Error(`Unknown prompt: ${key}`);
+    }
+
+    const db = getDb();
+    const row = db.prepare(`
+      SELECT version, body FROM prompt_versions WHERE prompt_key = ? AND is_active = 1
+    `).get(key);
+    if (row) {
+      return { key, version: row.version, body: row.body };
+    }
+
+    const hasVersions = db.prepare('SELECT 1 FROM prompt_versions WHERE prompt_key = ?').get(key);
+    if (!hasVersions) {
+      db.prepare(`
+        INSERT INTO prompt_versions (prompt_key, version, body, notes, is_active, activated_at)
+        VALUES (?, 1, ?, 'Built-in default', 1, CURRENT_TIMESTAMP)
+      `).run(key, definition.body);
+    }
+    return { key, version: 1, body: definition.body };
+  }
+
+  /**
+   * A specific version of a prompt
+   * @returns {{key: string, version: number, body: string}|null}
+   */
+  getVersion(key, version) {
+    if (!this.getDefinition(key)) return null;
+    this.getActive(key);
+
+    const db = getDb();
+    const row = db.prepare('SELECT version, body FROM prompt_versions WHERE prompt_key = ? AND version = ?').get(key, version);
+    return row ? { key, version: row.version, body: row.body } : null;
+  }
+
+  /**
+   * Fill in a prompt's {{variables}}; records the version used in `versions` (key → version).
+   * A version already in `versions` is used instead of the active one (pinned, e.g. by an experiment).
+   */
+  render(key, variables = {}, versions = {}) {
+    const { version, body } = (versions[key] && this.getVersion(key, versions[key])) || this.getActive(key);
+    versions[key] = version;
+    return this.fill(body, variables);
+  }
+
+  fill(body, variables) {
+    return body.replace(VARIABLE_PATTERN, (match, name) => variables[name] ?? '');
+  }
+
+  /**
+   * A sectioned prompt split into its [header] blocks
+   * @returns {Array<{header: string, text: string}>}
+   */
+  getSections(key, variables = {}, versions = {}) {
+    return this.parseSections(this.render(key, variables, versions));
+  }
+
+  parseSections(body) {
+    const sections = [];
+    for (const line of body.split('\n')) {
+      const header = line.match(SECTION_HEADER);
+      if (header) {
+        sections.push({ header: header[1].trim(), lines: [] });
+      } else if (sections.length > 0) {
+        sections[sections.length - 1].lines.push(line);
+      }
+    }
+    return sections.map(({ header, lines }) => ({ header, text: lines.join('\n').trim() }));
+  }
+
+  /**
+   * Who the emails to a prospect come from: the prospect's owner, else the workspace sender
+   * (agent_config sender_name, company_name, company_description, company_services)
+   */
+  getSender(prospect = null) {
+    const db = getDb();
+    const config = db.prepare(`
+      SELECT key, value FROM agent_config WHERE key IN (${Object.keys(SENDER_DEFAULTS).map(() => '?').join(', ')})
+    `).all(...Object.keys(SENDER_DEFAULTS)).reduce((acc, r) => ({ ...acc, [r.key]: r.value }), {});
+
+    const sender = Object.fromEntries(Object.entries(SENDER_DEFAULTS).map(([key, value]) => [key, config[key]?.trim() || value]));
+
+    if (prospect?.owner_id) {
+      const owner = db.prepare('SELECT name FROM users WHERE id = ? AND is_active = 1').get(prospect.owner_id);
+      if (owner?.name) {
+        sender.sender_name = owner.name.split(' ')[0];
+      }
+    }
+
+    return sender;
+  }
+
+  // ============================================
+  // LIBRARY
+  // ============================================
+
+  /**
+   * Every prompt with its active and latest version
+   */
+  list() {
+    const db = getDb();
+    return PROMPT_DEFINITIONS.map(definition => {
+      const active = this.getActive(definition.key);
+      const latest = db.prepare(`
+        SELECT MAX(version) as version, MAX(created_at) as updated_at FROM prompt_versions WHERE prompt_key = ?
+      `).get(definition.key);
+
+      return {
+        key: definition.key,
+        label: definition.label,
+        group: definition.group,
+        description: definition.description,
+        sections: !!definition.sections,
+        variables: this.getVariables(definition.key),
+        activeVersion: active.version,
+        latestVersion: latest.version,
+        updatedAt: latest.updated_at,
+        body: active.body,
+      };
+    });
+  }
+
+  /**
+   * All versions of a prompt, newest first
+   */
+  getVersions(key) {
+    this.getActive(key);
+    const db = getDb();
+    return db.prepare(`
+      SELECT v.version, v.body, v.notes, v.is_active, v.created_at, v.activated_at, u.name as created_by_name,
+        (SELECT COUNT(*) FROM campaigns c WHERE json_extract(c.prompt_versions, '$.' || v.prompt_key) = v.version) as campaign_count
+      FROM prompt_versions v
+      LEFT JOIN users u ON u.id = v.created_by
+      WHERE v.prompt_key = ?
+      ORDER BY v.version DESC
+    `).all(key).map(row => ({ ...row, is_active: !!row.is_active }));
+  }
+
+  /**
+   * Problems with a prompt body: unknown variables, and for sectioned prompts, missing or bad headers
+   * @returns {string[]}
+   */
+  validate(key, body) {
+    const errors = [];
+    const definition = this.getDefinition(key);
+    const allowed = this.getVariables(key);
+
+    if (!body?.trim()) {
+      return ['Prompt cannot be empty'];
+    }
+
+    const unknown = [...new Set([...body.matchAll(VARIABLE_PATTERN)].map(match => match[1]))]
+      .filter(name => !(name in allowed));
+    if (unknown.length > 0) {
+      errors.push(`Unknown variable${unknown.length > 1 ? 's' : ''} ${unknown.map(name => `{{${name}}}`).join(', ')}. Available: ${Object.keys(allowed).map(name => `{{${name}}}`).join(', ')}`);
+    }
+
+    if (definition.sections) {
+      const sections = this.parseSections(body);
+      if (sections.length === 0) {
+        errors.push('Add at least one [section] header');
+      }
+      for (const { header } of sections) {
+        try {
+          new RegExp(header, 'i');
+        } catch (e) {
+          errors.push(`Section [${header}] is not a valid pattern`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Save an edit as a new version and make it active
+   * @returns {number} The new version number
+   */
+  saveVersion(key, { body, notes = null, userId = null }) {
+    this.getActive(key);
+    const db = getDb();
+
+    return db.transaction(() => {
+      const { version } = db.prepare('SELECT MAX(version) as version FROM prompt_versions WHERE prompt_key = ?').get(key);
+      db.prepare('UPDATE prompt_versions SET is_active = 0 WHERE prompt_key = ?').run(key);
+      db.prepare(`
+        INSERT INTO prompt_versions (prompt_key, version, body, notes, is_active, created_by, activated_at)
+        VALUES (?, ?, ?, ?, 1, ?, CURRENT_TIMESTAMP)
+      `).run(key, version + 1, body, notes, userId);
+      return version + 1;
+    })();
+  }
+
+  /**
+   * Make an earlier (or later) version active again
+   * @returns {boolean} false if there is no such version
+   */
+  activate(key, version) {
+    const db = getDb();
+    const exists = db.prepare('SELECT 1 FROM prompt_versions WHERE prompt_key = ? AND version = ?').get(key, version);
+    if (!exists) return false;
+
+    db.transaction(() => {
+      db.prepare('UPDATE prompt_versions SET is_active = 0 WHERE prompt_key = ?').run(key);
+      db.prepare(`
+        UPDATE prompt_versions SET is_active = 1, activated_at = CURRENT_TIMESTAMP WHERE prompt_key = ? AND version = ?
+      `).run(key, version);
+    })();
+    return true;
+  }
+
+  /**
+   * Line diff between two versions of a prompt
+   * @returns {Array<{type: 'same'|'added'|'removed', text: string}>|null} null if a version doesn't exist
+   */
+  diff(key, fromVersion, toVersion) {
+    const db = getDb();
+    const getBody = (version) => db.prepare(`
+      SELECT body FROM prompt_versions WHERE prompt_key = ? AND version = ?
+    `).get(key, version)?.body;
+
+    const from = getBody(fromVersion);
+    const to = getBody(toVersion);
+    if (from === undefined || to === undefined) return null;
+
+    return this.diffLines(from.split('\n'), to.split('\n'));
+  }
+
+  /**
+   * Longest-common-subsequence line diff
+   */
+  diffLines(a, b) {
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        lines.push({ type: 'same', text: a[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        lines.push({ type: 'removed', text: a[i++] });
+      } else {
+        lines.push({ type: 'added', text: b[j++] });
+      }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+    return lines;
+  }
+}
+
+// Singleton instance
+const promptService = new PromptService();
+
+export default promptService;
@@ -4,6 +4,11 @@ import outreachAgent from '../agents/outreachAgent.js';
 import followupAgent, { FollowupAgent } from '../agents/followupAgent.js';
 import responseAgent from '../agents/responseAgent.js';
 import stageAgent from '../agents/stageAgent.js';
+import authService from './auth.js';
+import webhookSecurityService from './webhookSecurity.js';
+import llmUsageService from './llmUsage.js';
+import experimentService from './experiments.js';
+import forecastService from './forecast.js';
 
 /**
  * Job Scheduler - Manages background tasks and agent execution
@@ -85,11 +90,45 @@ class Scheduler {
         if (result.changes > 0) {
           console.log(`🧹 Cleaned up ${result.changes} old agent tasks`);
         }
+
+        const expiredSessions = authService.cleanupSessions();
+        if (expiredSessions > 0) {
+          console.log(`🧹 Removed ${expiredSessions} expired sessions`);
+        }
+
+        const oldRejections = webhookSecurityService.cleanup();
+        if (oldRejections > 0) {
+          console.log(`🧹 Removed ${oldRejections} old webhook rejections`);
+        }
+
+        const expiredCache = llmUsageService.cleanupCache();
+        if (expiredCache > 0) {
+          console.log(`🧹 Removed ${expiredCache} expired LLM cache entries`);
+        }
       } catch (error) {
         console.error('Error cleaning up tasks:', error);
       }
     });
 
+    // Promote significant A/B test winners every hour
+    this.scheduleJob('30 * * * *', 'Experiment Check', async () => {
+      try {
+        const promoted = experimentService.evaluateAll();
+        if (promoted > 0) {
+          console.log(`🏆 Promoted the winner of ${promoted} experiments`);
+        }
+      } catch (error) {
+        console.error('Error evaluating experiments:', error);
+      }
+    });
+
+    // Save this month's revenue forecast as the month starts (for forecast vs actual)
+    this.scheduleJob('5 0 * * *', 'Forecast Snapshot', async () => {
+      if (forecastService.snapshot()) {
+        console.log('📈 Saved this month\'s revenue forecast');
+      }
+    });
+
     // Health check every hour
     this.scheduleJob('0 * * * *', 'Health Check', async () => {
       const stats = orchestrator.getStats();
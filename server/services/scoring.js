@@ -0,0 +1,365 @@
+import { getDb } from '../db/init.js';
+
+/**
+ * What a lead score is made of. Each group's weight (lead_score_weights) is its share of the
+ * 100 points; inside a group, factors count by their own weight.
+ */
+export const SCORE_GROUPS = [
+  { key: 'fit', label: 'Business fit', description: 'Rating, number of reviews and whether the category is one you target' },
+  { key: 'website', label: 'Website need', description: 'No website or a weak one, and the opportunities the website analysis found' },
+  { key: 'contact', label: 'Contact quality', description: 'A verified email address and a named person to write to' },
+  { key: 'engagement', label: 'Engagement', description: 'Opens, clicks and replies to the emails sent (zero after an unsubscribe or complaint)' },
+];
+
+const DEFAULT_WEIGHTS = { fit: 25, website: 25, contact: 20, engagement: 30 };
+const IMPACT_POINTS = { high: 1, medium: 0.6, low: 0.3 };
+const VERIFICATION_SCORES = {
+  verified: [1, 'Verified email'],
+  unverified: [0.6, 'Email not verified'],
+  risky: [0.3, 'Risky email'],
+};
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const plural = (count, one, many = `${one}s`) => `${count} ${count === 1 ? one : many}`;
+
+/**
+ * Scoring Service - Ranks prospects by how likely they are to be worth the time (0-100)
+ *
+ * The score and its breakdown are saved on the prospect (lead_score, lead_score_breakdown) and
+ * recomputed when something it depends on changes: the prospect is edited, enriched or its website
+ * analyzed, its contacts change, an email event comes in, or the weights change.
+ */
+class ScoringService {
+  getConfig(key, defaultValue) {
+    const db = getDb();
+    const row = db.prepare('SELECT value FROM agent_config WHERE key = ?').get(key);
+    return row?.value ?? defaultValue;
+  }
+
+  /**
+   * Group weights from "group:weight,..." (lead_score_weights); groups left out use their default
+   * @returns {{fit: number, website: number, contact: number, engagement: number}}
+   */
+  getWeights() {
+    const configured = Object.fromEntries(
+      this.getConfig('lead_score_weights', '')
+        .split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([key, weight]) => DEFAULT_WEIGHTS[key] !== undefined && weight !== '' && Number(weight) >= 0)
+        .map(([key, weight]) => [key, Number(weight)])
+    );
+    return { ...DEFAULT_WEIGHTS, ...configured };
+  }
+
+  /**
+   * Categories that count as a good fit, e.g. ["restaurants", "dentists"] (empty = not scored)
+   */
+  getTargetCategories() {
+    return this.getConfig('lead_score_categories', '')
+      .split(',')
+      .map(category => category.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Problems with weights and target categories from the API
+   * @returns {string[]}
+   */
+  validate({ weights, targetCategories }) {
+    const errors = [];
+
+    if (weights !== undefined) {
+      for (const [key, weight] of Object.entries(weights || {})) {
+        if (DEFAULT_WEIGHTS[key] === undefined) {
+          errors.push(`Unknown score group "${key}"`);
+        } else if (!Number.isInteger(weight) || weight < 0 || weight > 100) {
+          errors.push(`${key} weight must be a whole number from 0 to 100`);
+        }
+      }
+      if (Object.values({ ...this.getWeights(), ...weights }).every(weight => !weight)) {
+        errors.push('At least one weight must be above 0');
+      }
+    }
+    if (targetCategories !== undefined && !Array.isArray(targetCategories)) {
+      errors.push('Target categories must be a list');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Save weights and target categories, then rescore every prospect
+   * @returns {number} How many prospects were rescored
+   */
+  saveSettings({ weights, targetCategories }) {
+    const db = getDb();
+    const upsert = db.prepare(`
+      INSERT OR REPLACE INTO agent_config (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    `);
+
+    if (weights) {
+      const merged = { ...this.getWeights(), ...weights };
+      upsert.run('lead_score_weights', Object.entries(merged).map(([key, weight]) => `${key}:${weight}`).join(','));
+    }
+    if (targetCategories) {
+      upsert.run('lead_score_categories', targetCategories.map(c => String(c).trim()).filter(Boolean).join(','));
+    }
+
+    return this.recomputeAll();
+  }
+
+  // ============================================
+  // SCORING
+  // ============================================
+
+  /**
+   * A prospect's score and how it was reached
+   * @returns {{score: number, breakdown: Array<{key, label, weight, points, factors: Array<{key, label, score, detail}>}>}}
+   *   weight is the group's share of the 100 points, points what it earned; each factor's score is 0-1
+   */
+  compute(prospect) {
+    const weights = this.getWeights();
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+    const factors = {
+      fit: this.fitFactors(prospect),
+      website: this.websiteFactors(prospect),
+      contact: this.contactFactors(prospect),
+      engagement: this.engagementFactors(prospect),
+    };
+
+    let score = 0;
+    const breakdown = SCORE_GROUPS.map(({ key, label }) => {
+      // Factors that don't apply (score null) are left out of the group
+      const counted = factors[key].filter(factor => factor.score !== null);
+      const factorWeight = counted.reduce((sum, factor) => sum + factor.weight, 0);
+      const fraction = factorWeight
+        ? counted.reduce((sum, factor) => sum + factor.score * factor.weight, 0) / factorWeight
+        : 0;
+      const share = (weights[key] / totalWeight) * 100;
+
+      score += share * fraction;
+      return {
+        key,
+        label,
+        weight: Math.round(share),
+        points: Math.round(share * fraction),
+        factors: factors[key].map(({ key: factorKey, label: factorLabel, score: factorScore, detail }) => ({
+          key: factorKey,
+          label: factorLabel,
+          score: factorScore === null ? null : Math.round(factorScore * 100) / 100,
+          detail,
+        })),
+      };
+    });
+
+    return { score: Math.round(score), breakdown };
+  }
+
+  fitFactors(prospect) {
+    const targets = this.getTargetCategories();
+    const category = (prospect.category || '').toLowerCase();
+    const reviews = prospect.review_count || 0;
+    const targeted = targets.some(target => category.includes(target));
+
+    return [
+      {
+        key: 'rating',
+        label: 'Rating',
+        weight: 2,
+        score: prospect.rating ? clamp((prospect.rating - 2) / 3) : 0.3,
+        detail: prospect.rating ? `${prospect.rating} stars` : 'No rating',
+      },
+      {
+        key: 'reviews',
+        label: 'Reviews',
+        weight: 2,
+        // 200+ reviews is an established business
+        score: clamp(Math.log10(reviews + 1) / Math.log10(201)),
+        detail: plural(reviews, 'review'),
+      },
+      {
+        key: 'category',
+        label: 'Category',
+        weight: 1,
+        score: targets.length === 0 ? null : targeted ? 1 : 0,
+        detail: targets.length === 0
+          ? 'No target categories set'
+          : `${prospect.category || 'No category'}${targeted ? ' (targeted)' : ''}`,
+      },
+    ];
+  }
+
+  websiteFactors(prospect) {
+    let analysis = null;
+    try {
+      analysis = prospect.website_analysis ? JSON.parse(prospect.website_analysis).analysis : null;
+    } catch (e) {
+      analysis = null;
+    }
+
+    const overallScore = typeof analysis?.overallScore === 'number' ? analysis.overallScore : null;
+    let website;
+    if (!prospect.website_url) {
+      website = { score: 1, detail: 'No website' };
+    } else if (overallScore !== null) {
+      // A weak website needs more work
+      website = { score: clamp((10 - overallScore) / 9), detail: `Website scored ${overallScore}/10` };
+    } else {
+      website = { score: 0.5, detail: 'Website not analyzed yet' };
+    }
+
+    const opportunities = analysis?.opportunities || [];
+    const highImpact = opportunities.filter(opportunity => opportunity.impact === 'high').length;
+
+    return [
+      { key: 'website', label: 'Website', weight: 3, ...website },
+      {
+        key: 'opportunities',
+        label: 'Opportunities',
+        weight: 2,
+        score: analysis
+          ? clamp(opportunities.reduce((sum, opportunity) => sum + (IMPACT_POINTS[opportunity.impact] ?? 0.3), 0) / 2)
+          : null,
+        detail: analysis
+          ? `${opportunities.length} found, ${highImpact} high impact`
+          : 'Website not analyzed yet',
+      },
+    ];
+  }
+
+  contactFactors(prospect) {
+    const db = getDb();
+    const contacts = db.prepare(`
+      SELECT name, role, email, verification_status FROM contacts WHERE prospect_id = ?
+    `).all(prospect.id);
+
+    const emails = contacts.filter(contact => contact.email && contact.verification_status !== 'invalid');
+    const best = ['verified', 'unverified', 'risky']
+      .map(status => emails.find(contact => contact.verification_status === status))
+      .find(Boolean);
+    const [emailScore, emailDetail] = best
+      ? VERIFICATION_SCORES[best.verification_status]
+      : prospect.email && contacts.length === 0 ? VERIFICATION_SCORES.unverified : [0, 'No working email'];
+
+    const named = contacts.find(contact => contact.name && contact.email && contact.verification_status !== 'invalid')
+      || contacts.find(contact => contact.name);
+
+    return [
+      { key: 'email', label: 'Email', weight: 3, score: emailScore, detail: emailDetail },
+      {
+        key: 'named_contact',
+        label: 'Named contact',
+        weight: 2,
+        score: !named ? 0 : named.email ? 1 : 0.5,
+        detail: !named
+          ? 'No named contact'
+          : `${named.name} (${named.role})${named.email ? '' : ', no email'}`,
+      },
+    ];
+  }
+
+  engagementFactors(prospect) {
+    const db = getDb();
+    const counts = Object.fromEntries(db.prepare(`
+      SELECT event_type, COUNT(*) as count FROM email_events WHERE prospect_id = ? GROUP BY event_type
+    `).all(prospect.id).map(row => [row.event_type, row.count]));
+    const opens = counts.open || 0;
+    const clicks = counts.click || 0;
+    const replies = counts.reply || 0;
+
+    // Someone who opted out isn't a lead however engaged they were (through a provider's
+    // unsubscribe or our own link, which only puts them on the suppression list)
+    const optOut = this.getOptOut(prospect);
+    if (counts.unsubscribe || counts.group_unsubscribe || counts.spamreport || optOut) {
+      const complained = counts.spamreport || optOut?.reason === 'complaint';
+      return [{ key: 'opted_out', label: 'Opted out', weight: 1, score: 0, detail: complained ? 'Marked an email as spam' : 'Unsubscribed' }];
+    }
+
+    return [
+      { key: 'opens', label: 'Opens', weight: 1, score: clamp(opens / 3), detail: plural(opens, 'open') },
+      { key: 'clicks', label: 'Clicks', weight: 2, score: clamp(clicks / 2), detail: plural(clicks, 'click') },
+      { key: 'replies', label: 'Replies', weight: 3, score: replies > 0 ? 1 : 0, detail: plural(replies, 'reply', 'replies') },
+    ];
+  }
+
+  /**
+   * The unsubscribe or complaint on the suppression list that covers the prospect, its email
+   * or one of its contacts' (by address or domain), if any
+   */
+  getOptOut(prospect) {
+    const db = getDb();
+    const emails = [
+      prospect.email,
+      ...db.prepare('SELECT email FROM contacts WHERE prospect_id = ? AND email IS NOT NULL').all(prospect.id).map(c => c.email),
+    ].filter(Boolean).map(email => email.trim().toLowerCase());
+    const domains = [...new Set(emails.map(email => email.split('@')[1]).filter(Boolean))];
+    const placeholders = (values) => values.map(() => '?').join(', ') || 'NULL';
+
+    return db.prepare(`
+      SELECT reason FROM suppressions
+      WHERE reason IN ('unsubscribe', 'complaint')
+        AND (prospect_id = ?
+          OR (scope = 'email' AND value IN (${placeholders(emails)}))
+          OR (scope = 'domain' AND value IN (${placeholders(domains)})))
+      ORDER BY reason = 'complaint' DESC
+      LIMIT 1
+    `).get(prospect.id, ...emails, ...domains) || null;
+  }
+
+  // ============================================
+  // SAVING
+  // ============================================
+
+  /**
+   * Score a prospect again and save it
+   * @returns {number|null} The new score (null if the prospect doesn't exist)
+   */
+  recompute(prospectId) {
+    const db = getDb();
+    const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(prospectId);
+    if (!prospect) return null;
+
+    const { score, breakdown } = this.compute(prospect);
+    // updated_at is left alone so a rescore doesn't reorder the "recently updated" list
+    db.prepare(`
+      UPDATE prospects SET lead_score = ?, lead_score_breakdown = ?, lead_score_updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(score, JSON.stringify(breakdown), prospectId);
+    return score;
+  }
+
+  /**
+   * Rescore every prospect (or only the ones never scored)
+   * @param {Object} [options]
+   * @param {boolean} [options.missingOnly]
+   * @returns {number} How many were scored
+   */
+  recomputeAll({ missingOnly = false } = {}) {
+    const db = getDb();
+    const ids = db.prepare(`
+      SELECT id FROM prospects ${missingOnly ? 'WHERE lead_score IS NULL' : ''}
+    `).all().map(row => row.id);
+
+    db.transaction(() => {
+      for (const id of ids) {
+        this.recompute(id);
+      }
+    })();
+    return ids.length;
+  }
+
+  /**
+   * The saved breakdown of a prospect's score
+   */
+  getBreakdown(prospect) {
+    try {
+      return prospect.lead_score_breakdown ? JSON.parse(prospect.lead_score_breakdown) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+// Singleton instance
+const scoringService = new ScoringService();
+
+export default scoringService;
@@ -0,0 +1,286 @@
+import { getDb } from '../db/init.js';
+
+// Agents whose tasks send email to the prospect and must land inside a send window
+export const SENDING_AGENT_TYPES = ['outreach', 'followup'];
+
+// Majority timezone per state (split states are refined by ZIP prefix below)
+const STATE_TIMEZONES = {
+  AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+  CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DE: 'America/New_York',
+  DC: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+  ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+  KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York',
+  MD: 'America/New_York', MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+  MS: 'America/Chicago', MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago',
+  NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+  NY: 'America/New_York', NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York',
+  OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+  SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+  UT: 'America/Denver', VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles',
+  WV: 'America/New_York', WI: 'America/Chicago', WY: 'America/Denver', PR: 'America/Puerto_Rico',
+};
+
+// ZIP3 ranges → state, used when a prospect has a ZIP but no state
+const ZIP3_STATES = [
+  [5, 5, 'NY'], [6, 9, 'PR'], [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'], [39, 49, 'ME'],
+  [50, 59, 'VT'], [60, 69, 'CT'], [70, 89, 'NJ'], [100, 149, 'NY'], [150, 196, 'PA'], [197, 199, 'DE'],
+  [200, 205, 'DC'], [206, 219, 'MD'], [220, 246, 'VA'], [247, 268, 'WV'], [270, 289, 'NC'],
+  [290, 299, 'SC'], [300, 319, 'GA'], [320, 349, 'FL'], [350, 369, 'AL'], [370, 385, 'TN'],
+  [386, 397, 'MS'], [398, 399, 'GA'], [400, 427, 'KY'], [430, 459, 'OH'], [460, 479, 'IN'],
+  [480, 499, 'MI'], [500, 528, 'IA'], [530, 549, 'WI'], [550, 567, 'MN'], [569, 569, 'DC'],
+  [570, 577, 'SD'], [580, 588, 'ND'], [590, 599, 'MT'], [600, 629, 'IL'], [630, 658, 'MO'],
+  [660, 679, 'KS'], [680, 693, 'NE'], [700, 714, 'LA'], [716, 729, 'AR'], [730, 749, 'OK'],
+  [750, 799, 'TX'], [800, 816, 'CO'], [820, 831, 'WY'], [832, 838, 'ID'], [840, 847, 'UT'],
+  [850, 865, 'AZ'], [870, 884, 'NM'], [885, 885, 'TX'], [889, 898, 'NV'], [900, 961, 'CA'],
+  [967, 968, 'HI'], [970, 979, 'OR'], [980, 994, 'WA'], [995, 999, 'AK'],
+];
+
+// ZIP3 ranges inside split states that don't follow the state's majority timezone
+const ZIP3_TIMEZONE_OVERRIDES = [
+  [324, 325, 'America/Chicago'], // Florida panhandle
+  [373, 374, 'America/New_York'], // Chattanooga, TN
+  [376, 379, 'America/New_York'], // Knoxville / Tri-Cities, TN
+  [420, 421, 'America/Chicago'], // Western Kentucky
+  [423, 424, 'America/Chicago'], // Owensboro, KY
+  [463, 464, 'America/Chicago'], // Northwest Indiana
+  [476, 477, 'America/Chicago'], // Evansville, IN
+  [577, 577, 'America/Denver'], // Western South Dakota
+  [691, 693, 'America/Denver'], // Western Nebraska
+  [798, 799, 'America/Denver'], // El Paso, TX
+  [885, 885, 'America/Denver'], // El Paso, TX
+  [835, 838, 'America/Los_Angeles'], // Northern Idaho
+];
+
+// Candidate zones when all we have is a UTC offset (e.g. Google Places utcOffsetMinutes)
+const US_ZONES = [
+  'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles',
+  'America/Phoenix', 'America/Anchorage', 'Pacific/Honolulu', 'America/Puerto_Rico',
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Send Window Service - Keeps outbound email inside business hours in the recipient's timezone
+ *
+ * Workspace windows live in agent_config (send_window_*); a sequence can override
+ * start/end/days with its own send_window JSON. Holidays are workspace-wide.
+ */
+class SendWindowService {
+  // ============================================
+  // TIMEZONES
+  // ============================================
+
+  /**
+   * Check that a string is a timezone the runtime understands
+   */
+  isValidTimezone(timezone) {
+    if (!timezone) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Derive a timezone from a US ZIP code
+   */
+  timezoneFromZip(zipCode) {
+    const digits = String(zipCode || '').trim().match(/^\d{3}/);
+    if (!digits) return null;
+    const zip3 = parseInt(digits[0]);
+
+    const override = ZIP3_TIMEZONE_OVERRIDES.find(([from, to]) => zip3 >= from && zip3 <= to);
+    if (override) return override[2];
+
+    const state = ZIP3_STATES.find(([from, to]) => zip3 >= from && zip3 <= to);
+    return state ? STATE_TIMEZONES[state[2]] : null;
+  }
+
+  /**
+   * Map a current UTC offset (minutes) to a US timezone
+   */
+  timezoneFromOffset(offsetMinutes, date = new Date()) {
+    if (offsetMinutes === null || offsetMinutes === undefined || offsetMinutes === '') return null;
+    const offset = parseInt(offsetMinutes);
+    return US_ZONES.find(zone => this.getOffsetMinutes(date, zone) === offset) || null;
+  }
+
+  /**
+   * Derive a timezone from an address: ZIP code, then state (null if neither is known)
+   */
+  timezoneFromAddress({ zip_code, state } = {}) {
+    return this.timezoneFromZip(zip_code) || STATE_TIMEZONES[String(state || '').trim().toUpperCase()] || null;
+  }
+
+  /**
+   * Resolve a prospect's timezone: stored value → ZIP → state → workspace default
+   */
+  getTimezone(prospect) {
+    if (prospect?.timezone && this.isValidTimezone(prospect.timezone)) {
+      return prospect.timezone;
+    }
+
+    return this.timezoneFromAddress(prospect || {}) || this.getConfig().timezone;
+  }
+
+  /**
+   * Wall-clock parts of a date in a timezone
+   */
+  getZonedParts(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    }).formatToParts(date).reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+
+    return {
+      year: parseInt(parts.year),
+      month: parseInt(parts.month),
+      day: parseInt(parts.day),
+      hour: parseInt(parts.hour),
+      minute: parseInt(parts.minute),
+      weekday: WEEKDAYS[parts.weekday],
+    };
+  }
+
+  /**
+   * UTC offset (minutes) of a timezone at a given instant
+   */
+  getOffsetMinutes(date, timezone) {
+    const p = this.getZonedParts(date, timezone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+    return Math.round((asUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+  }
+
+  /**
+   * Convert a wall-clock time in a timezone to a Date
+   */
+  zonedTimeToDate({ year, month, day, hour, minute }, timezone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    let result = guess - this.getOffsetMinutes(new Date(guess), timezone) * 60000;
+    // Re-check once in case the guess landed on the other side of a DST change
+    result = guess - this.getOffsetMinutes(new Date(result), timezone) * 60000;
+    return new Date(result);
+  }
+
+  // ============================================
+  // WINDOWS
+  // ============================================
+
+  /**
+   * Parse "HH:MM" into minutes after midnight
+   */
+  parseTime(value, fallback) {
+    const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return fallback;
+    return Math.min(24 * 60, parseInt(match[1]) * 60 + parseInt(match[2]));
+  }
+
+  /**
+   * Workspace-level send window settings
+   */
+  getConfig() {
+    const db = getDb();
+    const rows = db.prepare(`SELECT key, value FROM agent_config WHERE key LIKE 'send_window_%'`).all();
+    const config = rows.reduce((acc, r) => ({ ...acc, [r.key]: r.value }), {});
+
+    return {
+      enabled: config.send_window_enabled !== 'false',
+      start: config.send_window_start || '09:00',
+      end: config.send_window_end || '17:00',
+      days: (config.send_window_days || '1,2,3,4,5').split(',').map(d => parseInt(d)).filter(d => d >= 0 && d <= 6),
+      holidays: (config.send_window_holidays || '').split(',').map(d => d.trim()).filter(Boolean),
+      timezone: this.isValidTimezone(config.send_window_timezone) ? config.send_window_timezone : 'America/New_York',
+    };
+  }
+
+  /**
+   * Effective window for a sequence (sequence overrides win over the workspace)
+   */
+  getWindow(sequenceId = null) {
+    const workspace = this.getConfig();
+    let override = {};
+
+    if (sequenceId) {
+      const db = getDb();
+      const row = db.prepare('SELECT send_window FROM sequences WHERE id = ?').get(sequenceId);
+      try {
+        override = row?.send_window ? JSON.parse(row.send_window) : {};
+      } catch (e) {
+        override = {};
+      }
+    }
+
+    const window = { ...workspace };
+    if (override.start) window.start = override.start;
+    if (override.end) window.end = override.end;
+    if (Array.isArray(override.days) && override.days.length > 0) window.days = override.days.map(d => parseInt(d));
+
+    return window;
+  }
+
+  /**
+   * Find the sequence whose window governs a prospect (running enrollment first)
+   */
+  getSequenceIdForProspect(prospect) {
+    const db = getDb();
+    const enrollment = db.prepare(`
+      SELECT sequence_id FROM follow_up_sequences WHERE prospect_id = ? AND completed_at IS NULL
+    `).get(prospect.id);
+    return enrollment?.sequence_id || prospect.sequence_id || null;
+  }
+
+  /**
+   * Earliest time at or after `from` that falls inside the prospect's send window
+   * @returns {Date}
+   */
+  getNextAllowedTime(prospect, from = new Date(), { sequenceId } = {}) {
+    const window = this.getWindow(sequenceId ?? this.getSequenceIdForProspect(prospect));
+    if (!window.enabled || window.days.length === 0) return from;
+
+    const timezone = this.getTimezone(prospect);
+    const start = this.parseTime(window.start, 9 * 60);
+    const end = this.parseTime(window.end, 17 * 60);
+    if (end <= start) return from;
+
+    const local = this.getZonedParts(from, timezone);
+
+    // Look ahead up to three weeks for an open day (covers long holiday runs)
+    for (let offset = 0; offset < 21; offset++) {
+      const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+      const dateKey = day.toISOString().slice(0, 10);
+
+      if (!window.days.includes(day.getUTCDay()) || window.holidays.includes(dateKey)) {
+        continue;
+      }
+
+      const dayParts = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+      const opensAt = this.zonedTimeToDate({ ...dayParts, hour: Math.floor(start / 60), minute: start % 60 }, timezone);
+      const closesAt = this.zonedTimeToDate({ ...dayParts, hour: Math.floor(end / 60), minute: end % 60 }, timezone);
+
+      if (from < opensAt) return opensAt;
+      if (from < closesAt) return from;
+    }
+
+    return from;
+  }
+
+  /**
+   * Check whether a prospect can be emailed right now
+   */
+  isOpen(prospect, at = new Date(), options = {}) {
+    return this.getNextAllowedTime(prospect, at, options).getTime() === at.getTime();
+  }
+}
+
+// Singleton instance
+const sendWindowService = new SendWindowService();
+
+export default sendWindowService;
@@ -0,0 +1,539 @@
+import { getDb } from '../db/init.js';
+import sendWindowService from './sendWindow.js';
+
+export const STEP_TYPES = ['email', 'wait', 'task', 'branch'];
+export const BRANCH_CONDITIONS = ['opened', 'clicked', 'replied'];
+export const COMPLETION_ACTIONS = ['lost', 'none'];
+
+/**
+ * Sequence Service - Named, reusable follow-up sequences and prospect enrollment
+ *
+ * A sequence is an ordered list of steps:
+ *   email  { mode: 'llm' | 'template', templateId }
+ *   wait   { businessDays }
+ *   task   { title, description }
+ *   branch { condition: 'opened' | 'clicked' | 'replied', thenStep, elseStep }
+ *
+ * Branch targets are 0-based step indexes, null (continue with the next step) or 'end'.
+ * Steps are executed by the Follow-up Agent; this service only stores them and
+ * tracks where each prospect is in its sequence (follow_up_sequences).
+ */
+class SequenceService {
+  /**
+   * Add N business days (Mon-Fri, skipping configured holidays) to a date
+   */
+  addBusinessDays(date, days) {
+    const result = new Date(date);
+    const { holidays } = sendWindowService.getConfig();
+    let remaining = Math.max(0, parseInt(days) || 0);
+
+    while (remaining > 0) {
+      result.setDate(result.getDate() + 1);
+      const day = result.getDay();
+      if (day !== 0 && day !== 6 && !holidays.includes(result.toISOString().slice(0, 10))) {
+        remaining--;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse a sequence_steps row
+   */
+  parseStep(row) {
+    let config = {};
+    try {
+      config = row.config ? JSON.parse(row.config) : {};
+    } catch (e) {
+      config = {};
+    }
+    return { ...row, config };
+  }
+
+  /**
+   * Parse a sequences row
+   */
+  parseSequence(row) {
+    if (!row) return null;
+    const parse = (value) => {
+      try {
+        return value ? JSON.parse(value) : null;
+      } catch (e) {
+        return null;
+      }
+    };
+    return { ...row, segment: parse(row.segment), send_window: parse(row.send_window) };
+  }
+
+  /**
+   * Get the ordered steps of a sequence
+   */
+  getSteps(sequenceId) {
+    const db = getDb();
+    return db.prepare(`
+      SELECT * FROM sequence_steps WHERE sequence_id = ? ORDER BY step_order ASC
+    `).all(sequenceId).map(row => this.parseStep(row));
+  }
+
+  /**
+   * Get all sequences with their steps and enrollment counts
+   */
+  getAll() {
+    const db = getDb();
+    const sequences = db.prepare(`
+      SELECT s.*,
+        (SELECT COUNT(*) FROM follow_up_sequences f
+         WHERE f.sequence_id = s.id AND f.completed_at IS NULL) as active_enrollments,
+        (SELECT COUNT(*) FROM prospects p WHERE p.sequence_id = s.id) as assigned_prospects
+      FROM sequences s
+      ORDER BY s.is_default DESC, s.priority DESC, s.name ASC
+    `).all();
+
+    return sequences.map(row => ({
+      ...this.parseSequence(row),
+      steps: this.getSteps(row.id),
+    }));
+  }
+
+  /**
+   * Get a sequence by ID (with steps)
+   */
+  getById(id) {
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM sequences WHERE id = ?').get(id);
+    if (!row) return null;
+    return { ...this.parseSequence(row), steps: this.getSteps(row.id) };
+  }
+
+  /**
+   * Validate a list of steps
+   * @returns {string[]} Validation errors (empty if valid)
+   */
+  validateSteps(steps) {
+    const errors = [];
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return ['A sequence needs at least one step'];
+    }
+
+    const isTarget = (target) =>
+      target === null || target === undefined || target === 'end' ||
+      (Number.isInteger(target) && target >= 0 && target < steps.length);
+
+    steps.forEach((step, index) => {
+      const label = `Step ${index + 1}`;
+      const config = step.config || {};
+
+      if (!STEP_TYPES.includes(step.type)) {
+        errors.push(`${label}: unknown step type "${step.type}"`);
+        return;
+      }
+
+      switch (step.type) {
+        case 'wait':
+          if (!(parseInt(config.businessDays) > 0)) {
+            errors.push(`${label}: wait needs a positive number of business days`);
+          }
+          break;
+
+        case 'email':
+          if (config.mode === 'template' && !config.templateId) {
+            errors.push(`${label}: choose a template or switch the step to AI-written`);
+          }
+          break;
+
+        case 'task':
+          if (!config.title) {
+            errors.push(`${label}: manual task needs a title`);
+          }
+          break;
+
+        case 'branch':
+          if (!BRANCH_CONDITIONS.includes(config.condition)) {
+            errors.push(`${label}: branch condition must be one of ${BRANCH_CONDITIONS.join(', ')}`);
+          }
+          if (!isTarget(config.thenStep) || !isTarget(config.elseStep)) {
+            errors.push(`${label}: branch points to a step that doesn't exist`);
+          }
+          if (config.thenStep === index || config.elseStep === index) {
+            errors.push(`${label}: branch can't point to itself`);
+          }
+          break;
+      }
+    });
+
+    if (errors.length === 0) {
+      const loop = this.findLoopWithoutWait(steps);
+      if (loop) {
+        errors.push(`Steps ${loop.map(i => i + 1).join(' → ')} loop back without a wait step; add a wait so the loop can't send several emails at once`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * A loop of steps the follow-up agent could go round in one run (no wait step on it)
+   * @returns {number[]|null} The step indexes on the loop
+   */
+  findLoopWithoutWait(steps) {
+    const next = (step, index) => {
+      if (step.type === 'wait') return [];
+      if (step.type !== 'branch') return [index + 1];
+      return [step.config.thenStep, step.config.elseStep].map(target =>
+        target === 'end' ? steps.length : Number.isInteger(target) ? target : index + 1);
+    };
+
+    const state = [];
+    const path = [];
+    const visit = (index) => {
+      if (index >= steps.length || state[index] === 'done') return null;
+      if (state[index] === 'visiting') return path.slice(path.indexOf(index));
+
+      state[index] = 'visiting';
+      path.push(index);
+      for (const target of next(steps[index], index)) {
+        const loop = visit(target);
+        if (loop) return loop;
+      }
+      path.pop();
+      state[index] = 'done';
+      return null;
+    };
+
+    for (let index = 0; index < steps.length; index++) {
+      const loop = visit(index);
+      if (loop) return loop;
+    }
+    return null;
+  }
+
+  /**
+   * Write the steps of a sequence (replaces existing steps)
+   */
+  saveSteps(sequenceId, steps) {
+    const db = getDb();
+    db.prepare('DELETE FROM sequence_steps WHERE sequence_id = ?').run(sequenceId);
+
+    const insert = db.prepare(`
+      INSERT INTO sequence_steps (sequence_id, step_order, type, config)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    steps.forEach((step, index) => {
+      insert.run(sequenceId, index, step.type, JSON.stringify(step.config || {}));
+    });
+
+    // Keep the progress bar (emails sent / email steps) in sync for enrolled prospects
+    db.prepare(`
+      UPDATE follow_up_sequences SET max_steps = ? WHERE sequence_id = ?
+    `).run(steps.filter(s => s.type === 'email').length, sequenceId);
+  }
+
+  /**
+   * Create a sequence
+   */
+  create({ name, description = null, segment = null, sendWindow = null, priority = 0, isDefault = false, isActive = true, onComplete = 'lost', steps }) {
+    const db = getDb();
+
+    const create = db.transaction(() => {
+      if (isDefault) {
+        db.prepare('UPDATE sequences SET is_default = 0').run();
+      }
+
+      const result = db.prepare(`
+        INSERT INTO sequences (name, description, segment, send_window, priority, is_default, is_active, on_complete)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        name,
+        description,
+        segment ? JSON.stringify(segment) : null,
+        sendWindow ? JSON.stringify(sendWindow) : null,
+        parseInt(priority) || 0,
+        isDefault ? 1 : 0,
+        isActive ? 1 : 0,
+        onComplete
+      );
+
+      this.saveSteps(result.lastInsertRowid, steps);
+      return result.lastInsertRowid;
+    });
+
+    return this.getById(create());
+  }
+
+  /**
+   * Update a sequence (steps are replaced when provided)
+   */
+  update(id, { name, description, segment, sendWindow, priority, isDefault, isActive, onComplete, steps }) {
+    const db = getDb();
+
+    db.transaction(() => {
+      if (isDefault) {
+        db.prepare('UPDATE sequences SET is_default = 0 WHERE id != ?').run(id);
+      }
+
+      db.prepare(`
+        UPDATE sequences SET
+          name = COALESCE(?, name),
+          description = COALESCE(?, description),
+          segment = CASE WHEN ? = 1 THEN ? ELSE segment END,
+          send_window = CASE WHEN ? = 1 THEN ? ELSE send_window END,
+          priority = COALESCE(?, priority),
+          is_default = COALESCE(?, is_default),
+          is_active = COALESCE(?, is_active),
+          on_complete = COALESCE(?, on_complete),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(
+        name ?? null,
+        description ?? null,
+        segment !== undefined ? 1 : 0,
+        segment ? JSON.stringify(segment) : null,
+        sendWindow !== undefined ? 1 : 0,
+        sendWindow ? JSON.stringify(sendWindow) : null,
+        priority !== undefined ? parseInt(priority) || 0 : null,
+        isDefault !== undefined ? (isDefault ? 1 : 0) : null,
+        isActive !== undefined ? (isActive ? 1 : 0) : null,
+        onComplete ?? null,
+        id
+      );
+
+      if (steps) {
+        this.saveSteps(id, steps);
+      }
+    })();
+
+    return this.getById(id);
+  }
+
+  /**
+   * Delete a sequence. Running enrollments fall back to the default sequence on their next run.
+   * (Foreign keys aren't enforced, so its steps and the rows pointing at it are cleaned up here.)
+   */
+  delete(id) {
+    const db = getDb();
+    return db.transaction(() => {
+      db.prepare('DELETE FROM sequence_steps WHERE sequence_id = ?').run(id);
+      db.prepare('UPDATE prospects SET sequence_id = NULL WHERE sequence_id = ?').run(id);
+      // Unlinked enrollments are picked up by the matching sequence, after the emails already sent
+      db.prepare('UPDATE follow_up_sequences SET sequence_id = NULL WHERE sequence_id = ?').run(id);
+      return db.prepare('DELETE FROM sequences WHERE id = ?').run(id).changes > 0;
+    })();
+  }
+
+  // ============================================
+  // ASSIGNMENT
+  // ============================================
+
+  /**
+   * Check whether a prospect falls in a sequence's segment.
+   * Segment keys are ANDed; values within a key are ORed.
+   * categories match as case-insensitive substrings, everything else exactly.
+   */
+  matchesSegment(segment, prospect) {
+    if (!segment || Object.keys(segment).length === 0) return false;
+
+    const lower = (v) => String(v || '').trim().toLowerCase();
+    const checks = {
+      categories: (values) => values.some(v => lower(prospect.category).includes(lower(v))),
+      cities: (values) => values.some(v => lower(prospect.city) === lower(v)),
+      states: (values) => values.some(v => lower(prospect.state) === lower(v)),
+      sources: (values) => values.some(v => lower(prospect.source) === lower(v)),
+    };
+
+    let matchedAny = false;
+    for (const [key, check] of Object.entries(checks)) {
+      const values = (segment[key] || []).filter(Boolean);
+      if (values.length === 0) continue;
+      if (!check(values)) return false;
+      matchedAny = true;
+    }
+
+    return matchedAny;
+  }
+
+  /**
+   * Pick the sequence for a prospect:
+   * explicit assignment → highest-priority matching segment → default sequence
+   */
+  resolveForProspect(prospect) {
+    const db = getDb();
+
+    if (prospect.sequence_id) {
+      const assigned = db.prepare('SELECT * FROM sequences WHERE id = ? AND is_active = 1').get(prospect.sequence_id);
+      if (assigned) return this.parseSequence(assigned);
+    }
+
+    const candidates = db.prepare(`
+      SELECT * FROM sequences
+      WHERE is_active = 1 AND segment IS NOT NULL
+      ORDER BY priority DESC, id ASC
+    `).all().map(row => this.parseSequence(row));
+
+    const match = candidates.find(s => this.matchesSegment(s.segment, prospect));
+    if (match) return match;
+
+    return this.parseSequence(
+      db.prepare('SELECT * FROM sequences WHERE is_default = 1 AND is_active = 1').get()
+    );
+  }
+
+  /**
+   * Assign a sequence to prospects. Prospects already running a sequence restart on the new one.
+   */
+  assign(sequenceId, prospectIds) {
+    const db = getDb();
+    const sequence = sequenceId ? this.getById(sequenceId) : null;
+
+    const update = db.prepare('UPDATE prospects SET sequence_id = ? WHERE id = ?');
+    const running = db.prepare(`
+      SELECT id FROM follow_up_sequences WHERE prospect_id = ? AND completed_at IS NULL
+    `);
+
+    let assigned = 0;
+    for (const prospectId of prospectIds) {
+      if (update.run(sequenceId || null, prospectId).changes === 0) continue;
+      assigned++;
+
+      db.prepare(`
+        INSERT INTO activities (prospect_id, type, description)
+        VALUES (?, 'sequence_assigned', ?)
+      `).run(prospectId, sequence
+        ? `Assigned to follow-up sequence "${sequence.name}"`
+        : 'Sequence assignment cleared (segment rules apply)');
+
+      if (running.get(prospectId)) {
+        this.enroll(prospectId, { keepPause: true });
+      }
+    }
+
+    return assigned;
+  }
+
+  // ============================================
+  // ENROLLMENT
+  // ============================================
+
+  /**
+   * Start (or restart) a prospect's follow-up sequence.
+   * Leading wait steps are applied immediately so next_send_at reflects the first real action.
+   */
+  enroll(prospectId, { sequenceId = null, keepPause = false } = {}) {
+    const db = getDb();
+
+    const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(prospectId);
+    if (!prospect) return null;
+
+    const sequence = sequenceId ? this.getById(sequenceId) : this.resolveForProspect(prospect);
+    if (!sequence) {
+      console.log(`📅 No follow-up sequence applies to prospect ${prospectId}`);
+      return null;
+    }
+
+    const steps = this.getSteps(sequence.id);
+    const existing = db.prepare('SELECT is_paused FROM follow_up_sequences WHERE prospect_id = ?').get(prospectId);
+
+    let currentStep = 0;
+    let nextSendAt = new Date();
+    if (steps[0]?.type === 'wait') {
+      nextSendAt = this.addBusinessDays(nextSendAt, steps[0].config.businessDays);
+      currentStep = 1;
+    }
+
+    db.prepare(`
+      INSERT OR REPLACE INTO follow_up_sequences
+      (prospect_id, sequence_id, current_step, sequence_step, max_steps, days_between, is_paused, last_sent_at, next_send_at)
+      VALUES (?, ?, ?, 0, ?, ?, ?, CURRENT_TIMESTAMP, ?)
+    `).run(
+      prospectId,
+      sequence.id,
+      currentStep,
+      steps.filter(s => s.type === 'email').length,
+      steps[0]?.type === 'wait' ? parseInt(steps[0].config.businessDays) : 0,
+      keepPause && existing?.is_paused ? 1 : 0,
+      nextSendAt.toISOString()
+    );
+
+    console.log(`📅 Prospect ${prospectId} enrolled in sequence "${sequence.name}"`);
+    return this.getEnrollment(prospectId);
+  }
+
+  /**
+   * Attach an enrollment created before sequences existed to a sequence,
+   * resuming after the follow-ups it already sent
+   */
+  adoptLegacyEnrollment(enrollment, prospect) {
+    const db = getDb();
+    const sequence = this.resolveForProspect(prospect);
+    if (!sequence) return null;
+
+    const steps = this.getSteps(sequence.id);
+    let emailsSeen = 0;
+    let currentStep = steps.length;
+    for (let i = 0; i < steps.length; i++) {
+      if (steps[i].type !== 'email') continue;
+      if (emailsSeen === enrollment.sequence_step) {
+        currentStep = i;
+        break;
+      }
+      emailsSeen++;
+    }
+
+    db.prepare(`
+      UPDATE follow_up_sequences SET sequence_id = ?, current_step = ?, max_steps = ? WHERE id = ?
+    `).run(sequence.id, currentStep, steps.filter(s => s.type === 'email').length, enrollment.id);
+
+    return db.prepare('SELECT * FROM follow_up_sequences WHERE id = ?').get(enrollment.id);
+  }
+
+  /**
+   * Get a prospect's enrollment with its sequence name and steps
+   */
+  getEnrollment(prospectId) {
+    const db = getDb();
+    const enrollment = db.prepare(`
+      SELECT f.*, s.name as sequence_name, s.on_complete
+      FROM follow_up_sequences f
+      LEFT JOIN sequences s ON f.sequence_id = s.id
+      WHERE f.prospect_id = ?
+    `).get(prospectId);
+
+    if (!enrollment) return null;
+
+    return {
+      ...enrollment,
+      steps: enrollment.sequence_id ? this.getSteps(enrollment.sequence_id) : [],
+    };
+  }
+
+  /**
+   * Evaluate a branch condition against the prospect's email engagement
+   */
+  evaluateCondition(condition, prospectId) {
+    const db = getDb();
+
+    switch (condition) {
+      case 'opened':
+        return !!db.prepare(`
+          SELECT 1 FROM campaigns WHERE prospect_id = ? AND (opened_at IS NOT NULL OR clicked_at IS NOT NULL) LIMIT 1
+        `).get(prospectId);
+      case 'clicked':
+        return !!db.prepare(`
+          SELECT 1 FROM campaigns WHERE prospect_id = ? AND clicked_at IS NOT NULL LIMIT 1
+        `).get(prospectId);
+      case 'replied':
+        return !!db.prepare(`
+          SELECT 1 FROM email_events WHERE prospect_id = ? AND event_type = 'reply' LIMIT 1
+        `).get(prospectId);
+      default:
+        return false;
+    }
+  }
+}
+
+// Singleton instance
+const sequenceService = new SequenceService();
+
+export default sequenceService;
@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import { getDb } from '../db/init.js';
+import scoringService from './scoring.js';
+
+/**
+ * Suppression Service - Global do-not-contact list consulted by every send path
+ *
+ * Entries are scoped either to a single email address or to a whole domain.
+ * Reasons: unsubscribe, bounce, complaint, manual, domain
+ */
+class SuppressionService {
+  constructor() {
+    this.secret = null;
+  }
+
+  /**
+   * Normalize an email address (strips display name and lowercases)
+   */
+  normalizeEmail(email) {
+    if (!email) return null;
+    const match = String(email).match(/<(.+)>/);
+    return (match ? match[1] : String(email)).trim().toLowerCase();
+  }
+
+  /**
+   * Get the domain part of an email address
+   */
+  getDomain(email) {
+    const normalized = this.normalizeEmail(email);
+    if (!normalized || !normalized.includes('@')) return null;
+    return normalized.split('@').pop();
+  }
+
+  /**
+   * Check whether an address is suppressed (by email or by domain)
+   * @returns {object|null} The matching suppression entry, or null
+   */
+  isSuppressed(email) {
+    const normalized = this.normalizeEmail(email);
+    if (!normalized) return null;
+
+    const db = getDb();
+    return db.prepare(`
+      SELECT * FROM suppressions
+      WHERE (scope = 'email' AND value = ?)
+         OR (scope = 'domain' AND value = ?)
+      ORDER BY created_at ASC
+      LIMIT 1
+    `).get(normalized, this.getDomain(normalized)) || null;
+  }
+
+  /**
+   * Add an email address or domain to the suppression list
+   * @param {Object} options
+   * @param {string} [options.email] - Email address to suppress
+   * @param {string} [options.domain] - Whole domain to suppress
+   * @param {string} options.reason - unsubscribe | bounce | complaint | manual | domain
+   * @param {string} [options.source] - Where the suppression came from (webhook, link, user, agent)
+   * @param {number} [options.prospectId] - Related prospect, if known
+   * @param {string} [options.notes] - Free-form notes
+   */
+  add({ email, domain, reason = 'manual', source = 'user', prospectId = null, notes = null }) {
+    const scope = domain ? 'domain' : 'email';
+    const value = domain
+      ? String(domain).trim().toLowerCase().replace(/^@/, '')
+      : this.normalizeEmail(email);
+
+    if (!value) {
+      throw new Error('An email address or domain is required');
+    }
+
+    const db = getDb();
+    db.prepare(`
+      INSERT OR IGNORE INTO suppressions (scope, value, reason, source, prospect_id, notes)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(scope, value, reason, source, prospectId, notes);
+
+    const entry = db.prepare('SELECT * FROM suppressions WHERE scope = ? AND value = ?').get(scope, value);
+
+    this.stopAutomationFor(entry);
+
+    return entry;
+  }
+
+  /**
+   * Stop automation for every prospect covered by a suppression entry, and rescore the
+   * prospects it covers (an unsubscribe or complaint zeroes their engagement)
+   */
+  stopAutomationFor(entry) {
+    const db = getDb();
+
+    const prospects = entry.scope === 'domain'
+      ? db.prepare(`SELECT id, automation_enabled FROM prospects WHERE LOWER(email) LIKE ?`).all(`%@${entry.value}`)
+      : db.prepare(`SELECT id, automation_enabled FROM prospects WHERE LOWER(email) = ?`).all(entry.value);
+
+    for (const prospect of prospects) {
+      db.prepare(`UPDATE prospects SET automation_enabled = 0 WHERE id = ?`).run(prospect.id);
+      db.prepare(`UPDATE follow_up_sequences SET is_paused = 1 WHERE prospect_id = ?`).run(prospect.id);
+
+      if (prospect.automation_enabled) {
+        db.prepare(`
+          INSERT INTO activities (prospect_id, type, description)
+          VALUES (?, 'suppressed', ?)
+        `).run(prospect.id, `Added to suppression list (${entry.reason}): ${entry.value}`);
+      }
+    }
+
+    this.rescoreFor(entry);
+  }
+
+  /**
+   * Rescore the prospects a suppression entry covers: by their own email, a contact's, or the
+   * prospect it was recorded for
+   */
+  rescoreFor(entry) {
+    const db = getDb();
+    const match = entry.scope === 'domain' ? 'LIKE ?' : '= ?';
+    const value = entry.scope === 'domain' ? `%@${entry.value}` : entry.value;
+
+    const ids = db.prepare(`
+      SELECT id FROM prospects WHERE LOWER(email) ${match} OR id = ?
+      UNION
+      SELECT prospect_id FROM contacts WHERE LOWER(email) ${match}
+    `).all(value, entry.prospect_id, value).map(row => row.id);
+
+    for (const id of ids) {
+      scoringService.recompute(id);
+    }
+  }
+
+  /**
+   * Remove a suppression entry (the prospects it covered are rescored)
+   */
+  remove(id) {
+    const db = getDb();
+    const entry = db.prepare('SELECT * FROM suppressions WHERE id = ?').get(id);
+    if (!entry) return false;
+
+    db.prepare('DELETE FROM suppressions WHERE id = ?').run(id);
+    this.rescoreFor(entry);
+    return true;
+  }
+
+  /**
+   * Get all suppression entries (optionally filtered by reason)
+   */
+  getAll({ reason = null, search = null, limit = 200 } = {}) {
+    const db = getDb();
+    const conditions = [];
+    const params = [];
+
+    if (reason) {
+      conditions.push('reason = ?');
+      params.push(reason);
+    }
+    if (search) {
+      conditions.push('value LIKE ?');
+      params.push(`%${search.toLowerCase()}%`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`
+      SELECT * FROM suppressions ${where}
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(...params, limit);
+  }
+
+  /**
+   * Get counts grouped by reason
+   */
+  getStats() {
+    const db = getDb();
+    const rows = db.prepare(`SELECT reason, COUNT(*) as count FROM suppressions GROUP BY reason`).all();
+    return rows.reduce((acc, r) => ({ ...acc, [r.reason]: r.count }), {});
+  }
+
+  // ============================================
+  // UNSUBSCRIBE LINKS
+  // ============================================
+
+  /**
+   * Get the signing secret for unsubscribe tokens.
+   * Uses UNSUBSCRIBE_SECRET, or generates one and persists it so links survive restarts.
+   */
+  getSecret() {
+    if (this.secret) return this.secret;
+
+    if (process.env.UNSUBSCRIBE_SECRET) {
+      this.secret = process.env.UNSUBSCRIBE_SECRET;
+      return this.secret;
+    }
+
+    const db = getDb();
+    const stored = db.prepare('SELECT value FROM agent_config WHERE key = ?').get('unsubscribe_secret');
+    if (stored?.value) {
+      this.secret = stored.value;
+    } else {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      db.prepare(`INSERT OR REPLACE INTO agent_config (key, value) VALUES (?, ?)`).run('unsubscribe_secret', this.secret);
+    }
+    return this.secret;
+  }
+
+  /**
+   * Create a signed unsubscribe token for an address
+   */
+  createToken(email, prospectId = null) {
+    const payload = Buffer.from(JSON.stringify({
+      e: this.normalizeEmail(email),
+      p: prospectId ? Number(prospectId) : null,
+    })).toString('base64url');
+
+    const signature = crypto
+      .createHmac('sha256', this.getSecret())
+      .update(payload)
+      .digest('base64url');
+
+    return `${payload}.${signature}`;
+  }
+
+  /**
+   * Verify an unsubscribe token
+   * @returns {{email: string, prospectId: number|null}|null}
+   */
+  verifyToken(token) {
+    if (!token || typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [payload, signature] = token.split('.');
+    const expected = crypto
+      .createHmac('sha256', this.getSecret())
+      .update(payload)
+      .digest('base64url');
+
+    const a = Buffer.from(signature);
+    const b = Buffer.from(expected);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return data.e ? { email: data.e, prospectId: data.p || null } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Build the public one-click unsubscribe URL for an address (PUBLIC_API_URL is read here, after .env has loaded)
+   */
+  getUnsubscribeUrl(email, prospectId = null) {
+    const publicApiUrl = (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3001}/api`).replace(/\/+$/, '');
+    return `${publicApiUrl}/unsubscribe?token=${this.createToken(email, prospectId)}`;
+  }
+
+  /**
+   * Build List-Unsubscribe headers (RFC 2369 + RFC 8058 one-click)
+   */
+  getListUnsubscribeHeaders(email, prospectId = null) {
+    return {
+      'List-Unsubscribe': `<${this.getUnsubscribeUrl(email, prospectId)}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    };
+  }
+}
+
+// Singleton instance
+const suppressionService = new SuppressionService();
+
+export default suppressionService;
@@ -0,0 +1,300 @@
+import promptService from './prompts.js';
+import contactService from './contacts.js';
+import { SENDER_VARIABLES } from './promptDefaults.js';
+
+const TAG_PATTERN = /\{\{([^{}]*)\}\}/g;
+const SPIN_PATTERN = /\{([^{}]*\|[^{}]*)\}/;
+const MARKER_PATTERN = /\u0000(\d+)\u0000/g;
+const IMPACT_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Variables an email template can use: { name, group, description, fallback? }.
+ * `fallback` is used when the value is empty and the placeholder doesn't give one.
+ */
+export const TEMPLATE_VARIABLES = [
+  { name: 'business_name', group: 'Prospect', description: 'Business name' },
+  { name: 'owner_name', group: 'Contact', description: 'First name of the contact the email goes to (empty for a shared inbox)', fallback: 'there' },
+  { name: 'contact_name', group: 'Contact', description: 'Full name of the contact' },
+  { name: 'contact_title', group: 'Contact', description: 'Job title of the contact, e.g. "Owner"' },
+  { name: 'category', group: 'Prospect', description: 'Business category, e.g. "Pizza, Italian"' },
+  { name: 'industry', group: 'Prospect', description: 'Same as category' },
+  { name: 'city', group: 'Prospect', description: 'City' },
+  { name: 'state', group: 'Prospect', description: 'State' },
+  { name: 'zip_code', group: 'Prospect', description: 'ZIP code' },
+  { name: 'address', group: 'Prospect', description: 'Street address' },
+  { name: 'phone', group: 'Prospect', description: 'Phone number' },
+  { name: 'email', group: 'Prospect', description: 'Email address' },
+  { name: 'website_url', group: 'Prospect', description: 'Website (empty when they have none)' },
+  { name: 'rating', group: 'Prospect', description: 'Yelp/Google star rating' },
+  { name: 'review_count', group: 'Prospect', description: 'Number of reviews' },
+  { name: 'source', group: 'Prospect', description: 'Where the prospect was found (yelp, google, ...)' },
+  { name: 'website_score', group: 'Website analysis', description: 'Website analysis score (1-10)' },
+  { name: 'website_summary', group: 'Website analysis', description: 'One-paragraph summary of the website' },
+  { name: 'top_opportunity', group: 'Website analysis', description: 'Title of the highest-impact opportunity found' },
+  { name: 'top_opportunity_description', group: 'Website analysis', description: 'What that opportunity involves' },
+  { name: 'recommended_pitch', group: 'Website analysis', description: 'The pitch the analysis recommends' },
+  { name: 'website_strength', group: 'Website analysis', description: 'The main strength of the website' },
+  { name: 'website_weakness', group: 'Website analysis', description: 'The main weakness of the website' },
+  ...Object.entries(SENDER_VARIABLES).map(([name, description]) => ({ name, group: 'Sender', description })),
+];
+
+const VARIABLE_NAMES = TEMPLATE_VARIABLES.map(variable => variable.name);
+
+/**
+ * Template Renderer - The one place {{variables}} in templates are filled in
+ *
+ * Syntax:
+ *   {{business_name}}                         a variable (empty when unknown)
+ *   {{owner_name|there}}                      with a fallback for when it is empty
+ *   {{#if website_url}}...{{else}}...{{/if}}  conditionals ({{#unless x}}...{{/unless}} too)
+ *   {Hi|Hello|Hey}                            spintax: one option at random, may be nested
+ * lint() reports unknown variables and broken syntax so templates are checked before they're saved.
+ */
+class TemplateRenderer {
+  /**
+   * Values of every template variable for a prospect
+   * @param {Object} [contact] - The contact the email goes to
+   */
+  getVariables(prospect, contact = null) {
+    let analysis = null;
+    try {
+      analysis = prospect.website_analysis ? JSON.parse(prospect.website_analysis).analysis : null;
+    } catch (e) {
+      analysis = null;
+    }
+
+    const topOpportunity = [...(analysis?.opportunities || [])]
+      .sort((a, b) => (IMPACT_ORDER[a.impact] ?? 1) - (IMPACT_ORDER[b.impact] ?? 1))[0];
+
+    return {
+      business_name: prospect.business_name,
+      owner_name: contactService.firstName(contact),
+      contact_name: contact?.name,
+      contact_title: contact?.title,
+      category: prospect.category,
+      industry: prospect.category,
+      city: prospect.city,
+      state: prospect.state,
+      zip_code: prospect.zip_code,
+      address: prospect.address,
+      phone: prospect.phone,
+      email: contact?.email || prospect.email,
+      website_url: prospect.website_url,
+      rating: prospect.rating,
+      review_count: prospect.review_count,
+      source: prospect.source,
+      website_score: analysis?.overallScore,
+      website_summary: analysis?.summary,
+      top_opportunity: topOpportunity?.title,
+      top_opportunity_description: topOpportunity?.description,
+      recommended_pitch: analysis?.recommendedPitch,
+      website_strength: analysis?.strengths?.[0],
+      website_weakness: analysis?.weaknesses?.[0],
+      ...promptService.getSender(prospect),
+    };
+  }
+
+  /**
+   * A template's subject and body filled in for a prospect
+   * @param {Object} [options]
+   * @param {Object} [options.contact] - The contact the email goes to
+   * @param {Object} [options.variables] - Variable values to use instead of the prospect's
+   */
+  renderTemplate(template, prospect, { contact = null, variables: overrides = {} } = {}) {
+    const variables = { ...this.getVariables(prospect, contact), ...overrides };
+    return {
+      subject: this.render(template.subject || '', variables),
+      body: this.render(template.body || '', variables),
+    };
+  }
+
+  /**
+   * Fill in a text with variable values (unknown variables come out empty, never as {{name}})
+   */
+  render(text, variables = {}) {
+    if (!text) return text;
+
+    const { nodes } = this.parse(text);
+    const values = [];
+    const output = this.evaluate(nodes, variables, values);
+
+    // Spin after the conditionals but before the values go in, so values are never spun
+    return this.spin(output).replace(MARKER_PATTERN, (match, index) => values[index]);
+  }
+
+  /**
+   * Problems that would make a text render wrong
+   * @returns {string[]}
+   */
+  lint(text) {
+    if (!text) return [];
+    const { nodes, errors } = this.parse(text);
+
+    const unknown = [...new Set(this.collectNames(nodes))].filter(name => !VARIABLE_NAMES.includes(name));
+    for (const name of unknown) {
+      const suggestion = this.suggest(name);
+      errors.push(`Unknown variable {{${name}}}${suggestion ? ` - did you mean {{${suggestion}}}?` : ''}`);
+    }
+
+    let depth = 0;
+    for (const char of text.replace(TAG_PATTERN, '')) {
+      if (char === '{') depth++;
+      if (char === '}' && --depth < 0) break;
+    }
+    if (depth !== 0) {
+      errors.push(depth > 0 ? 'Unclosed { in spintax' : 'Unmatched } in spintax');
+    }
+
+    return errors;
+  }
+
+  /**
+   * lint() for a template's subject and body
+   */
+  lintTemplate({ subject, body }) {
+    return [
+      ...this.lint(subject).map(error => `Subject: ${error}`),
+      ...this.lint(body).map(error => `Body: ${error}`),
+    ];
+  }
+
+  // ============================================
+  // PARSING
+  // ============================================
+
+  /**
+   * Split a text into text, variable and conditional nodes
+   * @returns {{nodes: Array, errors: string[]}}
+   */
+  parse(text) {
+    const errors = [];
+    const root = { children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const pushText = (value) => {
+      if (value.includes('{{')) {
+        errors.push(`Unclosed placeholder near "${value.trim().slice(0, 30)}"`);
+      }
+      if (value) current().children.push({ type: 'text', value });
+    };
+
+    let lastIndex = 0;
+    for (const match of text.matchAll(TAG_PATTERN)) {
+      pushText(text.slice(lastIndex, match.index));
+      lastIndex = match.index + match[0].length;
+
+      const tag = match[1].trim();
+      const open = tag.match(/^#(if|unless)\s+(\w+)$/);
+      const close = tag.match(/^\/(if|unless)$/);
+      const variable = tag.match(/^(\w+)\s*(?:\|(.*))?$/);
+
+      if (open) {
+        // children is the branch being filled: `then`, or `otherwise` after {{else}}
+        const block = { type: open[1], name: open[2], then: [], otherwise: [], hasElse: false };
+        block.children = block.then;
+        current().children.push(block);
+        stack.push(block);
+      } else if (close) {
+        if (current().type !== close[1]) {
+          errors.push(`{{/${close[1]}}} without a matching {{#${close[1]}}}`);
+          continue;
+        }
+        stack.pop();
+      } else if (tag === 'else') {
+        const block = current();
+        if (!block.type || block.hasElse) {
+          errors.push('{{else}} outside an {{#if}} block');
+          continue;
+        }
+        block.hasElse = true;
+        block.children = block.otherwise;
+      } else if (variable) {
+        current().children.push({ type: 'variable', name: variable[1], fallback: variable[2]?.trim() ?? null });
+      } else {
+        errors.push(`Malformed placeholder {{${match[1]}}}`);
+      }
+    }
+    pushText(text.slice(lastIndex));
+
+    for (const block of stack.slice(1)) {
+      errors.push(`{{#${block.type} ${block.name}}} is never closed with {{/${block.type}}}`);
+    }
+
+    return { nodes: root.children, errors };
+  }
+
+  /**
+   * Render nodes; variable values are left as markers (their index in `values`)
+   */
+  evaluate(nodes, variables, values) {
+    return nodes.map(node => {
+      if (node.type === 'text') {
+        return node.value;
+      }
+
+      if (node.type === 'variable') {
+        const value = variables[node.name];
+        const empty = value === null || value === undefined || value === '';
+        const fallback = node.fallback ?? TEMPLATE_VARIABLES.find(v => v.name === node.name)?.fallback ?? '';
+        values.push(empty ? fallback : String(value));
+        return `\u0000${values.length - 1}\u0000`;
+      }
+
+      const value = variables[node.name];
+      const truthy = !(value === null || value === undefined || value === '' || value === 0 || value === false);
+      const holds = node.type === 'if' ? truthy : !truthy;
+      return this.evaluate(holds ? node.then : node.otherwise, variables, values);
+    }).join('');
+  }
+
+  /**
+   * Resolve {a|b|c} spintax, innermost first
+   */
+  spin(text) {
+    let result = text;
+    let match;
+    while ((match = result.match(SPIN_PATTERN))) {
+      const options = match[1].split('|');
+      const choice = options[Math.floor(Math.random() * options.length)];
+      result = result.slice(0, match.index) + choice + result.slice(match.index + match[0].length);
+    }
+    return result;
+  }
+
+  collectNames(nodes) {
+    return nodes.flatMap(node => {
+      if (node.type === 'text') return [];
+      if (node.type === 'variable') return [node.name];
+      return [node.name, ...this.collectNames(node.then), ...this.collectNames(node.otherwise)];
+    });
+  }
+
+  /**
+   * The known variable closest to a misspelled one (within two edits)
+   */
+  suggest(name) {
+    const distance = (a, b) => {
+      const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+      for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+          const current = row[j];
+          row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+          previous = current;
+        }
+      }
+      return row[b.length];
+    };
+
+    const [best] = VARIABLE_NAMES
+      .map(candidate => ({ candidate, score: distance(name.toLowerCase(), candidate) }))
+      .sort((a, b) => a.score - b.score);
+    return best && best.score <= 2 ? best.candidate : null;
+  }
+}
+
+// Singleton instance
+const templateRenderer = new TemplateRenderer();
+
+export default templateRenderer;
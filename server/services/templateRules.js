@@ -0,0 +1,213 @@
+import { getDb } from '../db/init.js';
+import { OPPORTUNITY_TYPES } from './llmSchemas.js';
+
+/**
+ * Template Rule Service - Picks the email template the Outreach Agent writes from
+ *
+ * An email template can declare conditions on the prospect (templates.conditions, all must hold):
+ *   {
+ *     categories: ['restaurant', 'cafe'],  // category contains any of these (case-insensitive)
+ *     sources: ['yelp', 'google'],         // where the prospect came from
+ *     hasWebsite: true | false,
+ *     minRating, maxRating,                // Yelp/Google star rating
+ *     minReviews, maxReviews,              // review count
+ *     minWebsiteScore, maxWebsiteScore,    // website analysis score (1-10); needs an analysis
+ *     opportunityTypes: ['chatbot'],       // website analysis found any of these
+ *   }
+ * The matching template with the highest priority wins (lowest id on ties). Templates without
+ * conditions are only used as the default: the one promoted by an experiment, else the first one.
+ */
+class TemplateRuleService {
+  /**
+   * Parse a templates row's conditions (null when it has none)
+   */
+  parseConditions(value) {
+    if (!value) return null;
+    try {
+      const conditions = JSON.parse(value);
+      return conditions && Object.keys(conditions).length > 0 ? conditions : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Normalize conditions from the API: drop empty values, trim lists
+   * @returns {Object|null}
+   */
+  normalize(conditions) {
+    if (!conditions || typeof conditions !== 'object') return null;
+
+    const normalized = {};
+    for (const key of ['categories', 'sources', 'opportunityTypes']) {
+      const values = (Array.isArray(conditions[key]) ? conditions[key] : String(conditions[key] || '').split(','))
+        .map(v => String(v).trim())
+        .filter(Boolean);
+      if (values.length > 0) normalized[key] = values;
+    }
+    if (typeof conditions.hasWebsite === 'boolean') {
+      normalized.hasWebsite = conditions.hasWebsite;
+    }
+    for (const key of ['minRating', 'maxRating', 'minReviews', 'maxReviews', 'minWebsiteScore', 'maxWebsiteScore']) {
+      if (conditions[key] !== undefined && conditions[key] !== null && conditions[key] !== '') {
+        normalized[key] = Number(conditions[key]);
+      }
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  /**
+   * Problems with a set of (normalized) conditions
+   * @returns {string[]}
+   */
+  validate(conditions) {
+    if (!conditions) return [];
+    const errors = [];
+
+    for (const key of ['minRating', 'maxRating', 'minReviews', 'maxReviews', 'minWebsiteScore', 'maxWebsiteScore']) {
+      if (conditions[key] !== undefined && !Number.isFinite(conditions[key])) {
+        errors.push(`${key} must be a number`);
+      }
+    }
+    for (const [min, max] of [['minRating', 'maxRating'], ['minReviews', 'maxReviews'], ['minWebsiteScore', 'maxWebsiteScore']]) {
+      if (conditions[min] > conditions[max]) {
+        errors.push(`${min} is above ${max}`);
+      }
+    }
+
+    const unknown = (conditions.opportunityTypes || []).filter(type => !OPPORTUNITY_TYPES.includes(type));
+    if (unknown.length > 0) {
+      errors.push(`Unknown opportunity type ${unknown.join(', ')} (use ${OPPORTUNITY_TYPES.join(', ')})`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * What the rules can look at for a prospect
+   */
+  getFacts(prospect) {
+    let analysis = null;
+    try {
+      analysis = prospect.website_analysis ? JSON.parse(prospect.website_analysis).analysis : null;
+    } catch (e) {
+      analysis = null;
+    }
+
+    return {
+      category: prospect.category || '',
+      source: prospect.source || null,
+      hasWebsite: !!prospect.website_url,
+      rating: prospect.rating ?? null,
+      reviewCount: prospect.review_count ?? null,
+      websiteScore: analysis?.overallScore ?? null,
+      opportunityTypes: (analysis?.opportunities || []).map(o => o.type),
+    };
+  }
+
+  /**
+   * Check conditions against a prospect's facts
+   * @returns {{matched: boolean, reasons: string[], failed: string[]}} reasons: the conditions that held
+   */
+  evaluate(conditions, facts) {
+    const reasons = [];
+    const failed = [];
+    const check = (ok, description) => (ok ? reasons : failed).push(description);
+
+    const inRange = (value, min, max, label) => {
+      if (min === undefined && max === undefined) return;
+      const range = min !== undefined && max !== undefined ? `${min}-${max}` : min !== undefined ? `≥ ${min}` : `≤ ${max}`;
+      check(value !== null && (min === undefined || value >= min) && (max === undefined || value <= max), `${label} ${range}`);
+    };
+
+    if (conditions.categories) {
+      const category = facts.category.toLowerCase();
+      const match = conditions.categories.find(c => category.includes(c.toLowerCase()));
+      check(!!match, `category contains "${match || conditions.categories.join('" or "')}"`);
+    }
+    if (conditions.sources) {
+      check(conditions.sources.includes(facts.source), `source is ${conditions.sources.join(' or ')}`);
+    }
+    if (conditions.hasWebsite !== undefined) {
+      check(facts.hasWebsite === conditions.hasWebsite, conditions.hasWebsite ? 'has a website' : 'no website');
+    }
+    inRange(facts.rating, conditions.minRating, conditions.maxRating, 'rating');
+    inRange(facts.reviewCount, conditions.minReviews, conditions.maxReviews, 'reviews');
+    inRange(facts.websiteScore, conditions.minWebsiteScore, conditions.maxWebsiteScore, 'website score');
+    if (conditions.opportunityTypes) {
+      const match = conditions.opportunityTypes.find(type => facts.opportunityTypes.includes(type));
+      check(!!match, `website analysis found a ${match || conditions.opportunityTypes.join('/')} opportunity`);
+    }
+
+    return { matched: failed.length === 0, reasons, failed };
+  }
+
+  /**
+   * Every email template with its rule, highest priority first
+   */
+  getRules() {
+    const db = getDb();
+    return db.prepare(`
+      SELECT * FROM templates WHERE type = 'email' ORDER BY priority DESC, id ASC
+    `).all().map(template => ({ ...template, conditions: this.parseConditions(template.conditions) }));
+  }
+
+  /**
+   * How every rule fares for a prospect (for testing rules)
+   */
+  explain(prospect) {
+    const facts = this.getFacts(prospect);
+    return {
+      facts,
+      rules: this.getRules()
+        .filter(template => template.conditions)
+        .map(template => ({
+          templateId: template.id,
+          name: template.name,
+          priority: template.priority,
+          ...this.evaluate(template.conditions, facts),
+        })),
+      selected: this.select(prospect),
+    };
+  }
+
+  /**
+   * The template for a prospect's outreach email, how sure we are about it (0-1) and why it was picked
+   * @returns {{template: Object|undefined, confidence: number, reason: string}}
+   */
+  select(prospect) {
+    const db = getDb();
+    const rules = this.getRules();
+    const facts = this.getFacts(prospect);
+
+    for (const template of rules) {
+      if (!template.conditions) continue;
+      const { matched, reasons } = this.evaluate(template.conditions, facts);
+      if (matched) {
+        return {
+          template,
+          confidence: 0.9,
+          reason: `Rule matched (priority ${template.priority}): ${reasons.join(', ')}`,
+        };
+      }
+    }
+
+    // The template promoted by an experiment
+    const defaultTemplateId = parseInt(db.prepare(`SELECT value FROM agent_config WHERE key = 'default_template_id'`).get()?.value);
+    const promoted = rules.find(template => template.id === defaultTemplateId);
+    if (promoted) {
+      return { template: promoted, confidence: 0.6, reason: 'No rule matched - default email template (experiment winner)' };
+    }
+
+    // Otherwise the first template without a rule (or the first one at all)
+    const template = rules.filter(t => !t.conditions).sort((a, b) => a.id - b.id)[0]
+      || [...rules].sort((a, b) => a.id - b.id)[0];
+    return { template, confidence: 0.5, reason: 'No rule matched - default email template' };
+  }
+}
+
+// Singleton instance
+const templateRuleService = new TemplateRuleService();
+
+export default templateRuleService;
@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import { getDb } from '../db/init.js';
+
+const MAX_REFERENCES = 10;
+
+/**
+ * Threading Service - Message-IDs, reply threading and matching inbound mail to campaigns
+ *
+ * Every campaign gets its own Message-ID and a reply token. Follow-ups are sent as replies to the
+ * previous email ("Re:" subject, In-Reply-To/References). When agent_config reply_to_address is set
+ * (e.g. replies@parse.example.com), Reply-To becomes replies+<token>@parse.example.com so a reply can
+ * be traced to its campaign even if the mail client drops the threading headers.
+ */
+class ThreadingService {
+  /**
+   * Reply-To base address from config ('' = replies go to the From address)
+   */
+  getReplyToAddress() {
+    const db = getDb();
+    const row = db.prepare(`SELECT value FROM agent_config WHERE key = 'reply_to_address'`).get();
+    return (row?.value || '').trim();
+  }
+
+  /**
+   * Build a globally unique Message-ID on the sender's domain
+   */
+  generateMessageId(campaignId, fromEmail) {
+    const domain = (fromEmail || '').split('@')[1]?.replace(/>.*$/, '') || 'cloudhack.local';
+    return `<campaign-${campaignId}.${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+  }
+
+  /**
+   * Plus-address the Reply-To base with a campaign's token
+   */
+  buildReplyTo(token) {
+    const base = this.getReplyToAddress();
+    if (!base || !token) return null;
+
+    const [local, domain] = base.split('@');
+    return `${local}+${token}@${domain}`;
+  }
+
+  /**
+   * "Re: <subject>" without stacking prefixes
+   */
+  replySubject(subject) {
+    const clean = (subject || '').trim();
+    return /^re:/i.test(clean) ? clean : `Re: ${clean}`;
+  }
+
+  /**
+   * The email a follow-up to this prospect should reply to: the latest one that actually went out
+   */
+  getThreadParent(prospectId) {
+    const db = getDb();
+    return db.prepare(`
+      SELECT * FROM campaigns
+      WHERE prospect_id = ? AND sent_at IS NOT NULL AND status NOT IN ('failed', 'bounced')
+      ORDER BY datetime(sent_at) DESC, id DESC
+      LIMIT 1
+    `).get(prospectId) || null;
+  }
+
+  /**
+   * Assign (or reuse, on retry) a campaign's Message-ID and reply token, and work out its thread headers
+   * @param {number} campaignId
+   * @param {Object} [options]
+   * @param {number} [options.parentCampaignId] - Campaign this email replies to
+   * @param {string} [options.replyToMessageId] - Message-ID of the prospect's reply being answered (inbox replies)
+   * @param {string} [options.fromEmail] - Sender, for the Message-ID domain
+   * @returns {{messageId: string, inReplyTo: string|null, references: string|null, replyTo: string|null}}
+   */
+  prepare(campaignId, { parentCampaignId = null, replyToMessageId = null, fromEmail = null } = {}) {
+    const db = getDb();
+    const campaign = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(campaignId);
+    if (!campaign) return null;
+
+    if (!campaign.message_id) {
+      const parent = parentCampaignId
+        ? db.prepare('SELECT message_id, references_header FROM campaigns WHERE id = ?').get(parentCampaignId)
+        : null;
+
+      const references = [
+        ...(parent?.references_header || '').split(/\s+/).filter(Boolean),
+        parent?.message_id,
+        replyToMessageId,
+      ].filter(Boolean).slice(-MAX_REFERENCES);
+
+      campaign.message_id = this.generateMessageId(campaignId, fromEmail);
+      campaign.reply_token = crypto.randomBytes(6).toString('hex');
+      campaign.in_reply_to = replyToMessageId || parent?.message_id || null;
+      campaign.references_header = references.length > 0 ? references.join(' ') : null;
+
+      db.prepare(`
+        UPDATE campaigns SET message_id = ?, reply_token = ?, in_reply_to = ?, references_header = ? WHERE id = ?
+      `).run(campaign.message_id, campaign.reply_token, campaign.in_reply_to, campaign.references_header, campaignId);
+    }
+
+    return {
+      messageId: campaign.message_id,
+      inReplyTo: campaign.in_reply_to,
+      references: campaign.references_header,
+      replyTo: this.buildReplyTo(campaign.reply_token),
+    };
+  }
+
+  /**
+   * Remember the provider's ID for a sent campaign (matches delivery webhooks)
+   */
+  recordSent(campaignId, providerMessageId) {
+    if (!providerMessageId) return;
+    const db = getDb();
+    db.prepare('UPDATE campaigns SET provider_message_id = ? WHERE id = ?').run(providerMessageId, campaignId);
+  }
+
+  /**
+   * Read one header from a raw header block (handles folded lines)
+   */
+  getHeader(rawHeaders, name) {
+    if (!rawHeaders) return null;
+    const unfolded = rawHeaders.replace(/\r?\n[ \t]+/g, ' ');
+    const match = unfolded.match(new RegExp(`^${name}:\\s*(.*)$`, 'im'));
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * All <message-ids> mentioned in In-Reply-To and References
+   */
+  getReferencedIds(rawHeaders) {
+    const values = [this.getHeader(rawHeaders, 'In-Reply-To'), this.getHeader(rawHeaders, 'References')]
+      .filter(Boolean)
+      .join(' ');
+    return [...new Set(values.match(/<[^<>\s]+>/g) || [])];
+  }
+
+  /**
+   * Reply tokens in plus-addressed recipients (replies+<token>@...)
+   */
+  getReplyTokens(recipients) {
+    const base = this.getReplyToAddress();
+    if (!base) return [];
+
+    const [local, domain] = base.toLowerCase().split('@');
+    const pattern = new RegExp(`${local.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\+([a-z0-9]+)@${domain.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'g');
+    return [...recipients.join(' ').toLowerCase().matchAll(pattern)].map(m => m[1]);
+  }
+
+  /**
+   * Match an inbound email to the campaign it answers
+   * Order: reply token → threading headers (our emails, then earlier replies) → sender address
+   * @param {Object} inbound
+   * @param {string} inbound.from - Sender email address
+   * @param {string[]} inbound.recipients - To/Cc/envelope recipients
+   * @param {string} inbound.headers - Raw header block
+   * @returns {{prospect: Object, campaign: Object|null, matchedBy: string}|null}
+   */
+  matchInbound({ from, recipients = [], headers = '' }) {
+    const db = getDb();
+    let campaign = null;
+    let matchedBy = null;
+
+    const tokens = this.getReplyTokens(recipients);
+    if (tokens.length > 0) {
+      campaign = db.prepare(`
+        SELECT * FROM campaigns WHERE reply_token IN (${tokens.map(() => '?').join(',')}) ORDER BY id DESC LIMIT 1
+      `).get(...tokens);
+      if (campaign) matchedBy = 'reply_token';
+    }
+
+    if (!campaign) {
+      const ids = this.getReferencedIds(headers);
+      if (ids.length > 0) {
+        campaign = db.prepare(`
+          SELECT * FROM campaigns WHERE message_id IN (${ids.map(() => '?').join(',')}) ORDER BY id DESC LIMIT 1
+        `).get(...ids);
+        if (campaign) matchedBy = 'headers';
+
+        // Or a reply to one of the prospect's earlier replies (e.g. a colleague answering in the thread)
+        const earlier = campaign ? null : db.prepare(`
+          SELECT prospect_id, campaign_id FROM inbound_messages
+          WHERE message_id IN (${ids.map(() => '?').join(',')}) ORDER BY id DESC LIMIT 1
+        `).get(...ids);
+        if (earlier) {
+          const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(earlier.prospect_id);
+          const parent = earlier.campaign_id
+            ? db.prepare('SELECT * FROM campaigns WHERE id = ?').get(earlier.campaign_id)
+            : this.getThreadParent(earlier.prospect_id);
+          if (prospect) return { prospect, campaign: parent || null, matchedBy: 'headers' };
+        }
+      }
+    }
+
+    if (campaign) {
+      const prospect = db.prepare('SELECT * FROM prospects WHERE id = ?').get(campaign.prospect_id);
+      return prospect ? { prospect, campaign, matchedBy } : null;
+    }
+
+    // Fall back to the sender's address (the prospect's or one of its contacts') and their most recent email
+    const prospect = db.prepare(`
+      SELECT * FROM prospects
+      WHERE lower(email) = lower(?) OR id IN (SELECT prospect_id FROM contacts WHERE lower(email) = lower(?))
+      ORDER BY lower(email) = lower(?) DESC LIMIT 1
+    `).get(from || '', from || '', from || '');
+    if (!prospect) return null;
+
+    return { prospect, campaign: this.getThreadParent(prospect.id), matchedBy: 'sender' };
+  }
+}
+
+// Singleton instance
+const threadingService = new ThreadingService();
+
+export default threadingService;
@@ -0,0 +1,277 @@
+import { getDb } from '../db/init.js';
+import sendWindowService from './sendWindow.js';
+
+export const THROTTLE_REASONS = {
+  daily_cap: 'Daily sending cap reached',
+  hourly_cap: 'Hourly sending cap reached',
+  domain_spacing: 'Waiting to space out sends to this domain',
+};
+
+/**
+ * Format a Date the way SQLite's CURRENT_TIMESTAMP does
+ */
+function toSqlDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Parse a SQLite UTC timestamp into a Date
+ */
+function fromSqlDate(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Throttle Service - Daily/hourly sending caps, warm-up ramp and per-domain spacing.
+ * Every accepted send is written to email_send_log; caps are checked against that log.
+ */
+class ThrottleService {
+  /**
+   * Get the recipient domain of an email address
+   */
+  getDomain(email) {
+    return (email || '').split('@').pop().trim().toLowerCase();
+  }
+
+  /**
+   * Load throttle settings from agent_config
+   */
+  getConfig() {
+    const db = getDb();
+    const rows = db.prepare(`SELECT key, value FROM agent_config WHERE key LIKE 'throttle_%'`).all();
+    const config = rows.reduce((acc, r) => ({ ...acc, [r.key]: r.value }), {});
+    const toNumber = (value, fallback) => {
+      const n = parseInt(value);
+      return Number.isFinite(n) && n >= 0 ? n : fallback;
+    };
+
+    return {
+      enabled: config.throttle_enabled !== 'false',
+      dailyCap: toNumber(config.throttle_daily_cap, 200),
+      hourlyCap: toNumber(config.throttle_hourly_cap, 40),
+      domainSpacingMinutes: toNumber(config.throttle_domain_spacing_minutes, 10),
+      warmupEnabled: config.throttle_warmup_enabled !== 'false',
+      warmupSchedule: (config.throttle_warmup_schedule || '')
+        .split(',')
+        .map(n => parseInt(n.trim()))
+        .filter(n => n > 0),
+      warmupStartDate: config.throttle_warmup_start_date || null,
+      timezone: sendWindowService.getConfig().timezone,
+    };
+  }
+
+  /**
+   * Get the local calendar date (YYYY-MM-DD) in the workspace timezone
+   */
+  getLocalDate(date, timezone) {
+    const p = sendWindowService.getZonedParts(date, timezone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Get the start of the current local day and the start of the next one
+   */
+  getDayBounds(now, timezone) {
+    const p = sendWindowService.getZonedParts(now, timezone);
+    const next = new Date(Date.UTC(p.year, p.month - 1, p.day + 1));
+
+    return {
+      start: sendWindowService.zonedTimeToDate({ year: p.year, month: p.month, day: p.day, hour: 0, minute: 0 }, timezone),
+      end: sendWindowService.zonedTimeToDate({
+        year: next.getUTCFullYear(),
+        month: next.getUTCMonth() + 1,
+        day: next.getUTCDate(),
+        hour: 0,
+        minute: 0,
+      }, timezone),
+    };
+  }
+
+  /**
+   * Where the warm-up ramp stands. The schedule lists daily caps per week;
+   * once the last week has passed the ramp is over and only dailyCap applies.
+   */
+  getWarmup(config, now = new Date()) {
+    if (!config.warmupEnabled || config.warmupSchedule.length === 0) {
+      return { active: false, week: null, cap: null, startDate: config.warmupStartDate };
+    }
+
+    // The ramp starts with the first real send
+    if (!config.warmupStartDate) {
+      return { active: true, week: 1, cap: config.warmupSchedule[0], startDate: null };
+    }
+
+    const today = this.getLocalDate(now, config.timezone);
+    const days = Math.floor((Date.parse(today) - Date.parse(config.warmupStartDate)) / 86400000);
+    const week = Math.max(0, Math.floor(days / 7)) + 1;
+
+    if (week > config.warmupSchedule.length) {
+      return { active: false, week, cap: null, startDate: config.warmupStartDate, completed: true };
+    }
+
+    return { active: true, week, cap: config.warmupSchedule[week - 1], startDate: config.warmupStartDate };
+  }
+
+  /**
+   * Effective cap for today: the configured cap, lowered by the warm-up ramp
+   */
+  getDailyCap(config, now = new Date()) {
+    const warmup = this.getWarmup(config, now);
+    return warmup.cap !== null ? Math.min(config.dailyCap, warmup.cap) : config.dailyCap;
+  }
+
+  /**
+   * Count sends so far today (local day) and in the last hour
+   */
+  getUsage(config, now = new Date()) {
+    const db = getDb();
+    const { start, end } = this.getDayBounds(now, config.timezone);
+    const hourAgo = new Date(now.getTime() - 3600000);
+
+    const { today } = db.prepare(`
+      SELECT COUNT(*) as today FROM email_send_log WHERE sent_at >= ?
+    `).get(toSqlDate(start));
+
+    const { lastHour } = db.prepare(`
+      SELECT COUNT(*) as lastHour FROM email_send_log WHERE sent_at > ?
+    `).get(toSqlDate(hourAgo));
+
+    return { today, lastHour, dayStart: start, dayEnd: end };
+  }
+
+  /**
+   * Check whether an email to this address may go out now.
+   * @param {string} email - Recipient address
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @param {string[]} [options.pending] - Recipients already accepted but not yet logged (batch sends)
+   * @returns {{allowed: boolean, reason?: string, message?: string, retryAt?: Date}}
+   */
+  check(email, { now = new Date(), pending = [] } = {}) {
+    const config = this.getConfig();
+    if (!config.enabled) {
+      return { allowed: true };
+    }
+
+    const db = getDb();
+    const usage = this.getUsage(config, now);
+    const dailyCap = this.getDailyCap(config, now);
+    const deny = (reason, retryAt) => ({ allowed: false, reason, message: THROTTLE_REASONS[reason], retryAt });
+
+    // Over the daily cap: overflow carries into the next local day
+    if (usage.today + pending.length >= dailyCap) {
+      return deny('daily_cap', usage.dayEnd);
+    }
+
+    if (config.hourlyCap > 0 && usage.lastHour + pending.length >= config.hourlyCap) {
+      // A slot frees up an hour after the oldest send still inside the rolling hour
+      const overBy = usage.lastHour + pending.length - config.hourlyCap;
+      const oldest = db.prepare(`
+        SELECT sent_at FROM email_send_log WHERE sent_at > ? ORDER BY sent_at ASC LIMIT 1 OFFSET ?
+      `).get(toSqlDate(new Date(now.getTime() - 3600000)), overBy);
+      const retryAt = oldest
+        ? new Date(fromSqlDate(oldest.sent_at).getTime() + 3600000)
+        : new Date(now.getTime() + 3600000);
+      return deny('hourly_cap', retryAt);
+    }
+
+    if (config.domainSpacingMinutes > 0) {
+      const domain = this.getDomain(email);
+      const spacing = config.domainSpacingMinutes * 60000;
+
+      if (pending.some(to => this.getDomain(to) === domain)) {
+        return deny('domain_spacing', new Date(now.getTime() + spacing));
+      }
+
+      const last = db.prepare(`
+        SELECT sent_at FROM email_send_log WHERE domain = ? ORDER BY sent_at DESC LIMIT 1
+      `).get(domain);
+
+      if (last) {
+        const retryAt = new Date(fromSqlDate(last.sent_at).getTime() + spacing);
+        if (retryAt > now) {
+          return deny('domain_spacing', retryAt);
+        }
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Log an accepted send
+   */
+  record({ to, campaignId = null, prospectId = null }) {
+    const db = getDb();
+
+    db.prepare(`
+      INSERT INTO email_send_log (recipient, domain, campaign_id, prospect_id)
+      VALUES (?, ?, ?, ?)
+    `).run(to.toLowerCase(), this.getDomain(to), campaignId, prospectId);
+
+    // Start the warm-up clock on the first send
+    const config = this.getConfig();
+    if (config.warmupEnabled && !config.warmupStartDate) {
+      db.prepare(`
+        INSERT OR REPLACE INTO agent_config (key, value, updated_at)
+        VALUES ('throttle_warmup_start_date', ?, CURRENT_TIMESTAMP)
+      `).run(this.getLocalDate(new Date(), config.timezone));
+    }
+  }
+
+  /**
+   * Current caps, usage, warm-up progress and the overflow queue (for the dashboard)
+   */
+  getStatus(now = new Date()) {
+    const db = getDb();
+    const config = this.getConfig();
+    const usage = this.getUsage(config, now);
+    const dailyCap = this.getDailyCap(config, now);
+
+    const deferred = db.prepare(`
+      SELECT deferred_reason as reason, COUNT(*) as count, MIN(scheduled_for) as nextAt
+      FROM agent_tasks
+      WHERE status = 'pending' AND deferred_reason IS NOT NULL
+        AND datetime(scheduled_for) > datetime('now')
+      GROUP BY deferred_reason
+    `).all();
+
+    const history = db.prepare(`
+      SELECT date(sent_at) as day, COUNT(*) as sent
+      FROM email_send_log
+      WHERE sent_at >= datetime('now', '-14 days')
+      GROUP BY date(sent_at)
+      ORDER BY day ASC
+    `).all();
+
+    const busiestDomains = db.prepare(`
+      SELECT domain, COUNT(*) as sent, MAX(sent_at) as lastSentAt
+      FROM email_send_log
+      WHERE sent_at >= ?
+      GROUP BY domain
+      ORDER BY sent DESC
+      LIMIT 5
+    `).all(toSqlDate(usage.dayStart));
+
+    return {
+      config,
+      warmup: {
+        ...this.getWarmup(config, now),
+        totalWeeks: config.warmupSchedule.length,
+      },
+      dailyCap,
+      sentToday: usage.today,
+      sentLastHour: usage.lastHour,
+      remainingToday: Math.max(0, dailyCap - usage.today),
+      resetsAt: usage.dayEnd.toISOString(),
+      deferred,
+      history,
+      busiestDomains,
+    };
+  }
+}
+
+// Singleton instance
+const throttleService = new ThrottleService();
+
+export default throttleService;
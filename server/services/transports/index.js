@@ -0,0 +1,25 @@
+import ResendTransport from './resend.js';
+import SendGridTransport from './sendgrid.js';
+import SmtpTransport from './smtp.js';
+import OutboxTransport from './outbox.js';
+
+/**
+ * Email transports, in auto-detect order (outbox is only used when chosen explicitly)
+ *
+ * Every transport implements:
+ *   name                     'resend' | 'sendgrid' | 'smtp' | 'outbox'
+ *   isReady()                credentials are present
+ *   getMissingConfig()       env var to set when not ready
+ *   getFromEmail()           default sender
+ *   send(message)            { from, to[], replyTo?, subject, text, html, headers, tags } → { success, id?, error?, events? }
+ *   sendBatch(messages)      results in input order
+ *   normalizeEvents(body, req)  provider webhook body → normalized events (see services/emailEvents.js)
+ */
+export const TRANSPORTS = {
+  resend: { label: 'Resend', Transport: ResendTransport },
+  sendgrid: { label: 'SendGrid', Transport: SendGridTransport },
+  smtp: { label: 'SMTP', Transport: SmtpTransport },
+  outbox: { label: 'Local outbox', Transport: OutboxTransport },
+};
+
+export const TRANSPORT_NAMES = Object.keys(TRANSPORTS);
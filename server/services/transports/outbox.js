@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', '..', 'outbox');
+
+/**
+ * Outbox Transport - Writes each message to a JSON file instead of sending it (development and tests)
+ * Files land in OUTBOX_DIR (default server/outbox); every message is reported as delivered.
+ */
+class OutboxTransport {
+  constructor() {
+    this.name = 'outbox';
+    this.dir = process.env.OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+  }
+
+  isReady() {
+    return true;
+  }
+
+  getMissingConfig() {
+    return null;
+  }
+
+  getFromEmail() {
+    return 'outbox@localhost';
+  }
+
+  async send(message) {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+
+      const id = `outbox-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const { tags = {} } = message;
+      fs.writeFileSync(
+        path.join(this.dir, `${id}.json`),
+        JSON.stringify({ id, savedAt: new Date().toISOString(), ...message }, null, 2)
+      );
+
+      // Nothing will call back, so report delivery straight away
+      const events = (Array.isArray(message.to) ? message.to : [message.to]).map(to => ({
+        provider: this.name,
+        eventId: `outbox:${id}:${to}`,
+        type: 'delivered',
+        email: to,
+        campaignId: tags.campaign_id ? parseInt(tags.campaign_id) : null,
+        prospectId: tags.prospect_id ? parseInt(tags.prospect_id) : null,
+        messageId: id,
+        raw: { id, to },
+      }));
+
+      return { success: true, id, events };
+    } catch (err) {
+      console.error('Outbox error:', err.message);
+      return { success: false, error: err.message };
+    }
+  }
+
+  async sendBatch(messages) {
+    const results = [];
+    for (const message of messages) {
+      results.push(await this.send(message));
+    }
+    return results;
+  }
+
+  normalizeEvents() {
+    return [];
+  }
+}
+
+export default OutboxTransport;
@@ -0,0 +1,95 @@
+import { Resend } from 'resend';
+
+// Resend webhook types mapped onto the normalized event types
+const EVENT_TYPES = {
+  'email.sent': 'processed',
+  'email.delivered': 'delivered',
+  'email.delivery_delayed': 'deferred',
+  'email.opened': 'open',
+  'email.clicked': 'click',
+  'email.bounced': 'bounce',
+  'email.complained': 'spamreport',
+};
+
+/**
+ * Resend Transport - Sends through the Resend API (RESEND_API_KEY)
+ */
+class ResendTransport {
+  constructor() {
+    this.name = 'resend';
+    this.client = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+  }
+
+  isReady() {
+    return this.client !== null;
+  }
+
+  getMissingConfig() {
+    return this.isReady() ? null : 'RESEND_API_KEY';
+  }
+
+  getFromEmail() {
+    return process.env.RESEND_FROM_EMAIL || 'onboarding@resend.dev';
+  }
+
+  /**
+   * Convert a transport message to Resend's format (tags become [{ name, value }])
+   */
+  toResend({ tags = {}, ...message }) {
+    return {
+      ...message,
+      tags: Object.entries(tags).map(([name, value]) => ({ name, value: String(value) })),
+    };
+  }
+
+  async send(message) {
+    const { data, error } = await this.client.emails.send(this.toResend(message));
+
+    if (error) {
+      console.error('Resend error:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, id: data.id };
+  }
+
+  async sendBatch(messages) {
+    const { data, error } = await this.client.batch.send(messages.map(m => this.toResend(m)));
+
+    if (error) {
+      return messages.map(() => ({ success: false, error: error.message }));
+    }
+
+    const sent = data?.data || data;
+    return messages.map((_, i) => ({ success: true, id: sent[i]?.id }));
+  }
+
+  /**
+   * Normalize a Resend webhook body (one event per request)
+   */
+  normalizeEvents(body, req) {
+    const { type, data } = body || {};
+    if (!type || !data) return [];
+
+    // Tags arrive as an object, or as [{ name, value }] from older payloads
+    const tags = Array.isArray(data.tags)
+      ? Object.fromEntries(data.tags.map(t => [t.name, t.value]))
+      : (data.tags || {});
+    const svixId = req.get('svix-id') || req.get('webhook-id');
+
+    return [{
+      provider: this.name,
+      eventId: svixId ? `resend:${svixId}` : null,
+      type: EVENT_TYPES[type] || type,
+      email: Array.isArray(data.to) ? data.to[0] : data.to,
+      campaignId: tags.campaign_id ? parseInt(tags.campaign_id) : null,
+      prospectId: tags.prospect_id ? parseInt(tags.prospect_id) : null,
+      messageId: data.email_id,
+      url: data.click?.link,
+      bounceType: data.bounce ? (data.bounce.type === 'Permanent' ? 'hard' : 'soft') : null,
+      raw: body,
+    }];
+  }
+}
+
+export default ResendTransport;
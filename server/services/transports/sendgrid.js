@@ -0,0 +1,73 @@
+import sgMail from '@sendgrid/mail';
+
+/**
+ * SendGrid Transport - Sends through the SendGrid v3 API (SENDGRID_API_KEY)
+ * Tags go out as custom_args, which SendGrid echoes back on every event.
+ */
+class SendGridTransport {
+  constructor() {
+    this.name = 'sendgrid';
+    this.client = null;
+
+    if (process.env.SENDGRID_API_KEY) {
+      this.client = new sgMail.MailService();
+      this.client.setApiKey(process.env.SENDGRID_API_KEY);
+    }
+  }
+
+  isReady() {
+    return this.client !== null;
+  }
+
+  getMissingConfig() {
+    return this.isReady() ? null : 'SENDGRID_API_KEY';
+  }
+
+  getFromEmail() {
+    return process.env.SENDGRID_FROM_EMAIL || null;
+  }
+
+  async send({ tags = {}, ...message }) {
+    try {
+      const [response] = await this.client.send({
+        ...message,
+        customArgs: Object.fromEntries(Object.entries(tags).map(([k, v]) => [k, String(v)])),
+      });
+      return { success: true, id: response.headers['x-message-id'] };
+    } catch (err) {
+      const detail = err.response?.body?.errors?.[0]?.message || err.message;
+      console.error('SendGrid error:', detail);
+      return { success: false, error: detail };
+    }
+  }
+
+  async sendBatch(messages) {
+    const results = [];
+    for (const message of messages) {
+      results.push(await this.send(message));
+    }
+    return results;
+  }
+
+  /**
+   * Normalize a SendGrid Event Webhook body (array of events; already SendGrid's type names)
+   */
+  normalizeEvents(body) {
+    if (!Array.isArray(body)) return [];
+
+    return body.map(event => ({
+      provider: this.name,
+      eventId: event.sg_event_id ? `sendgrid:${event.sg_event_id}` : null,
+      type: event.event,
+      email: event.email,
+      campaignId: event.campaign_id ? parseInt(event.campaign_id) : null,
+      prospectId: event.prospect_id ? parseInt(event.prospect_id) : null,
+      messageId: event.sg_message_id,
+      url: event.url,
+      bounceType: event.event === 'bounce' ? (event.type === 'blocked' ? 'soft' : 'hard') : null,
+      raw: event,
+    }));
+  }
+}
+
+export default SendGridTransport;
@@ -0,0 +1,60 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP Transport - Sends through any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ * Plain SMTP has no delivery webhooks, so only sends are recorded.
+ */
+class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.client = null;
+
+    if (process.env.SMTP_HOST) {
+      const port = parseInt(process.env.SMTP_PORT) || 587;
+      this.client = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      });
+    }
+  }
+
+  isReady() {
+    return this.client !== null;
+  }
+
+  getMissingConfig() {
+    return this.isReady() ? null : 'SMTP_HOST';
+  }
+
+  getFromEmail() {
+    return process.env.SMTP_FROM || process.env.SMTP_USER || null;
+  }
+
+  async send({ tags = {}, headers = {}, ...message }) {
+    try {
+      // Nodemailer generates its own Message-ID unless given one, so lift the threading headers out
+      const { 'Message-ID': messageId, 'In-Reply-To': inReplyTo, References: references, ...otherHeaders } = headers;
+      const info = await this.client.sendMail({ ...message, headers: otherHeaders, messageId, inReplyTo, references });
+      return { success: true, id: info.messageId };
+    } catch (err) {
+      console.error('SMTP error:', err.message);
+      return { success: false, error: err.message };
+    }
+  }
+
+  async sendBatch(messages) {
+    const results = [];
+    for (const message of messages) {
+      results.push(await this.send(message));
+    }
+    return results;
+  }
+
+  normalizeEvents() {
+    return [];
+  }
+}
+
+export default SmtpTransport;
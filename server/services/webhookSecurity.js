@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import { getDb } from '../db/init.js';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const MAX_LOGGED_PAYLOAD = 2000;
+
+// Headers worth keeping on a rejected request (never cookies or auth)
+const LOGGED_HEADERS = [
+  'content-type',
+  'user-agent',
+  'x-forwarded-for',
+  'x-twilio-email-event-webhook-timestamp',
+  'svix-id',
+  'svix-timestamp',
+  'webhook-id',
+  'webhook-timestamp',
+];
+
+/**
+ * Webhook Security Service - Signature checks, timestamp tolerance and the rejected-webhook log
+ *
+ * Providers:
+ *   sendgrid          Signed Event Webhook (ECDSA P-256, SENDGRID_WEBHOOK_PUBLIC_KEY)
+ *   sendgrid_inbound  Inbound Parse; ECDSA with SENDGRID_INBOUND_PUBLIC_KEY, or a ?token= matching SENDGRID_INBOUND_TOKEN
+ *   resend            Svix-style HMAC signatures (RESEND_WEBHOOK_SECRET, "whsec_...")
+ *
+ * A provider with nothing configured rejects everything unless WEBHOOK_ALLOW_UNSIGNED=true (local development).
+ */
+class WebhookSecurityService {
+  /**
+   * Maximum age (and clock skew) of a signed timestamp, in seconds
+   */
+  getTolerance() {
+    return parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+  }
+
+  allowUnsigned() {
+    return process.env.WEBHOOK_ALLOW_UNSIGNED === 'true';
+  }
+
+  /**
+   * Whether a provider has verification configured
+   */
+  isConfigured(provider) {
+    switch (provider) {
+      case 'sendgrid':
+        return !!process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+      case 'sendgrid_inbound':
+        return !!(process.env.SENDGRID_INBOUND_PUBLIC_KEY || process.env.SENDGRID_INBOUND_TOKEN);
+      case 'resend':
+        return !!process.env.RESEND_WEBHOOK_SECRET;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check a unix timestamp (seconds) against the tolerance window
+   * @returns {string|null} Rejection reason, or null if fresh
+   */
+  checkTimestamp(timestamp, now = Date.now()) {
+    const seconds = parseInt(timestamp);
+    if (!seconds) return 'missing_timestamp';
+
+    const age = Math.abs(now / 1000 - seconds);
+    return age > this.getTolerance() ? 'timestamp_out_of_tolerance' : null;
+  }
+
+  /**
+   * Constant-time string comparison
+   */
+  safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  /**
+   * Load an ECDSA public key given as SendGrid shows it (base64 DER) or as PEM
+   */
+  loadPublicKey(key) {
+    if (key.includes('BEGIN PUBLIC KEY')) {
+      return crypto.createPublicKey(key.replace(/\\n/g, '\n'));
+    }
+    return crypto.createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' });
+  }
+
+  /**
+   * Verify SendGrid's signature: ECDSA over timestamp + raw body
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  verifyEcdsa(req, publicKey, { now = Date.now() } = {}) {
+    const signature = req.get('X-Twilio-Email-Event-Webhook-Signature');
+    const timestamp = req.get('X-Twilio-Email-Event-Webhook-Timestamp');
+
+    if (!signature) return { valid: false, reason: 'missing_signature' };
+
+    const timestampError = this.checkTimestamp(timestamp, now);
+    if (timestampError) return { valid: false, reason: timestampError };
+
+    try {
+      const payload = Buffer.concat([Buffer.from(timestamp), req.rawBody || Buffer.alloc(0)]);
+      const valid = crypto.verify('sha256', payload, this.loadPublicKey(publicKey), Buffer.from(signature, 'base64'));
+      return valid ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+    } catch (error) {
+      console.error('SendGrid signature check failed:', error.message);
+      return { valid: false, reason: 'invalid_signature' };
+    }
+  }
+
+  /**
+   * Verify a Svix-style signature (Resend): HMAC-SHA256 over "id.timestamp.body"
+   * Accepts both svix-* and standard webhook-* header names.
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  verifySvix(req, secret, { now = Date.now() } = {}) {
+    const id = req.get('svix-id') || req.get('webhook-id');
+    const timestamp = req.get('svix-timestamp') || req.get('webhook-timestamp');
+    const signatureHeader = req.get('svix-signature') || req.get('webhook-signature');
+
+    if (!id || !signatureHeader) return { valid: false, reason: 'missing_signature' };
+
+    const timestampError = this.checkTimestamp(timestamp, now);
+    if (timestampError) return { valid: false, reason: timestampError };
+
+    const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+    const body = (req.rawBody || Buffer.alloc(0)).toString('utf8');
+    const expected = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${body}`).digest('base64');
+
+    // Header holds space-separated "v1,<sig>" entries (several during secret rotation)
+    const matched = signatureHeader
+      .split(' ')
+      .map(entry => entry.split(','))
+      .some(([version, sig]) => version === 'v1' && sig && this.safeEqual(sig, expected));
+
+    return matched ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+  }
+
+  /**
+   * Verify a webhook request for a provider
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  verify(provider, req) {
+    if (!this.isConfigured(provider)) {
+      return this.allowUnsigned() ? { valid: true } : { valid: false, reason: 'verification_not_configured' };
+    }
+
+    switch (provider) {
+      case 'sendgrid':
+        return this.verifyEcdsa(req, process.env.SENDGRID_WEBHOOK_PUBLIC_KEY);
+
+      case 'sendgrid_inbound': {
+        const { SENDGRID_INBOUND_PUBLIC_KEY, SENDGRID_INBOUND_TOKEN } = process.env;
+        if (SENDGRID_INBOUND_PUBLIC_KEY && req.get('X-Twilio-Email-Event-Webhook-Signature')) {
+          return this.verifyEcdsa(req, SENDGRID_INBOUND_PUBLIC_KEY);
+        }
+        if (SENDGRID_INBOUND_TOKEN) {
+          return req.query.token && this.safeEqual(req.query.token, SENDGRID_INBOUND_TOKEN)
+            ? { valid: true }
+            : { valid: false, reason: 'invalid_token' };
+        }
+        return { valid: false, reason: 'missing_signature' };
+      }
+
+      case 'resend':
+        return this.verifySvix(req, process.env.RESEND_WEBHOOK_SECRET);
+
+      default:
+        return { valid: false, reason: 'unknown_provider' };
+    }
+  }
+
+  /**
+   * Log a rejected webhook request
+   */
+  reject(provider, req, reason) {
+    const db = getDb();
+    const headers = Object.fromEntries(
+      LOGGED_HEADERS.filter(name => req.get(name)).map(name => [name, req.get(name)])
+    );
+    const payload = (req.rawBody || Buffer.alloc(0)).toString('utf8').slice(0, MAX_LOGGED_PAYLOAD);
+
+    db.prepare(`
+      INSERT INTO webhook_rejections (provider, reason, path, ip_address, headers, payload)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(provider, reason, req.originalUrl.split('?')[0], req.ip, JSON.stringify(headers), payload);
+
+    console.warn(`🚫 Rejected ${provider} webhook from ${req.ip}: ${reason}`);
+  }
+
+  /**
+   * Recent rejected webhooks
+   */
+  getRejections({ provider = null, limit = 100 } = {}) {
+    const db = getDb();
+    const rows = provider
+      ? db.prepare('SELECT * FROM webhook_rejections WHERE provider = ? ORDER BY id DESC LIMIT ?').all(provider, limit)
+      : db.prepare('SELECT * FROM webhook_rejections ORDER BY id DESC LIMIT ?').all(limit);
+
+    return rows.map(row => ({ ...row, headers: JSON.parse(row.headers || '{}') }));
+  }
+
+  /**
+   * Verification status per provider (no secrets)
+   */
+  getStatus() {
+    const db = getDb();
+    const counts = db.prepare(`
+      SELECT provider, COUNT(*) as count FROM webhook_rejections
+      WHERE created_at > datetime('now', '-1 day')
+      GROUP BY provider
+    `).all();
+
+    return {
+      toleranceSeconds: this.getTolerance(),
+      allowUnsigned: this.allowUnsigned(),
+      providers: ['sendgrid', 'sendgrid_inbound', 'resend'].map(provider => ({
+        provider,
+        configured: this.isConfigured(provider),
+        rejectedLast24h: counts.find(c => c.provider === provider)?.count || 0,
+      })),
+    };
+  }
+
+  /**
+   * Delete rejection log entries older than 30 days
+   */
+  cleanup() {
+    const db = getDb();
+    return db.prepare(`DELETE FROM webhook_rejections WHERE created_at < datetime('now', '-30 days')`).run().changes;
+  }
+}
+
+// Singleton instance
+const webhookSecurityService = new WebhookSecurityService();
+
+export default webhookSecurityService;